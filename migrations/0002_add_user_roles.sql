@@ -0,0 +1,10 @@
+-- Admin accounts with roles (owner, editor, moderator)
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE,
+  password TEXT NOT NULL
+);
+
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'editor';
+ALTER TABLE users ADD COLUMN created_at TEXT;
+ALTER TABLE users ADD COLUMN updated_at TEXT;
@@ -0,0 +1,7 @@
+-- Failed login counters per client IP ("ip:<addr>") and username ("user:<name>")
+CREATE TABLE IF NOT EXISTS login_attempts (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TEXT NOT NULL,
+  locked_until TEXT
+);
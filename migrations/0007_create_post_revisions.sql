@@ -0,0 +1,25 @@
+-- Post revision history: a snapshot on every create, update and restore
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  slug TEXT NOT NULL,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  summary TEXT,
+  state TEXT NOT NULL,
+  tags TEXT NOT NULL,
+  restored_from INTEGER,
+  created_at TEXT NOT NULL,
+  UNIQUE (post_id, revision)
+);
+
+-- Existing posts start with their current content as revision 1
+INSERT INTO post_revisions (post_id, revision, slug, title, content, summary, state, tags, created_at)
+SELECT p.id, 1, p.slug, p.title, p.content, p.summary, p.state,
+       (SELECT json_group_array(t.name)
+        FROM post_tags pt
+        JOIN tags t ON t.id = pt.tag_id
+        WHERE pt.post_id = p.id),
+       p.updated_at
+FROM posts p;
@@ -0,0 +1,7 @@
+-- Scheduled publishing: publish_at for state 'scheduled', published_at set when a post goes live
+ALTER TABLE posts ADD COLUMN publish_at TEXT;
+ALTER TABLE posts ADD COLUMN published_at TEXT;
+
+UPDATE posts SET published_at = created_at WHERE state = 'published';
+
+CREATE INDEX IF NOT EXISTS idx_posts_state_publish_at ON posts (state, publish_at);
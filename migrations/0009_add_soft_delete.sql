@@ -0,0 +1,9 @@
+-- Soft delete: DELETE endpoints move posts and comments to the trash (deleted_at)
+ALTER TABLE posts ADD COLUMN deleted_at TEXT;
+ALTER TABLE comments ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts (deleted_at);
+CREATE INDEX IF NOT EXISTS idx_comments_deleted_at ON comments (deleted_at);
+
+-- Tag links left behind by posts that were hard-deleted before this migration
+DELETE FROM post_tags WHERE post_id NOT IN (SELECT id FROM posts);
@@ -0,0 +1,2 @@
+-- Optimistic concurrency: version is incremented on every post write and exposed as the ETag
+ALTER TABLE posts ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,20 @@
+-- Previous slugs of each post, used to redirect old URLs to the current slug
+-- A slug in the history stays reserved for its post
+CREATE TABLE IF NOT EXISTS post_slug_history (
+  slug TEXT PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_slug_history_post_id ON post_slug_history (post_id);
+
+-- Backfill from revisions: slugs a post used before its current one
+-- (a slug used by several posts goes to the post that used it last)
+INSERT OR IGNORE INTO post_slug_history (slug, post_id, created_at)
+SELECT r.slug, r.post_id, MAX(r.created_at)
+FROM post_revisions r
+JOIN posts p ON p.id = r.post_id
+WHERE r.slug != p.slug
+  AND r.slug NOT IN (SELECT slug FROM posts)
+GROUP BY r.slug, r.post_id
+ORDER BY MAX(r.created_at) DESC;
@@ -0,0 +1,21 @@
+-- Tag writes use INSERT ... ON CONFLICT (name), which needs unique tag names
+-- Merge duplicate tag names into the oldest tag first
+INSERT INTO post_tags (post_id, tag_id)
+SELECT DISTINCT pt.post_id, keep.id
+FROM post_tags pt
+JOIN tags t ON t.id = pt.tag_id
+JOIN (SELECT name, MIN(id) AS id FROM tags GROUP BY name) keep ON keep.name = t.name
+WHERE pt.tag_id != keep.id
+  AND NOT EXISTS (
+    SELECT 1 FROM post_tags x WHERE x.post_id = pt.post_id AND x.tag_id = keep.id
+  );
+
+DELETE FROM post_tags WHERE tag_id NOT IN (SELECT MIN(id) FROM tags GROUP BY name);
+DELETE FROM tags WHERE id NOT IN (SELECT MIN(id) FROM tags GROUP BY name);
+
+-- Drop duplicate post/tag links
+DELETE FROM post_tags
+WHERE rowid NOT IN (SELECT MIN(rowid) FROM post_tags GROUP BY post_id, tag_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name ON tags (name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_post_tags_post_id_tag_id ON post_tags (post_id, tag_id);
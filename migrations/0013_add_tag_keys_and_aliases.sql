@@ -0,0 +1,40 @@
+-- Tags are matched by a case-folded key; the display name keeps its first spelling
+ALTER TABLE tags ADD COLUMN name_key TEXT;
+
+-- SQLite lower()는 ASCII만 변환하므로 기존 태그는 근사값으로 채움
+UPDATE tags SET name_key = lower(trim(name));
+
+-- Merge tags whose keys collide into the oldest tag
+INSERT INTO post_tags (post_id, tag_id)
+SELECT DISTINCT pt.post_id, keep.id
+FROM post_tags pt
+JOIN tags t ON t.id = pt.tag_id
+JOIN (SELECT name_key, MIN(id) AS id FROM tags GROUP BY name_key) keep ON keep.name_key = t.name_key
+WHERE pt.tag_id != keep.id
+  AND NOT EXISTS (
+    SELECT 1 FROM post_tags x WHERE x.post_id = pt.post_id AND x.tag_id = keep.id
+  );
+
+DELETE FROM post_tags WHERE tag_id NOT IN (SELECT MIN(id) FROM tags GROUP BY name_key);
+DELETE FROM tags WHERE id NOT IN (SELECT MIN(id) FROM tags GROUP BY name_key);
+
+UPDATE tags SET post_count = (
+  SELECT COUNT(*)
+  FROM post_tags pt
+  JOIN posts p ON p.id = pt.post_id
+  WHERE pt.tag_id = tags.id AND p.state = 'published' AND p.deleted_at IS NULL
+);
+
+DROP INDEX IF EXISTS idx_tags_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name_key ON tags (name_key);
+
+-- Alternative spellings resolved to a tag when posts are saved (js → javascript)
+CREATE TABLE IF NOT EXISTS tag_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  alias TEXT NOT NULL,
+  alias_key TEXT NOT NULL UNIQUE,
+  tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_tag_aliases_tag_id ON tag_aliases (tag_id);
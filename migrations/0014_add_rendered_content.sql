@@ -0,0 +1,6 @@
+-- Derived fields computed from the Markdown content on every save
+-- Existing posts are filled in on their next save
+ALTER TABLE posts ADD COLUMN content_html TEXT;
+ALTER TABLE posts ADD COLUMN word_count INTEGER;
+ALTER TABLE posts ADD COLUMN reading_time INTEGER;
+ALTER TABLE posts ADD COLUMN toc TEXT;
@@ -0,0 +1,6 @@
+-- SEO metadata (NULL = public site falls back to title/summary)
+-- og_image defaults to the first CDN image in the content on save
+ALTER TABLE posts ADD COLUMN meta_title TEXT;
+ALTER TABLE posts ADD COLUMN meta_description TEXT;
+ALTER TABLE posts ADD COLUMN canonical_url TEXT;
+ALTER TABLE posts ADD COLUMN og_image TEXT;
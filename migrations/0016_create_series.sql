@@ -0,0 +1,16 @@
+-- Ordered collections of posts (multi-part tutorials)
+CREATE TABLE IF NOT EXISTS series (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT NOT NULL,
+  slug TEXT NOT NULL UNIQUE,
+  description TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- series_position은 휴지통에 없는 게시글 사이에서 1부터 빈틈없이 이어짐
+-- 휴지통의 게시글은 series_id만 유지하고 복원 시 시리즈 끝에 다시 추가됨
+ALTER TABLE posts ADD COLUMN series_id INTEGER REFERENCES series (id);
+ALTER TABLE posts ADD COLUMN series_position INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_posts_series ON posts (series_id, series_position);
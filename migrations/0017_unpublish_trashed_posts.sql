@@ -0,0 +1,5 @@
+-- Trashed posts leave the public site: the public worker only filters by state,
+-- so a trashed post is moved to draft and its previous state restored on undo
+ALTER TABLE posts ADD COLUMN deleted_state TEXT;
+
+UPDATE posts SET deleted_state = state, state = 'draft' WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,10 @@
+-- One-off jobs the Cron Trigger runs once and then deletes
+CREATE TABLE IF NOT EXISTS maintenance_tasks (
+  name TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL
+);
+
+-- 0013은 name_key를 SQLite lower(trim(name))으로 채웠으므로(ASCII만 변환)
+-- 다음 cron 실행에서 tagKey()로 다시 계산 (POST /admin/tags/rekey와 같은 작업)
+INSERT OR IGNORE INTO maintenance_tasks (name, created_at)
+VALUES ('tag_rekey', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
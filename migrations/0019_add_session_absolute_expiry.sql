@@ -0,0 +1,7 @@
+-- Absolute session lifetime: refreshes extend expires_at but never past absolute_expires_at
+ALTER TABLE sessions ADD COLUMN absolute_expires_at TEXT;
+
+-- 기존 세션은 생성 시각 + 기본 SESSION_MAX_AGE (90일)
+UPDATE sessions
+SET absolute_expires_at = strftime('%Y-%m-%dT%H:%M:%fZ', created_at, '+90 days')
+WHERE absolute_expires_at IS NULL;
@@ -28,12 +28,13 @@ function generateJWTSecret() {
   return crypto.randomBytes(32).toString("base64");
 }
 
-function generatePasswordSalt() {
-  return crypto.randomBytes(16).toString("hex");
-}
+// Worker(src/auth/password.js)와 동일한 형식: pbkdf2-sha256$iterations$salt$hash
+const PBKDF2_ITERATIONS = 100000;
 
-function hashPassword(password, salt) {
-  return crypto.createHash("sha256").update(password + salt).digest("hex");
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.pbkdf2Sync(password, salt, PBKDF2_ITERATIONS, 32, "sha256");
+  return `pbkdf2-sha256$${PBKDF2_ITERATIONS}$${salt.toString("hex")}$${hash.toString("hex")}`;
 }
 
 function printSection(title) {
@@ -83,13 +84,9 @@ async function main() {
   printValue("1. JWT_SECRET", jwtSecret, true);
   console.log(`   ${colors.dim}전체 값: ${jwtSecret}${colors.reset}\n`);
 
-  // 2. PASSWORD_SALT 생성
-  const passwordSalt = generatePasswordSalt();
-  printValue("2. PASSWORD_SALT", passwordSalt);
-
-  // 3. ADMIN_USERNAME
+  // 2. ADMIN_USERNAME
   const adminUsername = "admin";
-  printValue("3. ADMIN_USERNAME", adminUsername);
+  printValue("2. ADMIN_USERNAME", adminUsername);
 
   // 4. 비밀번호 입력 또는 인자로 받기
   let password = process.argv[2];
@@ -107,10 +104,10 @@ async function main() {
     printWarning("비밀번호가 12자 미만입니다. 보안을 위해 더 긴 비밀번호를 권장합니다.");
   }
 
-  // 5. 비밀번호 해시 생성
-  const hashedPassword = hashPassword(password, passwordSalt);
-  printValue("4. 입력한 비밀번호 (평문)", password);
-  printValue("5. ADMIN_PASSWORD (해시)", hashedPassword, true);
+  // 5. 비밀번호 해시 생성 (Salt는 해시 문자열에 포함)
+  const hashedPassword = hashPassword(password);
+  printValue("3. 입력한 비밀번호 (평문)", password);
+  printValue("4. ADMIN_PASSWORD (pbkdf2-sha256 해시)", hashedPassword, true);
   console.log(`   ${colors.dim}전체 값: ${hashedPassword}${colors.reset}\n`);
 
   // 요약
@@ -122,9 +119,6 @@ async function main() {
   console.log(`wrangler secret put JWT_SECRET`);
   console.log(`${colors.dim}# 프롬프트가 나타나면 붙여넣기: ${jwtSecret}${colors.reset}\n`);
 
-  console.log(`wrangler secret put PASSWORD_SALT`);
-  console.log(`${colors.dim}# 프롬프트가 나타나면 붙여넣기: ${passwordSalt}${colors.reset}\n`);
-
   console.log(`wrangler secret put ADMIN_USERNAME`);
   console.log(`${colors.dim}# 프롬프트가 나타나면 붙여넣기: ${adminUsername}${colors.reset}\n`);
 
@@ -139,20 +133,19 @@ async function main() {
 # 생성 날짜: ${new Date().toISOString()}
 
 JWT_SECRET=${jwtSecret}
-PASSWORD_SALT=${passwordSalt}
 ADMIN_USERNAME=${adminUsername}
 ACTUAL_PASSWORD=${password}
 ADMIN_PASSWORD=${hashedPassword}
 
 # ===== Wrangler Secret 설정 명령어 =====
 # wrangler secret put JWT_SECRET
-# wrangler secret put PASSWORD_SALT
 # wrangler secret put ADMIN_USERNAME
 # wrangler secret put ADMIN_PASSWORD
 `;
 
   console.log(backupTemplate);
 
+  printInfo("PASSWORD_SALT는 더 이상 필요하지 않습니다 (기존 SHA-256 해시 마이그레이션 기간에만 사용).");
   printWarning("이 값들을 안전한 비밀번호 관리자에 저장하세요!");
   printInfo("설정이 완료되면 이 터미널 기록을 삭제하는 것을 권장합니다.");
 
@@ -168,14 +161,15 @@ ADMIN_PASSWORD=${hashedPassword}
   console.log(`  }'\n`);
 
   console.log(`${colors.green}해시 재생성 (검증용):${colors.reset}\n`);
+  const [, iterations, salt, expected] = hashedPassword.split("$");
   console.log(`node -e "`);
   console.log(`const crypto = require('crypto');`);
-  console.log(`const hash = crypto.createHash('sha256')`);
-  console.log(`  .update('${password}' + '${passwordSalt}')`);
-  console.log(`  .digest('hex');`);
-  console.log(`console.log('Expected:', '${hashedPassword}');`);
+  console.log(`const hash = crypto`);
+  console.log(`  .pbkdf2Sync('${password}', Buffer.from('${salt}', 'hex'), ${iterations}, 32, 'sha256')`);
+  console.log(`  .toString('hex');`);
+  console.log(`console.log('Expected:', '${expected}');`);
   console.log(`console.log('Generated:', hash);`);
-  console.log(`console.log('Match:', hash === '${hashedPassword}');`);
+  console.log(`console.log('Match:', hash === '${expected}');`);
   console.log(`"\n`);
 }
 
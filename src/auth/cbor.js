@@ -0,0 +1,103 @@
+/**
+ * Minimal CBOR Decoder (RFC 8949)
+ * Supports the subset used by WebAuthn attestation objects and COSE keys
+ */
+
+/**
+ * Decode the first CBOR item in a buffer
+ * @param {Uint8Array} bytes - CBOR encoded data
+ * @returns {{value: *, length: number}} Decoded value and bytes consumed
+ * @throws {Error} If the data is malformed or uses unsupported features
+ */
+export function decodeCBOR(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  function readUint(size) {
+    if (offset + size > bytes.length) {
+      throw new Error("CBOR data truncated");
+    }
+
+    let value;
+    if (size === 1) {
+      value = view.getUint8(offset);
+    } else if (size === 2) {
+      value = view.getUint16(offset);
+    } else if (size === 4) {
+      value = view.getUint32(offset);
+    } else {
+      value = Number(view.getBigUint64(offset));
+    }
+    offset += size;
+    return value;
+  }
+
+  function readLength(additional) {
+    if (additional < 24) {
+      return additional;
+    }
+    if (additional >= 24 && additional <= 27) {
+      return readUint(2 ** (additional - 24));
+    }
+    throw new Error("Unsupported CBOR length encoding");
+  }
+
+  function readBytes(length) {
+    if (offset + length > bytes.length) {
+      throw new Error("CBOR data truncated");
+    }
+    const slice = bytes.slice(offset, offset + length);
+    offset += length;
+    return slice;
+  }
+
+  function readItem() {
+    const initial = readUint(1);
+    const major = initial >> 5;
+    const additional = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readLength(additional);
+      case 1:
+        return -1 - readLength(additional);
+      case 2:
+        return readBytes(readLength(additional));
+      case 3:
+        return new TextDecoder().decode(readBytes(readLength(additional)));
+      case 4: {
+        const length = readLength(additional);
+        const items = [];
+        for (let i = 0; i < length; i++) {
+          items.push(readItem());
+        }
+        return items;
+      }
+      case 5: {
+        const length = readLength(additional);
+        const map = new Map();
+        for (let i = 0; i < length; i++) {
+          const key = readItem();
+          map.set(key, readItem());
+        }
+        return map;
+      }
+      case 7:
+        if (additional === 20) {
+          return false;
+        }
+        if (additional === 21) {
+          return true;
+        }
+        if (additional === 22) {
+          return null;
+        }
+        throw new Error("Unsupported CBOR simple value");
+      default:
+        throw new Error("Unsupported CBOR major type");
+    }
+  }
+
+  const value = readItem();
+  return { value, length: offset };
+}
@@ -0,0 +1,229 @@
+/**
+ * JWT Keyring
+ * Signing/verification keys selected by the JWT "kid" header
+ *
+ * JWT_KEYS (secret): JSON array of keys, e.g.
+ *   [{ "kid": "2025-01", "alg": "HS256", "secret": "..." },
+ *    { "kid": "ed-2025-02", "alg": "EdDSA", "jwk": { "kty": "OKP", "crv": "Ed25519", "x": "...", "d": "..." } }]
+ * JWT_SIGNING_KID: kid used to sign new tokens (default: first key in JWT_KEYS)
+ * JWT_SECRET: legacy HS256 secret, also used for tokens without a kid
+ *
+ * 키 교체: 새 키를 JWT_KEYS에 추가하고 JWT_SIGNING_KID를 바꾼 뒤,
+ * 기존 토큰이 모두 만료되면 이전 키를 제거
+ */
+
+/**
+ * Supported JWS algorithms and their WebCrypto parameters
+ */
+export const JWT_ALGORITHMS = {
+  HS256: {
+    importParams: { name: "HMAC", hash: "SHA-256" },
+    signParams: { name: "HMAC" },
+    symmetric: true,
+  },
+  ES256: {
+    importParams: { name: "ECDSA", namedCurve: "P-256" },
+    signParams: { name: "ECDSA", hash: "SHA-256" },
+    symmetric: false,
+  },
+  EdDSA: {
+    importParams: { name: "Ed25519" },
+    signParams: { name: "Ed25519" },
+    symmetric: false,
+  },
+};
+
+export const LEGACY_KID = "default";
+
+const DEFAULT_ISSUER = "admin-worker";
+const DEFAULT_AUDIENCE = "bumsiku-admin";
+const PRIVATE_JWK_FIELDS = ["d", "p", "q", "dp", "dq", "qi", "oth", "k"];
+
+const keyringCache = new Map();
+const cryptoKeyCache = new Map();
+
+/**
+ * Build keyring from environment (cached per configuration)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Keyring with keys by kid, signing key, issuer and audience
+ * @throws {Error} If the key configuration is invalid
+ */
+export function loadKeyring(env) {
+  const cacheKey = JSON.stringify([
+    env.JWT_KEYS,
+    env.JWT_SECRET,
+    env.JWT_SIGNING_KID,
+    env.JWT_ISSUER,
+    env.JWT_AUDIENCE,
+  ]);
+
+  if (keyringCache.has(cacheKey)) {
+    return keyringCache.get(cacheKey);
+  }
+
+  const keys = new Map();
+
+  if (env.JWT_KEYS) {
+    let entries;
+    try {
+      entries = JSON.parse(env.JWT_KEYS);
+    } catch {
+      throw new Error("Invalid JWT_KEYS configuration");
+    }
+
+    if (!Array.isArray(entries)) {
+      throw new Error("Invalid JWT_KEYS configuration");
+    }
+
+    for (const entry of entries) {
+      keys.set(entry.kid, normalizeKey(entry));
+    }
+  }
+
+  if (env.JWT_SECRET && !keys.has(LEGACY_KID)) {
+    keys.set(LEGACY_KID, {
+      kid: LEGACY_KID,
+      alg: "HS256",
+      secret: env.JWT_SECRET,
+    });
+  }
+
+  if (keys.size === 0) {
+    throw new Error("No JWT signing keys configured");
+  }
+
+  const signingKid = env.JWT_SIGNING_KID || keys.keys().next().value;
+  const signingKey = keys.get(signingKid);
+
+  if (!signingKey || !canSign(signingKey)) {
+    throw new Error(`JWT signing key not usable for signing: ${signingKid}`);
+  }
+
+  const keyring = {
+    keys,
+    signingKey,
+    issuer: env.JWT_ISSUER || DEFAULT_ISSUER,
+    audience: env.JWT_AUDIENCE || DEFAULT_AUDIENCE,
+  };
+
+  keyringCache.set(cacheKey, keyring);
+  return keyring;
+}
+
+/**
+ * Import (and cache) the WebCrypto key for a keyring entry
+ * @param {Object} key - Keyring entry
+ * @param {string} usage - "sign" or "verify"
+ * @returns {Promise<CryptoKey>} Imported key
+ */
+export async function getCryptoKey(key, usage) {
+  const cacheKey = `${key.kid}:${key.alg}:${usage}:${key.secret || JSON.stringify(key.jwk)}`;
+
+  if (cryptoKeyCache.has(cacheKey)) {
+    return cryptoKeyCache.get(cacheKey);
+  }
+
+  const { importParams, symmetric } = JWT_ALGORITHMS[key.alg];
+  let cryptoKey;
+
+  if (symmetric) {
+    cryptoKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(key.secret),
+      importParams,
+      false,
+      [usage],
+    );
+  } else {
+    const jwk = usage === "sign" ? key.jwk : toPublicJwk(key.jwk);
+    cryptoKey = await crypto.subtle.importKey(
+      "jwk",
+      { ...jwk, key_ops: [usage] },
+      importParams,
+      false,
+      [usage],
+    );
+  }
+
+  cryptoKeyCache.set(cacheKey, cryptoKey);
+  return cryptoKey;
+}
+
+/**
+ * Public JWK Set for asymmetric keys (HMAC secrets are never published)
+ * @param {Object} keyring - Keyring from loadKeyring()
+ * @returns {Object} JWKS document
+ */
+export function getPublicJwks(keyring) {
+  const keys = [];
+
+  for (const key of keyring.keys.values()) {
+    if (JWT_ALGORITHMS[key.alg].symmetric) {
+      continue;
+    }
+
+    keys.push({
+      ...toPublicJwk(key.jwk),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    });
+  }
+
+  return { keys };
+}
+
+/**
+ * Validate and normalize a JWT_KEYS entry
+ * @param {Object} entry - Raw key entry
+ * @returns {Object} Keyring entry
+ */
+function normalizeKey(entry) {
+  if (!entry || typeof entry.kid !== "string" || !entry.kid) {
+    throw new Error("Invalid JWT_KEYS entry: kid is required");
+  }
+
+  const algorithm = JWT_ALGORITHMS[entry.alg];
+  if (!algorithm) {
+    throw new Error(`Invalid JWT_KEYS entry ${entry.kid}: unsupported alg`);
+  }
+
+  if (algorithm.symmetric && typeof entry.secret !== "string") {
+    throw new Error(`Invalid JWT_KEYS entry ${entry.kid}: secret is required`);
+  }
+
+  if (!algorithm.symmetric && (!entry.jwk || typeof entry.jwk !== "object")) {
+    throw new Error(`Invalid JWT_KEYS entry ${entry.kid}: jwk is required`);
+  }
+
+  return {
+    kid: entry.kid,
+    alg: entry.alg,
+    secret: entry.secret,
+    jwk: entry.jwk,
+  };
+}
+
+/**
+ * Check whether a key has the private material needed to sign
+ * @param {Object} key - Keyring entry
+ * @returns {boolean} True if usable for signing
+ */
+function canSign(key) {
+  return JWT_ALGORITHMS[key.alg].symmetric || Boolean(key.jwk.d);
+}
+
+/**
+ * Strip private members from a JWK
+ * @param {Object} jwk - Private or public JWK
+ * @returns {Object} Public JWK
+ */
+function toPublicJwk(jwk) {
+  const publicJwk = { ...jwk };
+  for (const field of PRIVATE_JWK_FIELDS) {
+    delete publicJwk[field];
+  }
+  delete publicJwk.key_ops;
+  delete publicJwk.ext;
+  return publicJwk;
+}
@@ -1,41 +1,72 @@
 /**
  * Authentication Middleware
- * JWT-based authentication for admin endpoints
+ * JWT and API key authentication for admin endpoints
  */
 
 import { validateJWT } from "./validators.js";
+import { loadKeyring } from "./keyring.js";
 import { errorResponse } from "../utils/response.js";
+import { SessionRepository } from "../repositories/index.js";
+import { ApiKeyService, API_KEY_PREFIX } from "../services/ApiKeyService.js";
+import { assertScope } from "./permissions.js";
+import { ForbiddenError } from "../utils/errors.js";
 
 /**
- * Authenticate request using JWT Bearer token
- * Exempts login and session endpoints from authentication
+ * Route protection levels
+ * Declared per route in the router's route table
+ */
+export const AuthLevel = {
+  PUBLIC: "public",
+  TOKEN: "token",
+  SCOPE: "scope",
+};
+
+/**
+ * Build auth metadata for a route that requires a specific scope
+ * @param {string} scope - Required scope (e.g., "posts:write")
+ * @returns {Object} Route auth metadata
+ */
+export function requireScope(scope) {
+  return { level: AuthLevel.SCOPE, scope };
+}
+
+/**
+ * Authenticate request according to the matched route's auth metadata
  *
  * @param {Request} request - Incoming request
  * @param {Object} env - Environment variables
+ * @param {string|Object} auth - Route auth metadata (AuthLevel or requireScope())
  * @returns {Promise<Object|Response>} Auth result or error response
  */
-export async function authenticate(request, env) {
-  const url = new URL(request.url);
-  const pathname = url.pathname;
+export async function authenticate(request, env, auth = AuthLevel.TOKEN) {
+  const { level, scope } =
+    typeof auth === "string" ? { level: auth, scope: null } : auth;
 
-  const publicEndpoints = ["/login", "/session"];
-  const isPublicEndpoint = publicEndpoints.some(
-    (endpoint) => pathname === endpoint,
-  );
+  if (level === AuthLevel.PUBLIC) {
+    return { authorized: true, user: null };
+  }
 
-  if (pathname === "/session") {
-    return await verifyToken(request, env);
+  const result = await verifyToken(request, env);
+  if (result instanceof Response) {
+    return result;
   }
 
-  if (isPublicEndpoint) {
-    return { authorized: true, user: null };
+  if (level === AuthLevel.SCOPE) {
+    try {
+      assertScope(result.user, scope);
+    } catch (err) {
+      if (err instanceof ForbiddenError) {
+        return errorResponse(err.message, err.status);
+      }
+      throw err;
+    }
   }
 
-  return await verifyToken(request, env);
+  return result;
 }
 
 /**
- * Verify JWT token from Authorization header
+ * Verify JWT token or API key (ak_...) from Authorization header
  * @param {Request} request - Incoming request
  * @param {Object} env - Environment variables
  * @returns {Promise<Object|Response>} Auth result or error response
@@ -52,8 +83,27 @@ async function verifyToken(request, env) {
 
   const token = authHeader.substring(7);
 
+  if (token.startsWith(API_KEY_PREFIX)) {
+    try {
+      const apiKeyService = new ApiKeyService(env.DB);
+      const payload = await apiKeyService.authenticate(token);
+      return { authorized: true, user: payload };
+    } catch (err) {
+      return errorResponse(`Unauthorized - ${err.message}`, 401);
+    }
+  }
+
   try {
-    const payload = await validateJWT(token, env.JWT_SECRET);
+    const sessionRepository = new SessionRepository(env.DB);
+    const payload = await validateJWT(token, loadKeyring(env), {
+      isRevoked: (jti) => sessionRepository.isTokenRevoked(jti),
+    });
+
+    // MFA 대기 토큰 등 용도가 지정된 토큰은 API 접근에 사용할 수 없음
+    if (payload.purpose) {
+      return errorResponse("Unauthorized - Invalid token type", 401);
+    }
+
     return { authorized: true, user: payload };
   } catch (err) {
     return errorResponse(`Unauthorized - ${err.message}`, 401);
@@ -0,0 +1,193 @@
+/**
+ * Password Hashing
+ * Versioned PBKDF2 hashes via the Workers crypto API
+ *
+ * Format: pbkdf2-sha256$<iterations>$<salt hex>$<hash hex>
+ * Legacy format (migration only): hex SHA-256 of password + PASSWORD_SALT
+ */
+
+export const PASSWORD_HASH_SCHEME = "pbkdf2-sha256";
+
+// Cloudflare Workers에서 허용하는 PBKDF2 최대 반복 횟수
+export const PBKDF2_ITERATIONS = 100000;
+
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+/**
+ * Well-formed hash no password matches, verified when the username does not
+ * exist so that the response takes as long as a wrong password
+ */
+export const DUMMY_PASSWORD_HASH = [
+  PASSWORD_HASH_SCHEME,
+  PBKDF2_ITERATIONS,
+  "0".repeat(SALT_BYTES * 2),
+  "0".repeat(HASH_BITS / 4),
+].join("$");
+
+/**
+ * Hash password into the versioned PBKDF2 format
+ * @param {string} password - Plain text password
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<string>} Versioned hash string
+ */
+export async function hashPassword(password, iterations = PBKDF2_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derivePbkdf2(password, salt, iterations);
+
+  return [PASSWORD_HASH_SCHEME, iterations, toHex(salt), toHex(hash)].join("$");
+}
+
+/**
+ * Verify password against a stored hash (versioned or legacy)
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Stored hash string
+ * @param {string} legacySalt - PASSWORD_SALT for legacy SHA-256 hashes
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>} Verification result
+ */
+export async function verifyPassword(password, storedHash, legacySalt = "") {
+  if (typeof storedHash !== "string" || storedHash.length === 0) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isLegacyHash(storedHash)) {
+    const encoder = new TextEncoder();
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      encoder.encode(password + legacySalt),
+    );
+    const valid = timingSafeEqual(
+      new Uint8Array(digest),
+      fromHex(storedHash.toLowerCase()),
+    );
+
+    return { valid, needsRehash: valid };
+  }
+
+  const parsed = parseHash(storedHash);
+  if (!parsed) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const hash = await derivePbkdf2(password, parsed.salt, parsed.iterations);
+  const valid = timingSafeEqual(hash, parsed.hash);
+
+  return { valid, needsRehash: valid && needsRehash(storedHash) };
+}
+
+/**
+ * Check whether a stored hash uses the legacy SHA-256 format
+ * @param {string} storedHash - Stored hash string
+ * @returns {boolean} True if legacy
+ */
+export function isLegacyHash(storedHash) {
+  return /^[0-9a-fA-F]{64}$/.test(storedHash);
+}
+
+/**
+ * Check whether a stored hash should be upgraded to current parameters
+ * @param {string} storedHash - Stored hash string
+ * @returns {boolean} True if the hash is legacy or uses fewer iterations
+ */
+export function needsRehash(storedHash) {
+  if (isLegacyHash(storedHash)) {
+    return true;
+  }
+
+  const parsed = parseHash(storedHash);
+  return !parsed || parsed.iterations < PBKDF2_ITERATIONS;
+}
+
+/**
+ * Compare two byte arrays in constant time
+ * @param {Uint8Array} a - First value
+ * @param {Uint8Array} b - Second value
+ * @returns {boolean} True if equal
+ */
+export function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Parse versioned hash string
+ * @param {string} storedHash - Stored hash string
+ * @returns {Object|null} Parsed parameters, or null if malformed
+ */
+function parseHash(storedHash) {
+  const [scheme, iterations, salt, hash] = storedHash.split("$");
+  const iterationCount = parseInt(iterations, 10);
+
+  if (
+    scheme !== PASSWORD_HASH_SCHEME ||
+    isNaN(iterationCount) ||
+    iterationCount < 1 ||
+    !/^[0-9a-f]+$/.test(salt || "") ||
+    !/^[0-9a-f]+$/.test(hash || "")
+  ) {
+    return null;
+  }
+
+  return {
+    iterations: iterationCount,
+    salt: fromHex(salt),
+    hash: fromHex(hash),
+  };
+}
+
+/**
+ * Derive PBKDF2-SHA256 key bits
+ * @param {string} password - Plain text password
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - Iteration count
+ * @returns {Promise<Uint8Array>} Derived bytes
+ */
+async function derivePbkdf2(password, salt, iterations) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"],
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    key,
+    HASH_BITS,
+  );
+
+  return new Uint8Array(bits);
+}
+
+/**
+ * Encode bytes as hex
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Decode hex string to bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromHex(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
@@ -0,0 +1,75 @@
+/**
+ * Roles and Scopes
+ * Maps admin account roles to the scopes carried in their tokens
+ */
+
+import { ForbiddenError } from "../utils/errors.js";
+
+/**
+ * Scopes granted to admin tokens
+ */
+export const Scope = {
+  POSTS_WRITE: "posts:write",
+  IMAGES_WRITE: "images:write",
+  COMMENTS_DELETE: "comments:delete",
+  USERS_MANAGE: "users:manage",
+};
+
+/**
+ * Admin account roles
+ */
+export const Role = {
+  OWNER: "owner",
+  EDITOR: "editor",
+  MODERATOR: "moderator",
+};
+
+/**
+ * Scopes granted to each role
+ * Moderators may only touch comments; editors may not manage users
+ */
+export const ROLE_SCOPES = {
+  [Role.OWNER]: [
+    Scope.POSTS_WRITE,
+    Scope.IMAGES_WRITE,
+    Scope.COMMENTS_DELETE,
+    Scope.USERS_MANAGE,
+  ],
+  [Role.EDITOR]: [Scope.POSTS_WRITE, Scope.IMAGES_WRITE, Scope.COMMENTS_DELETE],
+  [Role.MODERATOR]: [Scope.COMMENTS_DELETE],
+};
+
+/**
+ * Get scopes granted to a role
+ * @param {string} role - Role name
+ * @returns {Array<string>} Granted scopes (empty for unknown roles)
+ */
+export function scopesForRole(role) {
+  return ROLE_SCOPES[role] || [];
+}
+
+/**
+ * Check whether a token payload grants a scope
+ * @param {Object} user - Decoded token payload
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if the scope is granted
+ */
+export function hasScope(user, scope) {
+  if (!user || typeof user.scope !== "string") {
+    return false;
+  }
+
+  return user.scope.split(" ").includes(scope);
+}
+
+/**
+ * Require a scope on a token payload
+ * @param {Object} user - Decoded token payload
+ * @param {string} scope - Required scope
+ * @throws {ForbiddenError} If the scope is not granted
+ */
+export function assertScope(user, scope) {
+  if (!hasScope(user, scope)) {
+    throw new ForbiddenError(`Forbidden - Missing required scope: ${scope}`);
+  }
+}
@@ -3,19 +3,49 @@
  * CloudFlare Workers crypto API implementation for stateless authentication
  */
 
+import { JWT_ALGORITHMS, LEGACY_KID, getCryptoKey } from "./keyring.js";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// 서버 간 시계 오차 허용 범위 (exp, nbf, iat)
+const CLOCK_LEEWAY_SECONDS = 60;
+
+/**
+ * Audience of a purpose token (e.g. "bumsiku-admin:mfa")
+ * Never equal to the access token audience, so verifiers that only check
+ * aud against JWKS keys cannot accept it as an access token
+ * @param {Object} keyring - Keyring from loadKeyring()
+ * @param {string} purpose - Token purpose
+ * @returns {string} Audience claim
+ */
+export function purposeAudience(keyring, purpose) {
+  return `${keyring.audience}:${purpose}`;
+}
+
 /**
- * Generate JWT token using HMAC-SHA256
+ * Generate JWT signed with the keyring's signing key
+ * Adds kid header and iss/aud/nbf claims (purpose tokens get their own aud)
  * @param {Object} payload - Token payload (userId, exp, etc.)
- * @param {string} secret - JWT secret key
+ * @param {Object} keyring - Keyring from loadKeyring()
  * @returns {Promise<string>} JWT token
  */
-export async function generateJWT(payload, secret) {
-  const header = { alg: "HS256", typ: "JWT" };
+export async function generateJWT(payload, keyring) {
+  const key = keyring.signingKey;
+  const header = { alg: key.alg, typ: "JWT", kid: key.kid };
+  const claims = {
+    iss: keyring.issuer,
+    aud: payload.purpose
+      ? purposeAudience(keyring, payload.purpose)
+      : keyring.audience,
+    nbf: payload.iat ?? Math.floor(Date.now() / 1000),
+    ...payload,
+  };
+
   const headerB64 = base64UrlEncode(JSON.stringify(header));
-  const payloadB64 = base64UrlEncode(JSON.stringify(payload));
+  const payloadB64 = base64UrlEncode(JSON.stringify(claims));
 
   const data = `${headerB64}.${payloadB64}`;
-  const signature = await signData(data, secret);
+  const signature = await signData(data, key);
   const signatureB64 = base64UrlEncode(signature);
 
   return `${headerB64}.${payloadB64}.${signatureB64}`;
@@ -23,12 +53,17 @@ export async function generateJWT(payload, secret) {
 
 /**
  * Validate JWT token and return payload
+ * The algorithm is pinned to the key selected by kid; iss, aud, exp, nbf
+ * and iat are checked with clock leeway
  * @param {string} token - JWT token to validate
- * @param {string} secret - JWT secret key
+ * @param {Object} keyring - Keyring from loadKeyring()
+ * @param {Object} options - Validation options
+ * @param {Function} options.isRevoked - Async denylist lookup by jti
+ * @param {string} options.purpose - Expected purpose (default: access token)
  * @returns {Promise<Object>} Decoded payload
- * @throws {Error} If token is invalid or expired
+ * @throws {Error} If token is invalid, expired or revoked
  */
-export async function validateJWT(token, secret) {
+export async function validateJWT(token, keyring, options = {}) {
   const parts = token.split(".");
   if (parts.length !== 3) {
     throw new Error("Invalid token format");
@@ -36,73 +71,298 @@ export async function validateJWT(token, secret) {
 
   const [headerB64, payloadB64, signatureB64] = parts;
 
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecodeString(headerB64));
+    payload = JSON.parse(base64UrlDecodeString(payloadB64));
+  } catch {
+    throw new Error("Invalid token format");
+  }
+
+  if (!Object.hasOwn(JWT_ALGORITHMS, header.alg)) {
+    throw new Error("Unsupported token algorithm");
+  }
+
+  const key = keyring.keys.get(header.kid ?? LEGACY_KID);
+  if (!key) {
+    throw new Error("Unknown signing key");
+  }
+
+  if (key.alg !== header.alg) {
+    throw new Error("Token algorithm mismatch");
+  }
+
   const data = `${headerB64}.${payloadB64}`;
   const signature = base64UrlDecode(signatureB64);
-  const valid = await verifySignature(data, signature, secret);
+  const valid = await verifySignature(data, signature, key);
 
   if (!valid) {
     throw new Error("Invalid signature");
   }
 
-  const payload = JSON.parse(base64UrlDecodeString(payloadB64));
+  const audience = options.purpose
+    ? purposeAudience(keyring, options.purpose)
+    : keyring.audience;
+  validateClaims(payload, keyring, key, audience);
 
-  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
-    throw new Error("Token expired");
+  if (
+    options.isRevoked &&
+    payload.jti &&
+    (await options.isRevoked(payload.jti))
+  ) {
+    throw new Error("Token revoked");
   }
 
   return payload;
 }
 
 /**
- * Sign data using HMAC-SHA256
+ * Check registered claims (exp, nbf, iat, iss, aud)
+ * @param {Object} payload - Decoded payload
+ * @param {Object} keyring - Keyring with expected issuer
+ * @param {Object} key - Keyring entry that verified the signature
+ * @param {string} audience - Expected audience
+ * @throws {Error} If a claim check fails
+ */
+function validateClaims(payload, keyring, key, audience) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== "number") {
+    throw new Error("Token missing exp claim");
+  }
+
+  if (payload.exp + CLOCK_LEEWAY_SECONDS < now) {
+    throw new Error("Token expired");
+  }
+
+  if (
+    typeof payload.nbf === "number" &&
+    payload.nbf - CLOCK_LEEWAY_SECONDS > now
+  ) {
+    throw new Error("Token not yet valid");
+  }
+
+  if (
+    typeof payload.iat === "number" &&
+    payload.iat - CLOCK_LEEWAY_SECONDS > now
+  ) {
+    throw new Error("Token issued in the future");
+  }
+
+  // iss/aud 도입 전에 JWT_SECRET으로 발급된 토큰은 두 claim이 모두 없음:
+  // 만료될 때까지 허용 (새 토큰은 레거시 키로 서명해도 iss/aud가 있음)
+  if (
+    key.kid === LEGACY_KID &&
+    payload.iss === undefined &&
+    payload.aud === undefined
+  ) {
+    return;
+  }
+
+  if (payload.iss !== keyring.issuer) {
+    throw new Error("Invalid token issuer");
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(audience)) {
+    throw new Error("Invalid token audience");
+  }
+}
+
+/**
+ * Sign data with a keyring key (HMAC, ECDSA or Ed25519)
  * @param {string} data - Data to sign
- * @param {string} secret - Secret key
+ * @param {Object} key - Keyring entry
  * @returns {Promise<ArrayBuffer>} Signature
  */
-async function signData(data, secret) {
+async function signData(data, key) {
   const encoder = new TextEncoder();
-  const secretKey = await crypto.subtle.importKey(
-    "raw",
-    encoder.encode(secret),
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"],
-  );
+  const cryptoKey = await getCryptoKey(key, "sign");
 
-  return await crypto.subtle.sign("HMAC", secretKey, encoder.encode(data));
+  return await crypto.subtle.sign(
+    JWT_ALGORITHMS[key.alg].signParams,
+    cryptoKey,
+    encoder.encode(data),
+  );
 }
 
 /**
- * Verify HMAC-SHA256 signature
+ * Verify signature with a keyring key
  * @param {string} data - Original data
  * @param {ArrayBuffer} signature - Signature to verify
- * @param {string} secret - Secret key
+ * @param {Object} key - Keyring entry
  * @returns {Promise<boolean>} True if valid
  */
-async function verifySignature(data, signature, secret) {
+async function verifySignature(data, signature, key) {
   const encoder = new TextEncoder();
-  const secretKey = await crypto.subtle.importKey(
-    "raw",
-    encoder.encode(secret),
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["verify"],
-  );
+  const cryptoKey = await getCryptoKey(key, "verify");
 
   return await crypto.subtle.verify(
-    "HMAC",
-    secretKey,
+    JWT_ALGORITHMS[key.alg].signParams,
+    cryptoKey,
     signature,
     encoder.encode(data),
   );
 }
 
+/**
+ * Generate RFC 6238 TOTP code for a time step using HMAC-SHA1
+ * @param {Uint8Array} secret - Shared secret bytes
+ * @param {number} step - Time step counter (unix seconds / period)
+ * @param {number} digits - Number of code digits
+ * @returns {Promise<string>} Zero-padded numeric code
+ */
+export async function generateTOTP(secret, step, digits = 6) {
+  const counter = new Uint8Array(8);
+  let value = step;
+  for (let i = 7; i >= 0; i--) {
+    counter[i] = value & 0xff;
+    value = Math.floor(value / 256);
+  }
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    secret,
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"],
+  );
+  const hmac = new Uint8Array(await crypto.subtle.sign("HMAC", key, counter));
+
+  // RFC 4226 dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * Verify TOTP code within a clock drift window
+ * @param {Uint8Array} secret - Shared secret bytes
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {number} options.period - Step length in seconds
+ * @param {number} options.window - Allowed drift in steps on each side
+ * @param {number} options.afterStep - Reject steps at or before this (replay)
+ * @returns {Promise<number|null>} Matched time step, or null if invalid
+ */
+export async function verifyTOTP(secret, code, options = {}) {
+  const { period = 30, window = 1, afterStep = -1 } = options;
+
+  if (typeof code !== "string" || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / period);
+  const encoder = new TextEncoder();
+  let matchedStep = null;
+
+  // 모든 후보 step을 끝까지 비교 (조기 종료로 인한 타이밍 차이 방지)
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = await generateTOTP(secret, step);
+    const a = encoder.encode(expected);
+    const b = encoder.encode(code);
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a[i] ^ b[i];
+    }
+    if (diff === 0 && step > afterStep && matchedStep === null) {
+      matchedStep = step;
+    }
+  }
+
+  return matchedStep;
+}
+
+/**
+ * Base32 encode (RFC 4648, no padding) for otpauth secrets
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Base32 decode (RFC 4648, padding and case ignored)
+ * @param {string} str - Base32 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/=+$/, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Generate an opaque random token (e.g., refresh token)
+ * @param {number} byteLength - Number of random bytes
+ * @returns {string} Base64 URL encoded token
+ */
+export function generateRandomToken(byteLength = 32) {
+  const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+  return base64UrlEncode(bytes);
+}
+
+/**
+ * Hash an opaque token for storage using SHA-256
+ * @param {string} token - Token to hash
+ * @returns {Promise<string>} Hex encoded hash
+ */
+export async function hashToken(token) {
+  const encoder = new TextEncoder();
+  const hashBuffer = await crypto.subtle.digest(
+    "SHA-256",
+    encoder.encode(token),
+  );
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
 /**
  * Base64 URL encode (Buffer/ArrayBuffer to string)
  * @param {string|ArrayBuffer} input - Input to encode
  * @returns {string} Base64 URL encoded string
  */
-function base64UrlEncode(input) {
+export function base64UrlEncode(input) {
   let str;
 
   if (typeof input === "string") {
@@ -124,7 +384,7 @@ function base64UrlEncode(input) {
  * @param {string} str - Base64 URL encoded string
  * @returns {Uint8Array} Decoded data
  */
-function base64UrlDecode(str) {
+export function base64UrlDecode(str) {
   str = str.replace(/-/g, "+").replace(/_/g, "/");
   const pad = str.length % 4;
   if (pad) {
@@ -151,12 +411,15 @@ function base64UrlDecodeString(str) {
  * Create JWT payload with standard claims
  * @param {number} userId - User ID
  * @param {number} expiresInSeconds - Expiration time in seconds
+ * @param {Array<string>} scopes - Granted scopes
  * @returns {Object} JWT payload
  */
-export function createPayload(userId, expiresInSeconds = 7200) {
+export function createPayload(userId, expiresInSeconds = 7200, scopes = []) {
   const now = Math.floor(Date.now() / 1000);
   return {
     userId,
+    scope: scopes.join(" "),
+    jti: crypto.randomUUID(),
     iat: now,
     exp: now + expiresInSeconds,
   };
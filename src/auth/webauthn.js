@@ -0,0 +1,255 @@
+/**
+ * WebAuthn Verification Helpers
+ * Registration/authentication ceremony checks using the Workers crypto API
+ * Attestation statements are not verified (attestation: "none")
+ */
+
+import { decodeCBOR } from "./cbor.js";
+import { base64UrlDecode, base64UrlEncode } from "./validators.js";
+
+/**
+ * COSE algorithm identifiers accepted for passkeys
+ */
+export const COSEAlgorithm = {
+  ES256: -7,
+  RS256: -257,
+};
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+/**
+ * Parse and check clientDataJSON
+ * @param {string} clientDataB64 - Base64url encoded clientDataJSON
+ * @param {string} expectedType - "webauthn.create" or "webauthn.get"
+ * @param {Array<string>} allowedOrigins - Allowed origins
+ * @returns {{clientData: Object, clientDataBytes: Uint8Array}} Parsed client data
+ * @throws {Error} If type or origin does not match
+ */
+export function parseClientData(clientDataB64, expectedType, allowedOrigins) {
+  const clientDataBytes = base64UrlDecode(clientDataB64);
+  let clientData;
+  try {
+    clientData = JSON.parse(new TextDecoder().decode(clientDataBytes));
+  } catch {
+    throw new Error("Invalid clientDataJSON");
+  }
+
+  if (clientData.type !== expectedType) {
+    throw new Error("Unexpected WebAuthn ceremony type");
+  }
+
+  if (!allowedOrigins.includes(clientData.origin)) {
+    throw new Error("Unexpected WebAuthn origin");
+  }
+
+  if (typeof clientData.challenge !== "string") {
+    throw new Error("Missing WebAuthn challenge");
+  }
+
+  return { clientData, clientDataBytes };
+}
+
+/**
+ * Parse authenticator data and check RP ID hash and user flags
+ * @param {Uint8Array} authData - Raw authenticator data
+ * @param {string} rpId - Expected relying party ID
+ * @returns {Promise<Object>} Flags, sign count and attested credential (if any)
+ * @throws {Error} If RP ID, user presence or user verification checks fail
+ */
+export async function parseAuthenticatorData(authData, rpId) {
+  if (authData.length < 37) {
+    throw new Error("Authenticator data too short");
+  }
+
+  const rpIdHash = new Uint8Array(
+    await crypto.subtle.digest("SHA-256", new TextEncoder().encode(rpId)),
+  );
+  if (!bytesEqual(authData.slice(0, 32), rpIdHash)) {
+    throw new Error("Unexpected RP ID hash");
+  }
+
+  const flags = authData[32];
+  if (!(flags & FLAG_USER_PRESENT)) {
+    throw new Error("User presence required");
+  }
+  if (!(flags & FLAG_USER_VERIFIED)) {
+    throw new Error("User verification required");
+  }
+
+  const view = new DataView(authData.buffer, authData.byteOffset);
+  const signCount = view.getUint32(33);
+
+  let credential = null;
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    const idLength = view.getUint16(53);
+    const credentialId = authData.slice(55, 55 + idLength);
+    const { value: coseKey } = decodeCBOR(authData.slice(55 + idLength));
+    credential = { credentialId, coseKey };
+  }
+
+  return { flags, signCount, credential };
+}
+
+/**
+ * Decode attestationObject and return its authenticator data
+ * @param {string} attestationObjectB64 - Base64url encoded attestationObject
+ * @returns {Uint8Array} Authenticator data
+ */
+export function parseAttestationObject(attestationObjectB64) {
+  const { value } = decodeCBOR(base64UrlDecode(attestationObjectB64));
+
+  if (
+    !(value instanceof Map) ||
+    !(value.get("authData") instanceof Uint8Array)
+  ) {
+    throw new Error("Invalid attestation object");
+  }
+
+  return value.get("authData");
+}
+
+/**
+ * Convert COSE public key to JWK
+ * @param {Map} coseKey - Decoded COSE_Key map
+ * @returns {{alg: number, jwk: Object}} COSE algorithm and public JWK
+ * @throws {Error} If the key type or algorithm is unsupported
+ */
+export function coseKeyToJwk(coseKey) {
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+
+  if (alg === COSEAlgorithm.ES256 && kty === 2 && coseKey.get(-1) === 1) {
+    return {
+      alg,
+      jwk: {
+        kty: "EC",
+        crv: "P-256",
+        x: base64UrlEncode(coseKey.get(-2)),
+        y: base64UrlEncode(coseKey.get(-3)),
+      },
+    };
+  }
+
+  if (alg === COSEAlgorithm.RS256 && kty === 3) {
+    return {
+      alg,
+      jwk: {
+        kty: "RSA",
+        n: base64UrlEncode(coseKey.get(-1)),
+        e: base64UrlEncode(coseKey.get(-2)),
+      },
+    };
+  }
+
+  throw new Error("Unsupported passkey algorithm");
+}
+
+/**
+ * Verify assertion signature over authenticatorData || SHA-256(clientDataJSON)
+ * @param {Object} jwk - Stored public JWK
+ * @param {number} alg - COSE algorithm
+ * @param {Uint8Array} authData - Raw authenticator data
+ * @param {Uint8Array} clientDataBytes - Raw clientDataJSON
+ * @param {Uint8Array} signature - Assertion signature
+ * @returns {Promise<boolean>} True if valid
+ */
+export async function verifyAssertionSignature(
+  jwk,
+  alg,
+  authData,
+  clientDataBytes,
+  signature,
+) {
+  const clientDataHash = new Uint8Array(
+    await crypto.subtle.digest("SHA-256", clientDataBytes),
+  );
+  const signedData = new Uint8Array(authData.length + clientDataHash.length);
+  signedData.set(authData);
+  signedData.set(clientDataHash, authData.length);
+
+  if (alg === COSEAlgorithm.ES256) {
+    const key = await crypto.subtle.importKey(
+      "jwk",
+      jwk,
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["verify"],
+    );
+    return await crypto.subtle.verify(
+      { name: "ECDSA", hash: "SHA-256" },
+      key,
+      derToRawSignature(signature),
+      signedData,
+    );
+  }
+
+  if (alg === COSEAlgorithm.RS256) {
+    const key = await crypto.subtle.importKey(
+      "jwk",
+      jwk,
+      { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+      false,
+      ["verify"],
+    );
+    return await crypto.subtle.verify(
+      "RSASSA-PKCS1-v1_5",
+      key,
+      signature,
+      signedData,
+    );
+  }
+
+  throw new Error("Unsupported passkey algorithm");
+}
+
+/**
+ * Convert DER encoded ECDSA signature to raw r||s (WebCrypto format)
+ * @param {Uint8Array} der - DER signature from the authenticator
+ * @returns {Uint8Array} 64-byte raw signature
+ */
+function derToRawSignature(der) {
+  if (der[0] !== 0x30) {
+    throw new Error("Invalid ECDSA signature");
+  }
+
+  let offset = 2;
+  const raw = new Uint8Array(64);
+
+  for (let part = 0; part < 2; part++) {
+    if (der[offset] !== 0x02) {
+      throw new Error("Invalid ECDSA signature");
+    }
+    let length = der[offset + 1];
+    let start = offset + 2;
+    offset = start + length;
+
+    // Strip the leading 0x00 added for the sign bit
+    while (length > 32 && der[start] === 0) {
+      start++;
+      length--;
+    }
+    raw.set(der.slice(start, start + length), part * 32 + (32 - length));
+  }
+
+  return raw;
+}
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array} a - First value
+ * @param {Uint8Array} b - Second value
+ * @returns {boolean} True if equal
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,134 @@
+/**
+ * API Key Handlers
+ * List, create and revoke scoped API keys
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+} from "../utils/errors.js";
+import { ApiKeyService } from "../services/index.js";
+
+/**
+ * GET /admin/api-keys
+ * List API keys (own keys; owners see all)
+ *
+ * @param {Request} request - List API keys request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} API keys without secrets
+ */
+export async function handleListApiKeys(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const apiKeyService = new ApiKeyService(env.DB);
+    const result = await apiKeyService.listKeys(user);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ForbiddenError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("List API keys error", err);
+    } else {
+      console.error("List API keys error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/api-keys
+ * Create API key (the key is returned only in this response)
+ *
+ * @param {Request} request - Create API key request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Created API key including the raw key
+ */
+export async function handleCreateApiKey(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const body = await request.json();
+    const apiKeyService = new ApiKeyService(env.DB);
+    const result = await apiKeyService.createKey(user, body, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof ForbiddenError) {
+      if (logger) {
+        logger.warn("API key creation failed", { error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Create API key error", err);
+    } else {
+      console.error("Create API key error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * DELETE /admin/api-keys/{keyId}
+ * Revoke API key
+ *
+ * @param {Request} request - Revoke API key request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {keyId}
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Revocation confirmation
+ */
+export async function handleRevokeApiKey(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const apiKeyService = new ApiKeyService(env.DB);
+    const result = await apiKeyService.revokeKey(user, params.keyId, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof NotFoundError || err instanceof ForbiddenError) {
+      if (logger) {
+        logger.warn("API key revocation failed", {
+          keyId: params.keyId,
+          error: err.message,
+        });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Revoke API key error", err);
+    } else {
+      console.error("Revoke API key error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
@@ -1,15 +1,43 @@
 /**
  * Authentication Handlers
- * Login and session validation endpoints
+ * Login, token refresh, logout and session management endpoints
  */
 
-import { successResponse, errorResponse } from "../utils/response.js";
-import { ValidationError, UnauthorizedError } from "../utils/errors.js";
-import { AuthService } from "../services/index.js";
+import {
+  successResponse,
+  errorResponse,
+  jsonResponse,
+} from "../utils/response.js";
+import { loadKeyring, getPublicJwks } from "../auth/keyring.js";
+import {
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+} from "../utils/errors.js";
+import {
+  AuthService,
+  LoginThrottleService,
+  PasskeyService,
+} from "../services/index.js";
+
+/**
+ * Extract client metadata used for sessions and login throttling
+ * @param {Request} request - Incoming request
+ * @returns {Object} Client device (User-Agent) and IP
+ */
+function getClientInfo(request) {
+  return {
+    device: request.headers.get("User-Agent"),
+    ip: request.headers.get("CF-Connecting-IP"),
+  };
+}
 
 /**
  * POST /login
  * Admin login and JWT token generation
+ * Returns an MFA challenge instead of tokens when TOTP is enabled
  *
  * @param {Request} request - Login request
  * @param {Object} env - Environment variables
@@ -20,10 +48,21 @@ export async function handleLogin(request, env, ctx, params, user, logger) {
   try {
     const body = await request.json();
     const authService = new AuthService(env.DB);
-    const result = await authService.login(body, env, logger);
+    const result = await authService.login(
+      body,
+      env,
+      getClientInfo(request),
+      logger,
+    );
 
     return successResponse(result, 200);
   } catch (err) {
+    if (err instanceof TooManyRequestsError) {
+      return errorResponse(err.message, err.status, {
+        "Retry-After": String(err.retryAfter),
+      });
+    }
+
     if (err instanceof ValidationError || err instanceof UnauthorizedError) {
       return errorResponse(err.message, err.status);
     }
@@ -37,6 +76,129 @@ export async function handleLogin(request, env, ctx, params, user, logger) {
   }
 }
 
+/**
+ * POST /login/mfa
+ * Second login step: exchange MFA pending token + TOTP/recovery code for tokens
+ *
+ * @param {Request} request - MFA login request
+ * @param {Object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Login response with JWT token
+ */
+export async function handleLoginMfa(request, env, ctx, params, user, logger) {
+  try {
+    const body = await request.json();
+    const authService = new AuthService(env.DB);
+    const result = await authService.loginMfa(
+      body,
+      env,
+      getClientInfo(request),
+      logger,
+    );
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof TooManyRequestsError) {
+      return errorResponse(err.message, err.status, {
+        "Retry-After": String(err.retryAfter),
+      });
+    }
+
+    if (err instanceof ValidationError || err instanceof UnauthorizedError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("MFA login error", err);
+    } else {
+      console.error("MFA login error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /login/passkey/options
+ * Issue a WebAuthn authentication challenge (discoverable credentials)
+ *
+ * @param {Request} request - Passkey options request
+ * @param {Object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} PublicKeyCredentialRequestOptions (base64url)
+ */
+export async function handlePasskeyLoginOptions(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const passkeyService = new PasskeyService(env.DB);
+    const result = await passkeyService.getAuthenticationOptions(env);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ServiceUnavailableError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Passkey options error", err);
+    } else {
+      console.error("Passkey options error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /login/passkey/verify
+ * Verify a WebAuthn assertion and issue tokens (same shape as /login)
+ *
+ * @param {Request} request - Passkey assertion request
+ * @param {Object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Login response with JWT token
+ */
+export async function handlePasskeyLogin(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const body = await request.json();
+    const passkeyService = new PasskeyService(env.DB);
+    const result = await passkeyService.verifyAuthentication(
+      body,
+      env,
+      getClientInfo(request),
+      logger,
+    );
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (
+      err instanceof ValidationError ||
+      err instanceof UnauthorizedError ||
+      err instanceof ServiceUnavailableError
+    ) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Passkey login error", err);
+    } else {
+      console.error("Passkey login error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
 /**
  * GET /session
  * Validate current session/token
@@ -75,3 +237,247 @@ export async function handleSessionValidation(
     return errorResponse("Internal server error", 500);
   }
 }
+
+/**
+ * POST /token/refresh
+ * Exchange a single-use refresh token for a new access/refresh token pair
+ *
+ * @param {Request} request - Refresh request
+ * @param {Object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} New token pair
+ */
+export async function handleRefreshToken(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const body = await request.json();
+    const authService = new AuthService(env.DB);
+    const result = await authService.refresh(body, env, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof UnauthorizedError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Token refresh error", err);
+    } else {
+      console.error("Token refresh error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /logout
+ * Revoke the current session and access token
+ *
+ * @param {Request} request - Logout request
+ * @param {Object} env - Environment variables
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Logout confirmation
+ */
+export async function handleLogout(request, env, ctx, params, user, logger) {
+  try {
+    const authService = new AuthService(env.DB);
+    const result = await authService.logout(user, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof UnauthorizedError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Logout error", err);
+    } else {
+      console.error("Logout error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/sessions
+ * List active sessions (one per device) of the current user
+ *
+ * @param {Request} request - List sessions request
+ * @param {Object} env - Environment variables
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Active sessions
+ */
+export async function handleListSessions(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const authService = new AuthService(env.DB);
+    const result = await authService.listSessions(user, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (logger) {
+      logger.error("List sessions error", err);
+    } else {
+      console.error("List sessions error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * DELETE /admin/sessions/{sessionId}
+ * Revoke a session and its current access token
+ *
+ * @param {Request} request - Revoke session request
+ * @param {Object} env - Environment variables
+ * @param {Object} params - URL parameters {sessionId}
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Revocation confirmation
+ */
+export async function handleRevokeSession(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const authService = new AuthService(env.DB);
+    const result = await authService.revokeSession(
+      user,
+      params.sessionId,
+      logger,
+    );
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn("Session revocation failed", {
+          sessionId: params.sessionId,
+          error: err.message,
+        });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Revoke session error", err);
+    } else {
+      console.error("Revoke session error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/lockouts
+ * List active login lockouts (per client IP and per username)
+ *
+ * @param {Request} request - List lockouts request
+ * @param {Object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Active lockouts
+ */
+export async function handleListLockouts(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const loginThrottle = new LoginThrottleService(env.DB);
+    const result = await loginThrottle.listLockouts();
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (logger) {
+      logger.error("List lockouts error", err);
+    } else {
+      console.error("List lockouts error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * DELETE /admin/lockouts/{key}
+ * Clear failed login counter and lockout (key: "ip:<addr>" or "user:<name>")
+ *
+ * @param {Request} request - Clear lockout request
+ * @param {Object} env - Environment variables
+ * @param {Object} params - URL parameters {key}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Clear confirmation
+ */
+export async function handleClearLockout(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const loginThrottle = new LoginThrottleService(env.DB);
+    const result = await loginThrottle.clearLockout(params.key, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Clear lockout error", err);
+    } else {
+      console.error("Clear lockout error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /.well-known/jwks.json
+ * Public keys of asymmetric (ES256/EdDSA) JWT signing keys
+ * Lets other workers verify admin tokens without holding a secret
+ *
+ * @param {Request} request - JWKS request
+ * @param {Object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} JWK Set (not wrapped in the API envelope)
+ */
+export async function handleJwks(request, env, ctx, params, user, logger) {
+  try {
+    const jwks = getPublicJwks(loadKeyring(env));
+
+    return jsonResponse(jwks, 200, {
+      "Cache-Control": "public, max-age=300",
+    });
+  } catch (err) {
+    if (logger) {
+      logger.error("JWKS error", err);
+    } else {
+      console.error("JWKS error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
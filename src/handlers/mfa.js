@@ -0,0 +1,157 @@
+/**
+ * MFA Handlers
+ * TOTP enrollment and management for the current admin account
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { MfaService } from "../services/index.js";
+
+/**
+ * GET /admin/mfa
+ * Get TOTP status of the current account
+ *
+ * @param {Request} request - MFA status request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} TOTP status
+ */
+export async function handleGetMfaStatus(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const mfaService = new MfaService(env.DB);
+    const result = await mfaService.getStatus(user);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("MFA status error", err);
+    } else {
+      console.error("MFA status error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/mfa/totp
+ * Start TOTP enrollment and return the secret and otpauth URI
+ *
+ * @param {Request} request - TOTP setup request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Secret and otpauth URI
+ */
+export async function handleSetupTotp(request, env, ctx, params, user, logger) {
+  try {
+    const mfaService = new MfaService(env.DB);
+    const result = await mfaService.setupTotp(user, env, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("TOTP setup error", err);
+    } else {
+      console.error("TOTP setup error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/mfa/totp/verify
+ * Confirm TOTP enrollment with a code and return recovery codes
+ *
+ * @param {Request} request - TOTP confirmation request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Recovery codes (shown once)
+ */
+export async function handleConfirmTotp(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const body = await request.json();
+    const mfaService = new MfaService(env.DB);
+    const result = await mfaService.confirmTotp(user, body, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn("TOTP confirmation failed", { error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("TOTP confirmation error", err);
+    } else {
+      console.error("TOTP confirmation error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * DELETE /admin/mfa/totp
+ * Disable TOTP after verifying a current code or recovery code
+ *
+ * @param {Request} request - TOTP disable request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} TOTP status
+ */
+export async function handleDisableTotp(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const body = await request.json();
+    const mfaService = new MfaService(env.DB);
+    const result = await mfaService.disableTotp(user, body, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn("TOTP disable failed", { error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("TOTP disable error", err);
+    } else {
+      console.error("TOTP disable error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
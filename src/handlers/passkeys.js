@@ -0,0 +1,180 @@
+/**
+ * Passkey Handlers
+ * WebAuthn passkey registration and management for the current admin account
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ServiceUnavailableError,
+} from "../utils/errors.js";
+import { PasskeyService } from "../services/index.js";
+
+/**
+ * GET /admin/passkeys
+ * List passkeys registered to the current account
+ *
+ * @param {Request} request - List passkeys request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Registered passkeys
+ */
+export async function handleListPasskeys(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const passkeyService = new PasskeyService(env.DB);
+    const result = await passkeyService.listPasskeys(user);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ForbiddenError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("List passkeys error", err);
+    } else {
+      console.error("List passkeys error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/passkeys/register/options
+ * Issue a WebAuthn registration challenge for the current account
+ *
+ * @param {Request} request - Registration options request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} PublicKeyCredentialCreationOptions (base64url)
+ */
+export async function handlePasskeyRegistrationOptions(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const passkeyService = new PasskeyService(env.DB);
+    const result = await passkeyService.getRegistrationOptions(user, env);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (
+      err instanceof NotFoundError ||
+      err instanceof ForbiddenError ||
+      err instanceof ServiceUnavailableError
+    ) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Passkey registration options error", err);
+    } else {
+      console.error("Passkey registration options error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/passkeys/register/verify
+ * Verify the attestation response and store the passkey
+ *
+ * @param {Request} request - Registration response
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Registered passkey
+ */
+export async function handleRegisterPasskey(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const body = await request.json();
+    const passkeyService = new PasskeyService(env.DB);
+    const result = await passkeyService.verifyRegistration(
+      user,
+      body,
+      env,
+      logger,
+    );
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (
+      err instanceof ValidationError ||
+      err instanceof ForbiddenError ||
+      err instanceof ServiceUnavailableError
+    ) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Register passkey error", err);
+    } else {
+      console.error("Register passkey error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * DELETE /admin/passkeys/{credentialId}
+ * Remove a passkey from the current account
+ *
+ * @param {Request} request - Delete passkey request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {credentialId}
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Deletion confirmation
+ */
+export async function handleDeletePasskey(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const passkeyService = new PasskeyService(env.DB);
+    const result = await passkeyService.deletePasskey(
+      user,
+      params.credentialId,
+      logger,
+    );
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof NotFoundError || err instanceof ForbiddenError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Delete passkey error", err);
+    } else {
+      console.error("Delete passkey error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
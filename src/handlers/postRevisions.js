@@ -0,0 +1,210 @@
+/**
+ * Post Revision Handlers
+ * List, inspect, diff and restore post revisions
+ */
+
+import {
+  successResponse,
+  errorResponse,
+  conflictResponse,
+} from "../utils/response.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+import { etagHeaders } from "../utils/etag.js";
+import { PostService } from "../services/index.js";
+
+/**
+ * Parse a positive integer path/query value
+ * @param {string} value - Raw value
+ * @param {string} label - Name used in the error message
+ * @returns {number} Parsed integer
+ * @throws {ValidationError} If the value is not a positive integer
+ */
+function parsePositiveInt(value, label) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 1) {
+    throw new ValidationError(`Invalid ${label}`);
+  }
+  return parsed;
+}
+
+/**
+ * GET /admin/posts/{postId}/revisions
+ * List revisions of a post (newest first, without content)
+ *
+ * @param {Request} request - List revisions request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {postId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Revision list
+ */
+export async function handleListRevisions(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const postId = parsePositiveInt(params.postId, "post ID");
+    const postService = new PostService(env.DB, env);
+    const result = await postService.listRevisions(postId);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("List revisions error", err);
+    } else {
+      console.error("List revisions error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/posts/{postId}/revisions/{revision}
+ * Get a full revision snapshot
+ *
+ * @param {Request} request - Get revision request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {postId, revision}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Revision snapshot
+ */
+export async function handleGetRevision(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const postId = parsePositiveInt(params.postId, "post ID");
+    const revision = parsePositiveInt(params.revision, "revision");
+    const postService = new PostService(env.DB, env);
+    const result = await postService.getRevision(postId, revision);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Get revision error", err);
+    } else {
+      console.error("Get revision error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/posts/{postId}/revisions/diff?from={revision}&to={revision}
+ * Line-level diff between two revisions
+ *
+ * @param {Request} request - Diff request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {postId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Changed fields and content diff
+ */
+export async function handleDiffRevisions(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const postId = parsePositiveInt(params.postId, "post ID");
+    const { searchParams } = new URL(request.url);
+    const from = parsePositiveInt(searchParams.get("from"), "from revision");
+    const to = parsePositiveInt(searchParams.get("to"), "to revision");
+
+    const postService = new PostService(env.DB, env);
+    const result = await postService.diffRevisions(postId, from, to);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Diff revisions error", err);
+    } else {
+      console.error("Diff revisions error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/posts/{postId}/revisions/{revision}/restore
+ * Restore a revision (saved as a new revision)
+ * Honors If-Match like PUT/PATCH (409 with the current post if stale)
+ *
+ * @param {Request} request - Restore request (optional If-Match header)
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {postId, revision}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Restored post
+ */
+export async function handleRestoreRevision(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const postId = parsePositiveInt(params.postId, "post ID");
+    const revision = parsePositiveInt(params.revision, "revision");
+    const postService = new PostService(env.DB, env);
+    const result = await postService.restoreRevision(
+      postId,
+      revision,
+      logger,
+      request.headers.get("If-Match"),
+    );
+
+    return successResponse(result, 200, etagHeaders(result.version));
+  } catch (err) {
+    if (err instanceof ConflictError) {
+      if (logger) {
+        logger.warn("Revision restore conflict", { postId: params.postId });
+      }
+      return conflictResponse(err);
+    }
+
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn("Revision restore failed", {
+          postId: params.postId,
+          revision: params.revision,
+          error: err.message,
+        });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Restore revision error", err);
+    } else {
+      console.error("Restore revision error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
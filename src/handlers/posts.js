@@ -3,10 +3,116 @@
  * Admin CRUD operations for blog posts
  */
 
-import { successResponse, errorResponse } from "../utils/response.js";
-import { ValidationError, NotFoundError } from "../utils/errors.js";
+import {
+  successResponse,
+  errorResponse,
+  conflictResponse,
+} from "../utils/response.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+import { etagHeaders } from "../utils/etag.js";
 import { PostService } from "../services/index.js";
 
+/**
+ * GET /admin/posts
+ * List posts of every state (drafts included) with filtering, sorting and pagination
+ *
+ * @param {Request} request - List posts request (query: page, size, sort, state, tag, from, to)
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Page of posts with tags
+ */
+export async function handleListPosts(request, env, ctx, params, user, logger) {
+  try {
+    const query = Object.fromEntries(new URL(request.url).searchParams);
+    const postService = new PostService(env.DB, env);
+    const result = await postService.listPosts(query);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("List posts error", err);
+    } else {
+      console.error("List posts error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/posts/scheduled
+ * List scheduled posts that have not been published yet (soonest first)
+ *
+ * @param {Request} request - List scheduled posts request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Scheduled posts with tags
+ */
+export async function handleListScheduledPosts(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const postService = new PostService(env.DB, env);
+    const result = await postService.listScheduledPosts();
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (logger) {
+      logger.error("List scheduled posts error", err);
+    } else {
+      console.error("List scheduled posts error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/posts/{postId}
+ * Get a single post (any state) with tags
+ *
+ * @param {Request} request - Get post request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {postId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Post with tags
+ */
+export async function handleGetPost(request, env, ctx, params, user, logger) {
+  try {
+    const postId = parseInt(params.postId);
+    if (isNaN(postId)) {
+      throw new ValidationError("Invalid post ID");
+    }
+
+    const postService = new PostService(env.DB, env);
+    const post = await postService.getPost(postId);
+
+    return successResponse(post, 200, etagHeaders(post.version));
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Get post error", err);
+    } else {
+      console.error("Get post error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
 /**
  * POST /admin/posts
  * Create new blog post
@@ -26,10 +132,10 @@ export async function handleCreatePost(
 ) {
   try {
     const body = await request.json();
-    const postService = new PostService(env.DB);
+    const postService = new PostService(env.DB, env);
     const createdPost = await postService.createPost(body, logger);
 
-    return successResponse(createdPost, 200);
+    return successResponse(createdPost, 200, etagHeaders(createdPost.version));
   } catch (err) {
     if (err instanceof ValidationError) {
       if (logger) {
@@ -72,11 +178,23 @@ export async function handleUpdatePost(
     }
 
     const body = await request.json();
-    const postService = new PostService(env.DB);
-    const updatedPost = await postService.updatePost(postId, body, logger);
+    const postService = new PostService(env.DB, env);
+    const updatedPost = await postService.updatePost(
+      postId,
+      body,
+      logger,
+      request.headers.get("If-Match"),
+    );
 
-    return successResponse(updatedPost, 200);
+    return successResponse(updatedPost, 200, etagHeaders(updatedPost.version));
   } catch (err) {
+    if (err instanceof ConflictError) {
+      if (logger) {
+        logger.warn("Post update conflict", { postId: params.postId });
+      }
+      return conflictResponse(err);
+    }
+
     if (err instanceof ValidationError || err instanceof NotFoundError) {
       if (logger) {
         logger.warn("Post update failed", {
@@ -96,6 +214,60 @@ export async function handleUpdatePost(
   }
 }
 
+/**
+ * PATCH /admin/posts/{postId}
+ * Partially update blog post (JSON Merge Patch, null clears optional fields)
+ *
+ * @param {Request} request - Patch post request
+ * @param {Object} env - Environment variables
+ * @param {Object} params - URL parameters {postId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Updated post response
+ */
+export async function handlePatchPost(request, env, ctx, params, user, logger) {
+  try {
+    const postId = parseInt(params.postId);
+    if (isNaN(postId)) {
+      throw new ValidationError("Invalid post ID");
+    }
+
+    const body = await request.json();
+    const postService = new PostService(env.DB, env);
+    const updatedPost = await postService.patchPost(
+      postId,
+      body,
+      logger,
+      request.headers.get("If-Match"),
+    );
+
+    return successResponse(updatedPost, 200, etagHeaders(updatedPost.version));
+  } catch (err) {
+    if (err instanceof ConflictError) {
+      if (logger) {
+        logger.warn("Post patch conflict", { postId: params.postId });
+      }
+      return conflictResponse(err);
+    }
+
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn("Post patch failed", {
+          postId: params.postId,
+          error: err.message,
+        });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Patch post error", err);
+    } else {
+      console.error("Patch post error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
 /**
  * DELETE /admin/posts/{postId}
  * Delete blog post
@@ -120,11 +292,22 @@ export async function handleDeletePost(
       throw new ValidationError("Invalid post ID");
     }
 
-    const postService = new PostService(env.DB);
-    const result = await postService.deletePost(postId, logger);
+    const postService = new PostService(env.DB, env);
+    const result = await postService.deletePost(
+      postId,
+      logger,
+      request.headers.get("If-Match"),
+    );
 
     return successResponse(result, 200);
   } catch (err) {
+    if (err instanceof ConflictError) {
+      if (logger) {
+        logger.warn("Post deletion conflict", { postId: params.postId });
+      }
+      return conflictResponse(err);
+    }
+
     if (err instanceof ValidationError || err instanceof NotFoundError) {
       if (logger) {
         logger.warn("Post deletion failed", {
@@ -143,3 +326,36 @@ export async function handleDeletePost(
     return errorResponse("Internal server error", 500);
   }
 }
+
+/**
+ * POST /admin/posts/bulk
+ * Apply one action (publish, unpublish, delete, addTags, removeTags, setSeries) to several posts
+ *
+ * @param {Request} request - Bulk request { ids, action, tags, seriesId }
+ * @param {Object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Per-post results
+ */
+export async function handleBulkPosts(request, env, ctx, params, user, logger) {
+  try {
+    const body = await request.json();
+    const postService = new PostService(env.DB, env);
+    const result = await postService.bulkUpdatePosts(body, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn("Bulk post action failed", { error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Bulk posts error", err);
+    } else {
+      console.error("Bulk posts error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
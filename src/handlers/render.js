@@ -0,0 +1,45 @@
+/**
+ * Render Handlers
+ * Markdown preview for the post editor
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import { ValidationError } from "../utils/errors.js";
+import { PostService } from "../services/index.js";
+
+/**
+ * POST /admin/render
+ * Render Markdown the same way saving a post does (nothing is stored)
+ *
+ * @param {Request} request - Render request { content }
+ * @param {Object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Sanitized HTML, TOC, word count and reading time
+ */
+export async function handleRenderPreview(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const body = await request.json();
+    const postService = new PostService(env.DB, env);
+    const result = postService.previewContent(body);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Render preview error", err);
+    } else {
+      console.error("Render preview error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Series Handlers
+ * Create and manage series, and assign, order and remove their posts
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { SeriesService } from "../services/index.js";
+
+/**
+ * GET /admin/series
+ * List all series with their post count
+ *
+ * @param {Request} request - List series request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Series list
+ */
+export async function handleListSeries(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runSeriesAction("List series", params, logger, async () => {
+    return await new SeriesService(env.DB).listSeries();
+  });
+}
+
+/**
+ * POST /admin/series
+ * Create a series (slug generated from the title when omitted)
+ *
+ * @param {Request} request - Create request { title, slug, description }
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Created series
+ */
+export async function handleCreateSeries(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runSeriesAction("Create series", params, logger, async () => {
+    const body = await request.json();
+    return await new SeriesService(env.DB).createSeries(body, logger);
+  });
+}
+
+/**
+ * GET /admin/series/{seriesId}
+ * Get a series with its posts in order
+ *
+ * @param {Request} request - Get series request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {seriesId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Series with posts
+ */
+export async function handleGetSeries(request, env, ctx, params, user, logger) {
+  return await runSeriesAction("Get series", params, logger, async () => {
+    const seriesId = parseSeriesId(params.seriesId);
+    return await new SeriesService(env.DB).getSeries(seriesId);
+  });
+}
+
+/**
+ * PATCH /admin/series/{seriesId}
+ * Update the title, slug or description of a series
+ *
+ * @param {Request} request - Update request { title, slug, description }
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {seriesId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Updated series
+ */
+export async function handleUpdateSeries(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runSeriesAction("Update series", params, logger, async () => {
+    const seriesId = parseSeriesId(params.seriesId);
+    const body = await request.json();
+    return await new SeriesService(env.DB).updateSeries(seriesId, body, logger);
+  });
+}
+
+/**
+ * DELETE /admin/series/{seriesId}
+ * Delete a series; its posts are kept outside any series
+ *
+ * @param {Request} request - Delete series request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {seriesId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Delete confirmation
+ */
+export async function handleDeleteSeries(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runSeriesAction("Delete series", params, logger, async () => {
+    const seriesId = parseSeriesId(params.seriesId);
+    return await new SeriesService(env.DB).deleteSeries(seriesId, logger);
+  });
+}
+
+/**
+ * PUT /admin/series/{seriesId}/order
+ * Reorder the posts of a series
+ *
+ * @param {Request} request - Reorder request { postIds }
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {seriesId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Series with posts in the new order
+ */
+export async function handleReorderSeries(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runSeriesAction("Reorder series", params, logger, async () => {
+    const seriesId = parseSeriesId(params.seriesId);
+    const body = await request.json();
+    return await new SeriesService(env.DB).reorderPosts(seriesId, body, logger);
+  });
+}
+
+/**
+ * POST /admin/series/{seriesId}/posts
+ * Add a post to a series at a position (end by default) or move it
+ *
+ * @param {Request} request - Assign request { postId, position }
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {seriesId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Series with posts
+ */
+export async function handleAddSeriesPost(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runSeriesAction(
+    "Add post to series",
+    params,
+    logger,
+    async () => {
+      const seriesId = parseSeriesId(params.seriesId);
+      const body = await request.json();
+      return await new SeriesService(env.DB).addPost(seriesId, body, logger);
+    },
+  );
+}
+
+/**
+ * DELETE /admin/series/{seriesId}/posts/{postId}
+ * Remove a post from a series
+ *
+ * @param {Request} request - Remove request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {seriesId, postId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Series with the remaining posts
+ */
+export async function handleRemoveSeriesPost(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runSeriesAction(
+    "Remove post from series",
+    params,
+    logger,
+    async () => {
+      const seriesId = parseSeriesId(params.seriesId);
+      const postId = parseInt(params.postId);
+      if (isNaN(postId)) {
+        throw new ValidationError("Invalid post ID");
+      }
+      return await new SeriesService(env.DB).removePost(
+        seriesId,
+        postId,
+        logger,
+      );
+    },
+  );
+}
+
+/**
+ * @param {string} value - Raw series ID
+ * @returns {number} Series ID
+ * @throws {ValidationError} If not an integer
+ */
+function parseSeriesId(value) {
+  const seriesId = parseInt(value);
+  if (isNaN(seriesId)) {
+    throw new ValidationError("Invalid series ID");
+  }
+  return seriesId;
+}
+
+/**
+ * Run a series action with the shared error handling
+ * @param {string} action - Action name for logs
+ * @param {Object} params - URL parameters
+ * @param {Logger} logger - Logger instance
+ * @param {Function} fn - Async action returning the response data
+ * @returns {Promise<Response>} Action response
+ */
+async function runSeriesAction(action, params, logger, fn) {
+  try {
+    const result = await fn();
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn(`${action} failed`, { ...params, error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error(`${action} error`, err);
+    } else {
+      console.error(`${action} error:`, err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
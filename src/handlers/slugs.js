@@ -0,0 +1,131 @@
+/**
+ * Slug Handlers
+ * Slug preview for the post editor and previous slug resolution
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { PostService } from "../services/index.js";
+
+/**
+ * GET /admin/slugs/suggest?title={title}&datePrefix={true|false}
+ * Suggest a unique slug for a title (Hangul romanized, -2/-3 suffix if taken)
+ *
+ * @param {Request} request - Slug suggestion request
+ * @param {Object} env - Environment variables (DB binding, SLUG_DATE_PREFIX)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Suggested slug
+ */
+export async function handleSuggestSlug(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const datePrefix = searchParams.get("datePrefix");
+
+    const postService = new PostService(env.DB, env);
+    const result = await postService.suggestSlug(
+      searchParams.get("title"),
+      datePrefix === null ? undefined : datePrefix === "true",
+    );
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Suggest slug error", err);
+    } else {
+      console.error("Suggest slug error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/slugs/resolve?slug={slug}
+ * Resolve a current or previous slug to the post's current slug
+ * (used by the public worker to issue 301 redirects)
+ *
+ * @param {Request} request - Resolve slug request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Current slug and whether to redirect
+ */
+export async function handleResolveSlug(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const postService = new PostService(env.DB, env);
+    const result = await postService.resolveSlug(searchParams.get("slug"));
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Resolve slug error", err);
+    } else {
+      console.error("Resolve slug error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/posts/{postId}/slugs
+ * List previous slugs of a post (newest first)
+ *
+ * @param {Request} request - List slug history request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {postId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Slug history
+ */
+export async function handleListSlugHistory(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const postId = parseInt(params.postId);
+    if (isNaN(postId)) {
+      throw new ValidationError("Invalid post ID");
+    }
+
+    const postService = new PostService(env.DB, env);
+    const result = await postService.listSlugHistory(postId);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("List slug history error", err);
+    } else {
+      console.error("List slug history error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Tag Handlers
+ * List, rename, merge and clean up tags; repair post counts; manage aliases
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { TagService } from "../services/index.js";
+
+/**
+ * GET /admin/tags
+ * List all tags with published post count and total usage
+ *
+ * @param {Request} request - List tags request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Tag list
+ */
+export async function handleListTags(request, env, ctx, params, user, logger) {
+  return await runTagAction("List tags", params, logger, async () => {
+    return await new TagService(env.DB).listTags();
+  });
+}
+
+/**
+ * PATCH /admin/tags/{tagId}
+ * Rename a tag
+ *
+ * @param {Request} request - Rename request { name }
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {tagId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Renamed tag
+ */
+export async function handleRenameTag(request, env, ctx, params, user, logger) {
+  return await runTagAction("Rename tag", params, logger, async () => {
+    const tagId = parseTagId(params.tagId);
+    const body = await request.json();
+    return await new TagService(env.DB).renameTag(tagId, body, logger);
+  });
+}
+
+/**
+ * POST /admin/tags/{tagId}/merge
+ * Merge a tag into another tag and delete it
+ *
+ * @param {Request} request - Merge request { into }
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {tagId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Target tag after the merge
+ */
+export async function handleMergeTags(request, env, ctx, params, user, logger) {
+  return await runTagAction("Merge tags", params, logger, async () => {
+    const tagId = parseTagId(params.tagId);
+    const body = await request.json();
+    return await new TagService(env.DB).mergeTags(tagId, body, logger);
+  });
+}
+
+/**
+ * DELETE /admin/tags/{tagId}
+ * Delete a tag that no post uses
+ *
+ * @param {Request} request - Delete tag request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {tagId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Delete confirmation
+ */
+export async function handleDeleteTag(request, env, ctx, params, user, logger) {
+  return await runTagAction("Delete tag", params, logger, async () => {
+    const tagId = parseTagId(params.tagId);
+    return await new TagService(env.DB).deleteTag(tagId, logger);
+  });
+}
+
+/**
+ * DELETE /admin/tags/unused
+ * Delete every tag that no post uses
+ *
+ * @param {Request} request - Delete unused tags request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Deleted tag names
+ */
+export async function handleDeleteUnusedTags(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runTagAction("Delete unused tags", params, logger, async () => {
+    return await new TagService(env.DB).deleteUnusedTags(logger);
+  });
+}
+
+/**
+ * POST /admin/tags/recount
+ * Recompute post_count of every tag
+ *
+ * @param {Request} request - Recount request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Number of repaired tags
+ */
+export async function handleRecountTags(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runTagAction("Recount tags", params, logger, async () => {
+    return await new TagService(env.DB).recountTags(logger);
+  });
+}
+
+/**
+ * POST /admin/tags/rekey
+ * Recompute tag keys with the current normalization and merge collisions
+ *
+ * @param {Request} request - Rekey request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Number of rekeyed tags and the merges made
+ */
+export async function handleRekeyTags(request, env, ctx, params, user, logger) {
+  return await runTagAction("Rekey tags", params, logger, async () => {
+    return await new TagService(env.DB).rekeyTags(logger);
+  });
+}
+
+/**
+ * GET /admin/tags/aliases
+ * List tag aliases
+ *
+ * @param {Request} request - List aliases request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Alias list
+ */
+export async function handleListTagAliases(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runTagAction("List tag aliases", params, logger, async () => {
+    return await new TagService(env.DB).listAliases();
+  });
+}
+
+/**
+ * POST /admin/tags/aliases
+ * Create a tag alias (e.g. js → javascript)
+ *
+ * @param {Request} request - Create alias request { alias, tagId }
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Created alias
+ */
+export async function handleCreateTagAlias(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runTagAction("Create tag alias", params, logger, async () => {
+    const body = await request.json();
+    return await new TagService(env.DB).createAlias(body, logger);
+  });
+}
+
+/**
+ * DELETE /admin/tags/aliases/{aliasId}
+ * Delete a tag alias
+ *
+ * @param {Request} request - Delete alias request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {aliasId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Delete confirmation
+ */
+export async function handleDeleteTagAlias(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runTagAction("Delete tag alias", params, logger, async () => {
+    const aliasId = parseInt(params.aliasId);
+    if (isNaN(aliasId)) {
+      throw new ValidationError("Invalid alias ID");
+    }
+    return await new TagService(env.DB).deleteAlias(aliasId, logger);
+  });
+}
+
+/**
+ * Parse tag ID path parameter
+ * @param {string} value - Raw tag ID
+ * @returns {number} Tag ID
+ * @throws {ValidationError} If not an integer
+ */
+function parseTagId(value) {
+  const tagId = parseInt(value);
+  if (isNaN(tagId)) {
+    throw new ValidationError("Invalid tag ID");
+  }
+  return tagId;
+}
+
+/**
+ * Run a tag action with the shared error handling
+ * @param {string} action - Action name for logs
+ * @param {Object} params - URL parameters
+ * @param {Logger} logger - Logger instance
+ * @param {Function} fn - Async action returning the response data
+ * @returns {Promise<Response>} Action response
+ */
+async function runTagAction(action, params, logger, fn) {
+  try {
+    const result = await fn();
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn(`${action} failed`, { ...params, error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error(`${action} error`, err);
+    } else {
+      console.error(`${action} error:`, err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Transfer Handlers
+ * Post export (backup) and import
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import { ValidationError } from "../utils/errors.js";
+import { PostTransferService } from "../services/index.js";
+
+/**
+ * GET /admin/export?format={zip|ndjson}
+ * Download every post as Markdown files with YAML front matter (ZIP) or NDJSON
+ *
+ * @param {Request} request - Export request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Streamed archive
+ */
+export async function handleExportPosts(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const transferService = new PostTransferService(env.DB, env);
+    const { body, contentType, filename } = transferService.exportPosts(
+      searchParams.get("format") ?? undefined,
+    );
+
+    if (logger) {
+      logger.info("Posts export started", { contentType });
+    }
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+    });
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Export posts error", err);
+    } else {
+      console.error("Export posts error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/import?format={zip|ndjson|markdown}&conflict={skip|overwrite|rename}&dryRun={true|false}
+ * Import posts exported by GET /admin/export, upserting by slug
+ *
+ * @param {Request} request - Import request (body: ZIP, NDJSON or Markdown)
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Import report
+ */
+export async function handleImportPosts(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const body = await request.arrayBuffer();
+
+    const transferService = new PostTransferService(env.DB, env);
+    const report = await transferService.importPosts(
+      body,
+      {
+        format: searchParams.get("format"),
+        contentType: request.headers.get("Content-Type"),
+        dryRun: searchParams.get("dryRun") === "true",
+        conflict: searchParams.get("conflict") ?? undefined,
+      },
+      logger,
+    );
+
+    return successResponse(report, 200);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      if (logger) {
+        logger.warn("Post import rejected", { error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Import posts error", err);
+    } else {
+      console.error("Import posts error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
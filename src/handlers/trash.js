@@ -0,0 +1,178 @@
+/**
+ * Trash Handlers
+ * List, restore and permanently delete trashed posts and comments
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+} from "../utils/errors.js";
+import { TrashService } from "../services/index.js";
+
+/**
+ * GET /admin/trash
+ * List trashed posts and comments (sections depend on the user's scopes)
+ *
+ * @param {Request} request - List trash request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Trashed posts and comments
+ */
+export async function handleListTrash(request, env, ctx, params, user, logger) {
+  try {
+    const trashService = new TrashService(env.DB);
+    const result = await trashService.listTrash(user);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ForbiddenError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("List trash error", err);
+    } else {
+      console.error("List trash error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/trash/posts/{postId}/restore
+ * Restore a trashed post
+ *
+ * @param {Request} request - Restore post request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {postId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Restore confirmation
+ */
+export async function handleRestorePost(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runTrashAction("Restore post", params, logger, async () => {
+    const postId = parsePostId(params.postId);
+    return await new TrashService(env.DB).restorePost(postId, logger);
+  });
+}
+
+/**
+ * DELETE /admin/trash/posts/{postId}
+ * Permanently delete a trashed post (tags links, revisions and comments included)
+ *
+ * @param {Request} request - Purge post request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {postId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Purge confirmation
+ */
+export async function handlePurgePost(request, env, ctx, params, user, logger) {
+  return await runTrashAction("Purge post", params, logger, async () => {
+    const postId = parsePostId(params.postId);
+    return await new TrashService(env.DB).purgePost(postId, logger);
+  });
+}
+
+/**
+ * POST /admin/trash/comments/{commentId}/restore
+ * Restore a trashed comment
+ *
+ * @param {Request} request - Restore comment request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {commentId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Restore confirmation
+ */
+export async function handleRestoreComment(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runTrashAction("Restore comment", params, logger, async () => {
+    return await new TrashService(env.DB).restoreComment(
+      params.commentId,
+      logger,
+    );
+  });
+}
+
+/**
+ * DELETE /admin/trash/comments/{commentId}
+ * Permanently delete a trashed comment
+ *
+ * @param {Request} request - Purge comment request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {commentId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Purge confirmation
+ */
+export async function handlePurgeComment(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  return await runTrashAction("Purge comment", params, logger, async () => {
+    return await new TrashService(env.DB).purgeComment(
+      params.commentId,
+      logger,
+    );
+  });
+}
+
+/**
+ * Parse post ID path parameter
+ * @param {string} value - Raw post ID
+ * @returns {number} Post ID
+ * @throws {ValidationError} If not an integer
+ */
+function parsePostId(value) {
+  const postId = parseInt(value);
+  if (isNaN(postId)) {
+    throw new ValidationError("Invalid post ID");
+  }
+  return postId;
+}
+
+/**
+ * Run a restore/purge action with the shared error handling
+ * @param {string} action - Action name for logs
+ * @param {Object} params - URL parameters
+ * @param {Logger} logger - Logger instance
+ * @param {Function} fn - Async action returning the response data
+ * @returns {Promise<Response>} Action response
+ */
+async function runTrashAction(action, params, logger, fn) {
+  try {
+    const result = await fn();
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn(`${action} failed`, { ...params, error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error(`${action} error`, err);
+    } else {
+      console.error(`${action} error:`, err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
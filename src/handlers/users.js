@@ -0,0 +1,222 @@
+/**
+ * User Management Handlers
+ * Owner-only CRUD operations for admin accounts
+ */
+
+import { successResponse, errorResponse } from "../utils/response.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+} from "../utils/errors.js";
+import { UserService } from "../services/index.js";
+
+/**
+ * Parse and validate userId path parameter
+ * @param {Object} params - URL parameters {userId}
+ * @returns {number} User ID
+ * @throws {ValidationError} If the ID is not an integer
+ */
+function parseUserId(params) {
+  const userId = parseInt(params.userId);
+  if (isNaN(userId)) {
+    throw new ValidationError("Invalid user ID");
+  }
+  return userId;
+}
+
+/**
+ * GET /admin/users
+ * List admin accounts
+ *
+ * @param {Request} request - List users request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Admin accounts
+ */
+export async function handleListUsers(request, env, ctx, params, user, logger) {
+  try {
+    const userService = new UserService(env.DB);
+    const users = await userService.listUsers();
+
+    return successResponse(users, 200);
+  } catch (err) {
+    if (logger) {
+      logger.error("List users error", err);
+    } else {
+      console.error("List users error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * GET /admin/users/{userId}
+ * Get admin account by ID
+ *
+ * @param {Request} request - Get user request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {userId}
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Admin account
+ */
+export async function handleGetUser(request, env, ctx, params, user, logger) {
+  try {
+    const userId = parseUserId(params);
+    const userService = new UserService(env.DB);
+    const result = await userService.getUser(userId);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Get user error", err);
+    } else {
+      console.error("Get user error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * POST /admin/users
+ * Create admin account
+ *
+ * @param {Request} request - Create user request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Created admin account
+ */
+export async function handleCreateUser(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const body = await request.json();
+    const userService = new UserService(env.DB);
+    const createdUser = await userService.createUser(body, logger);
+
+    return successResponse(createdUser, 200);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      if (logger) {
+        logger.warn("User creation validation failed", { error: err.message });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Create user error", err);
+    } else {
+      console.error("Create user error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * PUT /admin/users/{userId}
+ * Change an admin account's role and/or password
+ *
+ * @param {Request} request - Update user request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {userId}
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Updated admin account
+ */
+export async function handleUpdateUser(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const userId = parseUserId(params);
+    const body = await request.json();
+    const userService = new UserService(env.DB);
+    const updatedUser = await userService.updateUser(
+      userId,
+      body,
+      user,
+      logger,
+    );
+
+    return successResponse(updatedUser, 200);
+  } catch (err) {
+    if (err instanceof ValidationError || err instanceof NotFoundError) {
+      if (logger) {
+        logger.warn("User update failed", {
+          userId: params.userId,
+          error: err.message,
+        });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Update user error", err);
+    } else {
+      console.error("Update user error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
+
+/**
+ * DELETE /admin/users/{userId}
+ * Delete admin account and revoke its sessions
+ *
+ * @param {Request} request - Delete user request
+ * @param {Object} env - Environment variables (DB binding)
+ * @param {Object} params - URL parameters {userId}
+ * @param {Object} user - Authenticated user from middleware
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Response>} Deletion confirmation response
+ */
+export async function handleDeleteUser(
+  request,
+  env,
+  ctx,
+  params,
+  user,
+  logger,
+) {
+  try {
+    const userId = parseUserId(params);
+    const userService = new UserService(env.DB);
+    const result = await userService.deleteUser(userId, user, logger);
+
+    return successResponse(result, 200);
+  } catch (err) {
+    if (
+      err instanceof ValidationError ||
+      err instanceof NotFoundError ||
+      err instanceof ForbiddenError
+    ) {
+      if (logger) {
+        logger.warn("User deletion failed", {
+          userId: params.userId,
+          error: err.message,
+        });
+      }
+      return errorResponse(err.message, err.status);
+    }
+
+    if (logger) {
+      logger.error("Delete user error", err);
+    } else {
+      console.error("Delete user error:", err);
+    }
+    return errorResponse("Internal server error", 500);
+  }
+}
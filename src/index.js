@@ -6,7 +6,9 @@
 import { router } from "./router.js";
 import { errorResponse, handleCORS, addCORSHeaders } from "./utils/response.js";
 import { toAPIError } from "./utils/errors.js";
+import { PostService, TagService, TrashService } from "./services/index.js";
 import {
+  Logger,
   createRequestLogger,
   generateCorrelationId,
   logRequestCompletion,
@@ -30,7 +32,7 @@ export default {
 
       logger.debug("Processing request");
 
-      const response = await router(request, env, ctx, null, logger);
+      const response = await router(request, env, ctx, logger);
 
       logRequestCompletion(logger, response, startTime);
 
@@ -46,4 +48,48 @@ export default {
       return addCORSHeaders(errorResp, env.ALLOWED_ORIGINS || "*");
     }
   },
+
+  /**
+   * Cron Trigger: publish scheduled posts whose publishAt has passed,
+   * purge trash older than TRASH_RETENTION_DAYS and run the one-off tag rekey
+   */
+  async scheduled(controller, env) {
+    const logger = new Logger({
+      correlationId: generateCorrelationId(),
+      cron: controller.cron,
+      scheduledTime: new Date(controller.scheduledTime).toISOString(),
+      environment: env.ENVIRONMENT || "development",
+    });
+
+    const jobs = [
+      {
+        name: "Scheduled publishing",
+        run: () => new PostService(env.DB, env).publishDuePosts(logger),
+      },
+      {
+        name: "Trash purge",
+        run: () => new TrashService(env.DB).purgeExpired(env),
+      },
+      {
+        name: "Tag rekey",
+        run: () => new TagService(env.DB).rekeyTagsIfPending(logger),
+      },
+    ];
+
+    // 한 작업이 실패해도 나머지는 실행, 실패가 있으면 cron 실행을 실패로 표시
+    let failure = null;
+    for (const job of jobs) {
+      try {
+        const result = await job.run();
+        logger.info(`${job.name} completed`, result);
+      } catch (error) {
+        logger.error(`${job.name} error`, error);
+        failure = failure || error;
+      }
+    }
+
+    if (failure) {
+      throw failure;
+    }
+  },
 };
@@ -0,0 +1,58 @@
+/**
+ * API Key Repository
+ * Data access layer for scoped API keys
+ */
+
+import { apiKeyQueries } from "../sql/index.js";
+
+export class ApiKeyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(keyData) {
+    const { id, userId, name, prefix, keyHash, scopes, createdAt, expiresAt } =
+      keyData;
+
+    await this.db
+      .prepare(apiKeyQueries.insert)
+      .bind(id, userId, name, prefix, keyHash, scopes, createdAt, expiresAt)
+      .run();
+  }
+
+  async findByHash(keyHash) {
+    return await this.db
+      .prepare(apiKeyQueries.selectByHash)
+      .bind(keyHash)
+      .first();
+  }
+
+  async findById(id) {
+    return await this.db.prepare(apiKeyQueries.selectById).bind(id).first();
+  }
+
+  async findAll() {
+    const result = await this.db.prepare(apiKeyQueries.selectAll).all();
+    return result.results;
+  }
+
+  async findByUserId(userId) {
+    const result = await this.db
+      .prepare(apiKeyQueries.selectByUserId)
+      .bind(userId)
+      .all();
+
+    return result.results;
+  }
+
+  async updateLastUsed(id, lastUsedAt) {
+    await this.db
+      .prepare(apiKeyQueries.updateLastUsed)
+      .bind(lastUsedAt, id)
+      .run();
+  }
+
+  async revoke(id, revokedAt) {
+    await this.db.prepare(apiKeyQueries.revoke).bind(revokedAt, id).run();
+  }
+}
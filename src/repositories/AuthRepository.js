@@ -1,6 +1,6 @@
 /**
  * Auth Repository
- * Data access layer for authentication
+ * Data access layer for authentication and admin accounts
  */
 
 import { authQueries } from "../sql/index.js";
@@ -16,4 +16,53 @@ export class AuthRepository {
       .bind(username)
       .first();
   }
+
+  async findUserById(id) {
+    return await this.db.prepare(authQueries.selectUserById).bind(id).first();
+  }
+
+  async findAllUsers() {
+    const result = await this.db.prepare(authQueries.selectAllUsers).all();
+    return result.results;
+  }
+
+  async countUsersByRole(role) {
+    const row = await this.db
+      .prepare(authQueries.countByRole)
+      .bind(role)
+      .first();
+
+    return row ? row.count : 0;
+  }
+
+  async createUser(userData) {
+    const { username, password, role, createdAt, updatedAt } = userData;
+
+    const result = await this.db
+      .prepare(authQueries.insertUser)
+      .bind(username, password, role, createdAt, updatedAt)
+      .run();
+
+    return result.meta.last_row_id;
+  }
+
+  async updateUser(id, userData) {
+    const { role = null, password = null, updatedAt } = userData;
+
+    await this.db
+      .prepare(authQueries.updateUser)
+      .bind(role, password, updatedAt, id)
+      .run();
+  }
+
+  async updatePassword(id, password, updatedAt) {
+    await this.db
+      .prepare(authQueries.updatePassword)
+      .bind(password, updatedAt, id)
+      .run();
+  }
+
+  async deleteUser(id) {
+    await this.db.prepare(authQueries.deleteUser).bind(id).run();
+  }
 }
@@ -3,7 +3,7 @@
  * Data access layer for comments
  */
 
-import { commentQueries } from "../sql/index.js";
+import { commentQueries, commentTrashQueries } from "../sql/index.js";
 
 export class CommentRepository {
   constructor(db) {
@@ -14,7 +14,42 @@ export class CommentRepository {
     return await this.db.prepare(commentQueries.selectById).bind(id).first();
   }
 
-  async delete(id) {
-    await this.db.prepare(commentQueries.delete).bind(id).run();
+  async softDelete(id, deletedAt) {
+    await this.db.prepare(commentQueries.softDelete).bind(deletedAt, id).run();
+  }
+
+  async findDeleted() {
+    const result = await this.db
+      .prepare(commentTrashQueries.selectDeleted)
+      .all();
+
+    return result.results;
+  }
+
+  async findDeletedById(id) {
+    return await this.db
+      .prepare(commentTrashQueries.selectDeletedById)
+      .bind(id)
+      .first();
+  }
+
+  async restore(id) {
+    await this.db.prepare(commentTrashQueries.restore).bind(id).run();
+  }
+
+  async purge(id) {
+    await this.db.prepare(commentTrashQueries.purge).bind(id).run();
+  }
+
+  /**
+   * @returns {Promise<number>} Number of purged comments
+   */
+  async purgeDeletedBefore(cutoff) {
+    const result = await this.db
+      .prepare(commentTrashQueries.purgeDeletedBefore)
+      .bind(cutoff)
+      .run();
+
+    return result.meta.changes;
   }
 }
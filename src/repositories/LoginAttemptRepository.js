@@ -0,0 +1,55 @@
+/**
+ * Login Attempt Repository
+ * Data access layer for failed login counters and lockouts
+ */
+
+import { loginAttemptQueries } from "../sql/index.js";
+
+export class LoginAttemptRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findByKeys(ipKey, userKey) {
+    const result = await this.db
+      .prepare(loginAttemptQueries.selectByKeys)
+      .bind(ipKey, userKey)
+      .all();
+
+    return result.results;
+  }
+
+  async findLocked(now) {
+    const result = await this.db
+      .prepare(loginAttemptQueries.selectLocked)
+      .bind(now)
+      .all();
+
+    return result.results;
+  }
+
+  async recordFailure(key, now, windowStart) {
+    const row = await this.db
+      .prepare(loginAttemptQueries.recordFailure)
+      .bind(key, now, windowStart)
+      .first();
+
+    return row.failures;
+  }
+
+  async updateLockedUntil(key, lockedUntil) {
+    await this.db
+      .prepare(loginAttemptQueries.updateLockedUntil)
+      .bind(lockedUntil, key)
+      .run();
+  }
+
+  async delete(key) {
+    const result = await this.db
+      .prepare(loginAttemptQueries.deleteByKey)
+      .bind(key)
+      .run();
+
+    return result.meta.changes > 0;
+  }
+}
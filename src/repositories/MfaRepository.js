@@ -0,0 +1,78 @@
+/**
+ * MFA Repository
+ * Data access layer for TOTP secrets and recovery codes
+ */
+
+import { mfaQueries, recoveryCodeQueries } from "../sql/index.js";
+
+export class MfaRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async setTotpSecret(userId, secret, updatedAt) {
+    await this.db
+      .prepare(mfaQueries.updateTotpSecret)
+      .bind(secret, updatedAt, userId)
+      .run();
+  }
+
+  async enableTotp(userId, lastStep, enabledAt) {
+    await this.db
+      .prepare(mfaQueries.enableTotp)
+      .bind(enabledAt, lastStep, enabledAt, userId)
+      .run();
+  }
+
+  async disableTotp(userId, updatedAt) {
+    await this.db.prepare(mfaQueries.disableTotp).bind(updatedAt, userId).run();
+  }
+
+  async claimTotpStep(userId, step) {
+    const result = await this.db
+      .prepare(mfaQueries.updateLastStep)
+      .bind(step, userId, step)
+      .run();
+
+    return result.meta.changes > 0;
+  }
+
+  async replaceRecoveryCodes(userId, codeHashes, createdAt) {
+    await this.db
+      .prepare(recoveryCodeQueries.deleteByUserId)
+      .bind(userId)
+      .run();
+
+    for (const codeHash of codeHashes) {
+      await this.db
+        .prepare(recoveryCodeQueries.insert)
+        .bind(userId, codeHash, createdAt)
+        .run();
+    }
+  }
+
+  async consumeRecoveryCode(userId, codeHash, usedAt) {
+    const result = await this.db
+      .prepare(recoveryCodeQueries.consume)
+      .bind(usedAt, userId, codeHash)
+      .run();
+
+    return result.meta.changes > 0;
+  }
+
+  async countUnusedRecoveryCodes(userId) {
+    const row = await this.db
+      .prepare(recoveryCodeQueries.countUnused)
+      .bind(userId)
+      .first();
+
+    return row ? row.count : 0;
+  }
+
+  async deleteRecoveryCodes(userId) {
+    await this.db
+      .prepare(recoveryCodeQueries.deleteByUserId)
+      .bind(userId)
+      .run();
+  }
+}
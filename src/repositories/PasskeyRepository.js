@@ -0,0 +1,83 @@
+/**
+ * Passkey Repository
+ * Data access layer for WebAuthn credentials and ceremony challenges
+ */
+
+import { passkeyQueries, webauthnChallengeQueries } from "../sql/index.js";
+
+export class PasskeyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async createCredential(credentialData) {
+    const {
+      id,
+      userId,
+      name,
+      publicKey,
+      alg,
+      signCount,
+      transports,
+      createdAt,
+    } = credentialData;
+
+    await this.db
+      .prepare(passkeyQueries.insert)
+      .bind(id, userId, name, publicKey, alg, signCount, transports, createdAt)
+      .run();
+  }
+
+  async findCredentialById(id) {
+    return await this.db.prepare(passkeyQueries.selectById).bind(id).first();
+  }
+
+  async findCredentialsByUserId(userId) {
+    const result = await this.db
+      .prepare(passkeyQueries.selectByUserId)
+      .bind(userId)
+      .all();
+
+    return result.results;
+  }
+
+  async updateUsage(id, signCount, lastUsedAt) {
+    await this.db
+      .prepare(passkeyQueries.updateUsage)
+      .bind(signCount, lastUsedAt, id)
+      .run();
+  }
+
+  async deleteCredential(id, userId) {
+    const result = await this.db
+      .prepare(passkeyQueries.delete)
+      .bind(id, userId)
+      .run();
+
+    return result.meta.changes > 0;
+  }
+
+  async createChallenge(challenge, userId, type, expiresAt) {
+    await this.db
+      .prepare(webauthnChallengeQueries.insert)
+      .bind(challenge, userId, type, expiresAt)
+      .run();
+  }
+
+  /**
+   * Delete and return an unexpired challenge (single use)
+   */
+  async consumeChallenge(challenge, type, now) {
+    return await this.db
+      .prepare(webauthnChallengeQueries.consume)
+      .bind(challenge, type, now)
+      .first();
+  }
+
+  async deleteExpiredChallenges(now) {
+    await this.db
+      .prepare(webauthnChallengeQueries.deleteExpired)
+      .bind(now)
+      .run();
+  }
+}
@@ -3,7 +3,17 @@
  * Data access layer for posts
  */
 
-import { postQueries, postTagQueries, tagQueries } from "../sql/index.js";
+import {
+  postQueries,
+  postTrashQueries,
+  postBulkQueries,
+  postListQueries,
+  postSortColumns,
+  postTagQueries,
+  tagQueries,
+  tagCountQueries,
+  seriesPostQueries,
+} from "../sql/index.js";
 
 export class PostRepository {
   constructor(db) {
@@ -18,6 +28,42 @@ export class PostRepository {
     return await this.db.prepare(postQueries.selectBySlug).bind(slug).first();
   }
 
+  /**
+   * Find a post that is not in the trash by its current slug
+   */
+  async findLiveBySlug(slug) {
+    return await this.db
+      .prepare(postQueries.selectLiveBySlug)
+      .bind(slug)
+      .first();
+  }
+
+  /**
+   * Find slugs equal to base or starting with "base-"
+   * (trashed posts and previous slugs included)
+   * @returns {Promise<Array<string>>} Matching slugs
+   */
+  async findSlugsWithBase(base) {
+    const result = await this.db
+      .prepare(postQueries.selectSlugsLike)
+      .bind(base, `${base}-%`, base, `${base}-%`)
+      .all();
+
+    return result.results.map((row) => row.slug);
+  }
+
+  /**
+   * Find the next page of posts outside the trash, in ID order
+   */
+  async findAfterId(afterId, limit) {
+    const result = await this.db
+      .prepare(postQueries.selectAfterId)
+      .bind(afterId, limit)
+      .all();
+
+    return result.results;
+  }
+
   async findBySlugExcludingId(slug, id) {
     return await this.db
       .prepare(postQueries.selectBySlugExcludingId)
@@ -25,58 +71,397 @@ export class PostRepository {
       .first();
   }
 
+  /**
+   * Find a page of posts (all states) matching the filters
+   * @param {Object} filters - { state, tag, from, before }
+   * @param {Object} sort - { field, direction } from validateSortParam
+   * @param {Object} pagination - { page, size } from validatePaginationParams
+   * @returns {Promise<{posts: Array, total: number}>} Page rows and total count
+   */
+  async findPage(filters, sort, pagination) {
+    const conditions = [];
+    const bindings = [];
+
+    if (filters.state) {
+      conditions.push(postListQueries.whereState);
+      bindings.push(filters.state);
+    }
+    if (filters.tag) {
+      conditions.push(postListQueries.whereTag);
+      bindings.push(filters.tag);
+    }
+    if (filters.from) {
+      conditions.push(postListQueries.whereCreatedFrom);
+      bindings.push(filters.from);
+    }
+    if (filters.before) {
+      conditions.push(postListQueries.whereCreatedBefore);
+      bindings.push(filters.before);
+    }
+
+    const where = conditions.map((condition) => ` AND ${condition}`).join("");
+    const orderBy = ` ORDER BY ${postSortColumns[sort.field]} ${sort.direction.toUpperCase()}, p.id ${sort.direction.toUpperCase()}`;
+
+    const [rows, count] = await this.db.batch([
+      this.db
+        .prepare(`${postListQueries.select}${where}${orderBy} LIMIT ? OFFSET ?`)
+        .bind(...bindings, pagination.size, pagination.page * pagination.size),
+      this.db.prepare(`${postListQueries.count}${where}`).bind(...bindings),
+    ]);
+
+    return { posts: rows.results, total: count.results[0].total };
+  }
+
+  /**
+   * Insert a post with its tags in one batch (missing tags are created,
+   * tag post_count is recomputed)
+   * @param {Object} postData - Post fields; tags as normalized [{ name, key }]
+   * @returns {Promise<number>} New post ID
+   */
   async create(postData) {
-    const { slug, title, content, summary, state, createdAt, updatedAt } =
-      postData;
+    const {
+      slug,
+      title,
+      content,
+      contentHtml,
+      wordCount,
+      readingTime,
+      toc,
+      summary,
+      metaTitle = null,
+      metaDescription = null,
+      canonicalUrl = null,
+      ogImage = null,
+      state,
+      tags = [],
+      publishAt = null,
+      publishedAt = null,
+      createdAt,
+      updatedAt,
+    } = postData;
 
-    const result = await this.db
-      .prepare(postQueries.insert)
-      .bind(slug, title, content, summary, state, createdAt, updatedAt)
-      .run();
+    const statements = [
+      this.db
+        .prepare(postQueries.insert)
+        .bind(
+          slug,
+          title,
+          content,
+          contentHtml,
+          wordCount,
+          readingTime,
+          toc,
+          summary,
+          metaTitle,
+          metaDescription,
+          canonicalUrl,
+          ogImage,
+          state,
+          publishAt,
+          publishedAt,
+          createdAt,
+          updatedAt,
+        ),
+    ];
+
+    if (tags.length > 0) {
+      const tagList = JSON.stringify(tags);
+      statements.push(
+        this.db.prepare(tagQueries.upsert).bind(createdAt, tagList),
+        this.db.prepare(postTagQueries.insertForSlug).bind(tagList, slug),
+        this.db.prepare(tagCountQueries.recountByPostSlug).bind(slug),
+      );
+    }
+
+    const [insertResult] = await this.db.batch(statements);
 
-    return result.meta.last_row_id;
+    return insertResult.meta.last_row_id;
   }
 
+  /**
+   * Update a post and, when tags is given, replace its tags in one batch;
+   * with expectedVersion nothing is written unless the post is at that version.
+   * post_count is recomputed for the previous and the new tags
+   * @param {Object} postData - Post fields; tags as normalized [{ name, key }]
+   * @returns {Promise<boolean>} False if the version no longer matches
+   */
   async update(id, postData) {
-    const { title, content, summary, state, slug, updatedAt } = postData;
+    const {
+      title,
+      content,
+      contentHtml,
+      wordCount,
+      readingTime,
+      toc,
+      summary,
+      metaTitle = null,
+      metaDescription = null,
+      canonicalUrl = null,
+      ogImage = null,
+      state,
+      slug,
+      tags,
+      publishAt = null,
+      publishedAt = null,
+      updatedAt,
+      expectedVersion = null,
+    } = postData;
 
-    await this.db
-      .prepare(postQueries.update)
-      .bind(title, content, summary, state, slug, updatedAt, id)
-      .run();
+    const guard = [id, expectedVersion, expectedVersion];
+    const statements = [];
+
+    if (tags !== undefined) {
+      statements.push(
+        this.db.prepare(tagCountQueries.excludePost).bind(id, id),
+        this.db.prepare(postTagQueries.deleteForVersion).bind(id, ...guard),
+      );
+
+      if (tags.length > 0) {
+        const tagList = JSON.stringify(tags);
+        statements.push(
+          this.db
+            .prepare(tagQueries.upsertForVersion)
+            .bind(updatedAt, tagList, ...guard),
+          this.db
+            .prepare(postTagQueries.insertForVersion)
+            .bind(tagList, ...guard),
+        );
+      }
+    }
+
+    // 버전 조건이 태그 문장과 같게 평가되도록 게시글 UPDATE는 마지막에 실행
+    statements.push(
+      this.db
+        .prepare(postQueries.update)
+        .bind(
+          title,
+          content,
+          contentHtml,
+          wordCount,
+          readingTime,
+          toc,
+          summary,
+          metaTitle,
+          metaDescription,
+          canonicalUrl,
+          ogImage,
+          state,
+          slug,
+          publishAt,
+          publishedAt,
+          updatedAt,
+          ...guard,
+        ),
+    );
+    const updateIndex = statements.length - 1;
+
+    statements.push(this.db.prepare(tagCountQueries.recountByPostId).bind(id));
+
+    const results = await this.db.batch(statements);
+
+    return results[updateIndex].meta.changes > 0;
   }
 
-  async delete(id) {
-    await this.db.prepare(postQueries.delete).bind(id).run();
+  async findScheduled() {
+    const result = await this.db.prepare(postQueries.selectScheduled).all();
+    return result.results;
   }
 
-  async getTagsByPostId(postId) {
+  async findDueScheduled(now) {
     const result = await this.db
-      .prepare(postTagQueries.selectTagsByPostId)
-      .bind(postId)
+      .prepare(postQueries.selectDueScheduled)
+      .bind(now)
       .all();
 
-    return result.results.map((t) => t.name);
+    return result.results;
+  }
+
+  /**
+   * Promote a scheduled post to published
+   * @returns {Promise<boolean>} False if the post is no longer scheduled
+   */
+  async publishScheduled(id, updatedAt) {
+    const [result] = await this.db.batch([
+      this.db.prepare(postQueries.publishScheduled).bind(updatedAt, id),
+      this.db.prepare(tagCountQueries.recountByPostId).bind(id),
+    ]);
+
+    return result.meta.changes > 0;
   }
 
-  async findTagByName(name) {
-    return await this.db.prepare(tagQueries.selectByName).bind(name).first();
+  /**
+   * Move a post to the trash; the rest of its series closes the gap
+   * @returns {Promise<boolean>} False if the version no longer matches
+   */
+  async softDelete(id, deletedAt, expectedVersion = null) {
+    const [result] = await this.db.batch([
+      this.db
+        .prepare(postQueries.softDelete)
+        .bind(deletedAt, id, expectedVersion, expectedVersion),
+      this.db.prepare(tagCountQueries.recountByPostId).bind(id),
+      this.db.prepare(seriesPostQueries.compactByPostId).bind(id),
+    ]);
+
+    return result.meta.changes > 0;
   }
 
-  async createTag(name, createdAt) {
+  /**
+   * Find posts outside the trash by ID in one query
+   */
+  async findByIds(ids) {
     const result = await this.db
-      .prepare(tagQueries.insert)
-      .bind(name, createdAt)
+      .prepare(postBulkQueries.selectByIds)
+      .bind(JSON.stringify(ids))
+      .all();
+
+    return result.results;
+  }
+
+  /**
+   * Publish several posts now (scheduled time cleared, first publish time kept)
+   */
+  async publishMany(ids, updatedAt) {
+    const idList = JSON.stringify(ids);
+    await this.db.batch([
+      this.db
+        .prepare(postBulkQueries.publish)
+        .bind(updatedAt, updatedAt, idList),
+      this.db.prepare(tagCountQueries.recountByPostIds).bind(idList),
+    ]);
+  }
+
+  /**
+   * Move several posts back to draft (scheduled time cleared)
+   */
+  async unpublishMany(ids, updatedAt) {
+    const idList = JSON.stringify(ids);
+    await this.db.batch([
+      this.db.prepare(postBulkQueries.unpublish).bind(updatedAt, idList),
+      this.db.prepare(tagCountQueries.recountByPostIds).bind(idList),
+    ]);
+  }
+
+  async softDeleteMany(ids, deletedAt) {
+    const idList = JSON.stringify(ids);
+    await this.db.batch([
+      this.db.prepare(postBulkQueries.softDelete).bind(deletedAt, idList),
+      this.db.prepare(tagCountQueries.recountByPostIds).bind(idList),
+      this.db.prepare(seriesPostQueries.compactByPostIds).bind(idList),
+    ]);
+  }
+
+  /**
+   * Link tags to several posts, keeping their other tags
+   * @param {Array<Object>} tags - Normalized tags [{ name, key }]
+   */
+  async addTagsMany(ids, tags, updatedAt) {
+    const idList = JSON.stringify(ids);
+    const tagList = JSON.stringify(tags);
+    await this.db.batch([
+      this.db.prepare(tagQueries.upsert).bind(updatedAt, tagList),
+      this.db.prepare(postBulkQueries.insertTags).bind(tagList, idList),
+      this.db.prepare(postBulkQueries.touch).bind(updatedAt, idList),
+      this.db.prepare(tagCountQueries.recountByKeys).bind(tagList),
+    ]);
+  }
+
+  /**
+   * Unlink tags from several posts
+   * @param {Array<Object>} tags - Normalized tags [{ name, key }]
+   */
+  async removeTagsMany(ids, tags, updatedAt) {
+    const idList = JSON.stringify(ids);
+    const tagList = JSON.stringify(tags);
+    await this.db.batch([
+      this.db.prepare(postBulkQueries.deleteTags).bind(idList, tagList),
+      this.db.prepare(postBulkQueries.touch).bind(updatedAt, idList),
+      this.db.prepare(tagCountQueries.recountByKeys).bind(tagList),
+    ]);
+  }
+
+  async findDeleted() {
+    const result = await this.db.prepare(postTrashQueries.selectDeleted).all();
+    return result.results;
+  }
+
+  async findDeletedById(id) {
+    return await this.db
+      .prepare(postTrashQueries.selectDeletedById)
+      .bind(id)
+      .first();
+  }
+
+  async findDeletedBefore(cutoff) {
+    const result = await this.db
+      .prepare(postTrashQueries.selectDeletedBefore)
+      .bind(cutoff)
+      .all();
+
+    return result.results;
+  }
+
+  async restore(id, updatedAt) {
+    await this.db.batch([
+      this.db.prepare(postTrashQueries.restore).bind(updatedAt, id),
+      this.db.prepare(tagCountQueries.recountByPostId).bind(id),
+    ]);
+  }
+
+  /**
+   * Permanently delete a trashed post with its tag links, revisions, comments
+   * and slug history
+   */
+  async purge(id) {
+    await this.db.batch([
+      this.db.prepare(postTrashQueries.purgeTags).bind(id),
+      this.db.prepare(postTrashQueries.purgeRevisions).bind(id),
+      this.db.prepare(postTrashQueries.purgeComments).bind(id),
+      this.db.prepare(postTrashQueries.purgeSlugHistory).bind(id),
+      this.db.prepare(postTrashQueries.purge).bind(id),
+    ]);
+  }
+
+  /**
+   * Remove post_tags rows whose post no longer exists
+   * @returns {Promise<number>} Number of removed rows
+   */
+  async deleteOrphanedTags() {
+    const result = await this.db
+      .prepare(postTrashQueries.deleteOrphanedTags)
       .run();
 
-    return result.meta.last_row_id;
+    return result.meta.changes;
   }
 
-  async deletePostTags(postId) {
-    await this.db.prepare(postTagQueries.deleteByPostId).bind(postId).run();
+  async getTagsByPostId(postId) {
+    const result = await this.db
+      .prepare(postTagQueries.selectTagsByPostId)
+      .bind(postId)
+      .all();
+
+    return result.results.map((t) => t.name);
   }
 
-  async createPostTag(postId, tagId) {
-    await this.db.prepare(postTagQueries.insert).bind(postId, tagId).run();
+  /**
+   * Get tag names for several posts in one query
+   * @returns {Promise<Map<number, Array<string>>>} Tag names keyed by post ID
+   */
+  async getTagsByPostIds(postIds) {
+    const tagsByPostId = new Map(postIds.map((id) => [id, []]));
+    if (postIds.length === 0) {
+      return tagsByPostId;
+    }
+
+    const placeholders = postIds.map(() => "?").join(", ");
+    const result = await this.db
+      .prepare(`${postTagQueries.selectTagsByPostIds} (${placeholders})`)
+      .bind(...postIds)
+      .all();
+
+    for (const row of result.results) {
+      tagsByPostId.get(row.post_id).push(row.name);
+    }
+
+    return tagsByPostId;
   }
 }
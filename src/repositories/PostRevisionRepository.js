@@ -0,0 +1,66 @@
+/**
+ * Post Revision Repository
+ * Data access layer for post revision snapshots
+ */
+
+import { postRevisionQueries } from "../sql/index.js";
+
+export class PostRevisionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(postId, snapshot) {
+    const {
+      slug,
+      title,
+      content,
+      summary,
+      state,
+      tags,
+      restoredFrom,
+      createdAt,
+    } = snapshot;
+
+    const result = await this.db
+      .prepare(postRevisionQueries.insert)
+      .bind(
+        postId,
+        slug,
+        title,
+        content,
+        summary,
+        state,
+        tags,
+        restoredFrom,
+        createdAt,
+        postId,
+      )
+      .first();
+
+    return result.revision;
+  }
+
+  async findByPostId(postId) {
+    const result = await this.db
+      .prepare(postRevisionQueries.selectByPostId)
+      .bind(postId)
+      .all();
+
+    return result.results;
+  }
+
+  async findByRevision(postId, revision) {
+    return await this.db
+      .prepare(postRevisionQueries.selectByRevision)
+      .bind(postId, revision)
+      .first();
+  }
+
+  async prune(postId, keep) {
+    await this.db
+      .prepare(postRevisionQueries.deleteOlderThanLatest)
+      .bind(postId, postId, keep)
+      .run();
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Post Slug History Repository
+ * Data access layer for previous post slugs
+ */
+
+import { postSlugHistoryQueries } from "../sql/index.js";
+
+export class PostSlugHistoryRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async record(postId, slug, createdAt) {
+    await this.db
+      .prepare(postSlugHistoryQueries.upsert)
+      .bind(slug, postId, createdAt)
+      .run();
+  }
+
+  async findBySlug(slug) {
+    return await this.db
+      .prepare(postSlugHistoryQueries.selectBySlug)
+      .bind(slug)
+      .first();
+  }
+
+  async findByPostId(postId) {
+    const result = await this.db
+      .prepare(postSlugHistoryQueries.selectByPostId)
+      .bind(postId)
+      .all();
+
+    return result.results;
+  }
+
+  /**
+   * Drop a slug from a post's history (the post uses it again)
+   */
+  async release(postId, slug) {
+    await this.db
+      .prepare(postSlugHistoryQueries.deleteBySlug)
+      .bind(postId, slug)
+      .run();
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Series Repository
+ * Data access layer for series and the ordered posts in them
+ */
+
+import { seriesQueries, seriesPostQueries } from "../sql/index.js";
+
+export class SeriesRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findAll() {
+    const result = await this.db.prepare(seriesQueries.selectAll).all();
+    return result.results;
+  }
+
+  async findById(id) {
+    return await this.db.prepare(seriesQueries.selectById).bind(id).first();
+  }
+
+  async findBySlug(slug) {
+    return await this.db.prepare(seriesQueries.selectBySlug).bind(slug).first();
+  }
+
+  /**
+   * Find series slugs equal to base or starting with "base-"
+   * @returns {Promise<Array<string>>} Matching slugs
+   */
+  async findSlugsWithBase(base) {
+    const result = await this.db
+      .prepare(seriesQueries.selectSlugsLike)
+      .bind(base, `${base}-%`)
+      .all();
+
+    return result.results.map((row) => row.slug);
+  }
+
+  async create(seriesData) {
+    const { title, slug, description = null, createdAt } = seriesData;
+
+    const result = await this.db
+      .prepare(seriesQueries.insert)
+      .bind(title, slug, description, createdAt, createdAt)
+      .run();
+
+    return result.meta.last_row_id;
+  }
+
+  async update(id, seriesData) {
+    const { title, slug, description = null, updatedAt } = seriesData;
+
+    await this.db
+      .prepare(seriesQueries.update)
+      .bind(title, slug, description, updatedAt, id)
+      .run();
+  }
+
+  /**
+   * Delete a series; its posts (trashed ones included) leave the series
+   */
+  async delete(id) {
+    await this.db.batch([
+      this.db.prepare(seriesQueries.detachAll).bind(id),
+      this.db.prepare(seriesQueries.delete).bind(id),
+    ]);
+  }
+
+  /**
+   * Posts of a series outside the trash, in series order
+   */
+  async findPosts(seriesId) {
+    const result = await this.db
+      .prepare(seriesPostQueries.selectBySeriesId)
+      .bind(seriesId)
+      .all();
+
+    return result.results;
+  }
+
+  /**
+   * Posts right before and after a position
+   * @returns {Promise<Object>} { prev, next } rows or null
+   */
+  async findNeighbors(seriesId, position) {
+    const result = await this.db
+      .prepare(seriesPostQueries.selectNeighbors)
+      .bind(seriesId, position - 1, position + 1)
+      .all();
+
+    const find = (target) =>
+      result.results.find((row) => row.series_position === target) ?? null;
+
+    return { prev: find(position - 1), next: find(position + 1) };
+  }
+
+  /**
+   * Set positions 1..n in the order of the given post IDs
+   */
+  async reorder(seriesId, postIds) {
+    await this.db
+      .prepare(seriesPostQueries.reorder)
+      .bind(JSON.stringify(postIds), seriesId)
+      .run();
+  }
+
+  /**
+   * Put a post at a position of a series in one batch: the post leaves its
+   * current series (gap closed) and later posts of the target move down
+   */
+  async assignPost(postId, seriesId, position) {
+    const idList = JSON.stringify([postId]);
+    await this.db.batch([
+      this.db.prepare(seriesPostQueries.clearPositions).bind(idList),
+      this.db.prepare(seriesPostQueries.compactByPostIds).bind(idList),
+      this.db.prepare(seriesPostQueries.shift).bind(seriesId, position),
+      this.db
+        .prepare(seriesPostQueries.assign)
+        .bind(seriesId, position, postId),
+    ]);
+  }
+
+  /**
+   * Append several posts to the end of a series, in the given order
+   */
+  async appendPosts(postIds, seriesId) {
+    const idList = JSON.stringify(postIds);
+    await this.db.batch([
+      this.db.prepare(seriesPostQueries.clearPositions).bind(idList),
+      this.db.prepare(seriesPostQueries.compactByPostIds).bind(idList),
+      this.db
+        .prepare(seriesPostQueries.appendMany)
+        .bind(seriesId, idList, seriesId),
+    ]);
+  }
+
+  /**
+   * Take posts out of their series and close the gaps they leave
+   */
+  async detachPosts(postIds) {
+    const idList = JSON.stringify(postIds);
+    await this.db.batch([
+      this.db.prepare(seriesPostQueries.clearPositions).bind(idList),
+      this.db.prepare(seriesPostQueries.compactByPostIds).bind(idList),
+      this.db.prepare(seriesPostQueries.detachMany).bind(idList),
+    ]);
+  }
+}
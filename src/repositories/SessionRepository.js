@@ -0,0 +1,118 @@
+/**
+ * Session Repository
+ * Data access layer for login sessions, refresh tokens and revoked tokens
+ */
+
+import {
+  sessionQueries,
+  refreshTokenQueries,
+  revokedTokenQueries,
+} from "../sql/index.js";
+
+export class SessionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async createSession(sessionData) {
+    const {
+      id,
+      userId,
+      device,
+      accessJti,
+      accessExpiresAt,
+      createdAt,
+      expiresAt,
+      absoluteExpiresAt,
+    } = sessionData;
+
+    await this.db
+      .prepare(sessionQueries.insert)
+      .bind(
+        id,
+        userId,
+        device,
+        accessJti,
+        accessExpiresAt,
+        createdAt,
+        createdAt,
+        expiresAt,
+        absoluteExpiresAt,
+      )
+      .run();
+  }
+
+  async findSessionById(id) {
+    return await this.db.prepare(sessionQueries.selectById).bind(id).first();
+  }
+
+  async findActiveSessionsByUserId(userId, now) {
+    const result = await this.db
+      .prepare(sessionQueries.selectActiveByUserId)
+      .bind(userId, now)
+      .all();
+
+    return result.results;
+  }
+
+  async updateSessionAccessToken(id, sessionData) {
+    const { accessJti, accessExpiresAt, lastUsedAt, expiresAt } = sessionData;
+
+    await this.db
+      .prepare(sessionQueries.updateAccessToken)
+      .bind(accessJti, accessExpiresAt, lastUsedAt, expiresAt, id)
+      .run();
+  }
+
+  async revokeSession(id, revokedAt) {
+    const result = await this.db
+      .prepare(sessionQueries.revoke)
+      .bind(revokedAt, id)
+      .run();
+
+    return result.meta.changes > 0;
+  }
+
+  async createRefreshToken(tokenHash, sessionId, createdAt, expiresAt) {
+    await this.db
+      .prepare(refreshTokenQueries.insert)
+      .bind(tokenHash, sessionId, createdAt, expiresAt)
+      .run();
+  }
+
+  async findRefreshToken(tokenHash) {
+    return await this.db
+      .prepare(refreshTokenQueries.selectByHash)
+      .bind(tokenHash)
+      .first();
+  }
+
+  async markRefreshTokenUsed(tokenHash, usedAt) {
+    const result = await this.db
+      .prepare(refreshTokenQueries.markUsed)
+      .bind(usedAt, tokenHash)
+      .run();
+
+    return result.meta.changes > 0;
+  }
+
+  async isTokenRevoked(jti) {
+    const row = await this.db
+      .prepare(revokedTokenQueries.selectByJti)
+      .bind(jti)
+      .first();
+
+    return row !== null;
+  }
+
+  async revokeToken(jti, expiresAt, revokedAt) {
+    await this.db
+      .prepare(revokedTokenQueries.insert)
+      .bind(jti, expiresAt, revokedAt)
+      .run();
+  }
+
+  async deleteExpiredRevokedTokens(now) {
+    await this.db.prepare(revokedTokenQueries.deleteExpired).bind(now).run();
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Tag Repository
+ * Data access layer for tag management and tag aliases
+ */
+
+import {
+  tagManagementQueries,
+  tagCountQueries,
+  tagAliasQueries,
+} from "../sql/index.js";
+
+export class TagRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findAll() {
+    const result = await this.db.prepare(tagManagementQueries.selectAll).all();
+    return result.results;
+  }
+
+  async findById(id) {
+    return await this.db
+      .prepare(tagManagementQueries.selectById)
+      .bind(id)
+      .first();
+  }
+
+  async findByKey(key) {
+    return await this.db
+      .prepare(tagManagementQueries.selectByKey)
+      .bind(key)
+      .first();
+  }
+
+  async rename(id, name, key) {
+    await this.db
+      .prepare(tagManagementQueries.rename)
+      .bind(name, key, id)
+      .run();
+  }
+
+  async findAllKeys() {
+    const result = await this.db.prepare(tagManagementQueries.selectKeys).all();
+    return result.results;
+  }
+
+  /**
+   * Store new names and keys for several tags in one batch
+   * @param {Array<Object>} tags - [{ id, name, key }]; keys must not collide
+   */
+  async rekey(tags) {
+    const tagList = JSON.stringify(tags);
+    await this.db.batch([
+      this.db.prepare(tagManagementQueries.releaseKeys).bind(tagList),
+      this.db.prepare(tagManagementQueries.rekey).bind(tagList),
+    ]);
+  }
+
+  /**
+   * Whether the rekey scheduled by migration 0018 has not run yet
+   */
+  async isRekeyPending() {
+    const row = await this.db
+      .prepare(tagManagementQueries.selectRekeyPending)
+      .first();
+    return row !== null;
+  }
+
+  async clearRekeyPending() {
+    await this.db.prepare(tagManagementQueries.clearRekeyPending).run();
+  }
+
+  /**
+   * Move every post and alias of the source tag to the target tag and delete the source
+   */
+  async merge(sourceId, targetId) {
+    await this.db.batch([
+      this.db
+        .prepare(tagManagementQueries.repointPostTags)
+        .bind(targetId, sourceId),
+      this.db.prepare(tagManagementQueries.deletePostTags).bind(sourceId),
+      this.db
+        .prepare(tagManagementQueries.repointAliases)
+        .bind(targetId, sourceId),
+      this.db.prepare(tagManagementQueries.delete).bind(sourceId),
+      this.db.prepare(tagCountQueries.recountById).bind(targetId),
+    ]);
+  }
+
+  /**
+   * @returns {Promise<boolean>} False if the tag is still linked to a post
+   */
+  async deleteIfUnused(id) {
+    const [result] = await this.db.batch([
+      this.db.prepare(tagManagementQueries.deleteIfUnused).bind(id),
+      this.db.prepare(tagAliasQueries.deleteOrphaned),
+    ]);
+
+    return result.meta.changes > 0;
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Deleted tags { id, name }
+   */
+  async deleteUnused() {
+    const [result] = await this.db.batch([
+      this.db.prepare(tagManagementQueries.deleteUnused),
+      this.db.prepare(tagAliasQueries.deleteOrphaned),
+    ]);
+
+    return result.results;
+  }
+
+  /**
+   * Recompute post_count for every tag
+   * @returns {Promise<number>} Number of tags whose count was wrong
+   */
+  async recountAll() {
+    const result = await this.db.prepare(tagCountQueries.recountAll).run();
+    return result.meta.changes;
+  }
+
+  async findAliases() {
+    const result = await this.db.prepare(tagAliasQueries.selectAll).all();
+    return result.results;
+  }
+
+  async findAliasById(id) {
+    return await this.db.prepare(tagAliasQueries.selectById).bind(id).first();
+  }
+
+  async findAliasByKey(key) {
+    return await this.db.prepare(tagAliasQueries.selectByKey).bind(key).first();
+  }
+
+  /**
+   * Find the target tags of aliases among the given keys
+   * @param {Array<string>} keys - Tag keys
+   * @returns {Promise<Map<string, Object>>} { name, key } of the target tag keyed by alias key
+   */
+  async findAliasTargets(keys) {
+    const targets = new Map();
+    if (keys.length === 0) {
+      return targets;
+    }
+
+    const result = await this.db
+      .prepare(tagAliasQueries.selectTargetsByKeys)
+      .bind(JSON.stringify(keys))
+      .all();
+
+    for (const row of result.results) {
+      targets.set(row.alias_key, { name: row.name, key: row.name_key });
+    }
+
+    return targets;
+  }
+
+  async createAlias(alias, aliasKey, tagId, createdAt) {
+    const result = await this.db
+      .prepare(tagAliasQueries.insert)
+      .bind(alias, aliasKey, tagId, createdAt)
+      .run();
+
+    return result.meta.last_row_id;
+  }
+
+  async deleteAlias(id) {
+    const result = await this.db.prepare(tagAliasQueries.delete).bind(id).run();
+
+    return result.meta.changes > 0;
+  }
+}
@@ -5,3 +5,12 @@
 export { PostRepository } from "./PostRepository.js";
 export { CommentRepository } from "./CommentRepository.js";
 export { AuthRepository } from "./AuthRepository.js";
+export { SessionRepository } from "./SessionRepository.js";
+export { LoginAttemptRepository } from "./LoginAttemptRepository.js";
+export { MfaRepository } from "./MfaRepository.js";
+export { ApiKeyRepository } from "./ApiKeyRepository.js";
+export { PasskeyRepository } from "./PasskeyRepository.js";
+export { PostRevisionRepository } from "./PostRevisionRepository.js";
+export { PostSlugHistoryRepository } from "./PostSlugHistoryRepository.js";
+export { TagRepository } from "./TagRepository.js";
+export { SeriesRepository } from "./SeriesRepository.js";
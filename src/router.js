@@ -5,30 +5,456 @@
 
 import { errorResponse } from "./utils/response.js";
 import { toAPIError } from "./utils/errors.js";
-import { handleLogin, handleSessionValidation } from "./handlers/auth.js";
 import {
+  handleLogin,
+  handleLoginMfa,
+  handlePasskeyLoginOptions,
+  handlePasskeyLogin,
+  handleSessionValidation,
+  handleRefreshToken,
+  handleLogout,
+  handleListSessions,
+  handleRevokeSession,
+  handleListLockouts,
+  handleClearLockout,
+  handleJwks,
+} from "./handlers/auth.js";
+import {
+  handleListPosts,
+  handleListScheduledPosts,
+  handleGetPost,
   handleCreatePost,
   handleUpdatePost,
+  handlePatchPost,
   handleDeletePost,
+  handleBulkPosts,
 } from "./handlers/posts.js";
+import {
+  handleListRevisions,
+  handleGetRevision,
+  handleDiffRevisions,
+  handleRestoreRevision,
+} from "./handlers/postRevisions.js";
+import {
+  handleListTrash,
+  handleRestorePost,
+  handlePurgePost,
+  handleRestoreComment,
+  handlePurgeComment,
+} from "./handlers/trash.js";
+import {
+  handleSuggestSlug,
+  handleResolveSlug,
+  handleListSlugHistory,
+} from "./handlers/slugs.js";
+import { handleRenderPreview } from "./handlers/render.js";
+import { handleExportPosts, handleImportPosts } from "./handlers/transfer.js";
+import {
+  handleListTags,
+  handleRenameTag,
+  handleMergeTags,
+  handleDeleteTag,
+  handleDeleteUnusedTags,
+  handleRecountTags,
+  handleRekeyTags,
+  handleListTagAliases,
+  handleCreateTagAlias,
+  handleDeleteTagAlias,
+} from "./handlers/tags.js";
+import {
+  handleListSeries,
+  handleCreateSeries,
+  handleGetSeries,
+  handleUpdateSeries,
+  handleDeleteSeries,
+  handleReorderSeries,
+  handleAddSeriesPost,
+  handleRemoveSeriesPost,
+} from "./handlers/series.js";
 import { handleImageUpload } from "./handlers/images.js";
 import { handleDeleteComment } from "./handlers/comments.js";
+import {
+  handleListUsers,
+  handleGetUser,
+  handleCreateUser,
+  handleUpdateUser,
+  handleDeleteUser,
+} from "./handlers/users.js";
+import {
+  handleGetMfaStatus,
+  handleSetupTotp,
+  handleConfirmTotp,
+  handleDisableTotp,
+} from "./handlers/mfa.js";
+import {
+  handleListApiKeys,
+  handleCreateApiKey,
+  handleRevokeApiKey,
+} from "./handlers/apiKeys.js";
+import {
+  handleListPasskeys,
+  handlePasskeyRegistrationOptions,
+  handleRegisterPasskey,
+  handleDeletePasskey,
+} from "./handlers/passkeys.js";
+import { authenticate, AuthLevel, requireScope } from "./auth/middleware.js";
+import { Scope } from "./auth/permissions.js";
 
 /**
  * Route configuration
  * Pattern format: "METHOD /path/pattern"
  * Path parameters: :paramName
+ * Auth: AuthLevel.PUBLIC, AuthLevel.TOKEN, or requireScope(scope)
  */
 const routes = [
-  { pattern: "POST /login", handler: handleLogin },
-  { pattern: "GET /session", handler: handleSessionValidation },
-  { pattern: "POST /admin/posts", handler: handleCreatePost },
-  { pattern: "PUT /admin/posts/:postId", handler: handleUpdatePost },
-  { pattern: "DELETE /admin/posts/:postId", handler: handleDeletePost },
-  { pattern: "POST /admin/images", handler: handleImageUpload },
+  { pattern: "POST /login", handler: handleLogin, auth: AuthLevel.PUBLIC },
+  {
+    pattern: "POST /login/mfa",
+    handler: handleLoginMfa,
+    auth: AuthLevel.PUBLIC,
+  },
+  {
+    pattern: "POST /login/passkey/options",
+    handler: handlePasskeyLoginOptions,
+    auth: AuthLevel.PUBLIC,
+  },
+  {
+    pattern: "POST /login/passkey/verify",
+    handler: handlePasskeyLogin,
+    auth: AuthLevel.PUBLIC,
+  },
+  {
+    pattern: "GET /session",
+    handler: handleSessionValidation,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "GET /.well-known/jwks.json",
+    handler: handleJwks,
+    auth: AuthLevel.PUBLIC,
+  },
+  {
+    pattern: "POST /token/refresh",
+    handler: handleRefreshToken,
+    auth: AuthLevel.PUBLIC,
+  },
+  { pattern: "POST /logout", handler: handleLogout, auth: AuthLevel.TOKEN },
+  {
+    pattern: "GET /admin/sessions",
+    handler: handleListSessions,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "DELETE /admin/sessions/:sessionId",
+    handler: handleRevokeSession,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "GET /admin/mfa",
+    handler: handleGetMfaStatus,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "POST /admin/mfa/totp",
+    handler: handleSetupTotp,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "POST /admin/mfa/totp/verify",
+    handler: handleConfirmTotp,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "DELETE /admin/mfa/totp",
+    handler: handleDisableTotp,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "GET /admin/api-keys",
+    handler: handleListApiKeys,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "POST /admin/api-keys",
+    handler: handleCreateApiKey,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "DELETE /admin/api-keys/:keyId",
+    handler: handleRevokeApiKey,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "GET /admin/passkeys",
+    handler: handleListPasskeys,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "POST /admin/passkeys/register/options",
+    handler: handlePasskeyRegistrationOptions,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "POST /admin/passkeys/register/verify",
+    handler: handleRegisterPasskey,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "DELETE /admin/passkeys/:credentialId",
+    handler: handleDeletePasskey,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "GET /admin/posts",
+    handler: handleListPosts,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/posts/scheduled",
+    handler: handleListScheduledPosts,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/posts/bulk",
+    handler: handleBulkPosts,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/posts/:postId",
+    handler: handleGetPost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/posts",
+    handler: handleCreatePost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "PUT /admin/posts/:postId",
+    handler: handleUpdatePost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "PATCH /admin/posts/:postId",
+    handler: handlePatchPost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "DELETE /admin/posts/:postId",
+    handler: handleDeletePost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/posts/:postId/revisions",
+    handler: handleListRevisions,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/posts/:postId/revisions/diff",
+    handler: handleDiffRevisions,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/posts/:postId/revisions/:revision",
+    handler: handleGetRevision,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/posts/:postId/revisions/:revision/restore",
+    handler: handleRestoreRevision,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/posts/:postId/slugs",
+    handler: handleListSlugHistory,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/tags",
+    handler: handleListTags,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/tags/recount",
+    handler: handleRecountTags,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/tags/rekey",
+    handler: handleRekeyTags,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/tags/aliases",
+    handler: handleListTagAliases,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/tags/aliases",
+    handler: handleCreateTagAlias,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "DELETE /admin/tags/aliases/:aliasId",
+    handler: handleDeleteTagAlias,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "DELETE /admin/tags/unused",
+    handler: handleDeleteUnusedTags,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "PATCH /admin/tags/:tagId",
+    handler: handleRenameTag,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/tags/:tagId/merge",
+    handler: handleMergeTags,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "DELETE /admin/tags/:tagId",
+    handler: handleDeleteTag,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/series",
+    handler: handleListSeries,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/series",
+    handler: handleCreateSeries,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/series/:seriesId",
+    handler: handleGetSeries,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "PATCH /admin/series/:seriesId",
+    handler: handleUpdateSeries,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "DELETE /admin/series/:seriesId",
+    handler: handleDeleteSeries,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "PUT /admin/series/:seriesId/order",
+    handler: handleReorderSeries,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/series/:seriesId/posts",
+    handler: handleAddSeriesPost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "DELETE /admin/series/:seriesId/posts/:postId",
+    handler: handleRemoveSeriesPost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "GET /admin/slugs/suggest",
+    handler: handleSuggestSlug,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  // 공개 worker의 301 리다이렉트용: 유효한 토큰 또는 API 키면 충분
+  {
+    pattern: "GET /admin/slugs/resolve",
+    handler: handleResolveSlug,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "GET /admin/export",
+    handler: handleExportPosts,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/import",
+    handler: handleImportPosts,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/render",
+    handler: handleRenderPreview,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/images",
+    handler: handleImageUpload,
+    auth: requireScope(Scope.IMAGES_WRITE),
+  },
   {
     pattern: "DELETE /admin/comments/:commentId",
     handler: handleDeleteComment,
+    auth: requireScope(Scope.COMMENTS_DELETE),
+  },
+  // posts:write 또는 comments:delete 중 하나가 필요 (서비스에서 검사): 가진 scope의 항목만 반환
+  {
+    pattern: "GET /admin/trash",
+    handler: handleListTrash,
+    auth: AuthLevel.TOKEN,
+  },
+  {
+    pattern: "POST /admin/trash/posts/:postId/restore",
+    handler: handleRestorePost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "DELETE /admin/trash/posts/:postId",
+    handler: handlePurgePost,
+    auth: requireScope(Scope.POSTS_WRITE),
+  },
+  {
+    pattern: "POST /admin/trash/comments/:commentId/restore",
+    handler: handleRestoreComment,
+    auth: requireScope(Scope.COMMENTS_DELETE),
+  },
+  {
+    pattern: "DELETE /admin/trash/comments/:commentId",
+    handler: handlePurgeComment,
+    auth: requireScope(Scope.COMMENTS_DELETE),
+  },
+  {
+    pattern: "GET /admin/users",
+    handler: handleListUsers,
+    auth: requireScope(Scope.USERS_MANAGE),
+  },
+  {
+    pattern: "POST /admin/users",
+    handler: handleCreateUser,
+    auth: requireScope(Scope.USERS_MANAGE),
+  },
+  {
+    pattern: "GET /admin/users/:userId",
+    handler: handleGetUser,
+    auth: requireScope(Scope.USERS_MANAGE),
+  },
+  {
+    pattern: "PUT /admin/users/:userId",
+    handler: handleUpdateUser,
+    auth: requireScope(Scope.USERS_MANAGE),
+  },
+  {
+    pattern: "DELETE /admin/users/:userId",
+    handler: handleDeleteUser,
+    auth: requireScope(Scope.USERS_MANAGE),
+  },
+  {
+    pattern: "GET /admin/lockouts",
+    handler: handleListLockouts,
+    auth: requireScope(Scope.USERS_MANAGE),
+  },
+  {
+    pattern: "DELETE /admin/lockouts/:key",
+    handler: handleClearLockout,
+    auth: requireScope(Scope.USERS_MANAGE),
   },
 ];
 
@@ -67,7 +493,7 @@ function matchPattern(pattern, path) {
  * Find matching route for request
  * @param {string} method - HTTP method
  * @param {string} pathname - URL pathname
- * @returns {Object|null} Route match with handler and params
+ * @returns {Object|null} Route match with handler, auth and params
  */
 function findRoute(method, pathname) {
   for (const route of routes) {
@@ -81,6 +507,7 @@ function findRoute(method, pathname) {
     if (match) {
       return {
         handler: route.handler,
+        auth: route.auth,
         params: match.params,
       };
     }
@@ -94,11 +521,10 @@ function findRoute(method, pathname) {
  * @param {Request} request - Request object
  * @param {Object} env - Environment bindings
  * @param {Object} ctx - Execution context
- * @param {Object} user - Authenticated user (if applicable)
  * @param {Logger} logger - Logger instance with request context
  * @returns {Promise<Response>} Response object
  */
-export async function router(request, env, ctx, user = null, logger = null) {
+export async function router(request, env, ctx, logger = null) {
   try {
     const url = new URL(request.url);
     const { pathname } = url;
@@ -121,6 +547,18 @@ export async function router(request, env, ctx, user = null, logger = null) {
       routeLogger.debug("Route matched", { params: match.params });
     }
 
+    const authResult = await authenticate(request, env, match.auth);
+    if (authResult instanceof Response) {
+      if (routeLogger) {
+        routeLogger.warn("Authentication failed", {
+          status: authResult.status,
+        });
+      }
+      return authResult;
+    }
+
+    const user = authResult.user;
+
     const handlerStartTime = Date.now();
     const response = await match.handler(
       request,
@@ -156,15 +594,16 @@ export async function router(request, env, ctx, user = null, logger = null) {
  * Register a route
  * @param {string} pattern - Route pattern (e.g., "GET /posts/:id")
  * @param {Function} handler - Route handler function
+ * @param {string|Object} auth - Auth metadata (defaults to token required)
  */
-export function registerRoute(pattern, handler) {
-  routes.push({ pattern, handler });
+export function registerRoute(pattern, handler, auth = AuthLevel.TOKEN) {
+  routes.push({ pattern, handler, auth });
 }
 
 /**
  * Get all registered routes (for debugging)
- * @returns {Array} Array of routes
+ * @returns {Array} Array of routes with their auth metadata
  */
 export function getRoutes() {
-  return routes.map((r) => r.pattern);
+  return routes.map((r) => ({ pattern: r.pattern, auth: r.auth }));
 }
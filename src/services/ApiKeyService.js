@@ -0,0 +1,158 @@
+/**
+ * API Key Service
+ * Business logic for long-lived scoped API keys (CI, automation)
+ *
+ * 키 원문은 생성 시 한 번만 반환하고 D1에는 SHA-256 해시만 저장
+ * 실제 권한 = 키 scopes ∩ 발급한 계정의 현재 role scopes
+ */
+
+import { ApiKeyRepository } from "../repositories/index.js";
+import { generateRandomToken, hashToken } from "../auth/validators.js";
+import { Scope, hasScope, scopesForRole } from "../auth/permissions.js";
+import { validateApiKeyRequest } from "../utils/validation.js";
+import { NotFoundError, ForbiddenError } from "../utils/errors.js";
+
+export const API_KEY_PREFIX = "ak_";
+
+const API_KEY_SCOPES = [
+  Scope.POSTS_WRITE,
+  Scope.IMAGES_WRITE,
+  Scope.COMMENTS_DELETE,
+];
+
+export class ApiKeyService {
+  constructor(db) {
+    this.repository = new ApiKeyRepository(db);
+  }
+
+  /**
+   * Resolve an API key to a token-like payload for the router
+   * @throws {Error} If the key is unknown, revoked or expired
+   */
+  async authenticate(rawKey) {
+    const key = await this.repository.findByHash(await hashToken(rawKey));
+
+    if (!key || key.revoked_at) {
+      throw new Error("Invalid API key");
+    }
+
+    const now = new Date().toISOString();
+    if (key.expires_at && key.expires_at <= now) {
+      throw new Error("API key expired");
+    }
+
+    await this.repository.updateLastUsed(key.id, now);
+
+    const roleScopes = scopesForRole(key.role);
+    const scopes = key.scopes
+      .split(" ")
+      .filter((scope) => roleScopes.includes(scope));
+
+    return {
+      userId: key.user_id,
+      role: key.role,
+      scope: scopes.join(" "),
+      apiKeyId: key.id,
+      expiresAt: key.expires_at,
+    };
+  }
+
+  async createKey(user, keyData, logger) {
+    this.assertNotApiKey(user);
+    validateApiKeyRequest(keyData, API_KEY_SCOPES);
+
+    const { name, scopes, expiresAt = null } = keyData;
+
+    const missingScopes = scopes.filter((scope) => !hasScope(user, scope));
+    if (missingScopes.length > 0) {
+      throw new ForbiddenError(
+        `Cannot grant scopes you do not hold: ${missingScopes.join(", ")}`,
+      );
+    }
+
+    const id = crypto.randomUUID();
+    const key = `${API_KEY_PREFIX}${generateRandomToken()}`;
+    const prefix = key.slice(0, API_KEY_PREFIX.length + 8);
+    const createdAt = new Date().toISOString();
+    const normalizedExpiry = expiresAt
+      ? new Date(expiresAt).toISOString()
+      : null;
+    const uniqueScopes = [...new Set(scopes)];
+
+    await this.repository.create({
+      id,
+      userId: user.userId,
+      name: name.trim(),
+      prefix,
+      keyHash: await hashToken(key),
+      scopes: uniqueScopes.join(" "),
+      createdAt,
+      expiresAt: normalizedExpiry,
+    });
+
+    if (logger) {
+      logger.info("API key created", {
+        apiKeyId: id,
+        userId: user.userId,
+        scopes: uniqueScopes,
+      });
+    }
+
+    return {
+      id,
+      name: name.trim(),
+      prefix,
+      scopes: uniqueScopes,
+      createdAt,
+      expiresAt: normalizedExpiry,
+      key,
+    };
+  }
+
+  async listKeys(user) {
+    this.assertNotApiKey(user);
+
+    const keys = hasScope(user, Scope.USERS_MANAGE)
+      ? await this.repository.findAll()
+      : await this.repository.findByUserId(user.userId);
+
+    return keys.map((key) => ({
+      id: key.id,
+      name: key.name,
+      prefix: key.prefix,
+      scopes: key.scopes.split(" "),
+      userId: key.user_id,
+      username: key.username,
+      createdAt: key.created_at,
+      expiresAt: key.expires_at,
+      lastUsedAt: key.last_used_at,
+      revokedAt: key.revoked_at,
+    }));
+  }
+
+  async revokeKey(user, keyId, logger) {
+    this.assertNotApiKey(user);
+
+    const key = await this.repository.findById(keyId);
+    if (
+      !key ||
+      (key.user_id !== user.userId && !hasScope(user, Scope.USERS_MANAGE))
+    ) {
+      throw new NotFoundError("API key not found");
+    }
+
+    await this.repository.revoke(keyId, new Date().toISOString());
+
+    if (logger) {
+      logger.info("API key revoked", { apiKeyId: keyId, userId: user.userId });
+    }
+
+    return { revoked: true, id: keyId };
+  }
+
+  assertNotApiKey(user) {
+    if (user.apiKeyId) {
+      throw new ForbiddenError("API keys cannot manage API keys");
+    }
+  }
+}
@@ -2,21 +2,50 @@
  * Auth Service
  * Business logic for authentication
  *
- * NOTE: DB 없이 단일 Admin 계정 운용
- * ADMIN_USERNAME, ADMIN_PASSWORD 환경 변수 사용
+ * NOTE: Admin 계정은 D1 users 테이블에서 관리 (role: owner, editor, moderator)
+ * owner가 없을 때만 ADMIN_USERNAME, ADMIN_PASSWORD 환경 변수로 최초 owner 생성
+ * 세션/Refresh 토큰은 D1에 저장
  */
 
-import { generateJWT, createPayload } from "../auth/validators.js";
+import {
+  generateJWT,
+  validateJWT,
+  createPayload,
+  generateRandomToken,
+  hashToken,
+} from "../auth/validators.js";
+import { loadKeyring } from "../auth/keyring.js";
+import { Role, scopesForRole } from "../auth/permissions.js";
+import {
+  hashPassword,
+  verifyPassword,
+  isLegacyHash,
+  DUMMY_PASSWORD_HASH,
+} from "../auth/password.js";
+import { SessionRepository, AuthRepository } from "../repositories/index.js";
+import { LoginThrottleService } from "./LoginThrottleService.js";
+import { MfaService } from "./MfaService.js";
 import { validateLoginRequest } from "../utils/validation.js";
-import { ValidationError, UnauthorizedError } from "../utils/errors.js";
+import {
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+} from "../utils/errors.js";
+
+const DEFAULT_REFRESH_EXPIRY = 30 * 24 * 60 * 60;
+const DEFAULT_SESSION_MAX_AGE = 90 * 24 * 60 * 60;
+const MFA_TOKEN_EXPIRY = 5 * 60;
+const MFA_TOKEN_PURPOSE = "mfa";
 
 export class AuthService {
   constructor(db) {
-    // DB는 사용하지 않지만 호환성을 위해 유지
-    this.db = db;
+    this.repository = new AuthRepository(db);
+    this.sessionRepository = new SessionRepository(db);
+    this.loginThrottle = new LoginThrottleService(db);
+    this.mfaService = new MfaService(db);
   }
 
-  async login(credentials, env, logger) {
+  async login(credentials, env, client, logger) {
     const validation = validateLoginRequest(credentials);
 
     if (!validation.valid) {
@@ -27,37 +56,492 @@ export class AuthService {
     }
 
     const { username, password } = credentials;
+    const ip = client?.ip || null;
+
+    await this.loginThrottle.assertNotLocked(ip, username, logger);
+
+    let user;
+    try {
+      user = await this.verifyCredentials(username, password, env, logger);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        await this.loginThrottle.recordFailure(ip, username, logger);
+      }
+      throw err;
+    }
+
+    // 비밀번호만 맞은 단계에서는 실패 횟수를 유지: 초기화하면 TOTP 실패가
+    // 비밀번호 재로그인마다 지워져 2단계 인증을 무제한으로 시도할 수 있음
+    if (user.totp_enabled_at) {
+      return await this.issueMfaChallenge(user, env, logger);
+    }
+
+    const session = await this.startSession(user, env, client, logger);
+    await this.loginThrottle.clearFailures(ip, username);
+
+    return session;
+  }
+
+  async issueMfaChallenge(user, env, logger) {
+    const payload = {
+      ...createPayload(user.id, MFA_TOKEN_EXPIRY),
+      purpose: MFA_TOKEN_PURPOSE,
+    };
+    const mfaToken = await generateJWT(payload, loadKeyring(env));
+
+    if (logger) {
+      logger.info("Password verified, MFA required", { userId: user.id });
+    }
+
+    return {
+      mfaRequired: true,
+      mfaToken,
+      expiresIn: MFA_TOKEN_EXPIRY,
+    };
+  }
+
+  async loginMfa(body, env, client, logger) {
+    if (!body || typeof body.mfaToken !== "string" || !body.code) {
+      throw new ValidationError("Missing required fields: mfaToken, code");
+    }
+
+    let payload;
+    try {
+      payload = await validateJWT(body.mfaToken, loadKeyring(env), {
+        isRevoked: (jti) => this.sessionRepository.isTokenRevoked(jti),
+        purpose: MFA_TOKEN_PURPOSE,
+      });
+    } catch {
+      throw new UnauthorizedError("Invalid or expired MFA token");
+    }
+
+    if (payload.purpose !== MFA_TOKEN_PURPOSE) {
+      throw new UnauthorizedError("Invalid or expired MFA token");
+    }
+
+    const user = await this.repository.findUserById(payload.userId);
+    if (!user || !user.totp_enabled_at) {
+      throw new UnauthorizedError("Invalid or expired MFA token");
+    }
+
+    const ip = client?.ip || null;
+    await this.loginThrottle.assertNotLocked(ip, user.username, logger);
+
+    const verified = await this.mfaService.verifySecondFactor(
+      user,
+      String(body.code),
+    );
+    if (!verified) {
+      if (logger) {
+        logger.warn("Invalid MFA code attempted", { userId: user.id });
+      }
+      await this.loginThrottle.recordFailure(ip, user.username, logger);
+      throw new UnauthorizedError("Invalid verification code");
+    }
+
+    // MFA 토큰은 1회용
+    await this.sessionRepository.revokeToken(
+      payload.jti,
+      new Date(payload.exp * 1000).toISOString(),
+      new Date().toISOString(),
+    );
+
+    const session = await this.startSession(user, env, client, logger);
+    await this.loginThrottle.clearFailures(ip, user.username);
+
+    return session;
+  }
+
+  async verifyCredentials(username, password, env, logger) {
+    const user = await this.repository.findUserByUsername(username);
+
+    if (!user) {
+      const bootstrapUser = await this.bootstrapOwner(
+        username,
+        password,
+        env,
+        logger,
+      );
+      if (bootstrapUser) {
+        return bootstrapUser;
+      }
+
+      // 존재하지 않는 사용자도 같은 PBKDF2 비용을 치러 응답 시간으로 구분되지 않게 함
+      await verifyPassword(password, DUMMY_PASSWORD_HASH);
 
-    // DB 대신 환경 변수에서 직접 검증
-    if (username !== env.ADMIN_USERNAME) {
       if (logger) {
         logger.warn("Invalid credentials attempted", { username });
       }
       throw new UnauthorizedError("Invalid credentials");
     }
 
-    const hashedPassword = await this.hashPassword(password, env.PASSWORD_SALT);
-    if (hashedPassword !== env.ADMIN_PASSWORD) {
+    if (isLegacyHash(user.password) && logger) {
+      logger.warn("Legacy SHA-256 password hash stored for user", {
+        userId: user.id,
+      });
+    }
+
+    const { valid, needsRehash } = await verifyPassword(
+      password,
+      user.password,
+      env.PASSWORD_SALT,
+    );
+    if (!valid) {
       if (logger) {
         logger.warn("Invalid credentials attempted", { username });
       }
       throw new UnauthorizedError("Invalid credentials");
     }
 
-    // 단일 Admin 계정이므로 userId는 고정값 1 사용
-    const userId = 1;
-    const expirySeconds = parseInt(env.JWT_EXPIRY || "7200");
-    const payload = createPayload(userId, expirySeconds);
-    const token = await generateJWT(payload, env.JWT_SECRET);
+    // 검증에 성공한 평문 비밀번호로 최신 형식 해시로 교체
+    if (needsRehash) {
+      await this.repository.updatePassword(
+        user.id,
+        await hashPassword(password),
+        new Date().toISOString(),
+      );
+
+      if (logger) {
+        logger.info("Password hash upgraded", { userId: user.id });
+      }
+    }
+
+    return user;
+  }
+
+  async bootstrapOwner(username, password, env, logger) {
+    if (!env.ADMIN_USERNAME || username !== env.ADMIN_USERNAME) {
+      return null;
+    }
+
+    const ownerCount = await this.repository.countUsersByRole(Role.OWNER);
+    if (ownerCount > 0) {
+      return null;
+    }
+
+    if (isLegacyHash(env.ADMIN_PASSWORD || "") && logger) {
+      logger.warn(
+        "Legacy SHA-256 ADMIN_PASSWORD hash configured - regenerate it in pbkdf2-sha256 format with scripts/generate-secrets.cjs",
+      );
+    }
+
+    const { valid } = await verifyPassword(
+      password,
+      env.ADMIN_PASSWORD,
+      env.PASSWORD_SALT,
+    );
+    if (!valid) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const userId = await this.repository.createUser({
+      username,
+      password: await hashPassword(password),
+      role: Role.OWNER,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    if (logger) {
+      logger.warn("Bootstrap owner account created from environment", {
+        userId,
+        username,
+      });
+    }
+
+    return { id: userId, username, role: Role.OWNER };
+  }
+
+  async startSession(user, env, client, logger) {
+    const sessionId = crypto.randomUUID();
+    const now = new Date();
+
+    const { token, expiresIn, payload } = await this.issueAccessToken(
+      user,
+      sessionId,
+      env,
+    );
+    const absoluteExpiresAt = new Date(
+      now.getTime() + this.getSessionMaxAge(env) * 1000,
+    ).toISOString();
+    const refresh = this.getRefreshExpiry(env, now, absoluteExpiresAt);
+
+    await this.sessionRepository.createSession({
+      id: sessionId,
+      userId: user.id,
+      device: client?.device || null,
+      accessJti: payload.jti,
+      accessExpiresAt: new Date(payload.exp * 1000).toISOString(),
+      createdAt: now.toISOString(),
+      expiresAt: refresh.expiresAt,
+      absoluteExpiresAt,
+    });
+
+    const refreshToken = await this.issueRefreshToken(
+      sessionId,
+      now.toISOString(),
+      refresh.expiresAt,
+    );
+
+    if (logger) {
+      logger.info("Login successful", {
+        userId: user.id,
+        username: user.username,
+        role: user.role,
+        sessionId,
+      });
+    }
+
+    return {
+      token,
+      expiresIn,
+      refreshToken,
+      refreshExpiresIn: refresh.expiresIn,
+    };
+  }
+
+  async refresh(body, env, logger) {
+    if (!body || typeof body.refreshToken !== "string" || !body.refreshToken) {
+      throw new ValidationError("Missing required fields: refreshToken");
+    }
+
+    const tokenHash = await hashToken(body.refreshToken);
+    const record = await this.sessionRepository.findRefreshToken(tokenHash);
+
+    if (!record) {
+      if (logger) {
+        logger.warn("Unknown refresh token presented");
+      }
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const now = new Date();
+    const nowIso = now.toISOString();
+
+    if (
+      record.session_revoked_at ||
+      record.expires_at <= nowIso ||
+      (record.session_absolute_expires_at &&
+        record.session_absolute_expires_at <= nowIso)
+    ) {
+      throw new UnauthorizedError("Refresh token expired or revoked");
+    }
+
+    // Refresh 토큰은 1회용: 이미 사용된 토큰이 다시 오면 탈취로 간주하고 세션 폐기
+    const claimed = await this.sessionRepository.markRefreshTokenUsed(
+      tokenHash,
+      nowIso,
+    );
+    if (!claimed) {
+      if (logger) {
+        logger.warn("Refresh token reuse detected, revoking session", {
+          sessionId: record.session_id,
+        });
+      }
+      await this.revokeSessionById(record.session_id, nowIso);
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const user = await this.repository.findUserById(record.user_id);
+    if (!user) {
+      await this.revokeSessionById(record.session_id, nowIso);
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const { token, expiresIn, payload } = await this.issueAccessToken(
+      user,
+      record.session_id,
+      env,
+    );
+    // 갱신해도 세션은 absolute_expires_at을 넘지 않음
+    const refresh = this.getRefreshExpiry(
+      env,
+      now,
+      record.session_absolute_expires_at,
+    );
+
+    await this.sessionRepository.updateSessionAccessToken(record.session_id, {
+      accessJti: payload.jti,
+      accessExpiresAt: new Date(payload.exp * 1000).toISOString(),
+      lastUsedAt: nowIso,
+      expiresAt: refresh.expiresAt,
+    });
+
+    const refreshToken = await this.issueRefreshToken(
+      record.session_id,
+      nowIso,
+      refresh.expiresAt,
+    );
 
     if (logger) {
-      logger.info("Login successful", { userId, username });
+      logger.info("Token refreshed", {
+        userId: record.user_id,
+        sessionId: record.session_id,
+      });
     }
 
     return {
       token,
-      expiresIn: expirySeconds,
+      expiresIn,
+      refreshToken,
+      refreshExpiresIn: refresh.expiresIn,
+    };
+  }
+
+  async logout(user, logger) {
+    if (!user) {
+      throw new UnauthorizedError("Invalid or missing token");
+    }
+
+    const nowIso = new Date().toISOString();
+
+    if (user.sid) {
+      await this.sessionRepository.revokeSession(user.sid, nowIso);
+    }
+
+    if (user.jti) {
+      await this.sessionRepository.revokeToken(
+        user.jti,
+        new Date(user.exp * 1000).toISOString(),
+        nowIso,
+      );
+    }
+
+    await this.sessionRepository.deleteExpiredRevokedTokens(nowIso);
+
+    if (logger) {
+      logger.info("Logout successful", {
+        userId: user.userId,
+        sessionId: user.sid,
+      });
+    }
+
+    return { loggedOut: true };
+  }
+
+  async listSessions(user, logger) {
+    const sessions = await this.sessionRepository.findActiveSessionsByUserId(
+      user.userId,
+      new Date().toISOString(),
+    );
+
+    if (logger) {
+      logger.debug("Sessions listed", {
+        userId: user.userId,
+        count: sessions.length,
+      });
+    }
+
+    return sessions.map((session) => ({
+      id: session.id,
+      device: session.device,
+      current: session.id === user.sid,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.expires_at,
+    }));
+  }
+
+  async revokeSession(user, sessionId, logger) {
+    const session = await this.sessionRepository.findSessionById(sessionId);
+    if (!session || session.user_id !== user.userId) {
+      throw new NotFoundError("Session not found");
+    }
+
+    await this.revokeSessionById(sessionId, new Date().toISOString());
+
+    if (logger) {
+      logger.info("Session revoked", { userId: user.userId, sessionId });
+    }
+
+    return { revoked: true, id: sessionId };
+  }
+
+  async revokeSessionById(sessionId, revokedAt) {
+    const session = await this.sessionRepository.findSessionById(sessionId);
+    if (!session) {
+      return;
+    }
+
+    await this.sessionRepository.revokeSession(sessionId, revokedAt);
+
+    // 세션의 현재 Access 토큰도 만료 시점까지 denylist에 등록
+    if (session.access_jti && session.access_expires_at > revokedAt) {
+      await this.sessionRepository.revokeToken(
+        session.access_jti,
+        session.access_expires_at,
+        revokedAt,
+      );
+    }
+  }
+
+  async revokeUserSessions(userId) {
+    const revokedAt = new Date().toISOString();
+    const sessions = await this.sessionRepository.findActiveSessionsByUserId(
+      userId,
+      revokedAt,
+    );
+
+    for (const session of sessions) {
+      await this.revokeSessionById(session.id, revokedAt);
+    }
+
+    return sessions.length;
+  }
+
+  async issueAccessToken(user, sessionId, env) {
+    const expirySeconds = parseInt(env.JWT_EXPIRY || "7200");
+    const payload = {
+      ...createPayload(user.id, expirySeconds, scopesForRole(user.role)),
+      role: user.role,
+      sid: sessionId,
     };
+    const token = await generateJWT(payload, loadKeyring(env));
+
+    return { token, expiresIn: expirySeconds, payload };
+  }
+
+  async issueRefreshToken(sessionId, createdAt, expiresAt) {
+    const refreshToken = generateRandomToken();
+    const tokenHash = await hashToken(refreshToken);
+
+    await this.sessionRepository.createRefreshToken(
+      tokenHash,
+      sessionId,
+      createdAt,
+      expiresAt,
+    );
+
+    return refreshToken;
+  }
+
+  /**
+   * Refresh token expiry, capped at the session's absolute expiry
+   * @param {string|null} absoluteExpiresAt - Session absolute_expires_at
+   */
+  getRefreshExpiry(env, now, absoluteExpiresAt = null) {
+    let expiresIn = parseInt(
+      env.REFRESH_TOKEN_EXPIRY || String(DEFAULT_REFRESH_EXPIRY),
+    );
+    if (absoluteExpiresAt) {
+      expiresIn = Math.min(
+        expiresIn,
+        Math.floor((Date.parse(absoluteExpiresAt) - now.getTime()) / 1000),
+      );
+    }
+
+    return {
+      expiresIn,
+      expiresAt: new Date(now.getTime() + expiresIn * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Absolute session lifetime in seconds (SESSION_MAX_AGE)
+   */
+  getSessionMaxAge(env) {
+    return parseInt(env.SESSION_MAX_AGE || String(DEFAULT_SESSION_MAX_AGE));
   }
 
   async validateSession(user, logger) {
@@ -68,7 +552,11 @@ export class AuthService {
       throw new UnauthorizedError("Invalid or missing token");
     }
 
-    const expiresAt = new Date(user.exp * 1000).toISOString();
+    // API 키 주체에는 exp가 없음: 키 자체의 만료 시각 (없으면 null)
+    const expiresAt =
+      typeof user.exp === "number"
+        ? new Date(user.exp * 1000).toISOString()
+        : (user.expiresAt ?? null);
 
     if (logger) {
       logger.debug("Session validated", { userId: user.userId, expiresAt });
@@ -77,15 +565,8 @@ export class AuthService {
     return {
       valid: true,
       userId: user.userId,
+      role: user.role,
       expiresAt,
     };
   }
-
-  async hashPassword(password, salt) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password + salt);
-    const hashBuffer = await crypto.subtle.digest("SHA-256", data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
-  }
 }
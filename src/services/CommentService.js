@@ -21,12 +21,13 @@ export class CommentService {
       throw new NotFoundError("Comment not found");
     }
 
-    await this.repository.delete(commentId);
+    const deletedAt = new Date().toISOString();
+    await this.repository.softDelete(commentId, deletedAt);
 
     if (logger) {
-      logger.info("Comment deleted", { commentId });
+      logger.info("Comment moved to trash", { commentId });
     }
 
-    return { deleted: true, id: commentId };
+    return { deleted: true, id: commentId, deletedAt };
   }
 }
@@ -0,0 +1,120 @@
+/**
+ * Login Throttle Service
+ * Brute-force protection for POST /login
+ *
+ * 실패 횟수를 클라이언트 IP와 username 별로 D1에 누적
+ * MAX_FAILURES 이후부터 잠금 시간이 2배씩 증가 (지수 백오프)
+ */
+
+import { LoginAttemptRepository } from "../repositories/index.js";
+import { TooManyRequestsError, NotFoundError } from "../utils/errors.js";
+
+const MAX_FAILURES = 5;
+const BASE_LOCKOUT_SECONDS = 30;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+export class LoginThrottleService {
+  constructor(db) {
+    this.repository = new LoginAttemptRepository(db);
+  }
+
+  getKeys(ip, username) {
+    return {
+      ipKey: `ip:${ip || "unknown"}`,
+      userKey: `user:${username}`,
+    };
+  }
+
+  async assertNotLocked(ip, username, logger) {
+    const { ipKey, userKey } = this.getKeys(ip, username);
+    const records = await this.repository.findByKeys(ipKey, userKey);
+    const now = Date.now();
+
+    const lockedUntil = records
+      .map((record) => record.locked_until)
+      .filter((until) => until && Date.parse(until) > now)
+      .sort()
+      .pop();
+
+    if (lockedUntil) {
+      const retryAfter = Math.ceil((Date.parse(lockedUntil) - now) / 1000);
+
+      if (logger) {
+        logger.warn("Login blocked by lockout", {
+          ip,
+          username,
+          lockedUntil,
+        });
+      }
+
+      throw new TooManyRequestsError(
+        "Too many failed login attempts. Try again later.",
+        retryAfter,
+      );
+    }
+  }
+
+  async recordFailure(ip, username, logger) {
+    const now = new Date();
+    const windowStart = new Date(
+      now.getTime() - FAILURE_WINDOW_SECONDS * 1000,
+    ).toISOString();
+
+    for (const key of Object.values(this.getKeys(ip, username))) {
+      const failures = await this.repository.recordFailure(
+        key,
+        now.toISOString(),
+        windowStart,
+      );
+
+      if (failures < MAX_FAILURES) {
+        continue;
+      }
+
+      const lockoutSeconds = Math.min(
+        BASE_LOCKOUT_SECONDS * 2 ** (failures - MAX_FAILURES),
+        MAX_LOCKOUT_SECONDS,
+      );
+      const lockedUntil = new Date(
+        now.getTime() + lockoutSeconds * 1000,
+      ).toISOString();
+
+      await this.repository.updateLockedUntil(key, lockedUntil);
+
+      if (logger) {
+        logger.warn("Login locked out", { key, failures, lockedUntil });
+      }
+    }
+  }
+
+  async clearFailures(ip, username) {
+    const { ipKey, userKey } = this.getKeys(ip, username);
+    await this.repository.delete(ipKey);
+    await this.repository.delete(userKey);
+  }
+
+  async listLockouts() {
+    const records = await this.repository.findLocked(new Date().toISOString());
+
+    return records.map((record) => ({
+      key: record.key,
+      failures: record.failures,
+      lastFailureAt: record.last_failure_at,
+      lockedUntil: record.locked_until,
+    }));
+  }
+
+  async clearLockout(key, logger) {
+    const deleted = await this.repository.delete(key);
+    if (!deleted) {
+      throw new NotFoundError("Lockout not found");
+    }
+
+    if (logger) {
+      logger.info("Lockout cleared", { key });
+    }
+
+    return { cleared: true, key };
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * MFA Service
+ * Business logic for TOTP (RFC 6238) enrollment and verification
+ */
+
+import { AuthRepository, MfaRepository } from "../repositories/index.js";
+import {
+  verifyTOTP,
+  base32Encode,
+  base32Decode,
+  hashToken,
+} from "../auth/validators.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+
+const TOTP_SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const DEFAULT_ISSUER = "bumsiku.kr Admin";
+
+export class MfaService {
+  constructor(db) {
+    this.authRepository = new AuthRepository(db);
+    this.repository = new MfaRepository(db);
+  }
+
+  async setupTotp(user, env, logger) {
+    const account = await this.getAccount(user.userId);
+
+    if (account.totp_enabled_at) {
+      throw new ValidationError("TOTP is already enabled");
+    }
+
+    const secret = base32Encode(
+      crypto.getRandomValues(new Uint8Array(TOTP_SECRET_BYTES)),
+    );
+    await this.repository.setTotpSecret(
+      account.id,
+      secret,
+      new Date().toISOString(),
+    );
+
+    if (logger) {
+      logger.info("TOTP setup started", { userId: account.id });
+    }
+
+    return {
+      secret,
+      otpauthUri: this.buildOtpauthUri(
+        account.username,
+        secret,
+        env.TOTP_ISSUER || DEFAULT_ISSUER,
+      ),
+    };
+  }
+
+  async confirmTotp(user, body, logger) {
+    const account = await this.getAccount(user.userId);
+
+    if (account.totp_enabled_at) {
+      throw new ValidationError("TOTP is already enabled");
+    }
+
+    if (!account.totp_secret) {
+      throw new ValidationError("TOTP setup has not been started");
+    }
+
+    const step = await verifyTOTP(
+      base32Decode(account.totp_secret),
+      body?.code,
+    );
+    if (step === null) {
+      throw new ValidationError("Invalid verification code");
+    }
+
+    const now = new Date().toISOString();
+    await this.repository.enableTotp(account.id, step, now);
+    const recoveryCodes = await this.issueRecoveryCodes(account.id, now);
+
+    if (logger) {
+      logger.info("TOTP enabled", { userId: account.id });
+    }
+
+    return { enabled: true, recoveryCodes };
+  }
+
+  async disableTotp(user, body, logger) {
+    const account = await this.getAccount(user.userId);
+
+    if (!account.totp_enabled_at) {
+      throw new ValidationError("TOTP is not enabled");
+    }
+
+    const verified = await this.verifySecondFactor(account, body?.code);
+    if (!verified) {
+      throw new ValidationError("Invalid verification code");
+    }
+
+    await this.repository.disableTotp(account.id, new Date().toISOString());
+    await this.repository.deleteRecoveryCodes(account.id);
+
+    if (logger) {
+      logger.info("TOTP disabled", { userId: account.id });
+    }
+
+    return { enabled: false };
+  }
+
+  async getStatus(user) {
+    const account = await this.getAccount(user.userId);
+
+    return {
+      enabled: Boolean(account.totp_enabled_at),
+      enabledAt: account.totp_enabled_at,
+      recoveryCodesRemaining: account.totp_enabled_at
+        ? await this.repository.countUnusedRecoveryCodes(account.id)
+        : 0,
+    };
+  }
+
+  /**
+   * Verify a TOTP code or an unused recovery code for an account
+   * Each TOTP step and each recovery code is accepted only once
+   */
+  async verifySecondFactor(account, code) {
+    if (typeof code !== "string" || !account.totp_secret) {
+      return false;
+    }
+
+    const normalized = code.trim();
+
+    const step = await verifyTOTP(
+      base32Decode(account.totp_secret),
+      normalized,
+      { afterStep: account.totp_last_step ?? -1 },
+    );
+    if (step !== null) {
+      return await this.repository.claimTotpStep(account.id, step);
+    }
+
+    if (/^[0-9a-f]{4}-?[0-9a-f]{4}$/i.test(normalized)) {
+      const codeHash = await hashToken(this.normalizeRecoveryCode(normalized));
+      return await this.repository.consumeRecoveryCode(
+        account.id,
+        codeHash,
+        new Date().toISOString(),
+      );
+    }
+
+    return false;
+  }
+
+  async issueRecoveryCodes(userId, createdAt) {
+    const codes = [];
+    const codeHashes = [];
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const bytes = crypto.getRandomValues(new Uint8Array(4));
+      const hex = Array.from(bytes)
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+      const code = `${hex.slice(0, 4)}-${hex.slice(4)}`;
+
+      codes.push(code);
+      codeHashes.push(await hashToken(this.normalizeRecoveryCode(code)));
+    }
+
+    await this.repository.replaceRecoveryCodes(userId, codeHashes, createdAt);
+
+    return codes;
+  }
+
+  normalizeRecoveryCode(code) {
+    return code.toLowerCase().replace("-", "");
+  }
+
+  buildOtpauthUri(username, secret, issuer) {
+    const label = encodeURIComponent(`${issuer}:${username}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: "SHA1",
+      digits: "6",
+      period: "30",
+    });
+
+    // 일부 인증 앱은 "+"를 공백으로 해석하지 않음
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, "%20")}`;
+  }
+
+  async getAccount(userId) {
+    const account = await this.authRepository.findUserById(userId);
+    if (!account) {
+      throw new NotFoundError("User not found");
+    }
+    return account;
+  }
+}
@@ -0,0 +1,373 @@
+/**
+ * Passkey Service
+ * Business logic for WebAuthn passkey registration and login
+ *
+ * 챌린지는 D1에 저장하고 검증 시 1회 소비 (5분 만료)
+ * 로그인은 discoverable credential(사용자명 없이) 방식, UV 필수이므로 TOTP 단계는 생략
+ * 성공 시 AuthService.startSession으로 /login과 동일한 토큰 응답 반환
+ */
+
+import { AuthRepository, PasskeyRepository } from "../repositories/index.js";
+import { AuthService } from "./AuthService.js";
+import {
+  COSEAlgorithm,
+  parseClientData,
+  parseAuthenticatorData,
+  parseAttestationObject,
+  coseKeyToJwk,
+  verifyAssertionSignature,
+} from "../auth/webauthn.js";
+import {
+  base64UrlEncode,
+  base64UrlDecode,
+  generateRandomToken,
+} from "../auth/validators.js";
+import {
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ForbiddenError,
+  ServiceUnavailableError,
+} from "../utils/errors.js";
+
+const CHALLENGE_TTL = 5 * 60;
+const CHALLENGE_TYPE_REGISTRATION = "registration";
+const CHALLENGE_TYPE_AUTHENTICATION = "authentication";
+const DEFAULT_RP_NAME = "bumsiku.kr Admin";
+const DEFAULT_PASSKEY_NAME = "Passkey";
+
+export class PasskeyService {
+  constructor(db) {
+    this.repository = new PasskeyRepository(db);
+    this.authRepository = new AuthRepository(db);
+    this.authService = new AuthService(db);
+  }
+
+  async getRegistrationOptions(user, env) {
+    this.assertNotApiKey(user);
+
+    const rp = this.getRelyingParty(env);
+    const account = await this.getAccount(user.userId);
+    const credentials = await this.repository.findCredentialsByUserId(
+      account.id,
+    );
+    const challenge = await this.issueChallenge(
+      account.id,
+      CHALLENGE_TYPE_REGISTRATION,
+    );
+
+    return {
+      challenge,
+      rp: { id: rp.id, name: rp.name },
+      user: {
+        id: base64UrlEncode(String(account.id)),
+        name: account.username,
+        displayName: account.username,
+      },
+      pubKeyCredParams: [
+        { type: "public-key", alg: COSEAlgorithm.ES256 },
+        { type: "public-key", alg: COSEAlgorithm.RS256 },
+      ],
+      timeout: CHALLENGE_TTL * 1000,
+      attestation: "none",
+      authenticatorSelection: {
+        residentKey: "required",
+        userVerification: "required",
+      },
+      excludeCredentials: credentials.map((credential) => ({
+        type: "public-key",
+        id: credential.id,
+        transports: this.parseTransports(credential.transports),
+      })),
+    };
+  }
+
+  async verifyRegistration(user, body, env, logger) {
+    this.assertNotApiKey(user);
+
+    const rp = this.getRelyingParty(env);
+    const response = this.getCredentialResponse(body, [
+      "clientDataJSON",
+      "attestationObject",
+    ]);
+
+    if (body.name !== undefined && typeof body.name !== "string") {
+      throw new ValidationError("name must be a string");
+    }
+    const name = body.name?.trim().slice(0, 100) || DEFAULT_PASSKEY_NAME;
+
+    let credential;
+    try {
+      const { clientData } = parseClientData(
+        response.clientDataJSON,
+        "webauthn.create",
+        rp.origins,
+      );
+
+      const challenge = await this.repository.consumeChallenge(
+        clientData.challenge,
+        CHALLENGE_TYPE_REGISTRATION,
+        new Date().toISOString(),
+      );
+      if (!challenge || challenge.user_id !== user.userId) {
+        throw new Error("Unknown or expired challenge");
+      }
+
+      const authData = parseAttestationObject(response.attestationObject);
+      const parsed = await parseAuthenticatorData(authData, rp.id);
+      if (!parsed.credential) {
+        throw new Error("Missing attested credential data");
+      }
+
+      credential = {
+        ...parsed,
+        ...coseKeyToJwk(parsed.credential.coseKey),
+        id: base64UrlEncode(parsed.credential.credentialId),
+      };
+    } catch (err) {
+      if (logger) {
+        logger.warn("Passkey registration rejected", {
+          userId: user.userId,
+          error: err.message,
+        });
+      }
+      throw new ValidationError(`Passkey registration failed: ${err.message}`);
+    }
+
+    if (await this.repository.findCredentialById(credential.id)) {
+      throw new ValidationError("Passkey is already registered");
+    }
+
+    const transports = Array.isArray(response.transports)
+      ? response.transports.filter((t) => typeof t === "string").join(",")
+      : null;
+    const createdAt = new Date().toISOString();
+
+    await this.repository.createCredential({
+      id: credential.id,
+      userId: user.userId,
+      name,
+      publicKey: JSON.stringify(credential.jwk),
+      alg: credential.alg,
+      signCount: credential.signCount,
+      transports: transports || null,
+      createdAt,
+    });
+
+    if (logger) {
+      logger.info("Passkey registered", {
+        userId: user.userId,
+        credentialId: credential.id,
+      });
+    }
+
+    return { id: credential.id, name, createdAt };
+  }
+
+  async getAuthenticationOptions(env) {
+    const rp = this.getRelyingParty(env);
+    const challenge = await this.issueChallenge(
+      null,
+      CHALLENGE_TYPE_AUTHENTICATION,
+    );
+
+    return {
+      challenge,
+      rpId: rp.id,
+      timeout: CHALLENGE_TTL * 1000,
+      userVerification: "required",
+      allowCredentials: [],
+    };
+  }
+
+  async verifyAuthentication(body, env, client, logger) {
+    const rp = this.getRelyingParty(env);
+    const response = this.getCredentialResponse(body, [
+      "clientDataJSON",
+      "authenticatorData",
+      "signature",
+    ]);
+
+    if (typeof body.id !== "string" || body.id.length === 0) {
+      throw new ValidationError("Missing required field: id");
+    }
+
+    let credential;
+    let signCount;
+    try {
+      const { clientData, clientDataBytes } = parseClientData(
+        response.clientDataJSON,
+        "webauthn.get",
+        rp.origins,
+      );
+
+      const challenge = await this.repository.consumeChallenge(
+        clientData.challenge,
+        CHALLENGE_TYPE_AUTHENTICATION,
+        new Date().toISOString(),
+      );
+      if (!challenge) {
+        throw new Error("Unknown or expired challenge");
+      }
+
+      credential = await this.repository.findCredentialById(body.id);
+      if (!credential) {
+        throw new Error("Unknown credential");
+      }
+
+      if (
+        response.userHandle &&
+        response.userHandle !== base64UrlEncode(String(credential.user_id))
+      ) {
+        throw new Error("User handle mismatch");
+      }
+
+      const authData = base64UrlDecode(response.authenticatorData);
+      const parsed = await parseAuthenticatorData(authData, rp.id);
+
+      const valid = await verifyAssertionSignature(
+        JSON.parse(credential.public_key),
+        credential.alg,
+        authData,
+        clientDataBytes,
+        base64UrlDecode(response.signature),
+      );
+      if (!valid) {
+        throw new Error("Invalid signature");
+      }
+
+      // 카운터를 지원하는 인증기는 매번 증가해야 함 (감소/동일 = 복제 의심)
+      signCount = parsed.signCount;
+      if (
+        (signCount > 0 || credential.sign_count > 0) &&
+        signCount <= credential.sign_count
+      ) {
+        throw new Error("Sign counter did not increase");
+      }
+    } catch (err) {
+      if (logger) {
+        logger.warn("Passkey authentication rejected", {
+          credentialId: body.id,
+          error: err.message,
+        });
+      }
+      throw new UnauthorizedError("Passkey authentication failed");
+    }
+
+    const user = await this.authRepository.findUserById(credential.user_id);
+    if (!user) {
+      throw new UnauthorizedError("Passkey authentication failed");
+    }
+
+    await this.repository.updateUsage(
+      credential.id,
+      signCount,
+      new Date().toISOString(),
+    );
+
+    return await this.authService.startSession(user, env, client, logger);
+  }
+
+  async listPasskeys(user) {
+    this.assertNotApiKey(user);
+
+    const credentials = await this.repository.findCredentialsByUserId(
+      user.userId,
+    );
+
+    return credentials.map((credential) => ({
+      id: credential.id,
+      name: credential.name,
+      transports: this.parseTransports(credential.transports),
+      createdAt: credential.created_at,
+      lastUsedAt: credential.last_used_at,
+    }));
+  }
+
+  async deletePasskey(user, credentialId, logger) {
+    this.assertNotApiKey(user);
+
+    const deleted = await this.repository.deleteCredential(
+      credentialId,
+      user.userId,
+    );
+    if (!deleted) {
+      throw new NotFoundError("Passkey not found");
+    }
+
+    if (logger) {
+      logger.info("Passkey deleted", { userId: user.userId, credentialId });
+    }
+
+    return { deleted: true, id: credentialId };
+  }
+
+  async issueChallenge(userId, type) {
+    const now = new Date();
+    const challenge = generateRandomToken();
+
+    await this.repository.deleteExpiredChallenges(now.toISOString());
+    await this.repository.createChallenge(
+      challenge,
+      userId,
+      type,
+      new Date(now.getTime() + CHALLENGE_TTL * 1000).toISOString(),
+    );
+
+    return challenge;
+  }
+
+  getCredentialResponse(body, fields) {
+    const response = body?.response;
+    const missing = fields.filter(
+      (field) => typeof response?.[field] !== "string",
+    );
+
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Missing required fields: ${missing.map((f) => `response.${f}`).join(", ")}`,
+      );
+    }
+
+    return response;
+  }
+
+  /**
+   * Relying party settings from WEBAUTHN_RP_ID / WEBAUTHN_ORIGIN (comma-separated)
+   * @throws {Error} If WebAuthn is not configured
+   */
+  getRelyingParty(env) {
+    const origins = (env.WEBAUTHN_ORIGIN || "")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean);
+
+    if (!env.WEBAUTHN_RP_ID || origins.length === 0) {
+      throw new ServiceUnavailableError("WebAuthn is not configured");
+    }
+
+    return {
+      id: env.WEBAUTHN_RP_ID,
+      name: env.WEBAUTHN_RP_NAME || DEFAULT_RP_NAME,
+      origins,
+    };
+  }
+
+  parseTransports(transports) {
+    return transports ? transports.split(",") : [];
+  }
+
+  async getAccount(userId) {
+    const account = await this.authRepository.findUserById(userId);
+    if (!account) {
+      throw new NotFoundError("User not found");
+    }
+    return account;
+  }
+
+  assertNotApiKey(user) {
+    if (user.apiKeyId) {
+      throw new ForbiddenError("API keys cannot manage passkeys");
+    }
+  }
+}
@@ -3,53 +3,256 @@
  * Business logic for post management
  */
 
-import { PostRepository } from "../repositories/index.js";
-import { ValidationError, NotFoundError } from "../utils/errors.js";
-import { validatePostRequest } from "../utils/validation.js";
+import {
+  PostRepository,
+  PostRevisionRepository,
+  PostSlugHistoryRepository,
+  TagRepository,
+  SeriesRepository,
+} from "../repositories/index.js";
+import { diffLines } from "../utils/diff.js";
+import { analyzeMarkdown } from "../utils/markdown.js";
+import { slugify, slugDatePrefix } from "../utils/slug.js";
+import { normalizeTagName, tagKey } from "../utils/tags.js";
+import { ifMatchSatisfied } from "../utils/etag.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+import {
+  validatePostRequest,
+  validatePostPatch,
+  validateRenderRequest,
+  validateBulkPostRequest,
+  validatePaginationParams,
+  validatePostListFilters,
+  validateSortParam,
+  POST_STATES,
+} from "../utils/validation.js";
+
+const DEFAULT_REVISION_LIMIT = 50;
 
 export class PostService {
-  constructor(db) {
+  constructor(db, env = {}) {
     this.repository = new PostRepository(db);
+    this.revisionRepository = new PostRevisionRepository(db);
+    this.slugHistoryRepository = new PostSlugHistoryRepository(db);
+    this.tagRepository = new TagRepository(db);
+    this.seriesRepository = new SeriesRepository(db);
+
+    const revisionLimit = parseInt(env.POST_REVISION_LIMIT, 10);
+    this.revisionLimit =
+      revisionLimit > 0 ? revisionLimit : DEFAULT_REVISION_LIMIT;
+    this.slugDatePrefix = env.SLUG_DATE_PREFIX === "true";
+    this.cdnDomain = env.CDN_DOMAIN || "cdn.bumsiku.kr";
   }
 
-  generateSlug(title) {
-    return title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, "-")
-      .replace(/^-+|-+$/g, "");
+  /**
+   * Generate a slug from a title (Hangul romanized), optionally date-prefixed
+   */
+  generateSlug(title, datePrefix = this.slugDatePrefix) {
+    const slug = slugify(title);
+    return datePrefix ? `${slugDatePrefix()}-${slug}` : slug;
   }
 
-  async createPost(postData, logger) {
-    validatePostRequest(postData);
+  /**
+   * Append -2, -3, ... until the slug is not used by any post
+   * @param {Set<string>} reserved - Additional slugs to avoid (e.g. earlier import entries)
+   */
+  async resolveUniqueSlug(base, reserved = new Set()) {
+    const taken = new Set([
+      ...(await this.repository.findSlugsWithBase(base)),
+      ...reserved,
+    ]);
+    if (!taken.has(base)) {
+      return base;
+    }
 
-    const { title, content, summary, tags = [], state } = postData;
-    let { slug } = postData;
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) {
+      suffix++;
+    }
+    return `${base}-${suffix}`;
+  }
 
-    if (!slug) {
-      slug = this.generateSlug(title);
+  async suggestSlug(title, datePrefix = this.slugDatePrefix) {
+    if (typeof title !== "string" || title.trim().length === 0) {
+      throw new ValidationError("title query parameter is required");
     }
 
-    const existingPost = await this.repository.findBySlug(slug);
-    if (existingPost) {
+    const base = this.generateSlug(title, datePrefix);
+    const slug = await this.resolveUniqueSlug(base);
+
+    return { slug, base, available: slug === base };
+  }
+
+  /**
+   * Reject a slug used by another post or held in another post's slug history
+   * @param {string} slug - Requested slug
+   * @param {number|null} postId - Post being saved (null when creating)
+   */
+  async assertSlugAvailable(slug, postId = null) {
+    const slugConflict = postId
+      ? await this.repository.findBySlugExcludingId(slug, postId)
+      : await this.repository.findBySlug(slug);
+    if (slugConflict) {
       throw new ValidationError("Slug already exists");
     }
 
+    if (await this.isSlugReserved(slug, postId)) {
+      throw new ValidationError(
+        "Slug is reserved as a previous slug of another post",
+      );
+    }
+  }
+
+  async isSlugReserved(slug, postId = null) {
+    const history = await this.slugHistoryRepository.findBySlug(slug);
+    return Boolean(history) && history.post_id !== postId;
+  }
+
+  /**
+   * Keep the replaced slug in the history so old URLs can be redirected
+   */
+  async recordSlugChange(postId, previousSlug, slug, timestamp) {
+    if (!slug || slug === previousSlug) {
+      return;
+    }
+
+    await this.slugHistoryRepository.record(postId, previousSlug, timestamp);
+    // 이전 slug로 되돌린 경우 현재 slug는 이력에서 제외
+    await this.slugHistoryRepository.release(postId, slug);
+  }
+
+  /**
+   * Resolve a current or previous slug to the post's current slug
+   * @returns {Promise<Object>} { slug, currentSlug, postId, state, redirect }
+   */
+  async resolveSlug(slug) {
+    if (typeof slug !== "string" || slug.length === 0) {
+      throw new ValidationError("slug query parameter is required");
+    }
+
+    let post = await this.repository.findLiveBySlug(slug);
+    if (!post) {
+      const history = await this.slugHistoryRepository.findBySlug(slug);
+      post = history ? await this.repository.findById(history.post_id) : null;
+    }
+    if (!post) {
+      throw new NotFoundError("Slug not found");
+    }
+
+    return {
+      slug,
+      currentSlug: post.slug,
+      postId: post.id,
+      state: post.state,
+      redirect: post.slug !== slug,
+    };
+  }
+
+  async listSlugHistory(postId) {
+    await this.assertPostExists(postId);
+
+    const history = await this.slugHistoryRepository.findByPostId(postId);
+
+    return history.map((entry) => ({
+      slug: entry.slug,
+      createdAt: entry.created_at,
+    }));
+  }
+
+  /**
+   * List posts of every state (including drafts) for the admin UI
+   * @param {Object} query - page, size, sort, state, tag, from, to
+   */
+  async listPosts(query) {
+    const pagination = validatePaginationParams(query);
+    const sort = validateSortParam(query.sort || undefined);
+    const filters = validatePostListFilters(query, POST_STATES);
+    if (filters.tag) {
+      const [tag] = await this.normalizeTags([filters.tag]);
+      filters.tag = tag.key;
+    }
+
+    const { posts, total } = await this.repository.findPage(
+      filters,
+      sort,
+      pagination,
+    );
+    const tagsByPostId = await this.repository.getTagsByPostIds(
+      posts.map((post) => post.id),
+    );
+
+    return {
+      content: posts.map((post) =>
+        this.toPostResponse(post, tagsByPostId.get(post.id)),
+      ),
+      page: pagination.page,
+      size: pagination.size,
+      totalElements: total,
+      totalPages: Math.ceil(total / pagination.size),
+    };
+  }
+
+  async getPost(postId) {
+    const post = await this.getPostWithTags(postId);
+    if (!post) {
+      throw new NotFoundError("Post not found");
+    }
+    return post;
+  }
+
+  /**
+   * @param {Object} timestamps - { createdAt, publishedAt } kept by an import (optional)
+   */
+  async createPost(postData, logger, timestamps = {}) {
+    validatePostRequest(postData);
+
+    const {
+      title,
+      content,
+      summary,
+      metaTitle,
+      metaDescription,
+      canonicalUrl,
+      ogImage,
+      tags = [],
+      state,
+      publishAt,
+    } = postData;
+    let { slug } = postData;
+
+    if (!slug) {
+      slug = await this.resolveUniqueSlug(this.generateSlug(title));
+    } else {
+      await this.assertSlugAvailable(slug);
+    }
+
+    const { columns, defaults } = this.renderContent(content);
     const now = new Date().toISOString();
     const postId = await this.repository.create({
       slug,
       title,
       content,
-      summary,
+      ...columns,
+      summary: summary || defaults.summary,
+      metaTitle,
+      metaDescription,
+      canonicalUrl,
+      ogImage: ogImage || defaults.ogImage,
       state,
-      createdAt: now,
+      tags: await this.normalizeTags(tags),
+      publishAt: this.normalizePublishAt(state, publishAt),
+      publishedAt:
+        state === "published" ? (timestamps.publishedAt ?? now) : null,
+      createdAt: timestamps.createdAt ?? now,
       updatedAt: now,
     });
 
-    if (tags.length > 0) {
-      await this.associateTags(postId, tags, now);
-    }
-
     const createdPost = await this.getPostWithTags(postId);
+    await this.recordRevision(createdPost, now);
 
     if (logger) {
       logger.info("Post created", { postId, slug });
@@ -58,100 +261,757 @@ export class PostService {
     return createdPost;
   }
 
-  async updatePost(postId, postData, logger) {
+  async updatePost(postId, postData, logger, ifMatch = null) {
     validatePostRequest(postData);
 
     const existingPost = await this.repository.findById(postId);
     if (!existingPost) {
       throw new NotFoundError("Post not found");
     }
+    await this.assertIfMatch(existingPost, ifMatch);
 
-    const { title, content, summary, tags = [], state, slug } = postData;
+    const {
+      title,
+      content,
+      summary,
+      metaTitle,
+      metaDescription,
+      canonicalUrl,
+      ogImage,
+      tags = [],
+      state,
+      slug,
+      publishAt,
+    } = postData;
 
     if (slug) {
-      const slugConflict = await this.repository.findBySlugExcludingId(
-        slug,
-        postId,
-      );
-      if (slugConflict) {
-        throw new ValidationError("Slug already exists");
-      }
+      await this.assertSlugAvailable(slug, postId);
     }
 
+    const normalizedTags = await this.normalizeTags(tags);
+    const { columns, defaults } = this.renderContent(content);
     const now = new Date().toISOString();
-    await this.repository.update(postId, {
+    const updated = await this.repository.update(postId, {
       title,
       content,
-      summary,
+      ...columns,
+      summary: summary || defaults.summary,
+      metaTitle,
+      metaDescription,
+      canonicalUrl,
+      ogImage: ogImage || defaults.ogImage,
       state,
       slug,
+      tags: normalizedTags,
+      publishAt: this.normalizePublishAt(state, publishAt),
+      publishedAt: this.resolvePublishedAt(state, existingPost, now),
       updatedAt: now,
+      expectedVersion: ifMatch ? existingPost.version : null,
     });
+    if (!updated) {
+      throw await this.createConflictError(postId);
+    }
+    await this.recordSlugChange(postId, existingPost.slug, slug, now);
+
+    const updatedPost = await this.getPostWithTags(postId);
+    await this.recordRevision(updatedPost, now);
+
+    if (logger) {
+      logger.info("Post updated", { postId });
+    }
+
+    return updatedPost;
+  }
+
+  /**
+   * Partially update a post (JSON Merge Patch)
+   * Absent fields are kept; tags are replaced only when present
+   */
+  async patchPost(postId, patch, logger, ifMatch = null) {
+    validatePostPatch(patch);
+
+    const existingPost = await this.repository.findById(postId);
+    if (!existingPost) {
+      throw new NotFoundError("Post not found");
+    }
+    await this.assertIfMatch(existingPost, ifMatch);
 
-    await this.repository.deletePostTags(postId);
+    if (patch.slug !== undefined && patch.slug !== existingPost.slug) {
+      await this.assertSlugAvailable(patch.slug, postId);
+    }
+
+    const state = patch.state ?? existingPost.state;
+    if (state !== "scheduled" && patch.publishAt) {
+      throw new ValidationError(
+        "publishAt is only allowed for scheduled posts",
+      );
+    }
 
-    if (tags.length > 0) {
-      await this.associateTags(postId, tags, now);
+    const publishAt =
+      patch.publishAt !== undefined ? patch.publishAt : existingPost.publish_at;
+    if (state === "scheduled" && !publishAt) {
+      throw new ValidationError("publishAt is required for scheduled posts");
     }
 
+    // tags가 없으면 기존 태그 유지, null이면 모두 제거
+    const normalizedTags =
+      patch.tags !== undefined
+        ? await this.normalizeTags(patch.tags ?? [])
+        : undefined;
+
+    const content = patch.content ?? existingPost.content;
+    const { columns, defaults } = this.renderContent(content);
+    const previousDefaults =
+      patch.content !== undefined
+        ? this.renderContent(existingPost.content).defaults
+        : defaults;
+
+    const now = new Date().toISOString();
+    const updated = await this.repository.update(postId, {
+      title: patch.title ?? existingPost.title,
+      content,
+      ...columns,
+      summary: this.resolveGeneratedField(
+        patch.summary,
+        existingPost.summary,
+        previousDefaults.summary,
+        defaults.summary,
+      ),
+      metaTitle:
+        patch.metaTitle !== undefined
+          ? patch.metaTitle
+          : existingPost.meta_title,
+      metaDescription:
+        patch.metaDescription !== undefined
+          ? patch.metaDescription
+          : existingPost.meta_description,
+      canonicalUrl:
+        patch.canonicalUrl !== undefined
+          ? patch.canonicalUrl
+          : existingPost.canonical_url,
+      ogImage: this.resolveGeneratedField(
+        patch.ogImage,
+        existingPost.og_image,
+        previousDefaults.ogImage,
+        defaults.ogImage,
+      ),
+      state,
+      slug: patch.slug ?? existingPost.slug,
+      tags: normalizedTags,
+      publishAt: this.normalizePublishAt(state, publishAt),
+      publishedAt: this.resolvePublishedAt(state, existingPost, now),
+      updatedAt: now,
+      expectedVersion: ifMatch ? existingPost.version : null,
+    });
+    if (!updated) {
+      throw await this.createConflictError(postId);
+    }
+    await this.recordSlugChange(postId, existingPost.slug, patch.slug, now);
+
     const updatedPost = await this.getPostWithTags(postId);
+    await this.recordRevision(updatedPost, now);
 
     if (logger) {
-      logger.info("Post updated", { postId });
+      logger.info("Post patched", { postId, fields: Object.keys(patch) });
     }
 
     return updatedPost;
   }
 
-  async deletePost(postId, logger) {
+  /**
+   * List scheduled posts, soonest first
+   */
+  async listScheduledPosts() {
+    const posts = await this.repository.findScheduled();
+    const tagsByPostId = await this.repository.getTagsByPostIds(
+      posts.map((post) => post.id),
+    );
+
+    return posts.map((post) =>
+      this.toPostResponse(post, tagsByPostId.get(post.id)),
+    );
+  }
+
+  /**
+   * Publish scheduled posts whose publishAt has passed (Cron Trigger)
+   * @returns {Promise<Object>} Number of published and failed posts
+   */
+  async publishDuePosts(logger) {
+    const now = new Date().toISOString();
+    const duePosts = await this.repository.findDueScheduled(now);
+
+    let published = 0;
+    let failed = 0;
+
+    for (const due of duePosts) {
+      try {
+        const promoted = await this.repository.publishScheduled(due.id, now);
+        if (!promoted) {
+          continue;
+        }
+
+        const post = await this.getPostWithTags(due.id);
+        await this.recordRevision(post, now);
+        published++;
+
+        logger.info("Scheduled post published", {
+          postId: due.id,
+          slug: due.slug,
+          publishAt: due.publish_at,
+        });
+      } catch (err) {
+        failed++;
+        logger.error("Scheduled publish failed", {
+          postId: due.id,
+          error: err.message,
+        });
+      }
+    }
+
+    return { due: duePosts.length, published, failed };
+  }
+
+  /**
+   * Reject the write when If-Match does not list the post's current ETag
+   * @throws {ConflictError} With the current post as `current`
+   */
+  async assertIfMatch(existingPost, ifMatch) {
+    if (!ifMatchSatisfied(ifMatch, existingPost.version)) {
+      throw await this.createConflictError(existingPost.id);
+    }
+  }
+
+  async createConflictError(postId) {
+    return new ConflictError(
+      "Post has been modified by another request",
+      await this.getPostWithTags(postId),
+    );
+  }
+
+  normalizePublishAt(state, publishAt) {
+    return state === "scheduled" && publishAt
+      ? new Date(publishAt).toISOString()
+      : null;
+  }
+
+  /**
+   * Keep the first publish time; set it when a post goes live for the first time
+   */
+  resolvePublishedAt(state, existingPost, now) {
+    if (existingPost.published_at) {
+      return existingPost.published_at;
+    }
+    return state === "published" ? now : null;
+  }
+
+  async deletePost(postId, logger, ifMatch = null) {
     const existingPost = await this.repository.findById(postId);
     if (!existingPost) {
       throw new NotFoundError("Post not found");
     }
+    await this.assertIfMatch(existingPost, ifMatch);
+
+    // 시리즈에 속한 게시글이면 같은 batch에서 뒤 게시글의 위치를 한 칸씩 앞당김
+    const deletedAt = new Date().toISOString();
+    const deleted = await this.repository.softDelete(
+      postId,
+      deletedAt,
+      ifMatch ? existingPost.version : null,
+    );
+    if (!deleted) {
+      throw await this.createConflictError(postId);
+    }
 
-    await this.repository.delete(postId);
+    if (logger) {
+      logger.info("Post moved to trash", { postId });
+    }
+
+    return { deleted: true, id: postId, deletedAt };
+  }
+
+  /**
+   * Apply one action to several posts in one D1 batch
+   * Missing posts and posts the action cannot apply to are reported per item
+   * instead of failing the whole request
+   * @param {Object} data - { ids, action, tags, seriesId }
+   * @returns {Promise<Object>} { action, results, succeeded, failed }
+   * @throws {NotFoundError} If setSeries targets a missing series
+   */
+  async bulkUpdatePosts(data, logger) {
+    validateBulkPostRequest(data);
+
+    const { action } = data;
+    const seriesId = data.seriesId ?? null;
+    if (
+      action === "setSeries" &&
+      seriesId !== null &&
+      !(await this.seriesRepository.findById(seriesId))
+    ) {
+      throw new NotFoundError("Series not found");
+    }
+
+    const ids = [...new Set(data.ids)];
+    const posts = new Map(
+      (await this.repository.findByIds(ids)).map((post) => [post.id, post]),
+    );
+    const tags = data.tags ? await this.normalizeTags(data.tags) : [];
+    const tagsByPostId =
+      tags.length > 0
+        ? await this.repository.getTagsByPostIds([...posts.keys()])
+        : new Map();
+
+    const results = [];
+    const changedIds = [];
+    for (const id of ids) {
+      try {
+        const post = posts.get(id);
+        if (!post) {
+          throw new NotFoundError("Post not found");
+        }
+
+        const changed = this.isBulkChange(
+          action,
+          post,
+          tags,
+          tagsByPostId.get(id),
+          seriesId,
+        );
+        if (changed) {
+          changedIds.push(id);
+        }
+        results.push({ id, success: true, changed });
+      } catch (err) {
+        if (!(err instanceof ValidationError || err instanceof NotFoundError)) {
+          throw err;
+        }
+        results.push({
+          id,
+          success: false,
+          status: err.status,
+          error: err.message,
+        });
+      }
+    }
+
+    const now = new Date().toISOString();
+    if (changedIds.length > 0) {
+      await this.applyBulkAction(action, changedIds, tags, now, seriesId);
+
+      // 휴지통으로 옮긴 게시글과 시리즈만 바뀐 게시글을 제외하고 변경된 상태를 revision으로 기록
+      if (action !== "delete" && action !== "setSeries") {
+        for (const id of changedIds) {
+          await this.recordRevision(await this.getPostWithTags(id), now);
+        }
+      }
+    }
+
+    const failed = results.filter((result) => !result.success).length;
 
     if (logger) {
-      logger.info("Post deleted", { postId });
+      logger.info("Bulk post action applied", {
+        action,
+        changed: changedIds.length,
+        failed,
+      });
+    }
+
+    return { action, results, succeeded: results.length - failed, failed };
+  }
+
+  /**
+   * Whether a bulk action changes the post (already applied actions are no-ops)
+   * @throws {ValidationError} If the action cannot be applied to the post
+   */
+  isBulkChange(action, post, tags, currentTags = [], seriesId = null) {
+    const currentKeys = new Set(currentTags.map((name) => tagKey(name)));
+
+    switch (action) {
+      case "publish":
+        return post.state !== "published";
+      case "unpublish":
+        return post.state !== "draft";
+      case "delete":
+        return true;
+      case "addTags": {
+        const added = tags.filter((tag) => !currentKeys.has(tag.key));
+        if (currentKeys.size + added.length > 20) {
+          throw new ValidationError("tags must not exceed 20 items");
+        }
+        return added.length > 0;
+      }
+      case "removeTags":
+        return tags.some((tag) => currentKeys.has(tag.key));
+      case "setSeries":
+        return post.series_id !== seriesId;
+      default:
+        throw new ValidationError(`Unknown action: ${action}`);
+    }
+  }
+
+  async applyBulkAction(action, ids, tags, now, seriesId = null) {
+    switch (action) {
+      case "publish":
+        return await this.repository.publishMany(ids, now);
+      case "unpublish":
+        return await this.repository.unpublishMany(ids, now);
+      case "delete":
+        return await this.repository.softDeleteMany(ids, now);
+      case "addTags":
+        return await this.repository.addTagsMany(ids, tags, now);
+      case "removeTags":
+        return await this.repository.removeTagsMany(ids, tags, now);
+      case "setSeries":
+        // 요청 순서대로 시리즈 끝에 추가, null이면 시리즈에서 분리
+        return seriesId === null
+          ? await this.seriesRepository.detachPosts(ids)
+          : await this.seriesRepository.appendPosts(ids, seriesId);
     }
+  }
+
+  /**
+   * Snapshot the saved post as a new revision and drop revisions beyond the limit
+   */
+  async recordRevision(post, timestamp, restoredFrom = null) {
+    const revision = await this.revisionRepository.create(post.id, {
+      slug: post.slug,
+      title: post.title,
+      content: post.content,
+      summary: post.summary,
+      state: post.state,
+      tags: JSON.stringify(post.tags),
+      restoredFrom,
+      createdAt: timestamp,
+    });
+
+    await this.revisionRepository.prune(post.id, this.revisionLimit);
 
-    return { deleted: true, id: postId };
+    return revision;
   }
 
-  async associateTags(postId, tags, timestamp) {
-    for (const tagName of tags) {
-      let tag = await this.repository.findTagByName(tagName);
+  async listRevisions(postId) {
+    await this.assertPostExists(postId);
 
-      let tagId;
-      if (!tag) {
-        tagId = await this.repository.createTag(tagName, timestamp);
-      } else {
-        tagId = tag.id;
+    const revisions = await this.revisionRepository.findByPostId(postId);
+
+    return revisions.map((revision) => ({
+      revision: revision.revision,
+      slug: revision.slug,
+      title: revision.title,
+      state: revision.state,
+      restoredFrom: revision.restored_from,
+      createdAt: revision.created_at,
+    }));
+  }
+
+  async getRevision(postId, revisionNumber) {
+    await this.assertPostExists(postId);
+
+    const revision = await this.revisionRepository.findByRevision(
+      postId,
+      revisionNumber,
+    );
+    if (!revision) {
+      throw new NotFoundError("Revision not found");
+    }
+
+    return {
+      revision: revision.revision,
+      slug: revision.slug,
+      title: revision.title,
+      content: revision.content,
+      summary: revision.summary,
+      tags: JSON.parse(revision.tags),
+      state: revision.state,
+      restoredFrom: revision.restored_from,
+      createdAt: revision.created_at,
+    };
+  }
+
+  /**
+   * Compare two revisions: changed fields and a line-level content diff
+   */
+  async diffRevisions(postId, fromRevision, toRevision) {
+    const from = await this.getRevision(postId, fromRevision);
+    const to = await this.getRevision(postId, toRevision);
+
+    const fields = {};
+    for (const field of ["slug", "title", "summary", "state", "tags"]) {
+      if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+        fields[field] = { from: from[field], to: to[field] };
       }
+    }
+
+    return {
+      from: from.revision,
+      to: to.revision,
+      fields,
+      content: diffLines(from.content, to.content),
+    };
+  }
+
+  /**
+   * Restore a revision; the restored state is saved as a new revision.
+   * With If-Match nothing is written unless the post is still at that version
+   */
+  async restoreRevision(postId, revisionNumber, logger, ifMatch = null) {
+    const revision = await this.getRevision(postId, revisionNumber);
+    const existingPost = await this.repository.findById(postId);
+    await this.assertIfMatch(existingPost, ifMatch);
+
+    const slugConflict = await this.repository.findBySlugExcludingId(
+      revision.slug,
+      postId,
+    );
+    if (slugConflict || (await this.isSlugReserved(revision.slug, postId))) {
+      throw new ValidationError(
+        "Cannot restore: slug is now used by another post",
+      );
+    }
 
-      await this.repository.createPostTag(postId, tagId);
+    // 예약 시각은 revision에 없으므로 현재 값을 유지, 없으면 draft로 복원
+    let state = revision.state;
+    if (state === "scheduled" && !existingPost.publish_at) {
+      state = "draft";
     }
+
+    // SEO 필드는 revision에 없으므로 현재 값을 유지 (본문에서 생성된 ogImage만 다시 생성)
+    const normalizedTags = await this.normalizeTags(revision.tags);
+    const { columns, defaults } = this.renderContent(revision.content);
+    const now = new Date().toISOString();
+    const updated = await this.repository.update(postId, {
+      title: revision.title,
+      content: revision.content,
+      ...columns,
+      summary: revision.summary || defaults.summary,
+      metaTitle: existingPost.meta_title,
+      metaDescription: existingPost.meta_description,
+      canonicalUrl: existingPost.canonical_url,
+      ogImage: this.resolveGeneratedField(
+        undefined,
+        existingPost.og_image,
+        this.renderContent(existingPost.content).defaults.ogImage,
+        defaults.ogImage,
+      ),
+      state,
+      slug: revision.slug,
+      tags: normalizedTags,
+      publishAt: this.normalizePublishAt(state, existingPost.publish_at),
+      publishedAt: this.resolvePublishedAt(state, existingPost, now),
+      updatedAt: now,
+      expectedVersion: ifMatch ? existingPost.version : null,
+    });
+    if (!updated) {
+      throw await this.createConflictError(postId);
+    }
+    await this.recordSlugChange(postId, existingPost.slug, revision.slug, now);
+
+    const restoredPost = await this.getPostWithTags(postId);
+    await this.recordRevision(restoredPost, now, revision.revision);
+
+    if (logger) {
+      logger.info("Post revision restored", {
+        postId,
+        revision: revision.revision,
+      });
+    }
+
+    return restoredPost;
   }
 
-  async getPostWithTags(postId) {
+  /**
+   * Render Markdown the same way a save would, without storing anything
+   * @returns {Object} { html, toc, wordCount, readingTime, summary, ogImage }
+   */
+  previewContent(data) {
+    validateRenderRequest(data);
+
+    const { html, toc, wordCount, readingTime, summary, images } =
+      analyzeMarkdown(data.content);
+    return {
+      html,
+      toc,
+      wordCount,
+      readingTime,
+      summary,
+      ogImage: this.findCdnImage(images),
+    };
+  }
+
+  /**
+   * Render the content into the derived columns stored with a post, and the
+   * summary and ogImage used when none are given
+   * @returns {Object} { columns, defaults: { summary, ogImage } }
+   */
+  renderContent(content) {
+    const { html, toc, wordCount, readingTime, summary, images } =
+      analyzeMarkdown(content);
+
+    return {
+      columns: {
+        contentHtml: html,
+        wordCount,
+        readingTime,
+        toc: JSON.stringify(toc),
+      },
+      defaults: { summary, ogImage: this.findCdnImage(images) },
+    };
+  }
+
+  /**
+   * Value of a field that defaults to one generated from the content
+   * (summary, ogImage) after the content changes: a given value is kept,
+   * null or a value generated from the previous content is regenerated
+   */
+  resolveGeneratedField(value, current, previousDefault, nextDefault) {
+    if (value !== undefined) {
+      return value || nextDefault;
+    }
+    // 이전 본문에서 생성된 값과 같으면 자동 생성된 값으로 간주
+    if (!current || current === previousDefault) {
+      return nextDefault;
+    }
+    return current;
+  }
+
+  /**
+   * First image URL served from CDN_DOMAIN
+   */
+  findCdnImage(images) {
+    return (
+      images.find((url) => {
+        try {
+          return new URL(url).hostname === this.cdnDomain;
+        } catch {
+          return false;
+        }
+      }) ?? null
+    );
+  }
+
+  async assertPostExists(postId) {
     const post = await this.repository.findById(postId);
+    if (!post) {
+      throw new NotFoundError("Post not found");
+    }
+  }
+
+  /**
+   * Normalize tag names (NFC, whitespace), drop duplicates by case-folded key
+   * and resolve aliases to their target tag
+   * @param {Array<string>} tags - Tag names as entered
+   * @returns {Promise<Array<Object>>} Tags { name, key } in input order
+   */
+  async normalizeTags(tags) {
+    const entered = tags.map((tag) => {
+      const name = normalizeTagName(tag);
+      return { name, key: tagKey(name) };
+    });
+
+    const aliasTargets = await this.tagRepository.findAliasTargets([
+      ...new Set(entered.map((tag) => tag.key)),
+    ]);
+
+    const normalized = new Map();
+    for (const tag of entered) {
+      const resolved = aliasTargets.get(tag.key) || tag;
+      if (!normalized.has(resolved.key)) {
+        normalized.set(resolved.key, resolved);
+      }
+    }
+
+    return [...normalized.values()];
+  }
+
+  async getPostWithTags(postId) {
+    let post = await this.repository.findById(postId);
     if (!post) {
       return null;
     }
 
+    // 렌더링 컬럼 추가 전에 저장된 게시글은 다음 저장 전까지 조회 시 렌더링
+    if (post.content_html === null) {
+      const rendered = this.renderContent(post.content).columns;
+      post = {
+        ...post,
+        content_html: rendered.contentHtml,
+        word_count: rendered.wordCount,
+        reading_time: rendered.readingTime,
+        toc: rendered.toc,
+      };
+    }
+
     const tags = await this.repository.getTagsByPostId(postId);
 
+    return {
+      ...this.toPostResponse(post, tags),
+      series: await this.getPostSeries(post),
+    };
+  }
+
+  /**
+   * Series of a post with its position and links to the previous and next post
+   * @returns {Promise<Object|null>} { id, slug, title, position, total, prev, next }
+   */
+  async getPostSeries(post) {
+    if (!post.series_id || post.series_position === null) {
+      return null;
+    }
+
+    const series = await this.seriesRepository.findById(post.series_id);
+    if (!series) {
+      return null;
+    }
+
+    const { prev, next } = await this.seriesRepository.findNeighbors(
+      series.id,
+      post.series_position,
+    );
+    const toLink = (neighbor) =>
+      neighbor && {
+        id: neighbor.id,
+        slug: neighbor.slug,
+        title: neighbor.title,
+        state: neighbor.state,
+      };
+
+    return {
+      id: series.id,
+      slug: series.slug,
+      title: series.title,
+      position: post.series_position,
+      total: series.post_count,
+      prev: toLink(prev),
+      next: toLink(next),
+    };
+  }
+
+  toPostResponse(post, tags) {
     return {
       id: post.id,
       slug: post.slug,
       title: post.title,
       content: post.content,
+      contentHtml: post.content_html,
+      wordCount: post.word_count,
+      readingTime: post.reading_time,
+      toc: post.toc ? JSON.parse(post.toc) : null,
       summary: post.summary,
+      metaTitle: post.meta_title,
+      metaDescription: post.meta_description,
+      canonicalUrl: post.canonical_url,
+      ogImage: post.og_image,
       tags,
+      // 목록에서는 ID와 위치만, getPostWithTags는 이전/다음 링크까지 포함
+      series: post.series_id
+        ? { id: post.series_id, position: post.series_position }
+        : null,
       state: post.state,
+      publishAt: post.publish_at,
+      publishedAt: post.published_at,
       createdAt: post.created_at,
       updatedAt: post.updated_at,
       views: post.views,
+      version: post.version,
     };
   }
 }
@@ -0,0 +1,395 @@
+/**
+ * Post Transfer Service
+ * Export posts as Markdown files with YAML front matter (ZIP) or NDJSON,
+ * and import them back by slug through PostService
+ *
+ * 가져오기는 게시글마다 PostService.createPost/updatePost를 그대로 사용하므로
+ * 검증, 태그 정규화, 렌더링, revision 기록이 일반 저장과 같음
+ */
+
+import { PostRepository } from "../repositories/index.js";
+import { PostService } from "./PostService.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { createZipWriter, readZip } from "../utils/zip.js";
+import {
+  stringifyFrontMatter,
+  parseFrontMatter,
+} from "../utils/frontMatter.js";
+import { validateEnum, validatePostRequest } from "../utils/validation.js";
+
+const EXPORT_PAGE_SIZE = 50;
+const MAX_IMPORT_POSTS = 100;
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+const EXPORT_FORMATS = ["zip", "ndjson"];
+const IMPORT_FORMATS = ["zip", "ndjson", "markdown"];
+const CONFLICT_POLICIES = ["skip", "overwrite", "rename"];
+
+const IMPORT_CONTENT_TYPES = {
+  "application/zip": "zip",
+  "application/x-zip-compressed": "zip",
+  "application/x-ndjson": "ndjson",
+  "application/jsonl": "ndjson",
+  "text/markdown": "markdown",
+};
+
+// 가져올 때 사용하는 게시글 필드 (나머지 front matter 키는 무시)
+const IMPORT_FIELDS = [
+  "title",
+  "slug",
+  "state",
+  "tags",
+  "summary",
+  "publishAt",
+  "metaTitle",
+  "metaDescription",
+  "canonicalUrl",
+  "ogImage",
+];
+
+export class PostTransferService {
+  constructor(db, env = {}) {
+    this.repository = new PostRepository(db);
+    this.postService = new PostService(db, env);
+  }
+
+  /**
+   * Stream every post outside the trash, one page of posts per chunk
+   * @param {string} format - "zip" (posts/{slug}.md files) or "ndjson"
+   * @returns {Object} { body: ReadableStream, contentType, filename }
+   */
+  exportPosts(format = "zip") {
+    validateEnum(format, "format", EXPORT_FORMATS);
+
+    const encoder = new TextEncoder();
+    const zip = format === "zip" ? createZipWriter() : null;
+    let afterId = 0;
+
+    const body = new ReadableStream({
+      pull: async (controller) => {
+        const posts = await this.repository.findAfterId(
+          afterId,
+          EXPORT_PAGE_SIZE,
+        );
+        if (posts.length === 0) {
+          if (zip) {
+            controller.enqueue(zip.finish());
+          }
+          controller.close();
+          return;
+        }
+
+        const tagsByPostId = await this.repository.getTagsByPostIds(
+          posts.map((post) => post.id),
+        );
+        for (const post of posts) {
+          const record = this.toExportRecord(post, tagsByPostId.get(post.id));
+          controller.enqueue(
+            zip
+              ? zip.addFile(
+                  `posts/${post.slug}.md`,
+                  stringifyFrontMatter(record, post.content),
+                  new Date(post.updated_at),
+                )
+              : encoder.encode(
+                  `${JSON.stringify({ ...record, content: post.content })}\n`,
+                ),
+          );
+        }
+        afterId = posts[posts.length - 1].id;
+      },
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      body,
+      contentType: zip ? "application/zip" : "application/x-ndjson",
+      filename: `posts-${date}.${zip ? "zip" : "ndjson"}`,
+    };
+  }
+
+  /**
+   * Import posts, upserting by slug
+   * Each post is saved on its own; invalid posts are reported per item
+   * @param {ArrayBuffer} body - ZIP archive, NDJSON or a single Markdown file
+   * @param {Object} options - { format, contentType, dryRun, conflict }
+   *   conflict: what to do when the slug is taken — skip, overwrite or rename
+   * @returns {Promise<Object>} Report with per-post actions
+   */
+  async importPosts(body, options, logger) {
+    const { dryRun = false, conflict = "skip" } = options;
+    validateEnum(conflict, "conflict", CONFLICT_POLICIES);
+    const format = this.resolveImportFormat(options);
+
+    if (body.byteLength > MAX_IMPORT_BYTES) {
+      throw new ValidationError("Import must not exceed 10 MB");
+    }
+
+    const entries = await this.readImportEntries(body, format);
+    if (entries.length === 0) {
+      throw new ValidationError("No posts found to import");
+    }
+    if (entries.length > MAX_IMPORT_POSTS) {
+      throw new ValidationError(
+        `Import must not exceed ${MAX_IMPORT_POSTS} posts; split it into several requests`,
+      );
+    }
+
+    // 같은 요청 안에서 이미 사용한 slug (dry run에서도 충돌로 처리)
+    const claimed = new Set();
+    const items = [];
+    for (const entry of entries) {
+      try {
+        items.push(
+          await this.importEntry(entry, format, {
+            dryRun,
+            conflict,
+            claimed,
+            logger,
+          }),
+        );
+      } catch (err) {
+        if (!(err instanceof ValidationError || err instanceof NotFoundError)) {
+          throw err;
+        }
+        items.push({
+          source: entry.source,
+          action: "error",
+          status: err.status,
+          error: err.message,
+        });
+      }
+    }
+
+    const count = (action) =>
+      items.filter((item) => item.action === action).length;
+    const report = {
+      dryRun,
+      conflict,
+      total: items.length,
+      created: count("create"),
+      updated: count("update"),
+      renamed: count("rename"),
+      skipped: count("skip"),
+      failed: count("error"),
+      items,
+    };
+
+    if (logger && !dryRun) {
+      logger.info("Posts imported", {
+        created: report.created,
+        updated: report.updated,
+        renamed: report.renamed,
+        skipped: report.skipped,
+        failed: report.failed,
+      });
+    }
+
+    return report;
+  }
+
+  async importEntry(entry, format, { dryRun, conflict, claimed, logger }) {
+    const { post, timestamps } = this.toImportPost(entry, format);
+    const requestedSlug = post.slug;
+
+    let action = "create";
+    let existing = null;
+    let slug = requestedSlug;
+
+    if (!requestedSlug) {
+      // slug가 없으면 일반 작성과 같이 제목에서 생성
+      slug = await this.postService.resolveUniqueSlug(
+        this.postService.generateSlug(post.title),
+        claimed,
+      );
+    } else if (
+      claimed.has(requestedSlug) ||
+      (await this.repository.findBySlug(requestedSlug)) ||
+      (await this.postService.isSlugReserved(requestedSlug))
+    ) {
+      existing = claimed.has(requestedSlug)
+        ? null
+        : await this.repository.findLiveBySlug(requestedSlug);
+
+      if (conflict === "skip") {
+        return {
+          source: entry.source,
+          slug: requestedSlug,
+          action: "skip",
+          id: existing ? existing.id : null,
+        };
+      }
+      if (conflict === "rename") {
+        action = "rename";
+        slug = await this.postService.resolveUniqueSlug(requestedSlug, claimed);
+      } else {
+        // 휴지통의 게시글, 다른 게시글의 이전 slug, 같은 요청의 앞선 항목은 덮어쓰지 않음
+        if (!existing) {
+          throw new ValidationError(
+            "Slug is held by a trashed post, a previous slug or an earlier entry; it cannot be overwritten",
+          );
+        }
+        action = "update";
+      }
+    }
+
+    claimed.add(slug);
+    const item = { source: entry.source, slug, action };
+    if (action === "rename") {
+      item.originalSlug = requestedSlug;
+    }
+
+    if (dryRun) {
+      return { ...item, id: action === "update" ? existing.id : null };
+    }
+
+    const saved =
+      action === "update"
+        ? await this.postService.updatePost(
+            existing.id,
+            { ...post, slug },
+            logger,
+          )
+        : await this.postService.createPost(
+            { ...post, slug },
+            logger,
+            timestamps,
+          );
+
+    return { ...item, id: saved.id };
+  }
+
+  /**
+   * Turn one import entry into post data for PostService
+   * @returns {Object} { post, timestamps: { createdAt, publishedAt } }
+   * @throws {ValidationError} If the entry cannot be parsed or is invalid
+   */
+  toImportPost(entry, format) {
+    let fields;
+    let content;
+
+    if (format === "ndjson") {
+      try {
+        fields = JSON.parse(entry.text);
+      } catch {
+        throw new ValidationError("Invalid JSON");
+      }
+      if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+        throw new ValidationError("Each line must be a JSON object");
+      }
+      content = fields.content;
+    } else {
+      ({ data: fields, content } = parseFrontMatter(entry.text));
+    }
+
+    const post = { content };
+    for (const field of IMPORT_FIELDS) {
+      if (fields[field] !== undefined && fields[field] !== null) {
+        post[field] = fields[field];
+      }
+    }
+    // front matter에서 태그 하나를 목록 없이 쓴 경우
+    if (typeof post.tags === "string") {
+      post.tags = [post.tags];
+    }
+    post.state = post.state ?? "draft";
+
+    validatePostRequest(post);
+
+    return {
+      post,
+      timestamps: {
+        createdAt: this.parseTimestamp(fields.createdAt, "createdAt"),
+        publishedAt: this.parseTimestamp(fields.publishedAt, "publishedAt"),
+      },
+    };
+  }
+
+  parseTimestamp(value, fieldName) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+
+    const time = typeof value === "string" ? Date.parse(value) : NaN;
+    if (isNaN(time)) {
+      throw new ValidationError(`${fieldName} must be an ISO 8601 datetime`);
+    }
+    return new Date(time).toISOString();
+  }
+
+  /**
+   * Split the request body into entries { source, text }
+   * (ZIP: every .md file, NDJSON: every non-empty line, Markdown: the whole body)
+   */
+  async readImportEntries(body, format) {
+    if (format === "zip") {
+      const files = await readZip(body, {
+        maxEntryBytes: MAX_IMPORT_BYTES,
+        maxTotalBytes: MAX_IMPORT_BYTES,
+      });
+      const decoder = new TextDecoder();
+
+      return files
+        .filter(
+          ({ name }) =>
+            /\.(md|markdown)$/i.test(name) &&
+            !name.startsWith("__MACOSX/") &&
+            !name.split("/").pop().startsWith("."),
+        )
+        .map(({ name, data }) => ({
+          source: name,
+          text: decoder.decode(data),
+        }));
+    }
+
+    const text = new TextDecoder().decode(body);
+    if (format === "markdown") {
+      return text.trim() ? [{ source: "body", text }] : [];
+    }
+
+    return text
+      .split("\n")
+      .map((line, index) => ({ source: `line ${index + 1}`, text: line }))
+      .filter((entry) => entry.text.trim() !== "");
+  }
+
+  /**
+   * Use the format query parameter, or derive it from the Content-Type
+   */
+  resolveImportFormat({ format, contentType }) {
+    if (format) {
+      validateEnum(format, "format", IMPORT_FORMATS);
+      return format;
+    }
+
+    const mediaType = (contentType || "").split(";")[0].trim().toLowerCase();
+    const derived = IMPORT_CONTENT_TYPES[mediaType];
+    if (!derived) {
+      throw new ValidationError(
+        "Unsupported import format; send a ZIP archive, NDJSON or Markdown, or set format",
+      );
+    }
+    return derived;
+  }
+
+  /**
+   * Front matter / NDJSON fields for a post (null values omitted in front matter)
+   */
+  toExportRecord(post, tags = []) {
+    return {
+      title: post.title,
+      slug: post.slug,
+      state: post.state,
+      tags,
+      summary: post.summary,
+      publishAt: post.publish_at,
+      publishedAt: post.published_at,
+      createdAt: post.created_at,
+      updatedAt: post.updated_at,
+      metaTitle: post.meta_title,
+      metaDescription: post.meta_description,
+      canonicalUrl: post.canonical_url,
+      ogImage: post.og_image,
+    };
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Series Service
+ * Business logic for series: ordered collections of posts (multi-part tutorials)
+ *
+ * 게시글 위치는 휴지통에 없는 게시글 사이에서 1부터 빈틈없이 유지됨.
+ * 시리즈 변경은 게시글 내용이 아니므로 게시글 버전과 revision을 바꾸지 않음
+ */
+
+import { SeriesRepository, PostRepository } from "../repositories/index.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { slugify } from "../utils/slug.js";
+import {
+  validateSeriesRequest,
+  validateSeriesOrderRequest,
+  validateSeriesPostRequest,
+} from "../utils/validation.js";
+
+export class SeriesService {
+  constructor(db) {
+    this.repository = new SeriesRepository(db);
+    this.postRepository = new PostRepository(db);
+  }
+
+  async listSeries() {
+    const series = await this.repository.findAll();
+    return series.map((item) => this.toSeriesResponse(item));
+  }
+
+  /**
+   * Get a series with its posts in order
+   */
+  async getSeries(seriesId) {
+    const series = await this.findSeries(seriesId);
+    const posts = await this.repository.findPosts(seriesId);
+
+    return {
+      ...this.toSeriesResponse(series),
+      posts: posts.map((post) => ({
+        id: post.id,
+        slug: post.slug,
+        title: post.title,
+        state: post.state,
+        position: post.series_position,
+      })),
+    };
+  }
+
+  async createSeries(data, logger) {
+    validateSeriesRequest(data);
+
+    const slug = data.slug
+      ? await this.assertSlugAvailable(data.slug)
+      : await this.resolveUniqueSlug(slugify(data.title));
+
+    const seriesId = await this.repository.create({
+      title: data.title,
+      slug,
+      description: data.description ?? null,
+      createdAt: new Date().toISOString(),
+    });
+
+    if (logger) {
+      logger.info("Series created", { seriesId, slug });
+    }
+
+    return await this.getSeries(seriesId);
+  }
+
+  /**
+   * Update title, slug or description (absent fields are kept, null clears description)
+   */
+  async updateSeries(seriesId, data, logger) {
+    validateSeriesRequest(data, true);
+
+    const series = await this.findSeries(seriesId);
+    const slug =
+      data.slug !== undefined && data.slug !== series.slug
+        ? await this.assertSlugAvailable(data.slug)
+        : series.slug;
+
+    await this.repository.update(seriesId, {
+      title: data.title !== undefined ? data.title : series.title,
+      slug,
+      description:
+        data.description !== undefined ? data.description : series.description,
+      updatedAt: new Date().toISOString(),
+    });
+
+    if (logger) {
+      logger.info("Series updated", { seriesId });
+    }
+
+    return await this.getSeries(seriesId);
+  }
+
+  /**
+   * Delete a series; its posts are kept and leave the series
+   */
+  async deleteSeries(seriesId, logger) {
+    await this.findSeries(seriesId);
+    await this.repository.delete(seriesId);
+
+    if (logger) {
+      logger.info("Series deleted", { seriesId });
+    }
+
+    return { deleted: true, id: seriesId };
+  }
+
+  /**
+   * Reorder a series: postIds must list every post of the series exactly once
+   */
+  async reorderPosts(seriesId, data, logger) {
+    validateSeriesOrderRequest(data);
+
+    await this.findSeries(seriesId);
+    const posts = await this.repository.findPosts(seriesId);
+    const current = new Set(posts.map((post) => post.id));
+
+    const unknown = data.postIds.find((id) => !current.has(id));
+    if (unknown !== undefined) {
+      throw new ValidationError(`Post ${unknown} is not in this series`);
+    }
+    if (data.postIds.length !== current.size) {
+      throw new ValidationError("postIds must list every post of the series");
+    }
+
+    await this.repository.reorder(seriesId, data.postIds);
+
+    if (logger) {
+      logger.info("Series reordered", { seriesId });
+    }
+
+    return await this.getSeries(seriesId);
+  }
+
+  /**
+   * Add a post to a series or move it within the series
+   * position defaults to the end and is clamped to 1..(post count + 1);
+   * a post in another series leaves that series
+   */
+  async addPost(seriesId, data, logger) {
+    validateSeriesPostRequest(data);
+
+    await this.findSeries(seriesId);
+    const post = await this.postRepository.findById(data.postId);
+    if (!post) {
+      throw new NotFoundError("Post not found");
+    }
+
+    const posts = await this.repository.findPosts(seriesId);
+    const others = posts.filter((item) => item.id !== post.id).length;
+    const position = Math.min(data.position ?? others + 1, others + 1);
+
+    if (post.series_id !== seriesId || post.series_position !== position) {
+      await this.repository.assignPost(post.id, seriesId, position);
+
+      if (logger) {
+        logger.info("Post added to series", {
+          seriesId,
+          postId: post.id,
+          position,
+        });
+      }
+    }
+
+    return await this.getSeries(seriesId);
+  }
+
+  /**
+   * Take a post out of a series; later posts move up
+   */
+  async removePost(seriesId, postId, logger) {
+    await this.findSeries(seriesId);
+    const post = await this.postRepository.findById(postId);
+    if (!post || post.series_id !== seriesId) {
+      throw new NotFoundError("Post is not in this series");
+    }
+
+    await this.repository.detachPosts([postId]);
+
+    if (logger) {
+      logger.info("Post removed from series", { seriesId, postId });
+    }
+
+    return await this.getSeries(seriesId);
+  }
+
+  async findSeries(seriesId) {
+    const series = await this.repository.findById(seriesId);
+    if (!series) {
+      throw new NotFoundError("Series not found");
+    }
+    return series;
+  }
+
+  /**
+   * @returns {Promise<string>} The slug if no other series uses it
+   * @throws {ValidationError} If the slug is taken
+   */
+  async assertSlugAvailable(slug) {
+    if (await this.repository.findBySlug(slug)) {
+      throw new ValidationError("Slug already exists");
+    }
+    return slug;
+  }
+
+  /**
+   * Append -2, -3, ... until no series uses the slug
+   */
+  async resolveUniqueSlug(base) {
+    const taken = new Set(await this.repository.findSlugsWithBase(base));
+    if (!taken.has(base)) {
+      return base;
+    }
+
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) {
+      suffix++;
+    }
+    return `${base}-${suffix}`;
+  }
+
+  toSeriesResponse(series) {
+    return {
+      id: series.id,
+      slug: series.slug,
+      title: series.title,
+      description: series.description,
+      postCount: series.post_count,
+      createdAt: series.created_at,
+      updatedAt: series.updated_at,
+    };
+  }
+}
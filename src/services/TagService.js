@@ -0,0 +1,281 @@
+/**
+ * Tag Service
+ * Business logic for tag management (rename, merge, cleanup, post_count repair)
+ * and tag aliases
+ *
+ * post_count는 휴지통에 없는 published 게시글 수이며, 게시글 저장/삭제 batch에서
+ * 함께 갱신됨. recountTags는 기존 데이터 복구용
+ */
+
+import { TagRepository } from "../repositories/index.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { normalizeTagName, tagKey } from "../utils/tags.js";
+import {
+  validateTagRenameRequest,
+  validateTagMergeRequest,
+  validateTagAliasRequest,
+} from "../utils/validation.js";
+
+export class TagService {
+  constructor(db) {
+    this.repository = new TagRepository(db);
+  }
+
+  async listTags() {
+    const tags = await this.repository.findAll();
+    return tags.map((tag) => this.toTagResponse(tag));
+  }
+
+  async renameTag(tagId, data, logger) {
+    validateTagRenameRequest(data);
+
+    const tag = await this.getTag(tagId);
+    const name = normalizeTagName(data.name);
+    const key = tagKey(name);
+    if (name === tag.name) {
+      return this.toTagResponse(tag);
+    }
+
+    // 대소문자만 바꾸는 경우는 같은 key이므로 허용
+    const existing = await this.repository.findByKey(key);
+    if (existing && existing.id !== tagId) {
+      throw new ValidationError(
+        "Tag name already exists; merge the tags instead",
+      );
+    }
+    if (await this.repository.findAliasByKey(key)) {
+      throw new ValidationError("Tag name is already used as an alias");
+    }
+
+    await this.repository.rename(tagId, name, key);
+
+    if (logger) {
+      logger.info("Tag renamed", { tagId, from: tag.name, to: name });
+    }
+
+    return this.toTagResponse(await this.getTag(tagId));
+  }
+
+  /**
+   * Merge a tag into another: its posts move to the target tag and it is deleted
+   */
+  async mergeTags(sourceId, data, logger) {
+    validateTagMergeRequest(data);
+
+    if (data.into === sourceId) {
+      throw new ValidationError("Cannot merge a tag into itself");
+    }
+
+    const source = await this.getTag(sourceId);
+    const target = await this.getTag(data.into);
+
+    await this.repository.merge(source.id, target.id);
+
+    if (logger) {
+      logger.info("Tags merged", { from: source.name, into: target.name });
+    }
+
+    return this.toTagResponse(await this.getTag(target.id));
+  }
+
+  async deleteTag(tagId, logger) {
+    const tag = await this.getTag(tagId);
+
+    const deleted = await this.repository.deleteIfUnused(tagId);
+    if (!deleted) {
+      throw new ValidationError("Tag is still used by posts");
+    }
+
+    if (logger) {
+      logger.info("Tag deleted", { tagId, name: tag.name });
+    }
+
+    return { deleted: true, id: tagId };
+  }
+
+  /**
+   * Delete every tag that is not linked to any post (trashed posts included)
+   */
+  async deleteUnusedTags(logger) {
+    const deletedTags = await this.repository.deleteUnused();
+
+    if (logger) {
+      logger.info("Unused tags deleted", { count: deletedTags.length });
+    }
+
+    return {
+      deleted: deletedTags.length,
+      tags: deletedTags.map((tag) => tag.name),
+    };
+  }
+
+  async recountTags(logger) {
+    const repaired = await this.repository.recountAll();
+
+    if (logger) {
+      logger.info("Tag post counts recomputed", { repaired });
+    }
+
+    return { repaired };
+  }
+
+  /**
+   * Recompute every tag key with tagKey() (Unicode NFC, whitespace, case folding)
+   * Migration 0013 filled name_key with SQLite lower(trim(name)), which only
+   * folds ASCII; tags whose keys now collide are merged into the oldest one,
+   * and a tag whose key is now an alias is merged into the alias target.
+   * Also clears the task migration 0018 schedules for the Cron Trigger
+   */
+  async rekeyTags(logger) {
+    const groups = new Map();
+    for (const tag of await this.repository.findAllKeys()) {
+      const name = normalizeTagName(tag.name);
+      const key = tagKey(name);
+      const group = groups.get(key);
+      if (group) {
+        group.duplicates.push(tag);
+      } else {
+        const changed = name !== tag.name || key !== tag.name_key;
+        groups.set(key, {
+          keep: { id: tag.id, name, changed },
+          duplicates: [],
+        });
+      }
+    }
+
+    const merged = [];
+    const mergeInto = async (source, target) => {
+      await this.repository.merge(source.id, target.id);
+      merged.push({ from: source.name, into: target.name });
+    };
+
+    for (const { keep, duplicates } of groups.values()) {
+      for (const duplicate of duplicates) {
+        await mergeInto(duplicate, keep);
+      }
+    }
+
+    // 별칭은 병합 후 대상이 바뀌었을 수 있으므로 병합이 끝난 뒤 조회
+    const aliasTargets = new Map(
+      (await this.repository.findAliases()).map((alias) => [
+        tagKey(alias.alias),
+        { id: alias.tag_id, name: alias.tag },
+      ]),
+    );
+
+    const rekeyed = [];
+    for (const [key, { keep }] of groups) {
+      const aliasTarget = aliasTargets.get(key);
+      if (aliasTarget && aliasTarget.id !== keep.id) {
+        await mergeInto(keep, aliasTarget);
+      } else if (keep.changed) {
+        rekeyed.push({ id: keep.id, name: keep.name, key });
+      }
+    }
+
+    if (rekeyed.length > 0) {
+      await this.repository.rekey(rekeyed);
+    }
+    await this.repository.clearRekeyPending();
+
+    if (logger) {
+      logger.info("Tag keys recomputed", {
+        rekeyed: rekeyed.length,
+        merged: merged.length,
+      });
+    }
+
+    return { rekeyed: rekeyed.length, merged };
+  }
+
+  /**
+   * Cron Trigger: run rekeyTags() once after migration 0018 schedules it
+   * @returns {Promise<Object>} rekeyTags() result, or { pending: false }
+   */
+  async rekeyTagsIfPending(logger) {
+    if (!(await this.repository.isRekeyPending())) {
+      return { pending: false };
+    }
+    return await this.rekeyTags(logger);
+  }
+
+  async listAliases() {
+    const aliases = await this.repository.findAliases();
+    return aliases.map((alias) => this.toAliasResponse(alias));
+  }
+
+  /**
+   * Add an alias: posts saved with the alias get the target tag instead
+   */
+  async createAlias(data, logger) {
+    validateTagAliasRequest(data);
+
+    const tag = await this.getTag(data.tagId);
+    const alias = normalizeTagName(data.alias);
+    const aliasKey = tagKey(alias);
+
+    const existingTag = await this.repository.findByKey(aliasKey);
+    if (existingTag) {
+      throw new ValidationError(
+        `A tag named "${existingTag.name}" exists; merge it into the target tag instead`,
+      );
+    }
+    if (await this.repository.findAliasByKey(aliasKey)) {
+      throw new ValidationError("Alias already exists");
+    }
+
+    const aliasId = await this.repository.createAlias(
+      alias,
+      aliasKey,
+      tag.id,
+      new Date().toISOString(),
+    );
+
+    if (logger) {
+      logger.info("Tag alias created", { alias, tag: tag.name });
+    }
+
+    return this.toAliasResponse(await this.repository.findAliasById(aliasId));
+  }
+
+  async deleteAlias(aliasId, logger) {
+    const deleted = await this.repository.deleteAlias(aliasId);
+    if (!deleted) {
+      throw new NotFoundError("Alias not found");
+    }
+
+    if (logger) {
+      logger.info("Tag alias deleted", { aliasId });
+    }
+
+    return { deleted: true, id: aliasId };
+  }
+
+  async getTag(tagId) {
+    const tag = await this.repository.findById(tagId);
+    if (!tag) {
+      throw new NotFoundError("Tag not found");
+    }
+    return tag;
+  }
+
+  toTagResponse(tag) {
+    return {
+      id: tag.id,
+      name: tag.name,
+      postCount: tag.post_count,
+      usageCount: tag.usage_count,
+      createdAt: tag.created_at,
+    };
+  }
+
+  toAliasResponse(alias) {
+    return {
+      id: alias.id,
+      alias: alias.alias,
+      tagId: alias.tag_id,
+      tag: alias.tag,
+      createdAt: alias.created_at,
+    };
+  }
+}
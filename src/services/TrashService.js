@@ -0,0 +1,152 @@
+/**
+ * Trash Service
+ * Business logic for soft-deleted posts and comments (restore, purge)
+ *
+ * DELETE 엔드포인트는 deleted_at을 설정하고(게시글은 draft로 내리고 원래 state를
+ * deleted_state에 보관), 영구 삭제는 purge 또는 cron이 TRASH_RETENTION_DAYS가
+ * 지난 항목을 정리할 때 수행
+ *
+ * 댓글에는 state가 없으므로 공개 worker가 deleted_at IS NULL로 걸러야 함
+ */
+
+import { PostRepository, CommentRepository } from "../repositories/index.js";
+import { Scope, hasScope } from "../auth/permissions.js";
+import { NotFoundError, ForbiddenError } from "../utils/errors.js";
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+export class TrashService {
+  constructor(db) {
+    this.postRepository = new PostRepository(db);
+    this.commentRepository = new CommentRepository(db);
+  }
+
+  /**
+   * List trashed items the user is allowed to manage
+   * (posts with posts:write, comments with comments:delete)
+   * @throws {ForbiddenError} If the user has neither scope
+   */
+  async listTrash(user) {
+    const canPosts = hasScope(user, Scope.POSTS_WRITE);
+    const canComments = hasScope(user, Scope.COMMENTS_DELETE);
+    if (!canPosts && !canComments) {
+      throw new ForbiddenError(
+        `Forbidden - Missing required scope: ${Scope.POSTS_WRITE} or ${Scope.COMMENTS_DELETE}`,
+      );
+    }
+
+    const result = {};
+
+    if (canPosts) {
+      const posts = await this.postRepository.findDeleted();
+      result.posts = posts.map((post) => ({
+        id: post.id,
+        slug: post.slug,
+        title: post.title,
+        state: post.state,
+        deletedAt: post.deleted_at,
+      }));
+    }
+
+    if (canComments) {
+      const comments = await this.commentRepository.findDeleted();
+      result.comments = comments.map((comment) => ({
+        id: comment.id,
+        postId: comment.post_id,
+        author: comment.author,
+        content: comment.content,
+        createdAt: comment.created_at,
+        deletedAt: comment.deleted_at,
+      }));
+    }
+
+    return result;
+  }
+
+  async restorePost(postId, logger) {
+    await this.getTrashedPost(postId);
+    await this.postRepository.restore(postId, new Date().toISOString());
+
+    if (logger) {
+      logger.info("Post restored from trash", { postId });
+    }
+
+    return { restored: true, id: postId };
+  }
+
+  async purgePost(postId, logger) {
+    await this.getTrashedPost(postId);
+    await this.postRepository.purge(postId);
+
+    if (logger) {
+      logger.info("Post purged", { postId });
+    }
+
+    return { purged: true, id: postId };
+  }
+
+  async restoreComment(commentId, logger) {
+    await this.getTrashedComment(commentId);
+    await this.commentRepository.restore(commentId);
+
+    if (logger) {
+      logger.info("Comment restored from trash", { commentId });
+    }
+
+    return { restored: true, id: commentId };
+  }
+
+  async purgeComment(commentId, logger) {
+    await this.getTrashedComment(commentId);
+    await this.commentRepository.purge(commentId);
+
+    if (logger) {
+      logger.info("Comment purged", { commentId });
+    }
+
+    return { purged: true, id: commentId };
+  }
+
+  /**
+   * Permanently delete trash older than TRASH_RETENTION_DAYS (Cron Trigger)
+   * and remove tag links left without a post
+   */
+  async purgeExpired(env) {
+    const retentionDays =
+      parseInt(env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+    const cutoff = new Date(
+      Date.now() - retentionDays * 24 * 60 * 60 * 1000,
+    ).toISOString();
+
+    const expiredPosts = await this.postRepository.findDeletedBefore(cutoff);
+    for (const post of expiredPosts) {
+      await this.postRepository.purge(post.id);
+    }
+
+    const comments = await this.commentRepository.purgeDeletedBefore(cutoff);
+    const orphanedTags = await this.postRepository.deleteOrphanedTags();
+
+    return {
+      posts: expiredPosts.length,
+      comments,
+      orphanedTags,
+      cutoff,
+    };
+  }
+
+  async getTrashedPost(postId) {
+    const post = await this.postRepository.findDeletedById(postId);
+    if (!post) {
+      throw new NotFoundError("Post not found in trash");
+    }
+    return post;
+  }
+
+  async getTrashedComment(commentId) {
+    const comment = await this.commentRepository.findDeletedById(commentId);
+    if (!comment) {
+      throw new NotFoundError("Comment not found in trash");
+    }
+    return comment;
+  }
+}
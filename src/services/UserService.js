@@ -0,0 +1,143 @@
+/**
+ * User Service
+ * Business logic for admin account management (owner only)
+ */
+
+import { AuthRepository } from "../repositories/index.js";
+import { AuthService } from "./AuthService.js";
+import { Role } from "../auth/permissions.js";
+import { hashPassword } from "../auth/password.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+} from "../utils/errors.js";
+import { validateUserRequest } from "../utils/validation.js";
+
+export class UserService {
+  constructor(db) {
+    this.repository = new AuthRepository(db);
+    this.authService = new AuthService(db);
+  }
+
+  async listUsers() {
+    const users = await this.repository.findAllUsers();
+    return users.map((user) => this.toUserResponse(user));
+  }
+
+  async getUser(userId) {
+    const user = await this.repository.findUserById(userId);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    return this.toUserResponse(user);
+  }
+
+  async createUser(userData, logger) {
+    validateUserRequest(userData, Object.values(Role));
+
+    const { username, password, role } = userData;
+
+    const existingUser = await this.repository.findUserByUsername(username);
+    if (existingUser) {
+      throw new ValidationError("Username already exists");
+    }
+
+    const now = new Date().toISOString();
+    const userId = await this.repository.createUser({
+      username,
+      password: await hashPassword(password),
+      role,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    if (logger) {
+      logger.info("User created", { userId, username, role });
+    }
+
+    return await this.getUser(userId);
+  }
+
+  async updateUser(userId, userData, actor, logger) {
+    validateUserRequest(userData, Object.values(Role), true);
+
+    const existingUser = await this.repository.findUserById(userId);
+    if (!existingUser) {
+      throw new NotFoundError("User not found");
+    }
+
+    const { password, role } = userData;
+
+    if (
+      role !== undefined &&
+      existingUser.role === Role.OWNER &&
+      role !== Role.OWNER
+    ) {
+      await this.assertNotLastOwner();
+    }
+
+    await this.repository.updateUser(userId, {
+      role,
+      password: password !== undefined ? await hashPassword(password) : null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    // 권한/비밀번호가 바뀌면 기존 토큰의 role/scope가 낡으므로 세션 종료
+    const revokedSessions = await this.authService.revokeUserSessions(userId);
+
+    if (logger) {
+      logger.info("User updated", {
+        userId,
+        actorId: actor.userId,
+        roleChanged: role !== undefined,
+        passwordChanged: password !== undefined,
+        revokedSessions,
+      });
+    }
+
+    return await this.getUser(userId);
+  }
+
+  async deleteUser(userId, actor, logger) {
+    if (userId === actor.userId) {
+      throw new ForbiddenError("Owners cannot delete their own account");
+    }
+
+    const existingUser = await this.repository.findUserById(userId);
+    if (!existingUser) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (existingUser.role === Role.OWNER) {
+      await this.assertNotLastOwner();
+    }
+
+    await this.authService.revokeUserSessions(userId);
+    await this.repository.deleteUser(userId);
+
+    if (logger) {
+      logger.info("User deleted", { userId, actorId: actor.userId });
+    }
+
+    return { deleted: true, id: userId };
+  }
+
+  async assertNotLastOwner() {
+    const ownerCount = await this.repository.countUsersByRole(Role.OWNER);
+    if (ownerCount <= 1) {
+      throw new ValidationError("Cannot remove the last owner");
+    }
+  }
+
+  toUserResponse(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      createdAt: user.created_at,
+      updatedAt: user.updated_at,
+    };
+  }
+}
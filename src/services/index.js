@@ -6,3 +6,12 @@ export { PostService } from "./PostService.js";
 export { CommentService } from "./CommentService.js";
 export { AuthService } from "./AuthService.js";
 export { ImageService } from "./ImageService.js";
+export { UserService } from "./UserService.js";
+export { LoginThrottleService } from "./LoginThrottleService.js";
+export { MfaService } from "./MfaService.js";
+export { ApiKeyService } from "./ApiKeyService.js";
+export { PasskeyService } from "./PasskeyService.js";
+export { TrashService } from "./TrashService.js";
+export { TagService } from "./TagService.js";
+export { PostTransferService } from "./PostTransferService.js";
+export { SeriesService } from "./SeriesService.js";
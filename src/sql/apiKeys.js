@@ -0,0 +1,25 @@
+/**
+ * API key SQL queries
+ */
+
+export const apiKeyQueries = {
+  insert: `INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, created_at, expires_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+  selectByHash: `SELECT k.id, k.user_id, k.scopes, k.expires_at, k.revoked_at, u.role
+                 FROM api_keys k
+                 JOIN users u ON u.id = k.user_id
+                 WHERE k.key_hash = ?`,
+  selectById: "SELECT id, user_id, revoked_at FROM api_keys WHERE id = ?",
+  selectAll: `SELECT k.id, k.user_id, u.username, k.name, k.prefix, k.scopes, k.created_at, k.expires_at, k.last_used_at, k.revoked_at
+              FROM api_keys k
+              JOIN users u ON u.id = k.user_id
+              ORDER BY k.created_at DESC`,
+  selectByUserId: `SELECT k.id, k.user_id, u.username, k.name, k.prefix, k.scopes, k.created_at, k.expires_at, k.last_used_at, k.revoked_at
+                   FROM api_keys k
+                   JOIN users u ON u.id = k.user_id
+                   WHERE k.user_id = ?
+                   ORDER BY k.created_at DESC`,
+  updateLastUsed: "UPDATE api_keys SET last_used_at = ? WHERE id = ?",
+  revoke:
+    "UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL",
+};
@@ -3,5 +3,21 @@
  */
 
 export const authQueries = {
-  selectUserByUsername: "SELECT id, password FROM users WHERE username = ?",
+  selectUserByUsername: `SELECT id, username, password, role, totp_secret, totp_enabled_at, totp_last_step
+                         FROM users
+                         WHERE username = ?`,
+  selectUserById: `SELECT id, username, password, role, totp_secret, totp_enabled_at, totp_last_step, created_at, updated_at
+                   FROM users
+                   WHERE id = ?`,
+  selectAllUsers: `SELECT id, username, role, totp_enabled_at, created_at, updated_at
+                   FROM users
+                   ORDER BY id ASC`,
+  countByRole: "SELECT COUNT(*) AS count FROM users WHERE role = ?",
+  insertUser: `INSERT INTO users (username, password, role, created_at, updated_at)
+               VALUES (?, ?, ?, ?, ?)`,
+  updateUser: `UPDATE users
+               SET role = COALESCE(?, role), password = COALESCE(?, password), updated_at = ?
+               WHERE id = ?`,
+  updatePassword: "UPDATE users SET password = ?, updated_at = ? WHERE id = ?",
+  deleteUser: "DELETE FROM users WHERE id = ?",
 };
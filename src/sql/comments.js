@@ -3,6 +3,24 @@
  */
 
 export const commentQueries = {
-  selectById: "SELECT id FROM comments WHERE id = ?",
-  delete: "DELETE FROM comments WHERE id = ?",
+  selectById: "SELECT id FROM comments WHERE id = ? AND deleted_at IS NULL",
+  softDelete:
+    "UPDATE comments SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL",
+};
+
+/**
+ * Trash (soft-deleted comments) queries
+ */
+export const commentTrashQueries = {
+  selectDeleted: `SELECT id, post_id, author, content, created_at, deleted_at
+                  FROM comments
+                  WHERE deleted_at IS NOT NULL
+                  ORDER BY deleted_at DESC`,
+  selectDeletedById:
+    "SELECT id, deleted_at FROM comments WHERE id = ? AND deleted_at IS NOT NULL",
+  restore:
+    "UPDATE comments SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL",
+  purge: "DELETE FROM comments WHERE id = ? AND deleted_at IS NOT NULL",
+  purgeDeletedBefore:
+    "DELETE FROM comments WHERE deleted_at IS NOT NULL AND deleted_at < ?",
 };
@@ -5,3 +5,12 @@
 export * from "./posts.js";
 export * from "./comments.js";
 export * from "./auth.js";
+export * from "./sessions.js";
+export * from "./loginAttempts.js";
+export * from "./mfa.js";
+export * from "./apiKeys.js";
+export * from "./webauthn.js";
+export * from "./postRevisions.js";
+export * from "./postSlugHistory.js";
+export * from "./tags.js";
+export * from "./series.js";
@@ -0,0 +1,21 @@
+/**
+ * Login attempt (brute-force protection) SQL queries
+ */
+
+export const loginAttemptQueries = {
+  selectByKeys: `SELECT key, failures, last_failure_at, locked_until
+                 FROM login_attempts
+                 WHERE key IN (?, ?)`,
+  selectLocked: `SELECT key, failures, last_failure_at, locked_until
+                 FROM login_attempts
+                 WHERE locked_until > ?
+                 ORDER BY locked_until DESC`,
+  recordFailure: `INSERT INTO login_attempts (key, failures, last_failure_at)
+                  VALUES (?, 1, ?)
+                  ON CONFLICT (key) DO UPDATE SET
+                    failures = CASE WHEN login_attempts.last_failure_at < ? THEN 1 ELSE login_attempts.failures + 1 END,
+                    last_failure_at = excluded.last_failure_at
+                  RETURNING failures`,
+  updateLockedUntil: "UPDATE login_attempts SET locked_until = ? WHERE key = ?",
+  deleteByKey: "DELETE FROM login_attempts WHERE key = ?",
+};
@@ -0,0 +1,29 @@
+/**
+ * Two-factor authentication SQL queries
+ */
+
+export const mfaQueries = {
+  updateTotpSecret: `UPDATE users
+                     SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = ?
+                     WHERE id = ?`,
+  enableTotp: `UPDATE users
+               SET totp_enabled_at = ?, totp_last_step = ?, updated_at = ?
+               WHERE id = ?`,
+  disableTotp: `UPDATE users
+                SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = ?
+                WHERE id = ?`,
+  updateLastStep: `UPDATE users
+                   SET totp_last_step = ?
+                   WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+};
+
+export const recoveryCodeQueries = {
+  insert:
+    "INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)",
+  consume: `UPDATE recovery_codes
+            SET used_at = ?
+            WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+  countUnused:
+    "SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL",
+  deleteByUserId: "DELETE FROM recovery_codes WHERE user_id = ?",
+};
@@ -0,0 +1,23 @@
+/**
+ * Post revision SQL queries
+ */
+
+export const postRevisionQueries = {
+  // revision 번호는 게시글별로 1부터 증가
+  insert: `INSERT INTO post_revisions (post_id, revision, slug, title, content, summary, state, tags, restored_from, created_at)
+           SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?, ?, ?, ?, ?
+           FROM post_revisions
+           WHERE post_id = ?
+           RETURNING revision`,
+  selectByPostId: `SELECT revision, slug, title, state, restored_from, created_at
+                   FROM post_revisions
+                   WHERE post_id = ?
+                   ORDER BY revision DESC`,
+  selectByRevision: `SELECT revision, slug, title, content, summary, state, tags, restored_from, created_at
+                     FROM post_revisions
+                     WHERE post_id = ? AND revision = ?`,
+  // 최근 N개만 유지
+  deleteOlderThanLatest: `DELETE FROM post_revisions
+                          WHERE post_id = ?
+                            AND revision <= (SELECT MAX(revision) FROM post_revisions WHERE post_id = ?) - ?`,
+};
@@ -0,0 +1,17 @@
+/**
+ * Post slug history SQL queries
+ */
+
+export const postSlugHistoryQueries = {
+  // 같은 slug가 이미 이력에 있으면 최신 기록으로 갱신
+  upsert: `INSERT INTO post_slug_history (slug, post_id, created_at)
+           VALUES (?, ?, ?)
+           ON CONFLICT (slug) DO UPDATE SET post_id = excluded.post_id, created_at = excluded.created_at`,
+  selectBySlug:
+    "SELECT slug, post_id, created_at FROM post_slug_history WHERE slug = ?",
+  selectByPostId: `SELECT slug, created_at
+                   FROM post_slug_history
+                   WHERE post_id = ?
+                   ORDER BY created_at DESC`,
+  deleteBySlug: "DELETE FROM post_slug_history WHERE post_id = ? AND slug = ?",
+};
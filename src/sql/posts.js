@@ -3,27 +3,174 @@
  */
 
 export const postQueries = {
-  selectById: "SELECT * FROM posts WHERE id = ?",
+  selectById: "SELECT * FROM posts WHERE id = ? AND deleted_at IS NULL",
+  // slug는 휴지통의 게시글도 점유 (복원 시 충돌 방지)
   selectBySlug: "SELECT id FROM posts WHERE slug = ?",
+  selectLiveBySlug:
+    "SELECT id, slug, state FROM posts WHERE slug = ? AND deleted_at IS NULL",
+  // 자동 생성 slug의 -2, -3 접미사 계산용 (이전 slug 이력 포함)
+  selectSlugsLike: `SELECT slug FROM posts WHERE slug = ? OR slug LIKE ?
+                    UNION
+                    SELECT slug FROM post_slug_history WHERE slug = ? OR slug LIKE ?`,
   selectBySlugExcludingId: "SELECT id FROM posts WHERE slug = ? AND id != ?",
-  insert: `INSERT INTO posts (slug, title, content, summary, state, created_at, updated_at, views)
-           VALUES (?, ?, ?, ?, ?, ?, ?, 0)`,
+  insert: `INSERT INTO posts (slug, title, content, content_html, word_count, reading_time, toc, summary,
+                             meta_title, meta_description, canonical_url, og_image,
+                             state, publish_at, published_at, created_at, updated_at, views)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
   update: `UPDATE posts
-           SET title = ?, content = ?, summary = ?, state = ?, slug = COALESCE(?, slug), updated_at = ?
-           WHERE id = ?`,
-  delete: "DELETE FROM posts WHERE id = ?",
+           SET title = ?, content = ?, content_html = ?, word_count = ?, reading_time = ?, toc = ?,
+               summary = ?, meta_title = ?, meta_description = ?, canonical_url = ?, og_image = ?,
+               state = ?, slug = COALESCE(?, slug),
+               publish_at = ?, published_at = ?, updated_at = ?, version = version + 1
+           WHERE id = ? AND (? IS NULL OR version = ?)`,
+  // 내보내기: id 순서로 페이지 단위 조회
+  selectAfterId: `SELECT * FROM posts
+                  WHERE id > ? AND deleted_at IS NULL
+                  ORDER BY id ASC
+                  LIMIT ?`,
+  selectScheduled: `SELECT * FROM posts
+                    WHERE state = 'scheduled' AND deleted_at IS NULL
+                    ORDER BY publish_at ASC`,
+  selectDueScheduled: `SELECT id, slug, publish_at FROM posts
+                       WHERE state = 'scheduled' AND publish_at <= ? AND deleted_at IS NULL
+                       ORDER BY publish_at ASC`,
+  // state 조건으로 동시에 수정된 게시글은 건너뜀
+  publishScheduled: `UPDATE posts
+                     SET state = 'published', published_at = publish_at, publish_at = NULL, updated_at = ?, version = version + 1
+                     WHERE id = ? AND state = 'scheduled' AND deleted_at IS NULL`,
+  // 시리즈 위치를 비우고 PostRepository.softDelete batch에서 빈틈을 닫음 (series_id는 복원용으로 유지)
+  // 공개 worker는 state만 보므로 draft로 내리고 원래 state는 deleted_state에 보관
+  softDelete: `UPDATE posts
+               SET deleted_at = ?, deleted_state = state, state = 'draft',
+                   series_position = NULL, version = version + 1
+               WHERE id = ? AND deleted_at IS NULL AND (? IS NULL OR version = ?)`,
 };
 
+/**
+ * Bulk post queries: post IDs are bound as one JSON array
+ */
+const postIdList = "SELECT value FROM json_each(?)";
+
+export const postBulkQueries = {
+  selectByIds: `SELECT * FROM posts
+                WHERE id IN (${postIdList}) AND deleted_at IS NULL`,
+  publish: `UPDATE posts
+            SET state = 'published', publish_at = NULL, published_at = COALESCE(published_at, ?),
+                updated_at = ?, version = version + 1
+            WHERE id IN (${postIdList}) AND deleted_at IS NULL`,
+  unpublish: `UPDATE posts
+              SET state = 'draft', publish_at = NULL, updated_at = ?, version = version + 1
+              WHERE id IN (${postIdList}) AND deleted_at IS NULL`,
+  softDelete: `UPDATE posts
+               SET deleted_at = ?, deleted_state = state, state = 'draft',
+                   series_position = NULL, version = version + 1
+               WHERE id IN (${postIdList}) AND deleted_at IS NULL`,
+  // 태그만 바뀐 게시글의 updated_at과 버전 갱신
+  touch: `UPDATE posts
+          SET updated_at = ?, version = version + 1
+          WHERE id IN (${postIdList}) AND deleted_at IS NULL`,
+  insertTags: `INSERT OR IGNORE INTO post_tags (post_id, tag_id)
+               SELECT p.id, t.id
+               FROM posts p
+               JOIN tags t ON t.name_key IN (SELECT value ->> 'key' FROM json_each(?))
+               WHERE p.id IN (${postIdList}) AND p.deleted_at IS NULL`,
+  deleteTags: `DELETE FROM post_tags
+               WHERE post_id IN (${postIdList})
+                 AND tag_id IN (SELECT id FROM tags WHERE name_key IN (SELECT value ->> 'key' FROM json_each(?)))`,
+};
+
+/**
+ * Trash (soft-deleted posts) queries
+ */
+export const postTrashQueries = {
+  // state는 휴지통으로 옮기기 전의 상태
+  selectDeleted: `SELECT id, slug, title, COALESCE(deleted_state, state) AS state, deleted_at
+                  FROM posts
+                  WHERE deleted_at IS NOT NULL
+                  ORDER BY deleted_at DESC`,
+  selectDeletedById:
+    "SELECT id, slug, deleted_at FROM posts WHERE id = ? AND deleted_at IS NOT NULL",
+  selectDeletedBefore:
+    "SELECT id FROM posts WHERE deleted_at IS NOT NULL AND deleted_at < ?",
+  // 휴지통 이전 state로 되돌리고, 시리즈에 속한 게시글은 시리즈 끝에 다시 추가
+  restore: `UPDATE posts
+            SET deleted_at = NULL, updated_at = ?, version = version + 1,
+                state = COALESCE(deleted_state, state), deleted_state = NULL,
+                series_position = CASE WHEN series_id IS NULL THEN NULL
+                                       ELSE (SELECT COALESCE(MAX(p.series_position), 0) + 1
+                                             FROM posts p
+                                             WHERE p.series_id = posts.series_id AND p.deleted_at IS NULL)
+                                  END
+            WHERE id = ? AND deleted_at IS NOT NULL`,
+  // 영구 삭제: 태그 연결, revision, 댓글, slug 이력을 함께 삭제
+  purgeTags: "DELETE FROM post_tags WHERE post_id = ?",
+  purgeRevisions: "DELETE FROM post_revisions WHERE post_id = ?",
+  purgeComments: "DELETE FROM comments WHERE post_id = ?",
+  purgeSlugHistory: "DELETE FROM post_slug_history WHERE post_id = ?",
+  purge: "DELETE FROM posts WHERE id = ? AND deleted_at IS NOT NULL",
+  deleteOrphanedTags:
+    "DELETE FROM post_tags WHERE post_id NOT IN (SELECT id FROM posts)",
+};
+
+/**
+ * Admin post list query parts
+ * WHERE 조건은 PostRepository.findPage에서 필터 유무에 따라 조합
+ */
+export const postListQueries = {
+  select: "SELECT p.* FROM posts p WHERE p.deleted_at IS NULL",
+  count: "SELECT COUNT(*) AS total FROM posts p WHERE p.deleted_at IS NULL",
+  whereState: "p.state = ?",
+  whereTag: `EXISTS (SELECT 1
+                     FROM post_tags pt
+                     JOIN tags t ON t.id = pt.tag_id
+                     WHERE pt.post_id = p.id AND t.name_key = ?)`,
+  whereCreatedFrom: "p.created_at >= ?",
+  whereCreatedBefore: "p.created_at < ?",
+};
+
+export const postSortColumns = {
+  createdAt: "p.created_at",
+  updatedAt: "p.updated_at",
+  views: "p.views",
+  title: "p.title",
+};
+
+// 게시글 저장 batch의 태그 문장은 게시글 UPDATE보다 먼저 실행되므로 같은 버전 조건을 적용
+const postVersionGuard =
+  "EXISTS (SELECT 1 FROM posts WHERE id = ? AND (? IS NULL OR version = ?))";
+
 export const postTagQueries = {
   selectTagsByPostId: `SELECT t.name
                        FROM tags t
                        JOIN post_tags pt ON pt.tag_id = t.id
                        WHERE pt.post_id = ?`,
-  insert: "INSERT INTO post_tags (post_id, tag_id) VALUES (?, ?)",
-  deleteByPostId: "DELETE FROM post_tags WHERE post_id = ?",
+  // IN (...) placeholders는 게시글 수만큼 PostRepository에서 생성
+  selectTagsByPostIds: `SELECT pt.post_id, t.name
+                        FROM tags t
+                        JOIN post_tags pt ON pt.tag_id = t.id
+                        WHERE pt.post_id IN`,
+  // 태그 목록은 [{ name, key }] JSON 배열 하나로 바인딩
+  insertForSlug: `INSERT INTO post_tags (post_id, tag_id)
+                  SELECT p.id, t.id
+                  FROM posts p
+                  JOIN tags t ON t.name_key IN (SELECT value ->> 'key' FROM json_each(?))
+                  WHERE p.slug = ?`,
+  insertForVersion: `INSERT INTO post_tags (post_id, tag_id)
+                     SELECT p.id, t.id
+                     FROM posts p
+                     JOIN tags t ON t.name_key IN (SELECT value ->> 'key' FROM json_each(?))
+                     WHERE p.id = ? AND (? IS NULL OR p.version = ?)`,
+  deleteForVersion: `DELETE FROM post_tags
+                     WHERE post_id = ? AND ${postVersionGuard}`,
 };
 
 export const tagQueries = {
-  selectByName: "SELECT id FROM tags WHERE name = ?",
-  insert: "INSERT INTO tags (name, created_at, post_count) VALUES (?, ?, 0)",
+  // SELECT 기반 INSERT에 ON CONFLICT를 쓰려면 WHERE 절이 필요
+  // 같은 key의 태그가 있으면 처음 입력된 표시 이름을 유지
+  upsert: `INSERT INTO tags (name, name_key, created_at, post_count)
+           SELECT value ->> 'name', value ->> 'key', ?, 0 FROM json_each(?) WHERE true
+           ON CONFLICT (name_key) DO NOTHING`,
+  upsertForVersion: `INSERT INTO tags (name, name_key, created_at, post_count)
+                     SELECT value ->> 'name', value ->> 'key', ?, 0 FROM json_each(?) WHERE ${postVersionGuard}
+                     ON CONFLICT (name_key) DO NOTHING`,
 };
@@ -0,0 +1,88 @@
+/**
+ * Series SQL queries
+ */
+
+// post_count는 휴지통에 없는 게시글만 집계 (상태 무관)
+const seriesColumns = `s.id, s.title, s.slug, s.description, s.created_at, s.updated_at,
+                       (SELECT COUNT(*) FROM posts p
+                        WHERE p.series_id = s.id AND p.deleted_at IS NULL) AS post_count`;
+
+export const seriesQueries = {
+  selectAll: `SELECT ${seriesColumns}
+              FROM series s
+              ORDER BY s.title ASC`,
+  selectById: `SELECT ${seriesColumns}
+               FROM series s
+               WHERE s.id = ?`,
+  selectBySlug: "SELECT id FROM series WHERE slug = ?",
+  // 자동 생성 slug의 -2, -3 접미사 계산용
+  selectSlugsLike: "SELECT slug FROM series WHERE slug = ? OR slug LIKE ?",
+  insert: `INSERT INTO series (title, slug, description, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?)`,
+  update: `UPDATE series
+           SET title = ?, slug = ?, description = ?, updated_at = ?
+           WHERE id = ?`,
+  delete: "DELETE FROM series WHERE id = ?",
+  // 시리즈 삭제 전에 휴지통의 게시글까지 모두 분리
+  detachAll:
+    "UPDATE posts SET series_id = NULL, series_position = NULL WHERE series_id = ?",
+};
+
+/**
+ * 시리즈 안의 위치를 1부터 빈틈없이 다시 매김 (위치가 없는 휴지통 게시글 제외)
+ * @param {string} seriesCondition - 대상 series_id를 고르는 SQL 식
+ */
+const compactSeries = (seriesCondition) => `UPDATE posts
+  SET series_position = ranked.position
+  FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY series_id ORDER BY series_position, id) AS position
+        FROM posts
+        WHERE series_id IN (${seriesCondition})
+          AND deleted_at IS NULL AND series_position IS NOT NULL) AS ranked
+  WHERE posts.id = ranked.id AND posts.series_position != ranked.position`;
+
+/**
+ * Series membership queries: post ID lists are bound as one JSON array
+ */
+const postIdList = "SELECT value FROM json_each(?)";
+
+export const seriesPostQueries = {
+  selectBySeriesId: `SELECT id, slug, title, state, series_position
+                     FROM posts
+                     WHERE series_id = ? AND deleted_at IS NULL
+                     ORDER BY series_position ASC`,
+  // 이전/다음 게시글: 위치 두 개를 바인딩
+  selectNeighbors: `SELECT id, slug, title, state, series_position
+                    FROM posts
+                    WHERE series_id = ? AND deleted_at IS NULL AND series_position IN (?, ?)`,
+  // 목록 순서대로 1, 2, 3...
+  reorder: `UPDATE posts
+            SET series_position = o.key + 1
+            FROM json_each(?) o
+            WHERE posts.id = o.value AND posts.series_id = ? AND posts.deleted_at IS NULL`,
+  // 게시글을 끼워 넣을 자리를 비움
+  shift: `UPDATE posts
+          SET series_position = series_position + 1
+          WHERE series_id = ? AND deleted_at IS NULL AND series_position >= ?`,
+  assign: `UPDATE posts
+           SET series_id = ?, series_position = ?
+           WHERE id = ? AND deleted_at IS NULL`,
+  // 이동/분리 전에 기존 시리즈에서 위치를 비우고 compactByPostIds로 빈틈을 닫음
+  clearPositions: `UPDATE posts
+                   SET series_position = NULL
+                   WHERE id IN (${postIdList}) AND deleted_at IS NULL`,
+  // 목록 순서대로 시리즈 끝에 추가
+  appendMany: `UPDATE posts
+               SET series_id = ?, series_position = tail.position + o.key + 1
+               FROM json_each(?) o,
+                    (SELECT COALESCE(MAX(series_position), 0) AS position
+                     FROM posts
+                     WHERE series_id = ? AND deleted_at IS NULL) AS tail
+               WHERE posts.id = o.value AND posts.deleted_at IS NULL`,
+  detachMany: `UPDATE posts
+               SET series_id = NULL, series_position = NULL
+               WHERE id IN (${postIdList}) AND deleted_at IS NULL`,
+  compactByPostId: compactSeries("SELECT series_id FROM posts WHERE id = ?"),
+  compactByPostIds: compactSeries(
+    `SELECT series_id FROM posts WHERE id IN (${postIdList})`,
+  ),
+};
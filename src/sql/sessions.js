@@ -0,0 +1,39 @@
+/**
+ * Session and token revocation SQL queries
+ */
+
+export const sessionQueries = {
+  insert: `INSERT INTO sessions (id, user_id, device, access_jti, access_expires_at, created_at, last_used_at, expires_at, absolute_expires_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  selectById: "SELECT * FROM sessions WHERE id = ?",
+  selectActiveByUserId: `SELECT id, device, created_at, last_used_at, expires_at
+                         FROM sessions
+                         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+                         ORDER BY last_used_at DESC`,
+  updateAccessToken: `UPDATE sessions
+                      SET access_jti = ?, access_expires_at = ?, last_used_at = ?, expires_at = ?
+                      WHERE id = ?`,
+  revoke:
+    "UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL",
+};
+
+export const refreshTokenQueries = {
+  insert: `INSERT INTO refresh_tokens (token_hash, session_id, created_at, expires_at)
+           VALUES (?, ?, ?, ?)`,
+  selectByHash: `SELECT rt.token_hash, rt.session_id, rt.expires_at, rt.used_at,
+                        s.user_id, s.revoked_at AS session_revoked_at,
+                        s.absolute_expires_at AS session_absolute_expires_at
+                 FROM refresh_tokens rt
+                 JOIN sessions s ON s.id = rt.session_id
+                 WHERE rt.token_hash = ?`,
+  markUsed:
+    "UPDATE refresh_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL",
+};
+
+export const revokedTokenQueries = {
+  selectByJti: "SELECT jti FROM revoked_tokens WHERE jti = ?",
+  insert: `INSERT INTO revoked_tokens (jti, expires_at, revoked_at)
+           VALUES (?, ?, ?)
+           ON CONFLICT (jti) DO NOTHING`,
+  deleteExpired: "DELETE FROM revoked_tokens WHERE expires_at < ?",
+};
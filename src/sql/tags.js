@@ -0,0 +1,105 @@
+/**
+ * Tag SQL queries
+ */
+
+// post_count는 휴지통에 없는 published 게시글만 집계
+const countPublishedPosts = (condition = "") => `(SELECT COUNT(*)
+                              FROM post_tags pt
+                              JOIN posts p ON p.id = pt.post_id
+                              WHERE pt.tag_id = tags.id
+                                AND p.state = 'published'
+                                AND p.deleted_at IS NULL${condition})`;
+const publishedPostCount = countPublishedPosts();
+
+/**
+ * post_count 갱신 쿼리: 게시글 저장 batch 마지막에 실행
+ */
+export const tagCountQueries = {
+  // 태그를 교체하기 전에 실행: 기존 태그에서 이 게시글을 뺀 값으로 갱신하고
+  // 남아 있는 태그는 batch 끝의 recountByPostId가 다시 집계
+  excludePost: `UPDATE tags SET post_count = ${countPublishedPosts(" AND p.id != ?")}
+                WHERE id IN (SELECT tag_id FROM post_tags WHERE post_id = ?)`,
+  recountByPostId: `UPDATE tags SET post_count = ${publishedPostCount}
+                    WHERE id IN (SELECT tag_id FROM post_tags WHERE post_id = ?)`,
+  recountByPostSlug: `UPDATE tags SET post_count = ${publishedPostCount}
+                      WHERE id IN (SELECT pt.tag_id
+                                   FROM post_tags pt
+                                   JOIN posts p ON p.id = pt.post_id
+                                   WHERE p.slug = ?)`,
+  recountById: `UPDATE tags SET post_count = ${publishedPostCount} WHERE id = ?`,
+  // 일괄 작업용: 게시글 ID 목록 / 태그 [{ name, key }] 목록을 JSON 배열로 바인딩
+  recountByPostIds: `UPDATE tags SET post_count = ${publishedPostCount}
+                     WHERE id IN (SELECT tag_id FROM post_tags
+                                  WHERE post_id IN (SELECT value FROM json_each(?)))`,
+  recountByKeys: `UPDATE tags SET post_count = ${publishedPostCount}
+                  WHERE name_key IN (SELECT value ->> 'key' FROM json_each(?))`,
+  // 값이 틀린 태그만 갱신해 복구된 개수를 반환
+  recountAll: `UPDATE tags SET post_count = ${publishedPostCount}
+               WHERE post_count IS NOT ${publishedPostCount}`,
+};
+
+/**
+ * Tag management queries
+ * usage_count: 상태와 휴지통 여부에 관계없이 태그가 연결된 게시글 수
+ */
+export const tagManagementQueries = {
+  selectAll: `SELECT t.id, t.name, t.post_count, t.created_at,
+                     (SELECT COUNT(*) FROM post_tags pt WHERE pt.tag_id = t.id) AS usage_count
+              FROM tags t
+              ORDER BY t.name ASC`,
+  selectById: `SELECT t.id, t.name, t.post_count, t.created_at,
+                      (SELECT COUNT(*) FROM post_tags pt WHERE pt.tag_id = t.id) AS usage_count
+               FROM tags t
+               WHERE t.id = ?`,
+  selectByKey: "SELECT id, name FROM tags WHERE name_key = ?",
+  // 재계산 시 먼저 만든 태그가 남도록 id 순
+  selectKeys: "SELECT id, name, name_key FROM tags ORDER BY id ASC",
+  rename: "UPDATE tags SET name = ?, name_key = ? WHERE id = ?",
+  // 대상 key를 tagKey()가 만들 수 없는 임시값(공백 접두사)으로 비워
+  // 행 단위로 검사되는 UNIQUE(name_key)가 갱신 순서에 따라 충돌하지 않게 함
+  releaseKeys: `UPDATE tags SET name_key = ' ' || id
+                WHERE id IN (SELECT value ->> 'id' FROM json_each(?))`,
+  rekey: `UPDATE tags
+          SET name = o.value ->> 'name', name_key = o.value ->> 'key'
+          FROM json_each(?) o
+          WHERE tags.id = o.value ->> 'id'`,
+  // 두 태그가 모두 붙은 게시글은 UPDATE OR IGNORE로 건너뛰고 남은 연결은 삭제
+  repointPostTags: "UPDATE OR IGNORE post_tags SET tag_id = ? WHERE tag_id = ?",
+  deletePostTags: "DELETE FROM post_tags WHERE tag_id = ?",
+  repointAliases: "UPDATE tag_aliases SET tag_id = ? WHERE tag_id = ?",
+  delete: "DELETE FROM tags WHERE id = ?",
+  deleteIfUnused: `DELETE FROM tags
+                   WHERE id = ? AND NOT EXISTS (SELECT 1 FROM post_tags pt WHERE pt.tag_id = tags.id)`,
+  deleteUnused: `DELETE FROM tags
+                 WHERE NOT EXISTS (SELECT 1 FROM post_tags pt WHERE pt.tag_id = tags.id)
+                 RETURNING id, name`,
+  // 마이그레이션 0018이 예약한 tag_rekey 작업
+  selectRekeyPending:
+    "SELECT 1 AS pending FROM maintenance_tasks WHERE name = 'tag_rekey'",
+  clearRekeyPending: "DELETE FROM maintenance_tasks WHERE name = 'tag_rekey'",
+};
+
+/**
+ * Tag alias queries
+ */
+export const tagAliasQueries = {
+  selectAll: `SELECT a.id, a.alias, a.tag_id, t.name AS tag, a.created_at
+              FROM tag_aliases a
+              JOIN tags t ON t.id = a.tag_id
+              ORDER BY a.alias_key ASC`,
+  selectById: `SELECT a.id, a.alias, a.tag_id, t.name AS tag, a.created_at
+               FROM tag_aliases a
+               JOIN tags t ON t.id = a.tag_id
+               WHERE a.id = ?`,
+  selectByKey: "SELECT id, tag_id FROM tag_aliases WHERE alias_key = ?",
+  // 게시글 저장 시 입력된 key 목록(JSON 배열)을 대상 태그로 변환
+  selectTargetsByKeys: `SELECT a.alias_key, t.name, t.name_key
+                        FROM tag_aliases a
+                        JOIN tags t ON t.id = a.tag_id
+                        WHERE a.alias_key IN (SELECT value FROM json_each(?))`,
+  insert: `INSERT INTO tag_aliases (alias, alias_key, tag_id, created_at)
+           VALUES (?, ?, ?, ?)`,
+  delete: "DELETE FROM tag_aliases WHERE id = ?",
+  deleteOrphaned:
+    "DELETE FROM tag_aliases WHERE tag_id NOT IN (SELECT id FROM tags)",
+};
@@ -0,0 +1,27 @@
+/**
+ * WebAuthn passkey SQL queries
+ */
+
+export const passkeyQueries = {
+  insert: `INSERT INTO webauthn_credentials (id, user_id, name, public_key, alg, sign_count, transports, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+  selectById: `SELECT c.id, c.user_id, c.public_key, c.alg, c.sign_count
+               FROM webauthn_credentials c
+               WHERE c.id = ?`,
+  selectByUserId: `SELECT id, name, transports, created_at, last_used_at
+                   FROM webauthn_credentials
+                   WHERE user_id = ?
+                   ORDER BY created_at DESC`,
+  updateUsage:
+    "UPDATE webauthn_credentials SET sign_count = ?, last_used_at = ? WHERE id = ?",
+  delete: "DELETE FROM webauthn_credentials WHERE id = ? AND user_id = ?",
+};
+
+export const webauthnChallengeQueries = {
+  insert: `INSERT INTO webauthn_challenges (challenge, user_id, type, expires_at)
+           VALUES (?, ?, ?, ?)`,
+  consume: `DELETE FROM webauthn_challenges
+            WHERE challenge = ? AND type = ? AND expires_at > ?
+            RETURNING challenge, user_id`,
+  deleteExpired: "DELETE FROM webauthn_challenges WHERE expires_at <= ?",
+};
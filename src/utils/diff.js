@@ -0,0 +1,79 @@
+/**
+ * Diff Utilities
+ * Line-level diff (LCS) used to compare post revisions
+ */
+
+/**
+ * Compute a line-level diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<Object>} Operations { type: "equal" | "add" | "remove", oldLine, newLine, text }
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // lcs[i][j] = a[i..], b[j..]의 최장 공통 부분열 길이
+  const lcs = Array.from(
+    { length: a.length + 1 },
+    () => new Uint16Array(b.length + 1),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      operations.push({
+        type: "equal",
+        oldLine: i + 1,
+        newLine: j + 1,
+        text: a[i],
+      });
+      i++;
+      j++;
+    } else if (
+      i < a.length &&
+      (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      operations.push({
+        type: "remove",
+        oldLine: i + 1,
+        newLine: null,
+        text: a[i],
+      });
+      i++;
+    } else {
+      operations.push({
+        type: "add",
+        oldLine: null,
+        newLine: j + 1,
+        text: b[j],
+      });
+      j++;
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Split text into lines (empty text has no lines)
+ * @param {string|null} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  return text.replace(/\r\n/g, "\n").split("\n");
+}
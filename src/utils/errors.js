@@ -58,9 +58,31 @@ export class ForbiddenError extends APIError {
  * Conflict Error - for resource conflicts
  */
 export class ConflictError extends APIError {
-  constructor(message = "Resource conflict") {
+  constructor(message = "Resource conflict", current = null) {
     super(message, 409);
     this.name = "ConflictError";
+    this.current = current;
+  }
+}
+
+/**
+ * Too Many Requests Error - for rate limiting and lockouts
+ */
+export class TooManyRequestsError extends APIError {
+  constructor(message = "Too many requests", retryAfter = 60) {
+    super(message, 429);
+    this.name = "TooManyRequestsError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Service Unavailable Error - for features missing their configuration
+ */
+export class ServiceUnavailableError extends APIError {
+  constructor(message = "Service unavailable") {
+    super(message, 503);
+    this.name = "ServiceUnavailableError";
   }
 }
 
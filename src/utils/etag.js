@@ -0,0 +1,38 @@
+/**
+ * ETag Utilities
+ * Version-based ETags and If-Match evaluation for optimistic concurrency
+ */
+
+/**
+ * Format a resource version as a strong ETag
+ * @param {number} version - Resource version
+ * @returns {string} ETag header value (e.g. "3")
+ */
+export function formatETag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Check an If-Match header against the current version
+ * Weak ETags never match (RFC 9110 strong comparison)
+ * @param {string|null} ifMatch - If-Match header value
+ * @param {number} version - Current resource version
+ * @returns {boolean} True if the header is absent, "*" or lists the current ETag
+ */
+export function ifMatchSatisfied(ifMatch, version) {
+  if (ifMatch === null || ifMatch === undefined) {
+    return true;
+  }
+
+  const tags = ifMatch.split(",").map((tag) => tag.trim());
+  return tags.includes("*") || tags.includes(formatETag(version));
+}
+
+/**
+ * Build the ETag response header for a resource version
+ * @param {number} version - Resource version
+ * @returns {Object} Headers object
+ */
+export function etagHeaders(version) {
+  return { ETag: formatETag(version) };
+}
@@ -0,0 +1,197 @@
+/**
+ * Front Matter Utilities
+ * Markdown files with a YAML front matter block (post export/import)
+ *
+ * 전체 YAML이 아니라 게시글 메타데이터에 필요한 부분만 지원:
+ * key: 스칼라(따옴표 문자열, null, true/false), 흐름 목록 [a, b], 블록 목록(- a),
+ * 블록 문자열(| 또는 >)
+ */
+
+import { ValidationError } from "./errors.js";
+
+const DELIMITER = "---";
+const KEY_LINE = /^([A-Za-z_][\w-]*):(?:[ \t]+(.*?))?[ \t]*$/;
+const LIST_ITEM = /^[ \t]+-[ \t]+(.*?)[ \t]*$/;
+
+/**
+ * Write a Markdown document with front matter
+ * Null and undefined fields are omitted; strings are always double-quoted
+ * @param {Object} fields - Front matter values (string, number, boolean, string array)
+ * @param {string} content - Markdown body
+ * @returns {string} Document
+ */
+export function stringifyFrontMatter(fields, content) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${stringifyValue(value)}`);
+
+  return `${DELIMITER}\n${lines.join("\n")}\n${DELIMITER}\n\n${content}\n`;
+}
+
+/**
+ * Split a Markdown document into front matter fields and body
+ * @param {string} text - Document
+ * @returns {Object} { data, content }
+ * @throws {ValidationError} If the front matter is missing or malformed
+ */
+export function parseFrontMatter(text) {
+  const lines = text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  if (lines[0].trim() !== DELIMITER) {
+    throw new ValidationError("Front matter is missing");
+  }
+
+  const close = lines.findIndex(
+    (line, index) =>
+      index > 0 && (line.trim() === DELIMITER || line.trim() === "..."),
+  );
+  if (close < 0) {
+    throw new ValidationError("Front matter is not closed");
+  }
+
+  return {
+    data: parseFields(lines.slice(1, close)),
+    content: lines
+      .slice(close + 1)
+      .join("\n")
+      .replace(/^\n+/, "")
+      .replace(/\n+$/, ""),
+  };
+}
+
+function parseFields(lines) {
+  const data = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === "" || line.trim().startsWith("#")) {
+      continue;
+    }
+
+    const match = line.match(KEY_LINE);
+    if (!match) {
+      throw new ValidationError(`Invalid front matter line: ${line.trim()}`);
+    }
+    const [, key, rawValue = ""] = match;
+
+    if (rawValue === "|" || rawValue === ">") {
+      const block = [];
+      while (i + 1 < lines.length && /^([ \t]|$)/.test(lines[i + 1])) {
+        block.push(lines[++i]);
+      }
+      data[key] = parseBlockScalar(block, rawValue === ">");
+    } else if (rawValue === "" && LIST_ITEM.test(lines[i + 1] ?? "")) {
+      const items = [];
+      while (i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) {
+        items.push(parseScalar(lines[++i].match(LIST_ITEM)[1]));
+      }
+      data[key] = items;
+    } else {
+      data[key] = parseValue(rawValue);
+    }
+  }
+
+  return data;
+}
+
+function parseValue(raw) {
+  if (raw.startsWith("[")) {
+    if (!raw.endsWith("]")) {
+      throw new ValidationError(`Invalid front matter list: ${raw}`);
+    }
+    return splitFlowList(raw.slice(1, -1)).map(parseScalar);
+  }
+  return parseScalar(raw);
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new ValidationError(`Invalid quoted string: ${value}`);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) {
+      throw new ValidationError(`Invalid quoted string: ${value}`);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  // 따옴표 없는 값 뒤의 " #" 이후는 주석
+  const plain = value.replace(/[ \t]+#.*$/, "");
+  if (plain === "" || plain === "~" || plain === "null") {
+    return null;
+  }
+  if (plain === "true" || plain === "false") {
+    return plain === "true";
+  }
+  return plain;
+}
+
+/**
+ * Split "a, 'b, c', \"d\"" on commas outside quotes
+ */
+function splitFlowList(raw) {
+  const items = [];
+  let current = "";
+  let quote = null;
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (quote) {
+      current += char;
+      if (char === "\\" && quote === '"') {
+        current += raw[++i] ?? "";
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ",") {
+      items.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+
+  return items.filter((item) => item.trim() !== "");
+}
+
+/**
+ * Literal (|) or folded (>) block, indentation taken from the first line
+ */
+function parseBlockScalar(lines, folded) {
+  const indent = Math.min(
+    ...lines
+      .filter((line) => line.trim() !== "")
+      .map((line) => line.match(/^[ \t]*/)[0].length),
+  );
+  const text = lines
+    .map((line) => line.slice(indent))
+    .join("\n")
+    .trimEnd();
+
+  // folded: 한 줄바꿈은 공백, 빈 줄은 줄바꿈 하나로
+  return folded
+    ? text.replace(/([^\n])\n(?=[^\n])/g, "$1 ").replace(/\n(\n+)/g, "$1")
+    : text;
+}
+
+function stringifyValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => JSON.stringify(String(item))).join(", ")}]`;
+  }
+  if (typeof value === "string") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
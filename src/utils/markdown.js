@@ -0,0 +1,616 @@
+/**
+ * Markdown Utilities
+ * Render post Markdown to sanitized HTML with a heading table of contents,
+ * word count, reading time and a generated summary
+ *
+ * 지원 문법: ATX/Setext 제목, 문단, 줄바꿈, 강조(**, *, __, _, ~~), 인라인 코드,
+ * 코드 블록(```/~~~, 들여쓰기), 인용, 목록(중첩), 표(GFM), 구분선, 링크, 이미지, 자동 링크
+ * 원본 HTML은 허용하지 않고 모두 이스케이프
+ */
+
+// 한국어는 음절 단위, 그 외는 단어 단위로 읽기 속도 계산
+const HANGUL_CHARS_PER_MINUTE = 500;
+const WORDS_PER_MINUTE = 200;
+const SUMMARY_MAX_LENGTH = 200;
+
+// 인라인 처리 중 코드/링크를 보관하는 자리표시자 (사용자 영역 문자)
+const PLACEHOLDER = "\uE000";
+const SAFE_URL =
+  /^(?:https?:|mailto:|tel:|#|\/|\.{1,2}\/|[^:/?#]*(?:[/?#]|$))/i;
+// 링크/이미지 대상: URL(한 단계 괄호 허용)과 선택적 제목까지 닫는 괄호를 모두 소비
+const LINK_TARGET =
+  /\(\s*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:\s+(?:"([^"]*)"|'([^']*)'))?\s*\)/
+    .source;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const TABLE_DELIMITER =
+  /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const INDENTED_CODE = /^(?: {4}|\t)(.*)$/;
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} markdown - Markdown source
+ * @returns {Object} { html, toc: [{ level, text, id }] }
+ */
+export function renderMarkdown(markdown) {
+  const context = { toc: [], anchors: new Map() };
+  const lines = String(markdown || "")
+    .replace(/\r\n?/g, "\n")
+    .replaceAll(PLACEHOLDER, "")
+    .split("\n");
+
+  return { html: renderBlocks(lines, context), toc: context.toc };
+}
+
+/**
+ * Render Markdown and compute the derived fields stored with a post
+ * @param {string} markdown - Markdown source
+ * @returns {Object} { html, toc, wordCount, readingTime, summary, images }
+ */
+export function analyzeMarkdown(markdown) {
+  const { html, toc } = renderMarkdown(markdown);
+  const text = htmlToText(html);
+
+  return {
+    html,
+    toc,
+    wordCount: countWords(text),
+    readingTime: estimateReadingTime(text),
+    summary: summarize(html, SUMMARY_MAX_LENGTH),
+    images: [...html.matchAll(/<img src="([^"]*)"/g)].map(([, src]) =>
+      decodeEntities(src),
+    ),
+  };
+}
+
+/**
+ * Count words: whitespace-separated tokens (한국어 어절 포함) with a letter or digit
+ * @param {string} text - Plain text
+ * @returns {number} Word count
+ */
+export function countWords(text) {
+  return words(text).length;
+}
+
+/**
+ * Estimate reading time in minutes (at least 1 for non-empty text)
+ * Hangul is read per syllable, other text per word
+ * @param {string} text - Plain text
+ * @returns {number} Minutes
+ */
+export function estimateReadingTime(text) {
+  const tokens = words(text);
+  if (tokens.length === 0) {
+    return 0;
+  }
+
+  let hangulChars = 0;
+  let otherWords = 0;
+  for (const token of tokens) {
+    const hangul = token.match(/[가-힣]/g);
+    if (hangul) {
+      hangulChars += hangul.length;
+    } else {
+      otherWords++;
+    }
+  }
+
+  const minutes =
+    hangulChars / HANGUL_CHARS_PER_MINUTE + otherWords / WORDS_PER_MINUTE;
+  return Math.max(1, Math.ceil(minutes));
+}
+
+function words(text) {
+  return text.split(/\s+/).filter((token) => /[\p{L}\p{N}]/u.test(token));
+}
+
+/**
+ * Summary from the first paragraphs: plain text cut on a sentence boundary
+ * @param {string} html - Rendered HTML
+ * @param {number} maxLength - Maximum length in characters
+ * @returns {string|null} Summary, or null when there is no text
+ */
+function summarize(html, maxLength) {
+  const paragraphs = [...html.matchAll(/<p>([\s\S]*?)<\/p>/g)]
+    .map(([, paragraph]) => collapseWhitespace(htmlToText(paragraph)))
+    .filter(Boolean);
+
+  // 문단이 없으면(목록만 있는 글 등) 코드 블록을 뺀 전체 텍스트 사용
+  const text =
+    paragraphs.length > 0
+      ? paragraphs.join(" ")
+      : collapseWhitespace(
+          htmlToText(html.replace(/<pre>[\s\S]*?<\/pre>/g, "")),
+        );
+  if (!text) {
+    return null;
+  }
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  // 한도 안에서 마지막 문장 끝(. ! ? 뒤 공백)까지
+  const head = text.slice(0, maxLength + 1);
+  let end = 0;
+  for (const match of head.matchAll(/[.!?。…]["'”’)\]]*(?=\s)/g)) {
+    end = match.index + match[0].length;
+  }
+  if (end > 0) {
+    return text.slice(0, end);
+  }
+
+  // 첫 문장이 한도보다 길면 단어 경계에서 자르고 말줄임표
+  const cut = head.slice(0, maxLength - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > 0 ? cut.slice(0, space) : cut).trimEnd()}…`;
+}
+
+/**
+ * Convert rendered HTML back to plain text
+ * @param {string} html - Rendered HTML
+ * @returns {string} Text content
+ */
+function htmlToText(html) {
+  // 블록 태그만 공백으로 바꿔 인라인 강조가 단어를 나누지 않도록 함
+  return decodeEntities(
+    html
+      .replace(
+        /<\/?(?:p|h[1-6]|li|ul|ol|blockquote|pre|table|thead|tbody|tr|th|td|hr|br)\b[^>]*>/g,
+        " ",
+      )
+      .replace(/<[^>]*>/g, ""),
+  );
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function renderBlocks(lines, context) {
+  const html = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${renderInline(paragraph.join("\n").trim())}</p>`);
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === "") {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    // Setext 제목: 문단 바로 다음 줄의 === 또는 ---
+    const underline = line.match(SETEXT_UNDERLINE);
+    if (underline && paragraph.length > 0) {
+      const level = underline[1][0] === "=" ? 1 : 2;
+      html.push(renderHeading(level, paragraph.join(" ").trim(), context));
+      paragraph = [];
+      i++;
+      continue;
+    }
+
+    if (paragraph.length === 0) {
+      const code = line.match(INDENTED_CODE);
+      if (code) {
+        const codeLines = [];
+        while (i < lines.length) {
+          const codeLine = lines[i].match(INDENTED_CODE);
+          if (codeLine) {
+            codeLines.push(codeLine[1]);
+          } else if (lines[i].trim() === "") {
+            codeLines.push("");
+          } else {
+            break;
+          }
+          i++;
+        }
+        while (codeLines[codeLines.length - 1] === "") {
+          codeLines.pop();
+        }
+        html.push(renderCodeBlock(codeLines, ""));
+        continue;
+      }
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      flushParagraph();
+      const marker = fence[1];
+      const codeLines = [];
+      i++;
+      while (i < lines.length) {
+        const closing = lines[i].trim();
+        if (
+          closing.startsWith(marker[0].repeat(marker.length)) &&
+          /^(`+|~+)$/.test(closing)
+        ) {
+          i++;
+          break;
+        }
+        codeLines.push(lines[i]);
+        i++;
+      }
+      html.push(renderCodeBlock(codeLines, fence[2]));
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      flushParagraph();
+      html.push(
+        renderHeading(heading[1].length, (heading[2] || "").trim(), context),
+      );
+      i++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      flushParagraph();
+      html.push("<hr>");
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      flushParagraph();
+      const quoteLines = [];
+      while (i < lines.length && lines[i].trim() !== "") {
+        const quote = lines[i].match(BLOCKQUOTE);
+        quoteLines.push(quote ? quote[1] : lines[i]);
+        i++;
+      }
+      html.push(
+        `<blockquote>\n${renderBlocks(quoteLines, context)}\n</blockquote>`,
+      );
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    // 문단 중간에서는 "1." 이외의 번호로 시작하는 줄을 목록으로 보지 않음
+    if (
+      listItem &&
+      (paragraph.length === 0 || /^(?:[-*+]|1[.)])$/.test(listItem[2]))
+    ) {
+      flushParagraph();
+      i = renderList(lines, i, context, html);
+      continue;
+    }
+
+    if (
+      paragraph.length === 0 &&
+      line.includes("|") &&
+      i + 1 < lines.length &&
+      TABLE_DELIMITER.test(lines[i + 1]) &&
+      lines[i + 1].includes("-")
+    ) {
+      i = renderTable(lines, i, html);
+      continue;
+    }
+
+    paragraph.push(line);
+    i++;
+  }
+
+  flushParagraph();
+  return html.join("\n");
+}
+
+function renderHeading(level, text, context) {
+  const content = renderInline(text);
+  const plain = htmlToText(content).replace(/\s+/g, " ").trim();
+  const id = uniqueAnchor(plain, context.anchors);
+
+  context.toc.push({ level, text: plain, id });
+  return `<h${level} id="${id}">${content}</h${level}>`;
+}
+
+/**
+ * GitHub-style heading anchor (Hangul kept), -1, -2 ... for duplicates
+ */
+function uniqueAnchor(text, anchors) {
+  const base =
+    text
+      .normalize("NFC")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+      .trim()
+      .replace(/\s+/g, "-") || "section";
+
+  const seen = anchors.get(base) || 0;
+  anchors.set(base, seen + 1);
+  return seen === 0 ? base : `${base}-${seen}`;
+}
+
+function renderCodeBlock(codeLines, language) {
+  const lang = language.replace(/[^\w+#.-]/g, "");
+  const classAttribute = lang ? ` class="language-${lang}"` : "";
+  const code = escapeHtml(codeLines.join("\n"));
+  return `<pre><code${classAttribute}>${code}${code ? "\n" : ""}</code></pre>`;
+}
+
+/**
+ * Render a list starting at lines[start]
+ * @returns {number} Index of the first line after the list
+ */
+function renderList(lines, start, context, html) {
+  const first = lines[start].match(LIST_ITEM);
+  const ordered = /\d/.test(first[2]);
+  const delimiter = first[2].slice(-1);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const marker = lines[i].match(LIST_ITEM);
+    const sameList =
+      marker &&
+      /\d/.test(marker[2]) === ordered &&
+      marker[2].slice(-1) === delimiter;
+    if (!sameList) {
+      break;
+    }
+
+    // 항목 내용의 들여쓰기 기준: 마커 뒤 첫 글자 위치
+    const contentIndent =
+      marker[1].length + marker[2].length + Math.max(1, marker[3].length);
+    const itemLines = [marker[4]];
+    i++;
+
+    while (i < lines.length) {
+      const next = lines[i];
+      if (next.trim() === "") {
+        // 빈 줄 뒤에 들여쓴 내용이 이어지면 같은 항목
+        let j = i;
+        while (j < lines.length && lines[j].trim() === "") {
+          j++;
+        }
+        if (j < lines.length && indentOf(lines[j]) >= contentIndent) {
+          loose = true;
+          itemLines.push(...lines.slice(i, j).map(() => ""));
+          i = j;
+          continue;
+        }
+        break;
+      }
+
+      if (indentOf(next) >= contentIndent) {
+        itemLines.push(next.slice(contentIndent));
+      } else if (
+        !LIST_ITEM.test(next) &&
+        !BLOCKQUOTE.test(next) &&
+        !FENCE.test(next) &&
+        !ATX_HEADING.test(next) &&
+        !THEMATIC_BREAK.test(next)
+      ) {
+        // 느슨한 연속 줄은 문단에 이어 붙임
+        itemLines.push(next.trim());
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    items.push(itemLines);
+
+    // 항목 사이의 빈 줄은 loose 목록
+    let j = i;
+    while (j < lines.length && lines[j].trim() === "") {
+      j++;
+    }
+    const nextMarker = j < lines.length && lines[j].match(LIST_ITEM);
+    if (j > i && nextMarker && /\d/.test(nextMarker[2]) === ordered) {
+      loose = true;
+      i = j;
+    }
+  }
+
+  const renderedItems = items.map((itemLines) => {
+    let body = renderBlocks(itemLines, context);
+    if (!loose) {
+      body = body.replace(/^<p>([\s\S]*?)<\/p>(?=\n|$)/, "$1");
+    }
+    return `<li>${body}</li>`;
+  });
+
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const tag = ordered ? "ol" : "ul";
+  const startAttribute =
+    ordered && startNumber !== 1 ? ` start="${startNumber}"` : "";
+  html.push(
+    `<${tag}${startAttribute}>\n${renderedItems.join("\n")}\n</${tag}>`,
+  );
+
+  return i;
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/**
+ * Render a GFM table starting at lines[start] (header, delimiter, rows)
+ * @returns {number} Index of the first line after the table
+ */
+function renderTable(lines, start, html) {
+  const header = splitTableRow(lines[start]);
+  const alignments = splitTableRow(lines[start + 1]).map((cell) => {
+    const left = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    if (left && right) return "center";
+    if (right) return "right";
+    if (left) return "left";
+    return null;
+  });
+
+  const renderRow = (cells, tag) =>
+    `<tr>${header
+      .map((_, index) => {
+        const align = alignments[index]
+          ? ` style="text-align: ${alignments[index]}"`
+          : "";
+        return `<${tag}${align}>${renderInline(cells[index] || "")}</${tag}>`;
+      })
+      .join("")}</tr>`;
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() !== "" && lines[i].includes("|")) {
+    rows.push(renderRow(splitTableRow(lines[i]), "td"));
+    i++;
+  }
+
+  const body = rows.length > 0 ? `\n<tbody>\n${rows.join("\n")}\n</tbody>` : "";
+  html.push(
+    `<table>\n<thead>\n${renderRow(header, "th")}\n</thead>${body}\n</table>`,
+  );
+
+  return i;
+}
+
+function splitTableRow(line) {
+  const cells = [];
+  let current = "";
+  const trimmed = line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "");
+
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === "\\" && trimmed[i + 1] === "|") {
+      current += "|";
+      i++;
+    } else if (trimmed[i] === "|") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += trimmed[i];
+    }
+  }
+  cells.push(current.trim());
+
+  return cells;
+}
+
+/**
+ * Render inline Markdown (text is escaped; only generated tags are emitted)
+ * @param {string} text - Inline Markdown
+ * @param {Array<string>} tokens - Placeholder contents, shared with nested
+ *   calls (link labels) so placeholders made outside them still resolve
+ */
+function renderInline(text, tokens = []) {
+  const hold = (html) => `${PLACEHOLDER}${tokens.push(html) - 1}${PLACEHOLDER}`;
+
+  let output = text
+    // 코드, 이스케이프, 링크는 자리표시자로 빼고 나머지를 처리
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) =>
+      hold(`<code>${escapeHtml(code.replace(/\n/g, " ").trim())}</code>`),
+    )
+    .replace(/\\([!-/:-@[-`{-~])/g, (_, char) => hold(escapeHtml(char)))
+    .replace(/\\\n/g, () => hold("<br>\n"))
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (_, url) =>
+      hold(renderLink(url, escapeHtml(url.replace(/^mailto:/i, "")))),
+    )
+    .replace(
+      new RegExp(`!\\[([^\\]]*)\\]${LINK_TARGET}`, "g"),
+      (_, alt, url, title1, title2) =>
+        hold(renderImage(url, alt, title1 ?? title2)),
+    )
+    .replace(
+      new RegExp(`\\[((?:[^[\\]]|\\[[^[\\]]*\\])*)\\]${LINK_TARGET}`, "g"),
+      (_, label, url, title1, title2) =>
+        hold(renderLink(url, renderInline(label, tokens), title1 ?? title2)),
+    )
+    .replace(
+      /(^|[\s(])((?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,:;"')\]!?])/gi,
+      (_, before, url) =>
+        before +
+        hold(
+          renderLink(
+            url.startsWith("www.") ? `https://${url}` : url,
+            escapeHtml(url),
+          ),
+        ),
+    );
+
+  output = escapeHtml(output)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(
+      /(?<![\p{L}\p{N}])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}])/gu,
+      "<strong>$1</strong>",
+    )
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>")
+    .replace(
+      /(?<![\p{L}\p{N}])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}])/gu,
+      "<em>$1</em>",
+    )
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+    .replace(/ {2,}\n/g, "<br>\n");
+
+  // 중첩된 자리표시자(링크 안의 코드 등)까지 복원
+  const placeholder = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, "g");
+  while (placeholder.test(output)) {
+    output = output.replace(placeholder, (_, index) => tokens[index]);
+  }
+  return output;
+}
+
+function renderLink(url, labelHtml, title) {
+  if (!isSafeUrl(url)) {
+    return labelHtml;
+  }
+
+  const titleAttribute = title ? ` title="${escapeHtml(title)}"` : "";
+  const external = /^https?:/i.test(url) ? ' rel="noopener noreferrer"' : "";
+  return `<a href="${escapeHtml(url)}"${titleAttribute}${external}>${labelHtml}</a>`;
+}
+
+function renderImage(url, alt, title) {
+  if (!isSafeUrl(url) || /^(?:mailto|tel):/i.test(url)) {
+    return escapeHtml(alt);
+  }
+
+  const titleAttribute = title ? ` title="${escapeHtml(title)}"` : "";
+  return `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${titleAttribute} loading="lazy">`;
+}
+
+/**
+ * Allow http(s), mailto, tel and relative URLs (no javascript:, data: ...)
+ */
+function isSafeUrl(url) {
+  // 브라우저가 무시하는 공백/제어 문자를 빼고 검사
+  const compact = [...url]
+    .filter((char) => char > " " && char !== "\u007F")
+    .join("");
+  return SAFE_URL.test(compact);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
@@ -3,6 +3,8 @@
  * Standard response formatting and CORS handling
  */
 
+import { etagHeaders } from "./etag.js";
+
 /**
  * Create a JSON response with standard headers
  * @param {Object} data - Response data
@@ -24,9 +26,10 @@ export function jsonResponse(data, status = 200, additionalHeaders = {}) {
  * Create a standardized success response
  * @param {*} data - Response data payload
  * @param {number} status - HTTP status code (default: 200)
+ * @param {Object} additionalHeaders - Additional headers to include
  * @returns {Response}
  */
-export function successResponse(data, status = 200) {
+export function successResponse(data, status = 200, additionalHeaders = {}) {
   return jsonResponse(
     {
       success: true,
@@ -34,6 +37,7 @@ export function successResponse(data, status = 200) {
       error: null,
     },
     status,
+    additionalHeaders,
   );
 }
 
@@ -41,19 +45,41 @@ export function successResponse(data, status = 200) {
  * Create a standardized error response
  * @param {string} message - Error message
  * @param {number} status - HTTP status code (default: 400)
+ * @param {Object} additionalHeaders - Additional headers to include
+ * @param {*} data - Optional payload (e.g. current resource on 409)
  * @returns {Response}
  */
-export function errorResponse(message, status = 400) {
+export function errorResponse(
+  message,
+  status = 400,
+  additionalHeaders = {},
+  data = null,
+) {
   return jsonResponse(
     {
       success: false,
-      data: null,
+      data,
       error: {
         code: status,
         message,
       },
     },
     status,
+    additionalHeaders,
+  );
+}
+
+/**
+ * Build the 409 response for a stale If-Match, including the current post
+ * @param {ConflictError} err - Conflict error with `current` post
+ * @returns {Response} Conflict response
+ */
+export function conflictResponse(err) {
+  return errorResponse(
+    err.message,
+    err.status,
+    err.current ? etagHeaders(err.current.version) : {},
+    { current: err.current },
   );
 }
 
@@ -66,7 +92,8 @@ export function corsHeaders(allowedOrigins = "*") {
   return {
     "Access-Control-Allow-Origin": allowedOrigins,
     "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, If-Match",
+    "Access-Control-Expose-Headers": "ETag, Retry-After",
     "Access-Control-Max-Age": "86400",
   };
 }
@@ -0,0 +1,231 @@
+/**
+ * Slug Utilities
+ * URL slug generation with Revised Romanization of Korean (Hangul)
+ *
+ * 한글 음절을 초성/중성/종성 자모로 분해해 국어의 로마자 표기법으로 변환
+ * 연음(종성 + 초성 ㅇ)과 ㄹㄹ → ll 만 반영하고, 비음화 등 나머지 음운 변화는 생략
+ */
+
+const HANGUL_BASE = 0xac00;
+const HANGUL_LAST = 0xd7a3;
+const VOWEL_COUNT = 21;
+const FINAL_COUNT = 28;
+const SILENT_INITIAL = 11; // ㅇ
+const RIEUL_INITIAL = 5; // ㄹ
+const RIEUL_FINAL = 8; // ㄹ
+
+const MAX_SLUG_LENGTH = 80;
+const FALLBACK_SLUG = "post";
+
+// ㄱ ㄲ ㄴ ㄷ ㄸ ㄹ ㅁ ㅂ ㅃ ㅅ ㅆ ㅇ ㅈ ㅉ ㅊ ㅋ ㅌ ㅍ ㅎ
+const INITIALS = [
+  "g",
+  "kk",
+  "n",
+  "d",
+  "tt",
+  "r",
+  "m",
+  "b",
+  "pp",
+  "s",
+  "ss",
+  "",
+  "j",
+  "jj",
+  "ch",
+  "k",
+  "t",
+  "p",
+  "h",
+];
+
+// ㅏ ㅐ ㅑ ㅒ ㅓ ㅔ ㅕ ㅖ ㅗ ㅘ ㅙ ㅚ ㅛ ㅜ ㅝ ㅞ ㅟ ㅠ ㅡ ㅢ ㅣ
+const VOWELS = [
+  "a",
+  "ae",
+  "ya",
+  "yae",
+  "eo",
+  "e",
+  "yeo",
+  "ye",
+  "o",
+  "wa",
+  "wae",
+  "oe",
+  "yo",
+  "u",
+  "wo",
+  "we",
+  "wi",
+  "yu",
+  "eu",
+  "ui",
+  "i",
+];
+
+// (없음) ㄱ ㄲ ㄳ ㄴ ㄵ ㄶ ㄷ ㄹ ㄺ ㄻ ㄼ ㄽ ㄾ ㄿ ㅀ ㅁ ㅂ ㅄ ㅅ ㅆ ㅇ ㅈ ㅊ ㅋ ㅌ ㅍ ㅎ
+const FINALS = [
+  "",
+  "k",
+  "k",
+  "k",
+  "n",
+  "n",
+  "n",
+  "t",
+  "l",
+  "k",
+  "m",
+  "l",
+  "l",
+  "l",
+  "p",
+  "l",
+  "m",
+  "p",
+  "p",
+  "t",
+  "t",
+  "ng",
+  "t",
+  "t",
+  "k",
+  "t",
+  "p",
+  "t",
+];
+
+// 연음: 다음 음절이 ㅇ으로 시작할 때 [남는 종성, 다음 음절로 넘어가는 초성]
+const LIAISON = {
+  1: ["", "g"],
+  2: ["", "kk"],
+  3: ["k", "s"],
+  4: ["", "n"],
+  5: ["n", "j"],
+  6: ["n", ""],
+  7: ["", "d"],
+  8: ["", "r"],
+  9: ["l", "g"],
+  10: ["l", "m"],
+  11: ["l", "b"],
+  12: ["l", "s"],
+  13: ["l", "t"],
+  14: ["l", "p"],
+  15: ["l", ""],
+  16: ["", "m"],
+  17: ["", "b"],
+  18: ["p", "s"],
+  19: ["", "s"],
+  20: ["", "ss"],
+  22: ["", "j"],
+  23: ["", "ch"],
+  24: ["", "k"],
+  25: ["", "t"],
+  26: ["", "p"],
+  27: ["", ""],
+};
+
+/**
+ * Decompose a Hangul syllable into jamo indexes
+ * @param {number} code - Code point
+ * @returns {{initial: number, vowel: number, final: number}|null} Jamo indexes, or null if not a syllable
+ */
+function decompose(code) {
+  if (code < HANGUL_BASE || code > HANGUL_LAST) {
+    return null;
+  }
+
+  const offset = code - HANGUL_BASE;
+  return {
+    initial: Math.floor(offset / (VOWEL_COUNT * FINAL_COUNT)),
+    vowel: Math.floor((offset % (VOWEL_COUNT * FINAL_COUNT)) / FINAL_COUNT),
+    final: offset % FINAL_COUNT,
+  };
+}
+
+/**
+ * Romanize Hangul syllables (Revised Romanization); other characters are kept
+ * @param {string} text - Text to romanize
+ * @returns {string} Romanized text
+ */
+export function romanizeHangul(text) {
+  const chars = Array.from(text.normalize("NFC"));
+  const syllables = chars.map((char) => decompose(char.codePointAt(0)));
+
+  let result = "";
+  for (let i = 0; i < chars.length; i++) {
+    const syllable = syllables[i];
+    if (!syllable) {
+      result += chars[i];
+      continue;
+    }
+
+    const previous = syllables[i - 1];
+    const next = syllables[i + 1];
+
+    let initial = INITIALS[syllable.initial];
+    if (previous && syllable.initial === SILENT_INITIAL) {
+      initial = LIAISON[previous.final]?.[1] ?? initial;
+    } else if (
+      previous?.final === RIEUL_FINAL &&
+      syllable.initial === RIEUL_INITIAL
+    ) {
+      initial = "l";
+    }
+
+    let final = FINALS[syllable.final];
+    if (next && next.initial === SILENT_INITIAL && LIAISON[syllable.final]) {
+      final = LIAISON[syllable.final][0];
+    }
+
+    result += initial + VOWELS[syllable.vowel] + final;
+  }
+
+  return result;
+}
+
+/**
+ * Generate a URL slug from a title (a-z0-9 and hyphens)
+ * @param {string} title - Post title
+ * @returns {string} Slug, "post" if nothing usable remains
+ */
+export function slugify(title) {
+  const slug = romanizeHangul(title)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  if (!slug) {
+    return FALLBACK_SLUG;
+  }
+
+  if (slug.length <= MAX_SLUG_LENGTH) {
+    return slug;
+  }
+
+  // 단어 중간에서 자르지 않도록 마지막 하이픈 기준으로 자름
+  const truncated = slug.slice(0, MAX_SLUG_LENGTH);
+  const lastHyphen = truncated.lastIndexOf("-");
+  return (lastHyphen > 0 ? truncated.slice(0, lastHyphen) : truncated).replace(
+    /-+$/,
+    "",
+  );
+}
+
+/**
+ * Date prefix for slugs (YYYY-MM-DD, Korea Standard Time)
+ * @param {Date} date - Date to format
+ * @returns {string} Date prefix
+ */
+export function slugDatePrefix(date = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Asia/Seoul",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
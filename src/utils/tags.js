@@ -0,0 +1,22 @@
+/**
+ * Tag Name Utilities
+ * Tags are stored under their display name (as first entered) and matched by key
+ */
+
+/**
+ * Normalize a tag display name: Unicode NFC, trimmed, whitespace collapsed
+ * @param {string} name - Raw tag name
+ * @returns {string} Normalized display name
+ */
+export function normalizeTagName(name) {
+  return name.normalize("NFC").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Case-folded lookup key ("JavaScript", " javascript " → "javascript")
+ * @param {string} name - Raw or normalized tag name
+ * @returns {string} Tag key stored in tags.name_key
+ */
+export function tagKey(name) {
+  return normalizeTagName(name).toLowerCase();
+}
@@ -5,6 +5,34 @@
 
 import { ValidationError } from "./errors.js";
 
+/**
+ * Post states
+ * scheduled 상태는 publishAt 시각에 cron이 published로 전환
+ */
+export const POST_STATES = ["published", "draft", "scheduled"];
+
+/**
+ * Bulk post operations (POST /admin/posts/bulk)
+ */
+export const BULK_POST_ACTIONS = [
+  "publish",
+  "unpublish",
+  "delete",
+  "addTags",
+  "removeTags",
+  "setSeries",
+];
+
+/**
+ * Optional post SEO fields (null = public site falls back to title/summary)
+ */
+const POST_SEO_FIELDS = [
+  "metaTitle",
+  "metaDescription",
+  "canonicalUrl",
+  "ogImage",
+];
+
 /**
  * Validate required fields are present
  * @param {Object} data - Data to validate
@@ -132,29 +160,208 @@ export function validateNumberRange(value, fieldName, min, max) {
  * @throws {ValidationError} If validation fails
  */
 export function validatePostRequest(data) {
-  validateRequired(data, ["title", "content", "summary", "state"]);
+  validateRequired(data, ["title", "content", "state"]);
 
   validateStringLength(data.title, "title", 1, 100);
   validateStringLength(data.content, "content", 1, 10000);
-  validateStringLength(data.summary, "summary", 1, 200);
-  validateEnum(data.state, "state", ["published", "draft"]);
+  if (data.summary !== undefined && data.summary !== null) {
+    validateStringLength(data.summary, "summary", 1, 200);
+  }
+  validatePostSeoFields(data);
+  validateEnum(data.state, "state", POST_STATES);
+  validatePublishAt(data.publishAt);
+
+  if (data.state === "scheduled" && !data.publishAt) {
+    throw new ValidationError("publishAt is required for scheduled posts");
+  }
+  if (data.state !== "scheduled" && data.publishAt) {
+    throw new ValidationError("publishAt is only allowed for scheduled posts");
+  }
 
   if (data.slug) {
     validateSlug(data.slug);
   }
 
   if (data.tags) {
-    validateArray(data.tags, "tags", 20);
-    data.tags.forEach((tag, index) => {
-      if (typeof tag !== "string" || tag.trim().length === 0) {
-        throw new ValidationError(
-          `Tag at index ${index} must be a non-empty string`,
-        );
-      }
-    });
+    validateTags(data.tags);
+  }
+}
+
+/**
+ * Validate post partial update (JSON Merge Patch, RFC 7396)
+ * Only present fields are validated; null clears optional fields
+ * (summary, tags, publishAt, SEO fields)
+ * @param {Object} data - Patch document
+ * @throws {ValidationError} If validation fails
+ */
+export function validatePostPatch(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ValidationError("Request body must be a JSON object");
+  }
+
+  const fields = [
+    "title",
+    "content",
+    "summary",
+    "state",
+    "slug",
+    "tags",
+    "publishAt",
+    ...POST_SEO_FIELDS,
+  ];
+  if (!fields.some((field) => field in data)) {
+    throw new ValidationError(
+      `At least one of ${fields.join(", ")} is required`,
+    );
+  }
+
+  ["title", "content", "state", "slug"].forEach((field) => {
+    if (data[field] === null) {
+      throw new ValidationError(`${field} cannot be cleared`);
+    }
+  });
+
+  if (data.title !== undefined) {
+    validateStringLength(data.title, "title", 1, 100);
+  }
+  if (data.content !== undefined) {
+    validateStringLength(data.content, "content", 1, 10000);
+  }
+  if (data.summary !== undefined && data.summary !== null) {
+    validateStringLength(data.summary, "summary", 1, 200);
+  }
+  validatePostSeoFields(data);
+  if (data.state !== undefined) {
+    validateEnum(data.state, "state", POST_STATES);
+  }
+  validatePublishAt(data.publishAt);
+  if (data.slug !== undefined) {
+    if (typeof data.slug !== "string") {
+      throw new ValidationError("slug must be a string");
+    }
+    validateSlug(data.slug);
+  }
+  if (data.tags !== undefined && data.tags !== null) {
+    validateTags(data.tags);
+  }
+}
+
+/**
+ * Validate bulk post operation request
+ * @param {Object} data - { ids, action, tags, seriesId }
+ * @throws {ValidationError} If validation fails
+ */
+export function validateBulkPostRequest(data) {
+  validateRequired(data, ["ids", "action"]);
+
+  validateArray(data.ids, "ids", 100);
+  if (data.ids.length === 0) {
+    throw new ValidationError("ids must not be empty");
+  }
+  data.ids.forEach((id, index) => {
+    if (!Number.isInteger(id) || id < 1) {
+      throw new ValidationError(`ids[${index}] must be a post ID`);
+    }
+  });
+
+  validateEnum(data.action, "action", BULK_POST_ACTIONS);
+
+  if (data.action === "addTags" || data.action === "removeTags") {
+    validateRequired(data, ["tags"]);
+    validateTags(data.tags);
+    if (data.tags.length === 0) {
+      throw new ValidationError("tags must not be empty");
+    }
+  }
+
+  // seriesId: null은 시리즈에서 분리
+  if (data.action === "setSeries") {
+    if (!("seriesId" in data)) {
+      throw new ValidationError("Missing required fields: seriesId");
+    }
+    if (
+      data.seriesId !== null &&
+      (!Number.isInteger(data.seriesId) || data.seriesId < 1)
+    ) {
+      throw new ValidationError("seriesId must be a series ID or null");
+    }
+  }
+}
+
+/**
+ * Validate optional SEO fields (absent or null is allowed)
+ * @param {Object} data - Post data
+ * @throws {ValidationError} If a field is invalid
+ */
+function validatePostSeoFields(data) {
+  if (data.metaTitle !== undefined && data.metaTitle !== null) {
+    validateStringLength(data.metaTitle, "metaTitle", 1, 100);
+  }
+  if (data.metaDescription !== undefined && data.metaDescription !== null) {
+    validateStringLength(data.metaDescription, "metaDescription", 1, 200);
+  }
+  ["canonicalUrl", "ogImage"].forEach((field) => {
+    if (data[field] !== undefined && data[field] !== null) {
+      validateAbsoluteUrl(data[field], field);
+    }
+  });
+}
+
+/**
+ * Validate an absolute http(s) URL
+ * @param {*} value - URL to validate
+ * @param {string} fieldName - Field name for error message
+ * @throws {ValidationError} If not an http(s) URL
+ */
+function validateAbsoluteUrl(value, fieldName) {
+  validateStringLength(value, fieldName, 1, 2048);
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ValidationError(`${fieldName} must be an absolute URL`);
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new ValidationError(`${fieldName} must be an http(s) URL`);
+  }
+}
+
+/**
+ * Validate scheduled publish time (absent or null is allowed)
+ * @param {*} publishAt - ISO 8601 datetime
+ * @throws {ValidationError} If not a valid future datetime
+ */
+function validatePublishAt(publishAt) {
+  if (publishAt === undefined || publishAt === null) {
+    return;
+  }
+
+  const time = typeof publishAt === "string" ? Date.parse(publishAt) : NaN;
+  if (isNaN(time)) {
+    throw new ValidationError("publishAt must be an ISO 8601 datetime");
+  }
+  if (time <= Date.now()) {
+    throw new ValidationError("publishAt must be in the future");
   }
 }
 
+/**
+ * Validate post tags
+ * @param {*} tags - Tags to validate
+ * @throws {ValidationError} If tags are not an array of non-empty strings
+ */
+function validateTags(tags) {
+  validateArray(tags, "tags", 20);
+  tags.forEach((tag, index) => {
+    if (typeof tag !== "string" || tag.trim().length === 0) {
+      throw new ValidationError(
+        `Tag at index ${index} must be a non-empty string`,
+      );
+    }
+  });
+}
+
 /**
  * Validate comment creation request
  * @param {Object} data - Comment data to validate
@@ -184,6 +391,188 @@ export function validateLoginRequest(data) {
   }
 }
 
+/**
+ * Validate admin user creation/update request
+ * @param {Object} data - User data to validate
+ * @param {Array<string>} roles - Allowed roles
+ * @param {boolean} partial - Allow any subset of fields (update)
+ * @throws {ValidationError} If validation fails
+ */
+export function validateUserRequest(data, roles, partial = false) {
+  if (!partial) {
+    validateRequired(data, ["username", "password", "role"]);
+  } else if (data.password === undefined && data.role === undefined) {
+    throw new ValidationError("At least one of password, role is required");
+  }
+
+  if (data.username !== undefined) {
+    validateStringLength(data.username, "username", 2, 50);
+    if (!/^[a-zA-Z0-9._-]+$/.test(data.username)) {
+      throw new ValidationError(
+        "Username must contain only letters, numbers, dots, underscores, and hyphens",
+      );
+    }
+  }
+
+  if (data.password !== undefined) {
+    validateStringLength(data.password, "password", 8, 100);
+  }
+
+  if (data.role !== undefined) {
+    validateEnum(data.role, "role", roles);
+  }
+}
+
+/**
+ * Validate API key creation request
+ * @param {Object} data - API key data to validate
+ * @param {Array<string>} allowedScopes - Scopes an API key may carry
+ * @throws {ValidationError} If validation fails
+ */
+export function validateApiKeyRequest(data, allowedScopes) {
+  validateRequired(data, ["name", "scopes"]);
+  validateStringLength(data.name, "name", 1, 100);
+  validateArray(data.scopes, "scopes", allowedScopes.length);
+
+  if (data.scopes.length === 0) {
+    throw new ValidationError("scopes must not be empty");
+  }
+  data.scopes.forEach((scope) => validateEnum(scope, "scope", allowedScopes));
+
+  if (data.expiresAt !== undefined && data.expiresAt !== null) {
+    const expiresAt = Date.parse(data.expiresAt);
+    if (isNaN(expiresAt)) {
+      throw new ValidationError("expiresAt must be an ISO 8601 datetime");
+    }
+    if (expiresAt <= Date.now()) {
+      throw new ValidationError("expiresAt must be in the future");
+    }
+  }
+}
+
+/**
+ * Validate tag rename request
+ * @param {Object} data - { name }
+ * @throws {ValidationError} If validation fails
+ */
+export function validateTagRenameRequest(data) {
+  validateRequired(data, ["name"]);
+  validateStringLength(data.name, "name", 1, 50);
+}
+
+/**
+ * Validate tag merge request
+ * @param {Object} data - { into } target tag ID
+ * @throws {ValidationError} If validation fails
+ */
+export function validateTagMergeRequest(data) {
+  validateRequired(data, ["into"]);
+
+  if (!Number.isInteger(data.into) || data.into < 1) {
+    throw new ValidationError("into must be a tag ID");
+  }
+}
+
+/**
+ * Validate tag alias creation request
+ * @param {Object} data - { alias, tagId }
+ * @throws {ValidationError} If validation fails
+ */
+export function validateTagAliasRequest(data) {
+  validateRequired(data, ["alias", "tagId"]);
+  validateStringLength(data.alias, "alias", 1, 50);
+
+  if (!Number.isInteger(data.tagId) || data.tagId < 1) {
+    throw new ValidationError("tagId must be a tag ID");
+  }
+}
+
+/**
+ * Validate series creation/update request
+ * @param {Object} data - { title, slug, description }
+ * @param {boolean} partial - Allow any subset of fields (update)
+ * @throws {ValidationError} If validation fails
+ */
+export function validateSeriesRequest(data, partial = false) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ValidationError("Request body must be a JSON object");
+  }
+
+  if (!partial) {
+    validateRequired(data, ["title"]);
+  } else if (
+    data.title === undefined &&
+    data.slug === undefined &&
+    data.description === undefined
+  ) {
+    throw new ValidationError(
+      "At least one of title, slug, description is required",
+    );
+  }
+
+  if (data.title !== undefined) {
+    validateStringLength(data.title, "title", 1, 100);
+  }
+  if (data.slug !== undefined) {
+    if (typeof data.slug !== "string") {
+      throw new ValidationError("slug must be a string");
+    }
+    validateSlug(data.slug);
+  }
+  if (data.description !== undefined && data.description !== null) {
+    validateStringLength(data.description, "description", 1, 500);
+  }
+}
+
+/**
+ * Validate series reorder request
+ * @param {Object} data - { postIds }
+ * @throws {ValidationError} If validation fails
+ */
+export function validateSeriesOrderRequest(data) {
+  validateRequired(data, ["postIds"]);
+  validateArray(data.postIds, "postIds");
+
+  data.postIds.forEach((id, index) => {
+    if (!Number.isInteger(id) || id < 1) {
+      throw new ValidationError(`postIds[${index}] must be a post ID`);
+    }
+  });
+  if (new Set(data.postIds).size !== data.postIds.length) {
+    throw new ValidationError("postIds must not contain duplicates");
+  }
+}
+
+/**
+ * Validate series post assignment request
+ * @param {Object} data - { postId, position }
+ * @throws {ValidationError} If validation fails
+ */
+export function validateSeriesPostRequest(data) {
+  validateRequired(data, ["postId"]);
+
+  if (!Number.isInteger(data.postId) || data.postId < 1) {
+    throw new ValidationError("postId must be a post ID");
+  }
+  if (
+    data.position !== undefined &&
+    data.position !== null &&
+    (!Number.isInteger(data.position) || data.position < 1)
+  ) {
+    throw new ValidationError("position must be a positive integer");
+  }
+}
+
+/**
+ * Validate Markdown render preview request
+ * @param {Object} data - { content }
+ * @throws {ValidationError} If validation fails
+ */
+export function validateRenderRequest(data) {
+  validateRequired(data, ["content"]);
+  validateStringLength(data.content, "content", 1, 10000);
+}
+
 /**
  * Validate pagination parameters
  * @param {Object} params - Query parameters
@@ -204,6 +593,52 @@ export function validatePaginationParams(params) {
   return { page, size };
 }
 
+/**
+ * Validate admin post list filters
+ * Date-only "to" values include the whole day
+ * @param {Object} params - Query parameters (state, tag, from, to)
+ * @param {Array<string>} states - Allowed post states
+ * @returns {Object} Filters { state, tag, from, before } for PostRepository
+ * @throws {ValidationError} If validation fails
+ */
+export function validatePostListFilters(params, states) {
+  const filters = {};
+
+  if (params.state) {
+    validateEnum(params.state, "state", states);
+    filters.state = params.state;
+  }
+
+  if (params.tag) {
+    filters.tag = params.tag.trim();
+  }
+
+  if (params.from) {
+    const from = Date.parse(params.from);
+    if (isNaN(from)) {
+      throw new ValidationError("from must be an ISO 8601 date or datetime");
+    }
+    filters.from = new Date(from).toISOString();
+  }
+
+  if (params.to) {
+    const to = Date.parse(params.to);
+    if (isNaN(to)) {
+      throw new ValidationError("to must be an ISO 8601 date or datetime");
+    }
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(params.to);
+    filters.before = new Date(
+      isDateOnly ? to + 24 * 60 * 60 * 1000 : to + 1,
+    ).toISOString();
+  }
+
+  if (filters.from && filters.before && filters.from >= filters.before) {
+    throw new ValidationError("from must be earlier than to");
+  }
+
+  return filters;
+}
+
 /**
  * Validate sort parameter
  * @param {string} sort - Sort parameter (format: "field,direction")
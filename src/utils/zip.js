@@ -0,0 +1,303 @@
+/**
+ * ZIP Utilities
+ * Write a ZIP archive as a stream (stored, no compression) and read archives
+ * uploaded for import (stored or deflated entries)
+ *
+ * ZIP64는 지원하지 않음 (게시글 백업은 4GB, 65535개 항목보다 훨씬 작음)
+ */
+
+import { ValidationError } from "./errors.js";
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const VERSION = 20;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// 압축 폭탄/손상된 아카이브 방어용 기본 한도
+const DEFAULT_LIMITS = {
+  maxEntries: 1000,
+  maxEntryBytes: 10 * 1024 * 1024,
+  maxTotalBytes: 10 * 1024 * 1024,
+};
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Create a streaming ZIP writer
+ * Entries are written as they are added; finish() appends the central directory
+ * @returns {Object} { addFile(name, data, modified), finish() } returning byte chunks
+ */
+export function createZipWriter() {
+  const centralDirectory = [];
+  let offset = 0;
+
+  return {
+    /**
+     * @param {string} name - Path inside the archive
+     * @param {string|Uint8Array} data - File content
+     * @param {Date} modified - Modification time
+     * @returns {Uint8Array} Local header and data
+     */
+    addFile(name, data, modified = new Date()) {
+      const nameBytes = encoder.encode(name);
+      const bytes = typeof data === "string" ? encoder.encode(data) : data;
+      const crc = crc32(bytes);
+      const { time, date } = toDosDateTime(modified);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, LOCAL_FILE_HEADER, true);
+      header.setUint16(4, VERSION, true);
+      header.setUint16(6, UTF8_FLAG, true);
+      header.setUint16(8, METHOD_STORED, true);
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, bytes.length, true);
+      header.setUint32(22, bytes.length, true);
+      header.setUint16(26, nameBytes.length, true);
+      header.setUint16(28, 0, true);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+      entry.setUint16(4, VERSION, true);
+      entry.setUint16(6, VERSION, true);
+      entry.setUint16(8, UTF8_FLAG, true);
+      entry.setUint16(10, METHOD_STORED, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, bytes.length, true);
+      entry.setUint32(24, bytes.length, true);
+      entry.setUint16(28, nameBytes.length, true);
+      entry.setUint32(42, offset, true);
+      centralDirectory.push(
+        concatBytes([new Uint8Array(entry.buffer), nameBytes]),
+      );
+
+      const chunk = concatBytes([
+        new Uint8Array(header.buffer),
+        nameBytes,
+        bytes,
+      ]);
+      offset += chunk.length;
+      return chunk;
+    },
+
+    /**
+     * @returns {Uint8Array} Central directory and end record
+     */
+    finish() {
+      const directory = concatBytes(centralDirectory);
+
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+      end.setUint16(8, centralDirectory.length, true);
+      end.setUint16(10, centralDirectory.length, true);
+      end.setUint32(12, directory.length, true);
+      end.setUint32(16, offset, true);
+
+      return concatBytes([directory, new Uint8Array(end.buffer)]);
+    },
+  };
+}
+
+/**
+ * Read the file entries of a ZIP archive (directories skipped)
+ * Entry count and inflated sizes are capped; every offset is bounds-checked
+ * @param {ArrayBuffer} buffer - Archive bytes
+ * @param {Object} limits - { maxEntries, maxEntryBytes, maxTotalBytes } (defaults: DEFAULT_LIMITS)
+ * @returns {Promise<Array<Object>>} Files { name, data: Uint8Array }
+ * @throws {ValidationError} If the archive is invalid, too large or uses unsupported features
+ */
+export async function readZip(buffer, limits = {}) {
+  const { maxEntries, maxEntryBytes, maxTotalBytes } = {
+    ...DEFAULT_LIMITS,
+    ...limits,
+  };
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  // 범위를 벗어나는 오프셋은 RangeError 대신 ValidationError로
+  const ensureInBounds = (offset, length) => {
+    if (offset + length > bytes.length) {
+      throw new ValidationError("Invalid ZIP archive");
+    }
+  };
+
+  // 끝 레코드는 마지막 22바이트 + 최대 65535바이트 주석 안에 있음
+  let end = -1;
+  for (
+    let i = bytes.length - 22;
+    i >= Math.max(0, bytes.length - 22 - 0xffff);
+    i--
+  ) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new ValidationError("Invalid ZIP archive");
+  }
+
+  const count = view.getUint16(end + 10, true);
+  if (count > maxEntries) {
+    throw new ValidationError(
+      `ZIP archive must not contain more than ${maxEntries} entries`,
+    );
+  }
+
+  let position = view.getUint32(end + 16, true);
+  let totalBytes = 0;
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    ensureInBounds(position, 46);
+    if (view.getUint32(position, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new ValidationError("Invalid ZIP archive");
+    }
+
+    const method = view.getUint16(position + 10, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const uncompressedSize = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    ensureInBounds(position + 46, nameLength);
+    const name = decoder.decode(
+      bytes.subarray(position + 46, position + 46 + nameLength),
+    );
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) {
+      continue;
+    }
+
+    // 선언된 크기로 먼저 거르고, 실제 압축 해제 중에도 같은 한도를 적용
+    const entryLimit = Math.min(maxEntryBytes, maxTotalBytes - totalBytes);
+    if (uncompressedSize > entryLimit) {
+      throw new ValidationError(`ZIP entry ${name} is too large`);
+    }
+
+    ensureInBounds(localOffset, 30);
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new ValidationError("Invalid ZIP archive");
+    }
+
+    const dataStart =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    ensureInBounds(dataStart, compressedSize);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === METHOD_STORED) {
+      content = data;
+    } else if (method === METHOD_DEFLATED) {
+      content = await inflateRaw(data, uncompressedSize, name);
+    } else {
+      throw new ValidationError(
+        `Unsupported ZIP compression method in ${name}`,
+      );
+    }
+    if (content.length !== uncompressedSize) {
+      throw new ValidationError(`Invalid ZIP entry ${name}`);
+    }
+
+    totalBytes += content.length;
+    files.push({ name, data: content });
+  }
+
+  return files;
+}
+
+/**
+ * Inflate a raw deflate stream, stopping as soon as it exceeds maxBytes
+ * @throws {ValidationError} If the data is corrupt or inflates past maxBytes
+ */
+async function inflateRaw(data, maxBytes, name) {
+  const reader = new Blob([data])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"))
+    .getReader();
+  const chunks = [];
+  let length = 0;
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      length += value.length;
+      if (length > maxBytes) {
+        throw new ValidationError(`Invalid ZIP entry ${name}`);
+      }
+      chunks.push(value);
+    }
+  } catch (err) {
+    await reader.cancel().catch(() => {});
+    if (err instanceof ValidationError) {
+      throw err;
+    }
+    throw new ValidationError(`Invalid ZIP entry ${name}`);
+  }
+
+  return concatBytes(chunks);
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date/time fields (UTC, 2-second resolution, from 1980)
+ */
+function toDosDateTime(value) {
+  const date = new Date(Math.max(value.getTime(), Date.UTC(1980, 0, 1)));
+  return {
+    time:
+      (date.getUTCHours() << 11) |
+      (date.getUTCMinutes() << 5) |
+      (date.getUTCSeconds() >> 1),
+    date:
+      ((date.getUTCFullYear() - 1980) << 9) |
+      ((date.getUTCMonth() + 1) << 5) |
+      date.getUTCDate(),
+  };
+}
+
+function concatBytes(chunks) {
+  const result = new Uint8Array(
+    chunks.reduce((length, chunk) => length + chunk.length, 0),
+  );
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
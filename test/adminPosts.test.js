@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { PostService } from "../src/services/index.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let token;
+const ids = {};
+
+// [title, state, tags, createdAt]
+const POSTS = [
+  ["Alpha", "published", ["Rust"], "2024-01-10T09:00:00.000Z"],
+  ["Bravo", "draft", ["rust", "Web"], "2024-01-15T23:30:00.000Z"],
+  ["Charlie", "published", ["Web"], "2024-02-01T00:00:00.000Z"],
+  ["Delta", "draft", [], "2024-03-05T12:00:00.000Z"],
+];
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+
+  const service = new PostService(env.DB, env);
+  for (const [title, state, tags, createdAt] of POSTS) {
+    const post = await service.createPost({
+      title,
+      content: `${title} body`,
+      state,
+      tags,
+    });
+    await env.DB.prepare("UPDATE posts SET created_at = ? WHERE id = ?")
+      .bind(createdAt, post.id)
+      .run();
+    ids[title] = post.id;
+  }
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+async function list(query) {
+  const { status, body } = await callJson(env, "GET", `/admin/posts?${query}`, {
+    token,
+  });
+  return { status, data: body.data, error: body.error };
+}
+
+const titles = (data) => data.content.map((post) => post.title);
+
+describe("GET /admin/posts", () => {
+  it("lists drafts too, newest first by default", async () => {
+    const { status, data } = await list("");
+    expect(status).toBe(200);
+    expect(titles(data)).toEqual(["Delta", "Charlie", "Bravo", "Alpha"]);
+  });
+
+  it("paginates", async () => {
+    const { data } = await list("page=1&size=3");
+    expect(data).toMatchObject({
+      page: 1,
+      size: 3,
+      totalElements: 4,
+      totalPages: 2,
+    });
+    expect(titles(data)).toEqual(["Alpha"]);
+  });
+
+  it.each([
+    ["state=draft", ["Delta", "Bravo"]],
+    ["tag=RUST", ["Bravo", "Alpha"]],
+    ["tag=web&state=published", ["Charlie"]],
+    ["from=2024-01-15&to=2024-02-01", ["Charlie", "Bravo"]],
+    ["to=2024-01-15", ["Bravo", "Alpha"]],
+    ["sort=title,asc", ["Alpha", "Bravo", "Charlie", "Delta"]],
+  ])("?%s", async (query, expected) => {
+    const { status, data } = await list(query);
+    expect(status).toBe(200);
+    expect(titles(data)).toEqual(expected);
+  });
+
+  it.each([
+    "size=0",
+    "size=101",
+    "page=-1",
+    "sort=author,asc",
+    "state=deleted",
+    "from=yesterday",
+    "from=2024-02-01&to=2024-01-01",
+  ])("rejects ?%s", async (query) => {
+    const { status } = await list(query);
+    expect(status).toBe(400);
+  });
+});
+
+describe("GET /admin/posts/:postId", () => {
+  it("returns a draft with its tags", async () => {
+    const { status, body } = await callJson(
+      env,
+      "GET",
+      `/admin/posts/${ids.Bravo}`,
+      { token },
+    );
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({
+      id: ids.Bravo,
+      title: "Bravo",
+      state: "draft",
+      contentHtml: "<p>Bravo body</p>",
+    });
+    // 태그 이름은 처음 쓴 표기("Rust")를 유지
+    expect([...body.data.tags].sort()).toEqual(["Rust", "Web"]);
+  });
+
+  it.each([
+    ["9999", 404],
+    ["abc", 400],
+  ])("/%s returns %i", async (postId, expected) => {
+    const { status } = await callJson(env, "GET", `/admin/posts/${postId}`, {
+      token,
+    });
+    expect(status).toBe(expected);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { createTestEnv, callJson, loginOwner } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let ownerToken;
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  ({ token: ownerToken } = await loginOwner(env));
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+async function createKey(body) {
+  const { status, body: response } = await callJson(
+    env,
+    "POST",
+    "/admin/api-keys",
+    { token: ownerToken, body },
+  );
+  expect(status).toBe(200);
+  return response.data;
+}
+
+describe("API keys", () => {
+  it("authenticates with the key's scopes", async () => {
+    const { key } = await createKey({
+      name: "ci",
+      scopes: [Scope.COMMENTS_DELETE],
+    });
+
+    const allowed = await callJson(
+      env,
+      "DELETE",
+      `/admin/comments/${crypto.randomUUID()}`,
+      {
+        token: key,
+      },
+    );
+    expect(allowed.status).toBe(404);
+
+    const denied = await callJson(env, "GET", "/admin/posts", { token: key });
+    expect(denied.status).toBe(403);
+  });
+
+  it("cannot manage API keys", async () => {
+    const { key } = await createKey({
+      name: "ci",
+      scopes: [Scope.POSTS_WRITE],
+    });
+
+    const { status } = await callJson(env, "GET", "/admin/api-keys", {
+      token: key,
+    });
+    expect(status).toBe(403);
+  });
+
+  it("is rejected after revocation", async () => {
+    const created = await createKey({
+      name: "ci",
+      scopes: [Scope.POSTS_WRITE],
+    });
+    await callJson(env, "DELETE", `/admin/api-keys/${created.id}`, {
+      token: ownerToken,
+    });
+
+    const { status } = await callJson(env, "GET", "/admin/posts", {
+      token: created.key,
+    });
+    expect(status).toBe(401);
+  });
+});
+
+describe("GET /session with an API key", () => {
+  it("returns the key's expiry", async () => {
+    const expiresAt = new Date(Date.now() + 86400000).toISOString();
+    const { key } = await createKey({
+      name: "expiring",
+      scopes: [Scope.POSTS_WRITE],
+      expiresAt,
+    });
+
+    const { status, body } = await callJson(env, "GET", "/session", {
+      token: key,
+    });
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({ valid: true, role: "owner", expiresAt });
+  });
+
+  it("returns null for a key without expiry", async () => {
+    const { key } = await createKey({
+      name: "forever",
+      scopes: [Scope.POSTS_WRITE],
+    });
+
+    const { status, body } = await callJson(env, "GET", "/session", {
+      token: key,
+    });
+    expect(status).toBe(200);
+    expect(body.data.expiresAt).toBeNull();
+  });
+});
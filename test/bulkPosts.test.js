@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let token;
+const ids = {};
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+
+  for (const name of ["a", "b", "c"]) {
+    const { body } = await call("POST", "/admin/posts", {
+      title: name,
+      content: "Body",
+      state: "draft",
+      slug: name,
+    });
+    ids[name] = body.data.id;
+  }
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+function call(method, path, body) {
+  return callJson(env, method, path, { token, body });
+}
+
+async function bulk(body) {
+  const { status, body: response } = await call(
+    "POST",
+    "/admin/posts/bulk",
+    body,
+  );
+  return { status, data: response.data, error: response.error };
+}
+
+async function getPost(id) {
+  const { body } = await call("GET", `/admin/posts/${id}`);
+  return body.data;
+}
+
+describe("POST /admin/posts/bulk", () => {
+  it("returns per-item results in request order", async () => {
+    const { status, data } = await bulk({
+      ids: [ids.a, 9999, ids.b],
+      action: "publish",
+    });
+
+    expect(status).toBe(200);
+    expect(data).toEqual({
+      action: "publish",
+      results: [
+        { id: ids.a, success: true, changed: true },
+        { id: 9999, success: false, status: 404, error: "Post not found" },
+        { id: ids.b, success: true, changed: true },
+      ],
+      succeeded: 2,
+      failed: 1,
+    });
+    expect(await getPost(ids.a)).toMatchObject({
+      state: "published",
+      version: 2,
+    });
+  });
+
+  it("reports an action that is already applied as unchanged", async () => {
+    const { data } = await bulk({ ids: [ids.a], action: "publish" });
+    expect(data.results).toEqual([
+      { id: ids.a, success: true, changed: false },
+    ]);
+    expect((await getPost(ids.a)).version).toBe(2);
+  });
+
+  it("unpublishes", async () => {
+    await bulk({ ids: [ids.b], action: "unpublish" });
+    expect((await getPost(ids.b)).state).toBe("draft");
+  });
+
+  it("adds and removes tags, keeping the others", async () => {
+    await bulk({ ids: [ids.a, ids.b], action: "addTags", tags: ["x", "y"] });
+    await bulk({ ids: [ids.a], action: "removeTags", tags: ["X"] });
+
+    expect((await getPost(ids.a)).tags).toEqual(["y"]);
+    expect([...(await getPost(ids.b)).tags].sort()).toEqual(["x", "y"]);
+  });
+
+  it("fails only the post that would exceed 20 tags", async () => {
+    const many = Array.from({ length: 20 }, (_, i) => `tag-${i}`);
+    await call("PATCH", `/admin/posts/${ids.c}`, { tags: many });
+
+    const { data } = await bulk({
+      ids: [ids.b, ids.c],
+      action: "addTags",
+      tags: ["extra"],
+    });
+    expect(
+      data.results.map(({ success, status }) => [success, status]),
+    ).toEqual([
+      [true, undefined],
+      [false, 400],
+    ]);
+  });
+
+  it("sets a series in request order", async () => {
+    const { body: series } = await call("POST", "/admin/series", {
+      title: "Series",
+    });
+
+    const { data } = await bulk({
+      ids: [ids.b, ids.a],
+      action: "setSeries",
+      seriesId: series.data.id,
+    });
+    expect(data.succeeded).toBe(2);
+    expect((await getPost(ids.b)).series).toMatchObject({ position: 1 });
+    expect((await getPost(ids.a)).series).toMatchObject({ position: 2 });
+  });
+
+  it("returns 404 for an unknown series without changing posts", async () => {
+    const { status } = await bulk({
+      ids: [ids.c],
+      action: "setSeries",
+      seriesId: 9999,
+    });
+    expect(status).toBe(404);
+    expect((await getPost(ids.c)).series).toBeNull();
+  });
+
+  it("moves posts to the trash", async () => {
+    await bulk({ ids: [ids.c], action: "delete" });
+
+    const { status } = await call("GET", `/admin/posts/${ids.c}`);
+    expect(status).toBe(404);
+
+    const { data } = await bulk({ ids: [ids.c], action: "publish" });
+    expect(data.results[0]).toMatchObject({ success: false, status: 404 });
+  });
+
+  it.each([
+    ["no ids", { ids: [], action: "publish" }],
+    [
+      "more than 100 ids",
+      { ids: Array.from({ length: 101 }, (_, i) => i + 1), action: "publish" },
+    ],
+    ["a non-numeric id", { ids: ["a"], action: "publish" }],
+    ["an unknown action", { ids: [1], action: "archive" }],
+    ["addTags without tags", { ids: [1], action: "addTags" }],
+    ["setSeries without seriesId", { ids: [1], action: "setSeries" }],
+  ])("rejects %s", async (_, body) => {
+    const { status } = await bulk(body);
+    expect(status).toBe(400);
+  });
+});
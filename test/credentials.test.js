@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { DUMMY_PASSWORD_HASH, verifyPassword } from "../src/auth/password.js";
+import { createTestEnv, callJson, loginOwner, OWNER } from "./helpers/api.js";
+
+// 실제 검증은 그대로 두고 호출만 기록
+vi.mock("../src/auth/password.js", async (importOriginal) => {
+  const original = await importOriginal();
+  return { ...original, verifyPassword: vi.fn(original.verifyPassword) };
+});
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  await loginOwner(testEnv.env);
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+describe("POST /login credential checks", () => {
+  it("verifies a dummy hash for an unknown username", async () => {
+    verifyPassword.mockClear();
+
+    const { status, body } = await callJson(testEnv.env, "POST", "/login", {
+      body: { username: "nobody", password: OWNER.password },
+    });
+
+    expect(status).toBe(401);
+    expect(body.error.message).toBe("Invalid credentials");
+    expect(verifyPassword).toHaveBeenCalledTimes(1);
+    expect(verifyPassword).toHaveBeenCalledWith(
+      OWNER.password,
+      DUMMY_PASSWORD_HASH,
+    );
+  });
+
+  it("verifies the stored hash for a known username", async () => {
+    verifyPassword.mockClear();
+
+    const { status } = await callJson(testEnv.env, "POST", "/login", {
+      body: { username: OWNER.username, password: "wrong password" },
+    });
+
+    expect(status).toBe(401);
+    expect(verifyPassword).toHaveBeenCalledTimes(1);
+    expect(verifyPassword.mock.calls[0][1]).not.toBe(DUMMY_PASSWORD_HASH);
+  });
+
+  it("never matches the dummy hash", async () => {
+    const { valid } = await verifyPassword("", DUMMY_PASSWORD_HASH);
+    expect(valid).toBe(false);
+  });
+});
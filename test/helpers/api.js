@@ -0,0 +1,105 @@
+/**
+ * API test helpers
+ * Requests through router() and tokens for the test environment
+ */
+
+import { router } from "../../src/router.js";
+import { hashPassword } from "../../src/auth/password.js";
+import { generateJWT, createPayload } from "../../src/auth/validators.js";
+import { loadKeyring } from "../../src/auth/keyring.js";
+import { createTestDatabase } from "./d1.js";
+
+export const OWNER = { username: "owner", password: "correct horse battery" };
+
+// 테스트마다 PBKDF2 해시를 다시 만들지 않도록 한 번만 계산
+let ownerHash;
+
+/**
+ * Local D1 plus the env the worker reads (ADMIN_* bootstraps the owner)
+ * @param {Object} overrides - Extra env variables
+ * @returns {Promise<Object>} { env, dispose }
+ */
+export async function createTestEnv(overrides = {}) {
+  ownerHash ??= await hashPassword(OWNER.password);
+  const database = await createTestDatabase();
+
+  return {
+    env: {
+      DB: database.db,
+      JWT_SECRET: "test-secret",
+      ADMIN_USERNAME: OWNER.username,
+      ADMIN_PASSWORD: ownerHash,
+      ...overrides,
+    },
+    dispose: database.dispose,
+  };
+}
+
+/**
+ * Send a request through the router
+ * @param {Object} env - Test env
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with query string
+ * @param {Object} options - { token, body, headers }
+ * @returns {Promise<Response>} Router response
+ */
+export async function callApi(env, method, path, options = {}) {
+  const { token = null, body, headers = {} } = options;
+  // 문자열/바이너리는 그대로, 나머지는 JSON으로 전송
+  const isJson =
+    body !== undefined &&
+    typeof body !== "string" &&
+    !(body instanceof ArrayBuffer) &&
+    !ArrayBuffer.isView(body);
+
+  return await router(
+    new Request(`http://localhost${path}`, {
+      method,
+      headers: {
+        ...(isJson ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: isJson ? JSON.stringify(body) : body,
+    }),
+    env,
+    {},
+  );
+}
+
+/**
+ * callApi() that also parses the JSON body
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+export async function callJson(env, method, path, options = {}) {
+  const response = await callApi(env, method, path, options);
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+}
+
+/**
+ * Log in as the bootstrap owner (created on the first login)
+ * @returns {Promise<Object>} Login data { token, refreshToken, ... }
+ */
+export async function loginOwner(env) {
+  const { status, body } = await callJson(env, "POST", "/login", {
+    body: OWNER,
+  });
+  if (status !== 200) {
+    throw new Error(`Owner login failed: ${status}`);
+  }
+  return body.data;
+}
+
+/**
+ * Signed access token without a session (for routes that only check scopes)
+ */
+export async function tokenWithScopes(env, scopes, userId = 1) {
+  return await generateJWT(
+    createPayload(userId, 600, scopes),
+    loadKeyring(env),
+  );
+}
@@ -0,0 +1,136 @@
+/**
+ * D1 test database
+ * Local D1 from Miniflare (the same stand-in `wrangler dev` uses) with every
+ * migration in migrations/ applied
+ */
+
+import { readdir, readFile } from "node:fs/promises";
+import { Miniflare } from "miniflare";
+
+const MIGRATIONS_DIR = new URL("../../migrations/", import.meta.url);
+
+// posts, tags, post_tags, comments는 공개 블로그 worker와 공유하는 기존 테이블이라
+// migrations/에 없음: 마이그레이션 이전 스키마를 먼저 생성
+const BASE_SCHEMA = `
+CREATE TABLE posts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  summary TEXT,
+  state TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0
+);
+CREATE TABLE tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL,
+  post_count INTEGER NOT NULL DEFAULT 0
+);
+CREATE TABLE post_tags (
+  post_id INTEGER NOT NULL,
+  tag_id INTEGER NOT NULL,
+  PRIMARY KEY (post_id, tag_id)
+);
+CREATE TABLE comments (
+  id TEXT PRIMARY KEY,
+  post_id INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  author TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+`;
+
+/**
+ * Start a local D1 database with the base schema and all migrations
+ * @returns {Promise<Object>} { db, dispose }
+ */
+export async function createTestDatabase() {
+  const mf = new Miniflare({
+    modules: true,
+    script: "export default { fetch() { return new Response(null); } }",
+    d1Databases: ["DB"],
+  });
+  const db = await mf.getD1Database("DB");
+
+  await runSql(db, BASE_SCHEMA);
+  const files = (await readdir(MIGRATIONS_DIR))
+    .filter((file) => file.endsWith(".sql"))
+    .sort();
+  for (const file of files) {
+    await runSql(db, await readFile(new URL(file, MIGRATIONS_DIR), "utf8"));
+  }
+
+  return { db, dispose: () => mf.dispose() };
+}
+
+/**
+ * Run a SQL script one statement at a time (comments stripped)
+ */
+async function runSql(db, sql) {
+  const statements = sql
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("--"))
+    .join("\n")
+    .split(/;\s*(?:\n|$)/)
+    .map((statement) => statement.trim())
+    .filter(Boolean);
+
+  for (const statement of statements) {
+    await db.prepare(statement).run();
+  }
+}
+
+const UNWRAP = Symbol("unwrap");
+
+/**
+ * Wrap a D1 binding to count round trips: each first/all/run/raw call and
+ * each batch() counts as one, whatever the number of statements in it
+ * @param {Object} db - D1 binding
+ * @returns {Object} Binding with counter { roundTrips, statements, reset() }
+ */
+export function countRoundTrips(db) {
+  const counter = {
+    roundTrips: 0,
+    statements: 0,
+    reset() {
+      counter.roundTrips = 0;
+      counter.statements = 0;
+    },
+  };
+
+  const wrapStatement = (statement) =>
+    new Proxy(statement, {
+      get(target, property) {
+        if (property === UNWRAP) {
+          return target;
+        }
+        const value = Reflect.get(target, property);
+        if (property === "bind") {
+          return (...args) => wrapStatement(value.apply(target, args));
+        }
+        if (["first", "all", "run", "raw"].includes(property)) {
+          return (...args) => {
+            counter.roundTrips++;
+            counter.statements++;
+            return value.apply(target, args);
+          };
+        }
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+
+  return {
+    counter,
+    prepare: (sql) => wrapStatement(db.prepare(sql)),
+    batch: (statements) => {
+      counter.roundTrips++;
+      counter.statements += statements.length;
+      // 실제 D1 batch는 자신이 만든 statement 객체만 받음
+      return db.batch(statements.map((statement) => statement[UNWRAP]));
+    },
+    exec: (sql) => db.exec(sql),
+  };
+}
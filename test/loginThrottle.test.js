@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { router } from "../src/router.js";
+import { LoginThrottleService } from "../src/services/index.js";
+import { LoginAttemptRepository } from "../src/repositories/index.js";
+import { hashPassword } from "../src/auth/password.js";
+import { createTestDatabase } from "./helpers/d1.js";
+
+const OWNER = { username: "owner", password: "correct horse battery" };
+
+let database;
+let env;
+
+beforeAll(async () => {
+  database = await createTestDatabase();
+  env = {
+    DB: database.db,
+    JWT_SECRET: "test-secret",
+    ADMIN_USERNAME: OWNER.username,
+    ADMIN_PASSWORD: await hashPassword(OWNER.password),
+  };
+});
+
+afterAll(async () => {
+  await database.dispose();
+});
+
+function login(credentials, ip) {
+  return router(
+    new Request("http://localhost/login", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "CF-Connecting-IP": ip,
+      },
+      body: JSON.stringify(credentials),
+    }),
+    env,
+    {},
+  );
+}
+
+function clearLockout(key, token) {
+  return router(
+    new Request(`http://localhost/admin/lockouts/${encodeURIComponent(key)}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${token}` },
+    }),
+    env,
+    {},
+  );
+}
+
+/**
+ * Lockout length in seconds after each failure for one username
+ */
+async function lockoutAfterEachFailure(username, failures) {
+  const throttle = new LoginThrottleService(env.DB);
+  const repository = new LoginAttemptRepository(env.DB);
+  const lengths = [];
+
+  for (let i = 0; i < failures; i++) {
+    await throttle.recordFailure("10.0.0.1", username);
+    const userKey = `user:${username}`;
+    const [record] = await repository.findByKeys(userKey, userKey);
+    lengths.push(
+      record.locked_until
+        ? (Date.parse(record.locked_until) -
+            Date.parse(record.last_failure_at)) /
+            1000
+        : 0,
+    );
+  }
+
+  return lengths;
+}
+
+describe("LoginThrottleService backoff", () => {
+  it("locks after 5 failures and doubles the lockout each time", async () => {
+    expect(await lockoutAfterEachFailure("backoff", 8)).toEqual([
+      0, 0, 0, 0, 30, 60, 120, 240,
+    ]);
+  });
+
+  it("caps the lockout at one hour", async () => {
+    const lengths = await lockoutAfterEachFailure("capped", 14);
+    expect(lengths.slice(-3)).toEqual([3600, 3600, 3600]);
+  });
+});
+
+describe("POST /login lockout", () => {
+  it("returns 429 with Retry-After until an admin clears the lockout", async () => {
+    const ip = "203.0.113.7";
+    const first = await login(OWNER, ip);
+    expect(first.status).toBe(200);
+    const { token } = (await first.json()).data;
+
+    for (let i = 0; i < 5; i++) {
+      const failed = await login({ ...OWNER, password: "wrong" }, ip);
+      expect(failed.status).toBe(401);
+    }
+
+    // 잠금 중에는 올바른 비밀번호도 거부
+    const locked = await login(OWNER, ip);
+    expect(locked.status).toBe(429);
+    const retryAfter = Number(locked.headers.get("Retry-After"));
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(30);
+
+    // username 잠금만 풀면 IP 잠금이 남아 있음
+    expect((await clearLockout("user:owner", token)).status).toBe(200);
+    expect((await login(OWNER, ip)).status).toBe(429);
+
+    expect((await clearLockout(`ip:${ip}`, token)).status).toBe(200);
+    expect((await login(OWNER, ip)).status).toBe(200);
+  });
+
+  it("returns 404 for a lockout that does not exist", async () => {
+    const { token } = (await (await login(OWNER, "198.51.100.1")).json()).data;
+
+    const response = await clearLockout("user:nobody", token);
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { renderMarkdown, analyzeMarkdown } from "../src/utils/markdown.js";
+import { PostService } from "../src/services/index.js";
+import { createTestDatabase } from "./helpers/d1.js";
+
+const html = (markdown) => renderMarkdown(markdown).html;
+
+describe("links", () => {
+  it.each([
+    [
+      "[site](https://example.com)",
+      '<p><a href="https://example.com" rel="noopener noreferrer">site</a></p>',
+    ],
+    [
+      '[site](https://example.com "Title")',
+      '<p><a href="https://example.com" title="Title" rel="noopener noreferrer">site</a></p>',
+    ],
+    ["[about](/about)", '<p><a href="/about">about</a></p>'],
+    [
+      "[wiki](https://en.wikipedia.org/wiki/Foo_(bar))",
+      '<p><a href="https://en.wikipedia.org/wiki/Foo_(bar)" rel="noopener noreferrer">wiki</a></p>',
+    ],
+    [
+      "<https://example.com>",
+      '<p><a href="https://example.com" rel="noopener noreferrer">https://example.com</a></p>',
+    ],
+    [
+      "see www.example.com.",
+      '<p>see <a href="https://www.example.com" rel="noopener noreferrer">www.example.com</a>.</p>',
+    ],
+  ])("%s", (markdown, expected) => {
+    expect(html(markdown)).toBe(expected);
+  });
+});
+
+describe("images", () => {
+  it.each([
+    [
+      "![cat](https://cdn.test/cat.png)",
+      '<p><img src="https://cdn.test/cat.png" alt="cat" loading="lazy"></p>',
+    ],
+    [
+      '![cat](https://cdn.test/cat.png "A cat")',
+      '<p><img src="https://cdn.test/cat.png" alt="cat" title="A cat" loading="lazy"></p>',
+    ],
+    [
+      '![a "quoted" <alt>](/a.png)',
+      '<p><img src="/a.png" alt="a &quot;quoted&quot; &lt;alt&gt;" loading="lazy"></p>',
+    ],
+  ])("%s", (markdown, expected) => {
+    expect(html(markdown)).toBe(expected);
+  });
+});
+
+describe("nesting", () => {
+  it.each([
+    [
+      "[![img](https://cdn.test/x.png)](https://e.com)",
+      '<p><a href="https://e.com" rel="noopener noreferrer"><img src="https://cdn.test/x.png" alt="img" loading="lazy"></a></p>',
+    ],
+    [
+      "[`code` and **bold**](/x)",
+      '<p><a href="/x"><code>code</code> and <strong>bold</strong></a></p>',
+    ],
+    [
+      "**[bold link](/x)**",
+      '<p><strong><a href="/x">bold link</a></strong></p>',
+    ],
+    ["[a \\[b\\]](/x)", '<p><a href="/x">a [b]</a></p>'],
+  ])("%s", (markdown, expected) => {
+    expect(html(markdown)).toBe(expected);
+  });
+});
+
+describe("unsafe schemes", () => {
+  it.each([
+    ["[x](javascript:alert(1))", "<p>x</p>"],
+    ["[x](javascript:alert(1)) after", "<p>x after</p>"],
+    ["![x](javascript:alert(1))", "<p>x</p>"],
+    ["![x](javascript:alert(1)) after", "<p>x after</p>"],
+    ["[x](JaVaScRiPt:alert(1))", "<p>x</p>"],
+    ["[x](java\tscript:alert(1))", "<p>[x](java\tscript:alert(1))</p>"],
+    ["[x](data:text/html,hi)", "<p>x</p>"],
+    ["![x](vbscript:msgbox)", "<p>x</p>"],
+    ["![x](mailto:a@b.c)", "<p>x</p>"],
+    [
+      "<script>alert(1)</script>",
+      "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>",
+    ],
+  ])("%s", (markdown, expected) => {
+    expect(html(markdown)).toBe(expected);
+  });
+});
+
+describe("analyzeMarkdown images", () => {
+  it("includes images inside links", () => {
+    expect(
+      analyzeMarkdown("[![img](https://cdn.test/x.png)](https://e.com)").images,
+    ).toEqual(["https://cdn.test/x.png"]);
+  });
+});
+
+describe("ogImage", () => {
+  let database;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.dispose();
+  });
+
+  it("defaults to a linked CDN image", async () => {
+    const service = new PostService(database.db, { CDN_DOMAIN: "cdn.test" });
+    const post = await service.createPost({
+      title: "Linked image",
+      content: "Intro\n\n[![cover](https://cdn.test/cover.png)](https://e.com)",
+      state: "draft",
+    });
+
+    expect(post.ogImage).toBe("https://cdn.test/cover.png");
+  });
+});
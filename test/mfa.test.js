@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import {
+  generateTOTP,
+  verifyTOTP,
+  base32Decode,
+} from "../src/auth/validators.js";
+import { createTestEnv, callJson, loginOwner, OWNER } from "./helpers/api.js";
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe("TOTP", () => {
+  // RFC 6238 부록 B의 SHA-1 테스트 벡터 (8자리 코드의 마지막 6자리)
+  const secret = new TextEncoder().encode("12345678901234567890");
+
+  it.each([
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+  ])("at %i is %s", async (time, code) => {
+    expect(await generateTOTP(secret, Math.floor(time / 30))).toBe(code);
+  });
+
+  it("accepts one step of drift and rejects replayed steps", async () => {
+    const step = currentStep();
+    const previous = await generateTOTP(secret, step - 1);
+
+    expect(await verifyTOTP(secret, previous)).toBe(step - 1);
+    expect(await verifyTOTP(secret, previous, { afterStep: step - 1 })).toBe(
+      null,
+    );
+    expect(await verifyTOTP(secret, "12345")).toBe(null);
+  });
+});
+
+describe("two-step login", () => {
+  let testEnv;
+  let env;
+  let secret;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    testEnv = await createTestEnv();
+    env = testEnv.env;
+    const { token } = await loginOwner(env);
+
+    const enroll = await callJson(env, "POST", "/admin/mfa/totp", { token });
+    expect(enroll.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    secret = base32Decode(enroll.body.data.secret);
+
+    // 등록 확인에 쓴 time step은 로그인에 다시 쓸 수 없으므로 이전 step 사용
+    const verify = await callJson(env, "POST", "/admin/mfa/totp/verify", {
+      token,
+      body: { code: await generateTOTP(secret, currentStep() - 1) },
+    });
+    expect(verify.status).toBe(200);
+    ({ recoveryCodes } = verify.body.data);
+  });
+
+  afterAll(async () => {
+    await testEnv.dispose();
+  });
+
+  async function startLogin() {
+    const { status, body } = await callJson(env, "POST", "/login", {
+      body: OWNER,
+    });
+    expect(status).toBe(200);
+    expect(body.data.mfaRequired).toBe(true);
+    return body.data.mfaToken;
+  }
+
+  function finishLogin(mfaToken, code) {
+    return callJson(env, "POST", "/login/mfa", { body: { mfaToken, code } });
+  }
+
+  it("returns 10 recovery codes on enrollment", () => {
+    expect(recoveryCodes).toHaveLength(10);
+  });
+
+  it("does not accept the MFA token as an access token", async () => {
+    const mfaToken = await startLogin();
+    const { status } = await callJson(env, "GET", "/session", {
+      token: mfaToken,
+    });
+    expect(status).toBe(401);
+  });
+
+  it("rejects a wrong code", async () => {
+    const mfaToken = await startLogin();
+    const { status } = await finishLogin(mfaToken, "000000");
+    expect(status).toBe(401);
+  });
+
+  it("issues tokens for a valid code, once per MFA token", async () => {
+    const mfaToken = await startLogin();
+    const code = await generateTOTP(secret, currentStep());
+
+    const first = await finishLogin(mfaToken, code);
+    expect(first.status).toBe(200);
+    expect(first.body.data.token).toBeTruthy();
+
+    const replay = await finishLogin(mfaToken, code);
+    expect(replay.status).toBe(401);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const [code] = recoveryCodes;
+
+    const first = await finishLogin(await startLogin(), code);
+    expect(first.status).toBe(200);
+
+    const again = await finishLogin(await startLogin(), code);
+    expect(again.status).toBe(401);
+
+    const { body } = await callJson(env, "GET", "/admin/mfa", {
+      token: first.body.data.token,
+    });
+    expect(body.data).toMatchObject({
+      enabled: true,
+      recoveryCodesRemaining: 9,
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createTestEnv, callJson, loginOwner } from "./helpers/api.js";
+
+const WEBAUTHN = {
+  WEBAUTHN_RP_ID: "localhost",
+  WEBAUTHN_ORIGIN: "http://localhost:5173",
+};
+
+let testEnv;
+let ownerToken;
+
+beforeAll(async () => {
+  // WEBAUTHN_* 없이 배포된 상태
+  testEnv = await createTestEnv();
+  ({ token: ownerToken } = await loginOwner(testEnv.env));
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+describe("passkeys without WebAuthn configuration", () => {
+  it.each([
+    ["POST", "/login/passkey/options", {}],
+    ["POST", "/login/passkey/verify", { body: { id: "x", response: {} } }],
+    ["POST", "/admin/passkeys/register/options", { auth: true }],
+    [
+      "POST",
+      "/admin/passkeys/register/verify",
+      { auth: true, body: { response: {} } },
+    ],
+  ])("%s %s returns 503", async (method, path, { auth, body }) => {
+    const { status, body: response } = await callJson(
+      testEnv.env,
+      method,
+      path,
+      { token: auth ? ownerToken : null, body },
+    );
+
+    expect(status).toBe(503);
+    expect(response.error.message).toBe("WebAuthn is not configured");
+  });
+
+  it("issues challenges once configured", async () => {
+    const env = { ...testEnv.env, ...WEBAUTHN };
+
+    const login = await callJson(env, "POST", "/login/passkey/options");
+    const register = await callJson(
+      env,
+      "POST",
+      "/admin/passkeys/register/options",
+      { token: ownerToken },
+    );
+
+    expect(login.status).toBe(200);
+    expect(login.body.data.rpId).toBe("localhost");
+    expect(register.status).toBe(200);
+    expect(register.body.data.rp.id).toBe("localhost");
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { PostService } from "../src/services/index.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let token;
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+async function createPost() {
+  return await new PostService(env.DB, env).createPost({
+    title: "Original",
+    content: "First paragraph of the post.",
+    summary: "Custom summary",
+    metaTitle: "Meta",
+    state: "draft",
+    tags: ["alpha", "beta"],
+  });
+}
+
+function patch(postId, body) {
+  return callJson(env, "PATCH", `/admin/posts/${postId}`, { token, body });
+}
+
+describe("PATCH /admin/posts/:postId", () => {
+  it("changes only the fields present", async () => {
+    const post = await createPost();
+    const { status, body } = await patch(post.id, { state: "published" });
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({
+      title: "Original",
+      summary: "Custom summary",
+      metaTitle: "Meta",
+      state: "published",
+      slug: post.slug,
+    });
+    expect([...body.data.tags].sort()).toEqual(["alpha", "beta"]);
+  });
+
+  it("clears optional fields with null", async () => {
+    const post = await createPost();
+    const { status, body } = await patch(post.id, {
+      summary: null,
+      metaTitle: null,
+      tags: null,
+    });
+
+    expect(status).toBe(200);
+    // 비운 summary는 content에서 다시 생성
+    expect(body.data.summary).toBe("First paragraph of the post.");
+    expect(body.data.metaTitle).toBeNull();
+    expect(body.data.tags).toEqual([]);
+  });
+
+  it("replaces tags when present", async () => {
+    const post = await createPost();
+    const { body } = await patch(post.id, { tags: ["gamma"] });
+    expect(body.data.tags).toEqual(["gamma"]);
+  });
+
+  it("regenerates a generated summary when content changes", async () => {
+    const post = await new PostService(env.DB, env).createPost({
+      title: "Generated",
+      content: "Old body.",
+      state: "draft",
+    });
+    const { body } = await patch(post.id, { content: "New body." });
+    expect(body.data.summary).toBe("New body.");
+  });
+
+  it.each([
+    [{ title: null }],
+    [{ state: null }],
+    [{}],
+    [{ unknown: true }],
+    [{ state: "scheduled" }],
+    [{ tags: "alpha" }],
+  ])("rejects %j", async (body) => {
+    const post = await createPost();
+    const { status } = await patch(post.id, body);
+    expect(status).toBe(400);
+  });
+
+  it("returns 404 for a missing post", async () => {
+    const { status } = await patch(9999, { state: "draft" });
+    expect(status).toBe(404);
+  });
+});
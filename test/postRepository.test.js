@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { PostRepository, TagRepository } from "../src/repositories/index.js";
+import { PostService } from "../src/services/index.js";
+import { tagKey } from "../src/utils/tags.js";
+import { createTestDatabase, countRoundTrips } from "./helpers/d1.js";
+
+const TAG_COUNTS = [1, 5, 20];
+const POST_BODY = { title: "Post", content: "Body", state: "draft" };
+
+let database;
+let db;
+let slugCounter = 0;
+
+beforeAll(async () => {
+  database = await createTestDatabase();
+  db = countRoundTrips(database.db);
+});
+
+afterAll(async () => {
+  await database.dispose();
+});
+
+beforeEach(() => {
+  db.counter.reset();
+});
+
+const tagNames = (count, prefix) =>
+  Array.from({ length: count }, (_, i) => `${prefix} Tag ${i}`);
+const toTags = (names) => names.map((name) => ({ name, key: tagKey(name) }));
+
+function postData(overrides = {}) {
+  const now = new Date().toISOString();
+  slugCounter++;
+  return {
+    slug: `post-${slugCounter}`,
+    title: `Post ${slugCounter}`,
+    content: "Body",
+    contentHtml: "<p>Body</p>",
+    wordCount: 1,
+    readingTime: 1,
+    toc: "[]",
+    summary: "Body",
+    state: "draft",
+    createdAt: now,
+    updatedAt: now,
+    ...overrides,
+  };
+}
+
+// 이전 구현은 태그마다 조회 + 생성 + post_tags INSERT를 따로 보내
+// 태그 N개에 게시글 INSERT 포함 최대 1 + 3N번 왕복했음
+describe("PostRepository tag writes", () => {
+  it.each(TAG_COUNTS)("create with %i new tags is one batch", async (count) => {
+    const repository = new PostRepository(db);
+    const names = tagNames(count, `create-${count}`);
+
+    const postId = await repository.create(postData({ tags: toTags(names) }));
+
+    expect(db.counter.roundTrips).toBe(1);
+    expect((await repository.getTagsByPostId(postId)).sort()).toEqual(
+      [...names].sort(),
+    );
+  });
+
+  it.each(TAG_COUNTS)(
+    "update replacing %i tags is one batch",
+    async (count) => {
+      const repository = new PostRepository(db);
+      const before = tagNames(count, `old-${count}`);
+      const after = tagNames(count, `new-${count}`);
+      const data = postData({ tags: toTags(before) });
+      const postId = await repository.create(data);
+      db.counter.reset();
+
+      const updated = await repository.update(postId, {
+        ...data,
+        tags: toTags(after),
+      });
+
+      expect(updated).toBe(true);
+      expect(db.counter.roundTrips).toBe(1);
+      expect((await repository.getTagsByPostId(postId)).sort()).toEqual(
+        [...after].sort(),
+      );
+    },
+  );
+
+  it("keeps published post_count in step with the batch", async () => {
+    const repository = new PostRepository(db);
+    const tagRepository = new TagRepository(db);
+    const [shared] = tagNames(1, "shared");
+
+    const firstId = await repository.create(
+      postData({ state: "published", tags: toTags([shared]) }),
+    );
+    const second = postData({ state: "published", tags: toTags([shared]) });
+    const secondId = await repository.create(second);
+    await repository.update(secondId, { ...second, tags: [] });
+
+    const { id } = await tagRepository.findByKey(tagKey(shared));
+    expect((await tagRepository.findById(id)).post_count).toBe(1);
+    expect(await repository.getTagsByPostId(firstId)).toEqual([shared]);
+  });
+});
+
+describe("PostService tag writes", () => {
+  // 서비스 경로의 왕복 횟수는 태그 수와 무관해야 함
+  async function roundTripsFor(action, count) {
+    const service = new PostService(db);
+    const tags = tagNames(count, `${action}-service-${count}`);
+
+    if (action === "create") {
+      db.counter.reset();
+      await service.createPost({ ...POST_BODY, tags });
+      return db.counter.roundTrips;
+    }
+
+    const post = await service.createPost(POST_BODY);
+    db.counter.reset();
+    await service.updatePost(post.id, { ...POST_BODY, slug: post.slug, tags });
+    return db.counter.roundTrips;
+  }
+
+  it.each(["create", "update"])(
+    "%s costs the same round trips for 1 or 20 tags",
+    async (action) => {
+      expect(await roundTripsFor(action, 20)).toBe(
+        await roundTripsFor(action, 1),
+      );
+    },
+  );
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { router } from "../src/router.js";
+import { Scope } from "../src/auth/permissions.js";
+import { PostService } from "../src/services/index.js";
+import { generateJWT, createPayload } from "../src/auth/validators.js";
+import { loadKeyring } from "../src/auth/keyring.js";
+import { createTestDatabase } from "./helpers/d1.js";
+
+let database;
+let env;
+let token;
+
+beforeAll(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db, JWT_SECRET: "test-secret" };
+  token = await generateJWT(
+    createPayload(1, 600, [Scope.POSTS_WRITE]),
+    loadKeyring(env),
+  );
+});
+
+afterAll(async () => {
+  await database.dispose();
+});
+
+/**
+ * Post at version 2 with revisions 1 ("First") and 2 ("Second")
+ */
+async function createEditedPost() {
+  const service = new PostService(env.DB, env);
+  const post = await service.createPost({
+    title: "First",
+    content: "Body",
+    state: "draft",
+  });
+  return await service.updatePost(post.id, {
+    title: "Second",
+    content: "Body",
+    state: "draft",
+    slug: post.slug,
+  });
+}
+
+function restore(postId, revision, ifMatch = null) {
+  return router(
+    new Request(
+      `http://localhost/admin/posts/${postId}/revisions/${revision}/restore`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(ifMatch ? { "If-Match": ifMatch } : {}),
+        },
+      },
+    ),
+    env,
+    {},
+  );
+}
+
+describe("POST /admin/posts/:postId/revisions/:revision/restore", () => {
+  it("restores when If-Match is the current ETag", async () => {
+    const post = await createEditedPost();
+
+    const response = await restore(post.id, 1, `"${post.version}"`);
+    const { data } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.title).toBe("First");
+    expect(response.headers.get("ETag")).toBe(`"${post.version + 1}"`);
+  });
+
+  it("returns 409 with the current post for a stale If-Match", async () => {
+    const post = await createEditedPost();
+
+    const response = await restore(post.id, 1, `"${post.version - 1}"`);
+    const body = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(response.headers.get("ETag")).toBe(`"${post.version}"`);
+    expect(body.data.current.title).toBe("Second");
+    expect(body.data.current.version).toBe(post.version);
+  });
+
+  it("restores unconditionally without If-Match", async () => {
+    const post = await createEditedPost();
+
+    const response = await restore(post.id, 1);
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { analyzeMarkdown } from "../src/utils/markdown.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+const CDN = "https://cdn.test";
+
+describe("generated summary", () => {
+  const summary = (markdown) => analyzeMarkdown(markdown).summary;
+
+  it("joins the paragraphs with Markdown stripped", () => {
+    expect(
+      summary(
+        "# Title\n\n**Bold** and `code` with [a link](https://e.com).\n\nSecond paragraph.",
+      ),
+    ).toBe("Bold and code with a link. Second paragraph.");
+  });
+
+  it("cuts on the last sentence boundary within 200 characters", () => {
+    const text =
+      "First sentence is here. " + "Keep going on and on. ".repeat(12);
+    const result = summary(text);
+
+    expect(result.length).toBeLessThanOrEqual(200);
+    expect(result.endsWith("on and on.")).toBe(true);
+    expect(text.startsWith(result)).toBe(true);
+  });
+
+  it("cuts a long first sentence at a word with an ellipsis", () => {
+    const result = summary("word ".repeat(80));
+    expect(result.length).toBeLessThanOrEqual(200);
+    expect(result).toMatch(/ word…$/);
+  });
+
+  it.each([
+    ["- item one\n- item two\n\n```\ncode\n```", "item one item two"],
+    ["```\nonly code\n```", null],
+  ])("falls back to non-code text for %j", (markdown, expected) => {
+    expect(summary(markdown)).toBe(expected);
+  });
+});
+
+describe("SEO fields", () => {
+  let testEnv;
+  let env;
+  let token;
+
+  beforeAll(async () => {
+    testEnv = await createTestEnv({ CDN_DOMAIN: "cdn.test" });
+    env = testEnv.env;
+    token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+  });
+
+  afterAll(async () => {
+    await testEnv.dispose();
+  });
+
+  function createPost(fields) {
+    return callJson(env, "POST", "/admin/posts", {
+      token,
+      body: { title: "SEO", state: "draft", content: "Body.", ...fields },
+    });
+  }
+
+  it("generates summary and ogImage when they are missing", async () => {
+    const { status, body } = await createPost({
+      content: `Intro text.\n\n![other](https://elsewhere.test/a.png)\n\n![cover](${CDN}/cover.png)`,
+    });
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({
+      summary: "Intro text.",
+      ogImage: `${CDN}/cover.png`,
+      metaTitle: null,
+      metaDescription: null,
+      canonicalUrl: null,
+    });
+  });
+
+  it("persists the fields given", async () => {
+    const fields = {
+      summary: "Hand-written",
+      metaTitle: "Meta title",
+      metaDescription: "Meta description",
+      canonicalUrl: "https://example.com/original",
+      ogImage: "https://example.com/og.png",
+    };
+    const { body: created } = await createPost({
+      ...fields,
+      content: `![cover](${CDN}/cover.png)`,
+    });
+
+    const { body } = await callJson(
+      env,
+      "GET",
+      `/admin/posts/${created.data.id}`,
+      { token },
+    );
+    expect(body.data).toMatchObject(fields);
+  });
+
+  it.each([
+    [{ summary: "x".repeat(201) }],
+    [{ metaTitle: "x".repeat(101) }],
+    [{ metaDescription: "x".repeat(201) }],
+    [{ canonicalUrl: "/relative" }],
+    [{ canonicalUrl: "javascript:alert(1)" }],
+    [{ ogImage: "ftp://cdn.test/a.png" }],
+  ])("rejects %j", async (fields) => {
+    const { status } = await createPost(fields);
+    expect(status).toBe(400);
+  });
+});
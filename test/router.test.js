@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { router, getRoutes } from "../src/router.js";
+import { AuthLevel } from "../src/auth/middleware.js";
+import { Scope } from "../src/auth/permissions.js";
+import { generateJWT, createPayload } from "../src/auth/validators.js";
+import { loadKeyring } from "../src/auth/keyring.js";
+import { createTestDatabase } from "./helpers/d1.js";
+
+const ALL_SCOPES = Object.values(Scope);
+// 경로 파라미터(1)와 다른 사용자: 자기 계정 삭제 금지 같은 핸들러 검사를 피함
+const TOKEN_USER_ID = 2;
+
+const routes = getRoutes();
+const levelOf = (route) =>
+  typeof route.auth === "string" ? route.auth : route.auth.level;
+const publicRoutes = routes.filter(
+  (route) => levelOf(route) === AuthLevel.PUBLIC,
+);
+const tokenRoutes = routes.filter(
+  (route) => levelOf(route) === AuthLevel.TOKEN,
+);
+const scopeRoutes = routes.filter(
+  (route) => levelOf(route) === AuthLevel.SCOPE,
+);
+
+let database;
+let env;
+
+beforeAll(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db, JWT_SECRET: "test-secret", PASSWORD_SALT: "salt" };
+});
+
+afterAll(async () => {
+  await database.dispose();
+});
+
+/**
+ * Request for a route with every :param replaced by 1
+ */
+function requestFor(route, token = null) {
+  const [method, pattern] = route.pattern.split(" ");
+  const path = pattern.replace(/:\w+/g, "1");
+  const hasBody = ["POST", "PUT", "PATCH", "DELETE"].includes(method);
+
+  return new Request(`http://localhost${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: hasBody ? "{}" : undefined,
+  });
+}
+
+async function tokenWithScopes(scopes) {
+  return await generateJWT(
+    createPayload(TOKEN_USER_ID, 600, scopes),
+    loadKeyring({ JWT_SECRET: env.JWT_SECRET }),
+  );
+}
+
+describe("route table", () => {
+  it("declares a known protection level on every route", () => {
+    for (const route of routes) {
+      const level = levelOf(route);
+      expect(Object.values(AuthLevel), route.pattern).toContain(level);
+      if (level === AuthLevel.SCOPE) {
+        expect(ALL_SCOPES, route.pattern).toContain(route.auth.scope);
+      }
+    }
+  });
+});
+
+describe("public routes", () => {
+  it.each(publicRoutes.map((route) => [route.pattern, route]))(
+    "%s is reachable without a token",
+    async (_pattern, route) => {
+      const response = await router(requestFor(route), env, {});
+      expect(response.status).not.toBe(401);
+      expect(response.status).not.toBe(403);
+    },
+  );
+});
+
+describe("token routes", () => {
+  it.each(tokenRoutes.map((route) => [route.pattern, route]))(
+    "%s returns 401 without a token",
+    async (_pattern, route) => {
+      const response = await router(requestFor(route), env, {});
+      expect(response.status).toBe(401);
+    },
+  );
+
+  it.each(tokenRoutes.map((route) => [route.pattern, route]))(
+    "%s accepts a token",
+    async (_pattern, route) => {
+      const token = await tokenWithScopes(ALL_SCOPES);
+      const response = await router(requestFor(route, token), env, {});
+      expect(response.status).not.toBe(401);
+      expect(response.status).not.toBe(403);
+    },
+  );
+});
+
+describe("scoped routes", () => {
+  it.each(scopeRoutes.map((route) => [route.pattern, route]))(
+    "%s returns 401 without a token",
+    async (_pattern, route) => {
+      const response = await router(requestFor(route), env, {});
+      expect(response.status).toBe(401);
+    },
+  );
+
+  it.each(scopeRoutes.map((route) => [route.pattern, route.auth.scope, route]))(
+    "%s returns 403 without %s",
+    async (_pattern, scope, route) => {
+      const token = await tokenWithScopes(
+        ALL_SCOPES.filter((granted) => granted !== scope),
+      );
+      const response = await router(requestFor(route, token), env, {});
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.error.message).toContain(scope);
+    },
+  );
+
+  it.each(scopeRoutes.map((route) => [route.pattern, route.auth.scope, route]))(
+    "%s passes the auth step with %s",
+    async (_pattern, scope, route) => {
+      const token = await tokenWithScopes([scope]);
+      const response = await router(requestFor(route, token), env, {});
+      expect(response.status).not.toBe(401);
+      expect(response.status).not.toBe(403);
+    },
+  );
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import worker from "../src/index.js";
+import { Scope } from "../src/auth/permissions.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let token;
+
+const inHours = (hours) => new Date(Date.now() + hours * 3600000).toISOString();
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+async function createPost(body) {
+  const { status, body: response } = await callJson(
+    env,
+    "POST",
+    "/admin/posts",
+    { token, body: { content: "Body", ...body } },
+  );
+  return { status, post: response.data, error: response.error };
+}
+
+function runCron() {
+  return worker.scheduled(
+    { cron: "*/5 * * * *", scheduledTime: Date.now() },
+    env,
+  );
+}
+
+describe("scheduled posts", () => {
+  it.each([
+    [{ state: "scheduled" }, "publishAt is required for scheduled posts"],
+    [
+      { state: "draft", publishAt: inHours(1) },
+      "publishAt is only allowed for scheduled posts",
+    ],
+  ])("rejects %j", async (fields, message) => {
+    const { status, error } = await createPost({ title: "Invalid", ...fields });
+    expect(status).toBe(400);
+    expect(error.message).toBe(message);
+  });
+
+  it("rejects a publishAt in the past", async () => {
+    const { status } = await createPost({
+      title: "Past",
+      state: "scheduled",
+      publishAt: inHours(-1),
+    });
+    expect(status).toBe(400);
+  });
+
+  it("lists upcoming posts soonest first", async () => {
+    await createPost({
+      title: "Later",
+      state: "scheduled",
+      publishAt: inHours(48),
+    });
+    await createPost({
+      title: "Sooner",
+      state: "scheduled",
+      publishAt: inHours(24),
+    });
+    await createPost({ title: "Draft", state: "draft" });
+
+    const { status, body } = await callJson(
+      env,
+      "GET",
+      "/admin/posts/scheduled",
+      { token },
+    );
+    expect(status).toBe(200);
+    expect(body.data.map((post) => post.title)).toEqual(["Sooner", "Later"]);
+  });
+
+  it("publishes due posts from the Cron Trigger", async () => {
+    const { post } = await createPost({
+      title: "Due",
+      state: "scheduled",
+      publishAt: inHours(1),
+      tags: ["cron"],
+    });
+    // 예약 시각이 지난 상태로 되돌림
+    const publishAt = inHours(-0.5);
+    await env.DB.prepare("UPDATE posts SET publish_at = ? WHERE id = ?")
+      .bind(publishAt, post.id)
+      .run();
+
+    await runCron();
+
+    const { body } = await callJson(env, "GET", `/admin/posts/${post.id}`, {
+      token,
+    });
+    expect(body.data).toMatchObject({
+      state: "published",
+      publishAt: null,
+      publishedAt: publishAt,
+    });
+
+    const tag = await env.DB.prepare(
+      "SELECT post_count FROM tags WHERE name = 'cron'",
+    ).first();
+    expect(tag.post_count).toBe(1);
+
+    const revisions = await callJson(
+      env,
+      "GET",
+      `/admin/posts/${post.id}/revisions`,
+      { token },
+    );
+    expect(revisions.body.data[0]).toMatchObject({ state: "published" });
+  });
+
+  it("leaves posts that are not due yet", async () => {
+    await runCron();
+
+    const { body } = await callJson(env, "GET", "/admin/posts/scheduled", {
+      token,
+    });
+    expect(body.data.map((post) => post.title)).toEqual(["Sooner", "Later"]);
+  });
+});
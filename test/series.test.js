@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let token;
+let seriesId;
+const ids = {};
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+
+  for (const name of ["p1", "p2", "p3", "p4"]) {
+    const { body } = await call("POST", "/admin/posts", {
+      title: name,
+      content: "Body",
+      state: "published",
+      slug: name,
+    });
+    ids[name] = body.data.id;
+  }
+
+  const { body } = await call("POST", "/admin/series", {
+    title: "Rust 입문",
+    description: "Series description",
+  });
+  seriesId = body.data.id;
+  for (const name of ["p1", "p2", "p3"]) {
+    await call("POST", `/admin/series/${seriesId}/posts`, {
+      postId: ids[name],
+    });
+  }
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+function call(method, path, body) {
+  return callJson(env, method, path, { token, body });
+}
+
+async function order() {
+  const { body } = await call("GET", `/admin/series/${seriesId}`);
+  return body.data.posts.map((post) => [post.slug, post.position]);
+}
+
+describe("series", () => {
+  it("generates a slug and lists posts in order", async () => {
+    const { body } = await call("GET", `/admin/series/${seriesId}`);
+
+    expect(body.data).toMatchObject({
+      slug: "rust-ipmun",
+      title: "Rust 입문",
+      description: "Series description",
+      postCount: 3,
+    });
+    expect(await order()).toEqual([
+      ["p1", 1],
+      ["p2", 2],
+      ["p3", 3],
+    ]);
+  });
+
+  it("returns series info with previous and next links on a post", async () => {
+    const { body } = await call("GET", `/admin/posts/${ids.p2}`);
+
+    expect(body.data.series).toEqual({
+      id: seriesId,
+      slug: "rust-ipmun",
+      title: "Rust 입문",
+      position: 2,
+      total: 3,
+      prev: { id: ids.p1, slug: "p1", title: "p1", state: "published" },
+      next: { id: ids.p3, slug: "p3", title: "p3", state: "published" },
+    });
+  });
+
+  it("inserts a post at a position", async () => {
+    await call("POST", `/admin/series/${seriesId}/posts`, {
+      postId: ids.p4,
+      position: 1,
+    });
+    expect(await order()).toEqual([
+      ["p4", 1],
+      ["p1", 2],
+      ["p2", 3],
+      ["p3", 4],
+    ]);
+  });
+
+  it("reorders", async () => {
+    const { status } = await call("PUT", `/admin/series/${seriesId}/order`, {
+      postIds: [ids.p1, ids.p2, ids.p3, ids.p4],
+    });
+    expect(status).toBe(200);
+    expect(await order()).toEqual([
+      ["p1", 1],
+      ["p2", 2],
+      ["p3", 3],
+      ["p4", 4],
+    ]);
+  });
+
+  it.each([
+    ["a missing post", () => [ids.p1, ids.p2, ids.p3]],
+    ["a duplicate", () => [ids.p1, ids.p1, ids.p2, ids.p3, ids.p4]],
+    ["an outside post", () => [ids.p1, ids.p2, ids.p3, ids.p4, 9999]],
+  ])("rejects an order with %s", async (_, postIds) => {
+    const { status } = await call("PUT", `/admin/series/${seriesId}/order`, {
+      postIds: postIds(),
+    });
+    expect(status).toBe(400);
+  });
+
+  it("closes the gap when a post is deleted and appends it on restore", async () => {
+    await call("DELETE", `/admin/posts/${ids.p2}`);
+    expect(await order()).toEqual([
+      ["p1", 1],
+      ["p3", 2],
+      ["p4", 3],
+    ]);
+
+    await call("POST", `/admin/trash/posts/${ids.p2}/restore`);
+    expect(await order()).toEqual([
+      ["p1", 1],
+      ["p3", 2],
+      ["p4", 3],
+      ["p2", 4],
+    ]);
+  });
+
+  it("closes the gap when a post is removed", async () => {
+    await call("DELETE", `/admin/series/${seriesId}/posts/${ids.p3}`);
+    expect(await order()).toEqual([
+      ["p1", 1],
+      ["p4", 2],
+      ["p2", 3],
+    ]);
+    expect((await call("GET", `/admin/posts/${ids.p3}`)).body.data.series).toBe(
+      null,
+    );
+  });
+
+  it("keeps the posts when the series is deleted", async () => {
+    const { status } = await call("DELETE", `/admin/series/${seriesId}`);
+    expect(status).toBe(200);
+
+    const { body } = await call("GET", `/admin/posts/${ids.p1}`);
+    expect(body.data.series).toBeNull();
+  });
+
+  it.each([
+    ["GET", "/admin/series/9999", undefined, 404],
+    ["GET", "/admin/series/abc", undefined, 400],
+    ["POST", "/admin/series", { title: "" }, 400],
+  ])("%s %s returns %i", async (method, path, body, expected) => {
+    const { status } = await call(method, path, body);
+    expect(status).toBe(expected);
+  });
+});
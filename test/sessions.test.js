@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createTestEnv, callJson, loginOwner } from "./helpers/api.js";
+
+let testEnv;
+let env;
+
+beforeAll(async () => {
+  // refresh 기간(2시간)이 세션 최대 수명(1시간)보다 긴 설정
+  testEnv = await createTestEnv({
+    REFRESH_TOKEN_EXPIRY: "7200",
+    SESSION_MAX_AGE: "3600",
+  });
+  env = testEnv.env;
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+async function refresh(refreshToken) {
+  return await callJson(env, "POST", "/token/refresh", {
+    body: { refreshToken },
+  });
+}
+
+async function latestSession() {
+  return await env.DB.prepare(
+    "SELECT id, expires_at, absolute_expires_at FROM sessions ORDER BY created_at DESC LIMIT 1",
+  ).first();
+}
+
+describe("absolute session lifetime", () => {
+  it("caps the first refresh token at SESSION_MAX_AGE", async () => {
+    const { refreshExpiresIn } = await loginOwner(env);
+    const session = await latestSession();
+
+    expect(refreshExpiresIn).toBeLessThanOrEqual(3600);
+    expect(session.expires_at).toBe(session.absolute_expires_at);
+  });
+
+  it("never extends the session past its absolute expiry", async () => {
+    const login = await loginOwner(env);
+    const before = await latestSession();
+
+    const { status, body } = await refresh(login.refreshToken);
+    const after = await env.DB.prepare(
+      "SELECT expires_at, absolute_expires_at FROM sessions WHERE id = ?",
+    )
+      .bind(before.id)
+      .first();
+
+    expect(status).toBe(200);
+    expect(body.data.refreshExpiresIn).toBeLessThanOrEqual(3600);
+    expect(after.absolute_expires_at).toBe(before.absolute_expires_at);
+    expect(after.expires_at <= after.absolute_expires_at).toBe(true);
+  });
+
+  it("rejects a refresh once the absolute expiry has passed", async () => {
+    const login = await loginOwner(env);
+    const { id } = await latestSession();
+
+    // 갱신 가능한 refresh 토큰이 남아 있어도 세션 수명이 끝나면 거부
+    const past = new Date(Date.now() - 1000).toISOString();
+    const future = new Date(Date.now() + 3600000).toISOString();
+    await env.DB.batch([
+      env.DB.prepare(
+        "UPDATE sessions SET absolute_expires_at = ? WHERE id = ?",
+      ).bind(past, id),
+      env.DB.prepare(
+        "UPDATE refresh_tokens SET expires_at = ? WHERE session_id = ?",
+      ).bind(future, id),
+    ]);
+
+    const { status } = await refresh(login.refreshToken);
+    expect(status).toBe(401);
+  });
+});
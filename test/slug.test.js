@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { slugify, slugDatePrefix } from "../src/utils/slug.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+describe("slugify", () => {
+  it.each([
+    ["한국어 공부", "hangugeo-gongbu"],
+    ["안녕하세요", "annyeonghaseyo"],
+    ["음악", "eumak"],
+    ["빨래", "ppallae"],
+    ["Node.js 20 릴리스", "node-js-20-rilliseu"],
+    ["Rust 입문 1편", "rust-ipmun-1pyeon"],
+    ["Hello, World!", "hello-world"],
+    ["Café au lait", "cafe-au-lait"],
+    ["!!!", "post"],
+    ["", "post"],
+  ])("%j -> %s", (title, slug) => {
+    expect(slugify(title)).toBe(slug);
+  });
+
+  it("cuts long slugs at a hyphen within 80 characters", () => {
+    const slug = slugify("word ".repeat(30));
+    expect(slug.length).toBeLessThanOrEqual(80);
+    expect(slug.endsWith("-word")).toBe(true);
+  });
+
+  it("formats the date prefix in Korea Standard Time", () => {
+    expect(slugDatePrefix(new Date("2024-01-01T16:00:00Z"))).toBe("2024-01-02");
+  });
+});
+
+describe("slug generation through the API", () => {
+  let testEnv;
+  let env;
+  let token;
+
+  beforeAll(async () => {
+    testEnv = await createTestEnv();
+    env = testEnv.env;
+    token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+  });
+
+  afterAll(async () => {
+    await testEnv.dispose();
+  });
+
+  async function createPost(fields) {
+    return await callJson(env, "POST", "/admin/posts", {
+      token,
+      body: { content: "Body", state: "draft", ...fields },
+    });
+  }
+
+  function suggest(query) {
+    return callJson(env, "GET", `/admin/slugs/suggest?${query}`, { token });
+  }
+
+  it("romanizes a Hangul title and appends -2, -3 to duplicates", async () => {
+    const slugs = [];
+    for (let i = 0; i < 3; i++) {
+      const { status, body } = await createPost({ title: "한국어 공부" });
+      expect(status).toBe(200);
+      slugs.push(body.data.slug);
+    }
+
+    expect(slugs).toEqual([
+      "hangugeo-gongbu",
+      "hangugeo-gongbu-2",
+      "hangugeo-gongbu-3",
+    ]);
+  });
+
+  it("rejects an explicit slug that is taken", async () => {
+    const { status } = await createPost({
+      title: "Other",
+      slug: "hangugeo-gongbu",
+    });
+    expect(status).toBe(400);
+  });
+
+  it("previews the next free slug", async () => {
+    const { status, body } = await suggest(
+      `title=${encodeURIComponent("한국어 공부")}`,
+    );
+
+    expect(status).toBe(200);
+    expect(body.data).toEqual({
+      slug: "hangugeo-gongbu-4",
+      base: "hangugeo-gongbu",
+      available: false,
+    });
+  });
+
+  it("reports a free slug as available", async () => {
+    const { body } = await suggest("title=Fresh%20Title");
+    expect(body.data).toEqual({
+      slug: "fresh-title",
+      base: "fresh-title",
+      available: true,
+    });
+  });
+
+  it("adds the date prefix on request", async () => {
+    const { body } = await suggest("title=Daily&datePrefix=true");
+    expect(body.data.slug).toBe(`${slugDatePrefix()}-daily`);
+  });
+
+  it("requires a title", async () => {
+    const { status } = await suggest("title=");
+    expect(status).toBe(400);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let token;
+let postId;
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+
+  const { body } = await callJson(env, "POST", "/admin/posts", {
+    token,
+    body: {
+      title: "History",
+      content: "Body",
+      state: "published",
+      slug: "first-slug",
+    },
+  });
+  postId = body.data.id;
+
+  for (const slug of ["second-slug", "third-slug"]) {
+    const { status } = await rename(slug);
+    expect(status).toBe(200);
+  }
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+function rename(slug) {
+  return callJson(env, "PATCH", `/admin/posts/${postId}`, {
+    token,
+    body: { slug },
+  });
+}
+
+function resolve(slug) {
+  return callJson(
+    env,
+    "GET",
+    `/admin/slugs/resolve?slug=${encodeURIComponent(slug)}`,
+    { token },
+  );
+}
+
+async function history() {
+  const { body } = await callJson(env, "GET", `/admin/posts/${postId}/slugs`, {
+    token,
+  });
+  return body.data.map(({ slug }) => slug).sort();
+}
+
+describe("slug history", () => {
+  it("records every previous slug", async () => {
+    expect(await history()).toEqual(["first-slug", "second-slug"]);
+  });
+
+  it.each([
+    ["first-slug", true],
+    ["second-slug", true],
+    ["third-slug", false],
+  ])("resolves %s (redirect: %s)", async (slug, redirect) => {
+    const { status, body } = await resolve(slug);
+
+    expect(status).toBe(200);
+    expect(body.data).toEqual({
+      slug,
+      currentSlug: "third-slug",
+      postId,
+      state: "published",
+      redirect,
+    });
+  });
+
+  it("keeps previous slugs reserved for their post", async () => {
+    const { status } = await callJson(env, "POST", "/admin/posts", {
+      token,
+      body: {
+        title: "Other",
+        content: "Body",
+        state: "draft",
+        slug: "first-slug",
+      },
+    });
+    expect(status).toBe(400);
+  });
+
+  it("drops a slug from the history when the post takes it back", async () => {
+    const { status } = await rename("first-slug");
+    expect(status).toBe(200);
+
+    expect(await history()).toEqual(["second-slug", "third-slug"]);
+    expect((await resolve("third-slug")).body.data.currentSlug).toBe(
+      "first-slug",
+    );
+  });
+
+  it.each([
+    ["", 400],
+    ["never-used", 404],
+  ])("resolve %j returns %i", async (slug, expected) => {
+    const { status } = await resolve(slug);
+    expect(status).toBe(expected);
+  });
+
+  it("does not resolve slugs of a trashed post", async () => {
+    await callJson(env, "DELETE", `/admin/posts/${postId}`, { token });
+
+    expect((await resolve("second-slug")).status).toBe(404);
+    expect((await resolve("first-slug")).status).toBe(404);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import worker from "../src/index.js";
+import { router } from "../src/router.js";
+import { Scope } from "../src/auth/permissions.js";
+import { generateJWT, createPayload } from "../src/auth/validators.js";
+import { loadKeyring } from "../src/auth/keyring.js";
+import { createTestDatabase } from "./helpers/d1.js";
+
+let database;
+let env;
+
+// 마이그레이션 0013이 lower(trim(name))으로 채운 상태를 재현
+const LEGACY_TAGS = [
+  [1, "Éclair"],
+  [2, "éclair"],
+  [3, "Cafe\u0301"],
+  [4, "Caf\u00e9"],
+  [5, "Node  JS"],
+  [6, "ÜBER"],
+  [7, "meta"],
+  [8, "rust"],
+];
+
+beforeAll(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db, JWT_SECRET: "test-secret" };
+
+  const now = new Date().toISOString();
+  const post = (id) =>
+    env.DB.prepare(
+      `INSERT INTO posts (id, slug, title, content, state, created_at, updated_at)
+       VALUES (?1, 'post-' || ?1, 'Post', 'Body', 'published', ?2, ?2)`,
+    ).bind(id, now);
+  const link = (postId, tagId) =>
+    env.DB.prepare(
+      "INSERT INTO post_tags (post_id, tag_id) VALUES (?, ?)",
+    ).bind(postId, tagId);
+
+  await env.DB.batch([
+    ...LEGACY_TAGS.map(([id, name]) =>
+      env.DB.prepare(
+        `INSERT INTO tags (id, name, name_key, created_at)
+         VALUES (?1, ?2, lower(trim(?2)), ?3)`,
+      ).bind(id, name, now),
+    ),
+    env.DB.prepare(
+      `INSERT INTO tag_aliases (alias, alias_key, tag_id, created_at)
+       VALUES ('über', 'über', 7, ?)`,
+    ).bind(now),
+    post(1),
+    post(2),
+    link(1, 1),
+    link(1, 2),
+    link(2, 2),
+    link(2, 3),
+    link(2, 4),
+    link(1, 6),
+  ]);
+});
+
+afterAll(async () => {
+  await database.dispose();
+});
+
+async function rekey() {
+  const token = await generateJWT(
+    createPayload(1, 600, [Scope.POSTS_WRITE]),
+    loadKeyring(env),
+  );
+  const response = await router(
+    new Request("http://localhost/admin/tags/rekey", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    }),
+    env,
+    {},
+  );
+  expect(response.status).toBe(200);
+  return (await response.json()).data;
+}
+
+async function tagsByKey() {
+  const { results } = await env.DB.prepare(
+    "SELECT id, name, name_key, post_count FROM tags ORDER BY id",
+  ).all();
+  return results;
+}
+
+describe("POST /admin/tags/rekey", () => {
+  it("rekeys with tagKey() and merges collisions into the oldest tag", async () => {
+    const result = await rekey();
+
+    expect(result.merged).toEqual([
+      { from: "éclair", into: "Éclair" },
+      { from: "Café", into: "Café" },
+      { from: "ÜBER", into: "meta" },
+    ]);
+    expect(await tagsByKey()).toEqual([
+      { id: 1, name: "Éclair", name_key: "éclair", post_count: 2 },
+      { id: 3, name: "Café", name_key: "café", post_count: 1 },
+      { id: 5, name: "Node JS", name_key: "node js", post_count: 0 },
+      { id: 7, name: "meta", name_key: "meta", post_count: 1 },
+      { id: 8, name: "rust", name_key: "rust", post_count: 0 },
+    ]);
+
+    const { results: links } = await env.DB.prepare(
+      "SELECT post_id, tag_id FROM post_tags ORDER BY post_id, tag_id",
+    ).all();
+    expect(links).toEqual([
+      { post_id: 1, tag_id: 1 },
+      { post_id: 1, tag_id: 7 },
+      { post_id: 2, tag_id: 1 },
+      { post_id: 2, tag_id: 3 },
+    ]);
+  });
+
+  it("changes nothing on a second run", async () => {
+    expect(await rekey()).toEqual({ rekeyed: 0, merged: [] });
+  });
+
+  it("clears the rekey scheduled for the Cron Trigger", async () => {
+    const { results } = await env.DB.prepare(
+      "SELECT name FROM maintenance_tasks",
+    ).all();
+    expect(results).toEqual([]);
+  });
+});
+
+describe("Cron Trigger tag rekey", () => {
+  let cronDatabase;
+  let cronEnv;
+
+  const runCron = () =>
+    worker.scheduled(
+      { cron: "*/5 * * * *", scheduledTime: Date.now() },
+      cronEnv,
+    );
+
+  beforeAll(async () => {
+    cronDatabase = await createTestDatabase();
+    cronEnv = { DB: cronDatabase.db };
+
+    // 0013이 채운 key: ASCII만 소문자로 바뀌고 NFD 문자열은 그대로
+    const now = new Date().toISOString();
+    await cronEnv.DB.batch(
+      [
+        [1, "\u00dcBER"],
+        [2, "Cafe\u0301"],
+        [3, "Rust"],
+      ].map(([id, name]) =>
+        cronEnv.DB.prepare(
+          `INSERT INTO tags (id, name, name_key, created_at)
+           VALUES (?1, ?2, lower(trim(?2)), ?3)`,
+        ).bind(id, name, now),
+      ),
+    );
+  });
+
+  afterAll(async () => {
+    await cronDatabase.dispose();
+  });
+
+  it("rekeys tags left by migration 0013 once", async () => {
+    await runCron();
+
+    const { results } = await cronEnv.DB.prepare(
+      "SELECT id, name, name_key FROM tags ORDER BY id",
+    ).all();
+    expect(results).toEqual([
+      { id: 1, name: "\u00dcBER", name_key: "\u00fcber" },
+      { id: 2, name: "Caf\u00e9", name_key: "caf\u00e9" },
+      { id: 3, name: "Rust", name_key: "rust" },
+    ]);
+
+    const pending = await cronEnv.DB.prepare(
+      "SELECT name FROM maintenance_tasks",
+    ).all();
+    expect(pending.results).toEqual([]);
+  });
+
+  it("skips the rekey on later runs", async () => {
+    // 이후 실행에서는 다시 계산하지 않음: 일부러 틀린 key가 그대로 남아야 함
+    await cronEnv.DB.prepare(
+      "UPDATE tags SET name_key = 'RUST' WHERE id = 3",
+    ).run();
+    await runCron();
+
+    const { name_key: key } = await cronEnv.DB.prepare(
+      "SELECT name_key FROM tags WHERE id = 3",
+    ).first();
+    expect(key).toBe("RUST");
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let token;
+const posts = {};
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  token = await tokenWithScopes(env, [Scope.POSTS_WRITE]);
+
+  for (const [name, state, tags] of [
+    ["one", "published", ["js", "web"]],
+    ["two", "draft", ["js"]],
+    ["three", "published", ["legacy"]],
+  ]) {
+    const { body } = await call("POST", "/admin/posts", {
+      title: name,
+      content: "Body",
+      state,
+      tags,
+      slug: name,
+    });
+    posts[name] = body.data.id;
+  }
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+function call(method, path, body) {
+  return callJson(env, method, path, { token, body });
+}
+
+async function tags() {
+  const { body } = await call("GET", "/admin/tags");
+  return Object.fromEntries(
+    body.data.map((tag) => [tag.name, [tag.postCount, tag.usageCount]]),
+  );
+}
+
+async function tagId(name) {
+  const { body } = await call("GET", "/admin/tags");
+  return body.data.find((tag) => tag.name === name).id;
+}
+
+describe("post_count maintenance", () => {
+  it("counts only published posts", async () => {
+    expect(await tags()).toEqual({
+      js: [1, 2],
+      legacy: [1, 1],
+      web: [1, 1],
+    });
+  });
+
+  it("follows state changes", async () => {
+    await call("PATCH", `/admin/posts/${posts.two}`, { state: "published" });
+    expect((await tags()).js).toEqual([2, 2]);
+  });
+
+  it("drops trashed posts and counts them again on restore", async () => {
+    await call("DELETE", `/admin/posts/${posts.one}`);
+    expect(await tags()).toMatchObject({ js: [1, 2], web: [0, 1] });
+
+    await call("POST", `/admin/trash/posts/${posts.one}/restore`);
+    expect(await tags()).toMatchObject({ js: [2, 2], web: [1, 1] });
+  });
+
+  it("repairs counts with recount", async () => {
+    await env.DB.prepare("UPDATE tags SET post_count = 42").run();
+
+    const { body } = await call("POST", "/admin/tags/recount");
+    expect(body.data).toEqual({ repaired: 3 });
+    expect(await tags()).toEqual({
+      js: [2, 2],
+      legacy: [1, 1],
+      web: [1, 1],
+    });
+  });
+});
+
+describe("tag management", () => {
+  it("renames a tag", async () => {
+    const { status, body } = await call(
+      "PATCH",
+      `/admin/tags/${await tagId("js")}`,
+      { name: "JavaScript" },
+    );
+    expect(status).toBe(200);
+    expect(body.data.name).toBe("JavaScript");
+
+    const post = await call("GET", `/admin/posts/${posts.two}`);
+    expect(post.body.data.tags).toEqual(["JavaScript"]);
+  });
+
+  it("rejects a rename onto another tag's name", async () => {
+    const { status } = await call(
+      "PATCH",
+      `/admin/tags/${await tagId("web")}`,
+      {
+        name: "legacy",
+      },
+    );
+    expect(status).toBe(400);
+  });
+
+  it("merges a tag into another and re-points its posts", async () => {
+    const target = await tagId("web");
+    const { status, body } = await call(
+      "POST",
+      `/admin/tags/${await tagId("legacy")}/merge`,
+      { into: target },
+    );
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({ id: target, postCount: 2 });
+    expect(Object.keys(await tags()).sort()).toEqual(["JavaScript", "web"]);
+
+    const post = await call("GET", `/admin/posts/${posts.three}`);
+    expect(post.body.data.tags).toEqual(["web"]);
+  });
+
+  it("rejects merging a tag into itself", async () => {
+    const id = await tagId("web");
+    const { status } = await call("POST", `/admin/tags/${id}/merge`, {
+      into: id,
+    });
+    expect(status).toBe(400);
+  });
+
+  it("only deletes tags without posts", async () => {
+    const used = await call("DELETE", `/admin/tags/${await tagId("web")}`);
+    expect(used.status).toBe(400);
+
+    await call("PATCH", `/admin/posts/${posts.three}`, { tags: ["orphan"] });
+    await call("PATCH", `/admin/posts/${posts.three}`, { tags: null });
+
+    const { body } = await call("DELETE", "/admin/tags/unused");
+    expect(body.data).toEqual({ deleted: 1, tags: ["orphan"] });
+  });
+
+  it.each([
+    ["PATCH", "/admin/tags/9999", { name: "x" }, 404],
+    ["DELETE", "/admin/tags/9999", undefined, 404],
+    ["DELETE", "/admin/tags/abc", undefined, 400],
+  ])("%s %s returns %i", async (method, path, body, expected) => {
+    const { status } = await call(method, path, body);
+    expect(status).toBe(expected);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { router } from "../src/router.js";
+import { Role, Scope, scopesForRole } from "../src/auth/permissions.js";
+import { generateJWT, createPayload } from "../src/auth/validators.js";
+import { loadKeyring } from "../src/auth/keyring.js";
+import { createTestDatabase } from "./helpers/d1.js";
+
+let database;
+let env;
+
+beforeAll(async () => {
+  database = await createTestDatabase();
+  env = { DB: database.db, JWT_SECRET: "test-secret" };
+
+  const deletedAt = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO posts (id, slug, title, content, state, created_at, updated_at, deleted_at)
+       VALUES (1, 'trashed', 'Trashed', 'Body', 'draft', ?1, ?1, ?1)`,
+    ).bind(deletedAt),
+    env.DB.prepare(
+      `INSERT INTO comments (id, post_id, content, author, created_at, deleted_at)
+       VALUES ('c1', 1, 'Spam', 'bot', ?1, ?1)`,
+    ).bind(deletedAt),
+  ]);
+});
+
+afterAll(async () => {
+  await database.dispose();
+});
+
+async function listTrash(scopes) {
+  const token = await generateJWT(
+    createPayload(1, 600, scopes),
+    loadKeyring(env),
+  );
+  return await router(
+    new Request("http://localhost/admin/trash", {
+      headers: { Authorization: `Bearer ${token}` },
+    }),
+    env,
+    {},
+  );
+}
+
+describe("GET /admin/trash", () => {
+  it.each([
+    [Role.OWNER, ["comments", "posts"]],
+    [Role.EDITOR, ["comments", "posts"]],
+    [Role.MODERATOR, ["comments"]],
+  ])("%s sees %j", async (role, sections) => {
+    const response = await listTrash(scopesForRole(role));
+    const { data } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(data).sort()).toEqual(sections);
+  });
+
+  it("returns 403 without posts:write or comments:delete", async () => {
+    const response = await listTrash([Scope.IMAGES_WRITE]);
+    expect(response.status).toBe(403);
+  });
+});
+
+describe("public visibility of trashed posts", () => {
+  // 공개 worker의 게시글 목록 쿼리 (state만 확인하고 deleted_at은 보지 않음)
+  const PUBLISHED_QUERY =
+    "SELECT id FROM posts WHERE state = 'published' ORDER BY id";
+
+  async function call(method, path, body) {
+    const token = await generateJWT(
+      createPayload(1, 600, [Scope.POSTS_WRITE]),
+      loadKeyring(env),
+    );
+    return await router(
+      new Request(`http://localhost${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      }),
+      env,
+      {},
+    );
+  }
+
+  async function publishedIds() {
+    const { results } = await env.DB.prepare(PUBLISHED_QUERY).all();
+    return results.map(({ id }) => id);
+  }
+
+  beforeAll(async () => {
+    const now = new Date().toISOString();
+    await env.DB.batch(
+      [10, 11, 12].map((id) =>
+        env.DB.prepare(
+          `INSERT INTO posts (id, slug, title, content, state, created_at, updated_at)
+           VALUES (?1, 'live-' || ?1, 'Live', 'Body', ?2, ?3, ?3)`,
+        ).bind(id, id === 12 ? "scheduled" : "published", now),
+      ),
+    );
+  });
+
+  it("excludes a trashed post from the published query", async () => {
+    expect(await publishedIds()).toEqual([10, 11]);
+
+    expect((await call("DELETE", "/admin/posts/10")).status).toBe(200);
+    expect(await publishedIds()).toEqual([11]);
+  });
+
+  it("excludes posts trashed in bulk", async () => {
+    const response = await call("POST", "/admin/posts/bulk", {
+      ids: [11, 12],
+      action: "delete",
+    });
+    expect(response.status).toBe(200);
+    expect(await publishedIds()).toEqual([]);
+  });
+
+  it("lists the state a post had before it was trashed", async () => {
+    const { data } = await (await listTrash([Scope.POSTS_WRITE])).json();
+    const states = Object.fromEntries(
+      data.posts.map(({ id, state }) => [id, state]),
+    );
+    expect(states).toMatchObject({
+      10: "published",
+      11: "published",
+      12: "scheduled",
+    });
+  });
+
+  it("restores the previous state", async () => {
+    for (const id of [10, 12]) {
+      const response = await call("POST", `/admin/trash/posts/${id}/restore`);
+      expect(response.status).toBe(200);
+    }
+
+    expect(await publishedIds()).toEqual([10]);
+    const { state } = await env.DB.prepare(
+      "SELECT state FROM posts WHERE id = 12",
+    ).first();
+    expect(state).toBe("scheduled");
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createTestEnv, callJson, loginOwner } from "./helpers/api.js";
+
+let testEnv;
+let env;
+let owner;
+
+beforeAll(async () => {
+  testEnv = await createTestEnv();
+  env = testEnv.env;
+  owner = await loginOwner(env);
+});
+
+afterAll(async () => {
+  await testEnv.dispose();
+});
+
+async function createUser(username, role) {
+  const { status, body } = await callJson(env, "POST", "/admin/users", {
+    token: owner.token,
+    body: { username, password: "password-1234", role },
+  });
+  expect(status).toBe(200);
+  return body.data;
+}
+
+async function login(username) {
+  const { status, body } = await callJson(env, "POST", "/login", {
+    body: { username, password: "password-1234" },
+  });
+  expect(status).toBe(200);
+  return body.data.token;
+}
+
+describe("accounts and roles", () => {
+  let editor;
+  let moderator;
+
+  beforeAll(async () => {
+    await createUser("editor", "editor");
+    await createUser("moderator", "moderator");
+    editor = await login("editor");
+    moderator = await login("moderator");
+  });
+
+  it("carries the role in the session", async () => {
+    const { body } = await callJson(env, "GET", "/session", {
+      token: editor,
+    });
+    expect(body.data).toMatchObject({ valid: true, role: "editor" });
+  });
+
+  it.each([
+    ["editor", "GET", "/admin/posts", 200],
+    ["editor", "GET", "/admin/users", 403],
+    ["moderator", "GET", "/admin/posts", 403],
+    ["moderator", "GET", "/admin/users", 403],
+    ["moderator", "DELETE", `/admin/comments/${crypto.randomUUID()}`, 404],
+  ])("%s: %s %s returns %i", async (role, method, path, expected) => {
+    const token = role === "editor" ? editor : moderator;
+    const { status } = await callJson(env, method, path, { token });
+    expect(status).toBe(expected);
+  });
+
+  it("rejects a duplicate username", async () => {
+    const { status, body } = await callJson(env, "POST", "/admin/users", {
+      token: owner.token,
+      body: { username: "editor", password: "password-1234", role: "editor" },
+    });
+    expect(status).toBe(400);
+    expect(body.error.message).toBe("Username already exists");
+  });
+});
+
+describe("account changes", () => {
+  it("revokes the sessions of an account whose role changes", async () => {
+    const user = await createUser("demoted", "editor");
+    const token = await login("demoted");
+
+    const { status } = await callJson(env, "PUT", `/admin/users/${user.id}`, {
+      token: owner.token,
+      body: { role: "moderator" },
+    });
+    expect(status).toBe(200);
+
+    const session = await callJson(env, "GET", "/session", { token });
+    expect(session.status).toBe(401);
+  });
+
+  it("keeps the last owner", async () => {
+    const { body: me } = await callJson(env, "GET", "/session", {
+      token: owner.token,
+    });
+    const { status, body } = await callJson(
+      env,
+      "PUT",
+      `/admin/users/${me.data.userId}`,
+      { token: owner.token, body: { role: "editor" } },
+    );
+
+    expect(status).toBe(400);
+    expect(body.error.message).toBe("Cannot remove the last owner");
+  });
+
+  it("does not let an owner delete their own account", async () => {
+    const { body: me } = await callJson(env, "GET", "/session", {
+      token: owner.token,
+    });
+    const { status } = await callJson(
+      env,
+      "DELETE",
+      `/admin/users/${me.data.userId}`,
+      { token: owner.token },
+    );
+    expect(status).toBe(403);
+  });
+
+  it("returns 404 for an unknown account", async () => {
+    const { status } = await callJson(env, "GET", "/admin/users/9999", {
+      token: owner.token,
+    });
+    expect(status).toBe(404);
+  });
+});
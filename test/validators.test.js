@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import {
+  generateJWT,
+  validateJWT,
+  createPayload,
+  base64UrlEncode,
+} from "../src/auth/validators.js";
+import { loadKeyring } from "../src/auth/keyring.js";
+
+const JWT_SECRET = "test-secret";
+const keyring = loadKeyring({ JWT_SECRET });
+
+/**
+ * HS256 token as issued before kid/iss/aud existed
+ */
+async function signLegacy(payload, header = { alg: "HS256", typ: "JWT" }) {
+  const data = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(
+    JSON.stringify(payload),
+  )}`;
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(JWT_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(data),
+  );
+  return `${data}.${base64UrlEncode(signature)}`;
+}
+
+describe("legacy tokens", () => {
+  it("accepts a JWT_SECRET token without iss and aud", async () => {
+    const token = await signLegacy(createPayload(1, 600));
+    const payload = await validateJWT(token, keyring);
+    expect(payload.userId).toBe(1);
+  });
+
+  it("accepts it with the default kid", async () => {
+    const token = await signLegacy(createPayload(1, 600), {
+      alg: "HS256",
+      typ: "JWT",
+      kid: "default",
+    });
+    await expect(validateJWT(token, keyring)).resolves.toBeTruthy();
+  });
+
+  it("still rejects it once expired", async () => {
+    const token = await signLegacy(createPayload(1, -120));
+    await expect(validateJWT(token, keyring)).rejects.toThrow("Token expired");
+  });
+
+  it("rejects a legacy token with only one of iss or aud", async () => {
+    const token = await signLegacy({
+      ...createPayload(1, 600),
+      iss: keyring.issuer,
+    });
+    await expect(validateJWT(token, keyring)).rejects.toThrow(
+      "Invalid token audience",
+    );
+  });
+
+  it("requires iss and aud for tokens signed with a JWT_KEYS key", async () => {
+    const rotated = loadKeyring({
+      JWT_SECRET,
+      JWT_KEYS: JSON.stringify([
+        { kid: "2025-01", alg: "HS256", secret: JWT_SECRET },
+      ]),
+    });
+    const token = await signLegacy(createPayload(1, 600), {
+      alg: "HS256",
+      typ: "JWT",
+      kid: "2025-01",
+    });
+    await expect(validateJWT(token, rotated)).rejects.toThrow(
+      "Invalid token issuer",
+    );
+  });
+});
+
+describe("purpose tokens", () => {
+  const mfaPayload = () => ({ ...createPayload(1, 300), purpose: "mfa" });
+
+  it("get their own audience", async () => {
+    const token = await generateJWT(mfaPayload(), keyring);
+    const payload = await validateJWT(token, keyring, { purpose: "mfa" });
+    expect(payload.aud).toBe(`${keyring.audience}:mfa`);
+  });
+
+  it("are rejected where an access token is expected", async () => {
+    const token = await generateJWT(mfaPayload(), keyring);
+    await expect(validateJWT(token, keyring)).rejects.toThrow(
+      "Invalid token audience",
+    );
+  });
+
+  it("do not accept an access token in their place", async () => {
+    const token = await generateJWT(createPayload(1, 600), keyring);
+    await expect(
+      validateJWT(token, keyring, { purpose: "mfa" }),
+    ).rejects.toThrow("Invalid token audience");
+  });
+});
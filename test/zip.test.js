@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { Scope } from "../src/auth/permissions.js";
+import { createZipWriter, readZip } from "../src/utils/zip.js";
+import { ValidationError } from "../src/utils/errors.js";
+import { createTestEnv, callJson, tokenWithScopes } from "./helpers/api.js";
+
+const encoder = new TextEncoder();
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function concat(chunks) {
+  const result = new Uint8Array(
+    chunks.reduce((length, chunk) => length + chunk.length, 0),
+  );
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Archive of stored entries written by createZipWriter()
+ */
+function storedZip(files) {
+  const writer = createZipWriter();
+  return concat([
+    ...files.map(([name, text]) => writer.addFile(name, text)),
+    writer.finish(),
+  ]).buffer;
+}
+
+/**
+ * One deflated entry; size overrides the declared uncompressed size
+ */
+async function deflatedZip(name, bytes, size = bytes.length) {
+  const nameBytes = encoder.encode(name);
+  const data = await deflateRaw(bytes);
+
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, 0x04034b50, true);
+  header.setUint16(8, 8, true);
+  header.setUint32(18, data.length, true);
+  header.setUint32(22, size, true);
+  header.setUint16(26, nameBytes.length, true);
+
+  const entry = new DataView(new ArrayBuffer(46));
+  entry.setUint32(0, 0x02014b50, true);
+  entry.setUint16(10, 8, true);
+  entry.setUint32(20, data.length, true);
+  entry.setUint32(24, size, true);
+  entry.setUint16(28, nameBytes.length, true);
+
+  const local = concat([new Uint8Array(header.buffer), nameBytes, data]);
+  const directory = concat([new Uint8Array(entry.buffer), nameBytes]);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, directory.length, true);
+  end.setUint32(16, local.length, true);
+
+  return concat([local, directory, new Uint8Array(end.buffer)]).buffer;
+}
+
+/**
+ * Copy of an archive with a little-endian field overwritten
+ */
+function patch(buffer, offset, value, bytes = 4) {
+  const copy = buffer.slice(0);
+  const view = new DataView(copy);
+  if (bytes === 4) {
+    view.setUint32(offset, value, true);
+  } else {
+    view.setUint16(offset, value, true);
+  }
+  return copy;
+}
+
+describe("readZip", () => {
+  it("reads stored and deflated entries", async () => {
+    const decoder = new TextDecoder();
+    const stored = await readZip(storedZip([["posts/a.md", "# A"]]));
+    const deflated = await readZip(
+      await deflatedZip("posts/b.md", encoder.encode("# B")),
+    );
+
+    expect(
+      stored.map(({ name, data }) => [name, decoder.decode(data)]),
+    ).toEqual([["posts/a.md", "# A"]]);
+    expect(decoder.decode(deflated[0].data)).toBe("# B");
+  });
+
+  describe("truncated or malformed archives", () => {
+    const archive = storedZip([
+      ["posts/a.md", "# A"],
+      ["posts/b.md", "# B"],
+    ]);
+    const directoryOffset = new DataView(archive).getUint32(
+      archive.byteLength - 6,
+      true,
+    );
+
+    it.each([
+      ["cut before the end record", archive.slice(0, archive.byteLength - 5)],
+      ["cut inside the data", archive.slice(0, 20)],
+      ["empty", new ArrayBuffer(0)],
+      [
+        "central directory past the end",
+        patch(archive, archive.byteLength - 6, 0xfffffff0),
+      ],
+      [
+        "local header past the end",
+        patch(archive, directoryOffset + 42, 0xfffffff0),
+      ],
+      ["name past the end", patch(archive, directoryOffset + 28, 0xffff, 2)],
+      ["data past the end", patch(archive, directoryOffset + 20, 0xffffff)],
+      [
+        "more entries than recorded",
+        patch(archive, archive.byteLength - 12, 3, 2),
+      ],
+    ])("rejects an archive %s", async (_, buffer) => {
+      await expect(readZip(buffer)).rejects.toThrow(ValidationError);
+    });
+
+    it("rejects corrupt deflate data", async () => {
+      const buffer = await deflatedZip(
+        "a.md",
+        encoder.encode("# A".repeat(50)),
+      );
+      // 압축 데이터 첫 바이트를 잘못된 블록 타입으로
+      const corrupt = new Uint8Array(buffer.slice(0));
+      corrupt[30 + 4] = 0xff;
+      await expect(readZip(corrupt.buffer)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe("oversized archives", () => {
+    const big = new Uint8Array(2048);
+
+    it("rejects a declared size over the limit before inflating", async () => {
+      const buffer = await deflatedZip("a.md", big);
+      await expect(readZip(buffer, { maxEntryBytes: 1024 })).rejects.toThrow(
+        "ZIP entry a.md is too large",
+      );
+    });
+
+    it("stops inflating an entry that exceeds its declared size", async () => {
+      const buffer = await deflatedZip("a.md", big, 16);
+      await expect(readZip(buffer, { maxEntryBytes: 1024 })).rejects.toThrow(
+        ValidationError,
+      );
+    });
+
+    it("caps the running total across entries", async () => {
+      const buffer = storedZip([
+        ["a.md", "x".repeat(600)],
+        ["b.md", "x".repeat(600)],
+      ]);
+      await expect(readZip(buffer, { maxTotalBytes: 1000 })).rejects.toThrow(
+        "ZIP entry b.md is too large",
+      );
+    });
+
+    it("caps the entry count", async () => {
+      const buffer = storedZip([
+        ["a.md", "a"],
+        ["b.md", "b"],
+        ["c.md", "c"],
+      ]);
+      await expect(readZip(buffer, { maxEntries: 2 })).rejects.toThrow(
+        "ZIP archive must not contain more than 2 entries",
+      );
+    });
+  });
+});
+
+describe("POST /admin/import?format=zip", () => {
+  let testEnv;
+  let token;
+
+  beforeAll(async () => {
+    testEnv = await createTestEnv();
+    token = await tokenWithScopes(testEnv.env, [Scope.POSTS_WRITE]);
+  });
+
+  afterAll(async () => {
+    await testEnv.dispose();
+  });
+
+  async function importZip(buffer) {
+    return await callJson(testEnv.env, "POST", "/admin/import?format=zip", {
+      token,
+      body: buffer,
+    });
+  }
+
+  it("returns 400 for a truncated archive", async () => {
+    const archive = storedZip([["posts/a.md", "# A"]]);
+    const directoryOffset = new DataView(archive).getUint32(
+      archive.byteLength - 6,
+      true,
+    );
+    const { status, body } = await importZip(
+      patch(archive, directoryOffset + 42, 0xfffffff0),
+    );
+
+    expect(status).toBe(400);
+    expect(body.error.message).toBe("Invalid ZIP archive");
+  });
+
+  it("returns 400 for an archive that inflates past 10 MB", async () => {
+    const buffer = await deflatedZip(
+      "posts/bomb.md",
+      new Uint8Array(11 * 1024 * 1024),
+    );
+    const { status, body } = await importZip(buffer);
+
+    expect(status).toBe(400);
+    expect(body.error.message).toBe("ZIP entry posts/bomb.md is too large");
+  });
+});
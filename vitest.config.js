@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    include: ["test/**/*.test.js"],
+    // 파일마다 Miniflare로 로컬 D1을 띄우므로 기본 10초는 CPU가 바쁠 때 부족함
+    hookTimeout: 60000,
+    testTimeout: 30000,
+  },
+});